@@ -2,11 +2,27 @@
    app-common-ui.js
    Shared UI helpers:
    - status messages
-   - progress visibility
+   - progress visibility + staged progress controller
    - loading state on buttons
+   - Cancel button / AbortController wiring
+   - resize fields (output size for the pipeline)
+   - target file size fields
+   - AVIF encoder fields
+   - PNG-8 palette fields
+   - advanced JPEG encoder fields
+   - frame picker for animated images
+   - dropped files and folders
+   - file format check by header (mislabeled files, other converters)
+   - image size check against the browser's canvas limits
+   - batch queue rows
    - lightweight toast notifications
+   All visible text comes from app-i18n.js.
    ============================================================ */
 
+import { t, errorMessage, onLocaleChange } from "./app-i18n.js";
+import { inspectFile, FORMAT_NAMES } from "./core/sniff.js";
+import { fitCanvasSize, getCanvasLimits, readImageSize } from "./core/canvas-limits.js";
+
 /**
  * Update status text element (e.g. under buttons).
  * @param {HTMLElement|null} el
@@ -78,6 +94,199 @@ export function toggleProgress(wrapper, show) {
     }
 }
 
+/* ============================================================
+   Staged progress
+   One bar for the whole run: every item walks through the same
+   stages, a final "package" stage (ZIP / PDF output) runs once
+   at the end. Steps that give no feedback (heic2any) switch the
+   bar to an indeterminate animation.
+   ============================================================ */
+
+/** Known stages, their label (message key) and relative cost. */
+export const PROGRESS_STAGES = {
+    read: { label: "progress.stage.read", weight: 1 },
+    decode: { label: "progress.stage.decode", weight: 3 },
+    render: { label: "progress.stage.render", weight: 2 },
+    encode: { label: "progress.stage.encode", weight: 3 },
+    package: { label: "progress.stage.package", weight: 1 }
+};
+
+// Share of the bar reserved for the final "package" stage
+const PACKAGE_SHARE = 0.1;
+
+/**
+ * Human readable remaining time ("12 s", "3 min").
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatEta(seconds) {
+    if (seconds < 60) return t("progress.seconds", { count: Math.max(1, Math.ceil(seconds)) });
+    return t("progress.minutes", { count: Math.round(seconds / 60) });
+}
+
+/**
+ * Create a progress controller for a Bootstrap progress bar.
+ *
+ * Usage:
+ *   const progress = createProgress({ wrapper, bar, label });
+ *   progress.start({ stages: ["decode", "encode", "package"], items: files.length });
+ *   progress.stage("decode", { item: 0 });
+ *   progress.stage("encode", { item: 0, fraction: 0.5 });
+ *   progress.itemDone(0);
+ *   progress.stage("package");
+ *   progress.done();
+ *
+ * @param {object} els
+ * @param {HTMLElement|null} els.wrapper - the .progress element
+ * @param {HTMLElement|null} [els.bar] - the .progress-bar inside it
+ * @param {HTMLElement|null} [els.label] - text line for stage, count and ETA
+ */
+export function createProgress({ wrapper, bar, label } = {}) {
+    const progressBar = bar || (wrapper ? wrapper.querySelector(".progress-bar") : null);
+
+    let stages = [];
+    let packaged = false;
+    let total = 1;
+    let fractions = new Map();
+    let finished = new Set();
+    let packageFraction = 0;
+    let current = null;
+    let indeterminate = false;
+    let startedAt = 0;
+
+    function itemFraction(stage, fraction) {
+        const weights = stages.map((name) => PROGRESS_STAGES[name].weight);
+        const sum = weights.reduce((a, b) => a + b, 0) || 1;
+        const idx = stages.indexOf(stage);
+        if (idx === -1) return 0;
+        const before = weights.slice(0, idx).reduce((a, b) => a + b, 0);
+        return (before + weights[idx] * fraction) / sum;
+    }
+
+    function value() {
+        let sum = 0;
+        for (const f of fractions.values()) sum += f;
+        const itemsShare = packaged ? 1 - PACKAGE_SHARE : 1;
+        const items = Math.min(1, sum / Math.max(1, total));
+        return itemsShare * items + (packaged ? PACKAGE_SHARE * packageFraction : 0);
+    }
+
+    function render() {
+        const v = value();
+        const pct = Math.round(v * 100);
+
+        const parts = [];
+        if (current && PROGRESS_STAGES[current]) {
+            parts.push(t(PROGRESS_STAGES[current].label));
+        }
+        if (total > 1) {
+            parts.push(t("progress.itemsDone", { done: Math.min(finished.size, total), count: total }));
+        }
+
+        const elapsed = (Date.now() - startedAt) / 1000;
+        if (!indeterminate && v >= 0.05 && v < 1 && elapsed >= 1) {
+            parts.push(t("progress.eta", { time: formatEta((elapsed / v) * (1 - v)) }));
+        }
+        const text = parts.join(" · ");
+
+        if (progressBar) {
+            progressBar.classList.toggle("progress-bar-animated", indeterminate);
+            progressBar.style.width = indeterminate ? "100%" : `${pct}%`;
+            if (indeterminate) {
+                progressBar.removeAttribute("aria-valuenow");
+            } else {
+                progressBar.setAttribute("aria-valuenow", String(pct));
+            }
+            progressBar.setAttribute("aria-valuetext", text || `${pct}%`);
+        }
+
+        if (label) {
+            label.textContent = text;
+            label.classList.toggle("d-none", !text);
+        }
+    }
+
+    /**
+     * Reset and show the bar for a new run. Include "package" when
+     * the run may end with a ZIP / PDF: it gets a share of the bar.
+     * @param {{stages?: string[], items?: number}} [options]
+     */
+    function start({ stages: names = ["decode", "encode"], items = 1 } = {}) {
+        stages = names.filter((name) => name !== "package" && PROGRESS_STAGES[name]);
+        packaged = names.includes("package");
+        total = Math.max(1, items | 0);
+        fractions = new Map();
+        finished = new Set();
+        packageFraction = 0;
+        current = null;
+        indeterminate = false;
+        startedAt = Date.now();
+
+        toggleProgress(wrapper, true);
+        render();
+    }
+
+    /**
+     * Enter a stage (or move inside it).
+     * @param {string} name - key of PROGRESS_STAGES
+     * @param {{item?: *, fraction?: number, indeterminate?: boolean}} [options]
+     *   `item` identifies the batch entry (index or id)
+     */
+    function stage(name, { item = 0, fraction = 0, indeterminate: busy = false } = {}) {
+        const f = Math.min(Math.max(Number(fraction) || 0, 0), 1);
+        current = name;
+        indeterminate = Boolean(busy);
+
+        if (name === "package") {
+            // Not announced in start(): the bar is already full, so it animates instead
+            if (!packaged) indeterminate = true;
+            packageFraction = Math.max(packageFraction, f);
+        } else {
+            if (finished.has(item)) {
+                // Finished entry runs again (retry)
+                finished.delete(item);
+                fractions.set(item, 0);
+            }
+            // Never move an item backwards within a run
+            fractions.set(item, Math.max(fractions.get(item) || 0, itemFraction(name, f)));
+        }
+        render();
+    }
+
+    /**
+     * Mark a batch entry as finished (done or failed).
+     * @param {*} [item]
+     */
+    function itemDone(item = 0) {
+        finished.add(item);
+        fractions.set(item, 1);
+        indeterminate = false;
+        render();
+    }
+
+    /**
+     * Change the number of entries in the run (e.g. retries).
+     * @param {number} items
+     */
+    function setItems(items) {
+        total = Math.max(1, items | 0);
+        render();
+    }
+
+    /** Hide the bar and its label. */
+    function done() {
+        current = null;
+        indeterminate = false;
+        toggleProgress(wrapper, false);
+        if (label) {
+            label.textContent = "";
+            label.classList.add("d-none");
+        }
+    }
+
+    return { start, stage, itemDone, setItems, done };
+}
+
 /**
  * Put a button into a "loading" state:
  * - disables it
@@ -86,7 +295,7 @@ export function toggleProgress(wrapper, show) {
  * @param {boolean} isLoading
  * @param {string} [loadingText]
  */
-export function setButtonLoading(btn, isLoading, loadingText = "Working...") {
+export function setButtonLoading(btn, isLoading, loadingText = t("common.working")) {
     if (!btn) return;
 
     const labelEl = btn.querySelector("span") || btn;
@@ -99,19 +308,1012 @@ export function setButtonLoading(btn, isLoading, loadingText = "Working...") {
         labelEl.textContent = loadingText;
     } else {
         btn.disabled = false;
-        if (btn.dataset.originalText !== undefined) {
+        // A translated label may have changed language meanwhile
+        if (labelEl.dataset.i18n) {
+            labelEl.textContent = t(labelEl.dataset.i18n);
+        } else if (btn.dataset.originalText !== undefined) {
             labelEl.textContent = btn.dataset.originalText;
         }
     }
 }
 
+/**
+ * Start a cancellable run: shows the Cancel button and wires it
+ * to a fresh AbortController. Call done() when the run ends to
+ * hide the button again.
+ * @param {HTMLButtonElement|null} btn
+ * @returns {{signal: AbortSignal, abort: () => void, done: () => void}}
+ */
+export function startCancellable(btn) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+
+    if (btn) {
+        btn.disabled = false;
+        btn.classList.remove("d-none");
+        btn.addEventListener("click", abort, { once: true });
+    }
+
+    return {
+        signal: controller.signal,
+        abort,
+        done() {
+            if (!btn) return;
+            btn.removeEventListener("click", abort);
+            btn.classList.add("d-none");
+        }
+    };
+}
+
+/* ============================================================
+   Resize controls
+   Output size fields shared by the converter pages. Markup
+   inside `root`: #resize-mode (original | dimensions | edge |
+   percent), #resize-width/#resize-height/#resize-lock,
+   #resize-edge, #resize-percent and #resize-resampling; elements
+   with data-resize-mode="dimensions edge" are only shown for
+   the listed modes. The result is a "resize" step for
+   core/image-pipeline.js.
+   ============================================================ */
+
+/**
+ * Wire the resize fields inside `root`.
+ * @param {HTMLElement|null} root
+ */
+export function createResizeControls(root) {
+    const field = (id) => (root ? root.querySelector(`#${id}`) : null);
+    const fields = {
+        mode: field("resize-mode"),
+        width: field("resize-width"),
+        height: field("resize-height"),
+        lock: field("resize-lock"),
+        edge: field("resize-edge"),
+        percent: field("resize-percent"),
+        resampling: field("resize-resampling")
+    };
+
+    const read = (el) => (el.type === "checkbox" ? el.checked : el.value);
+    const write = (el, value) => {
+        if (el.type === "checkbox") el.checked = Boolean(value);
+        else el.value = value;
+    };
+
+    // Values from the markup, used by reset()
+    const defaults = {};
+    for (const [key, el] of Object.entries(fields)) {
+        if (el) defaults[key] = read(el);
+    }
+
+    // width / height of the current source, for the aspect lock
+    let ratio = null;
+
+    function number(el) {
+        const value = parseFloat(el ? el.value : "");
+        return Number.isFinite(value) && value > 0 ? value : 0;
+    }
+
+    function mode() {
+        return fields.mode ? fields.mode.value : "original";
+    }
+
+    function syncGroups() {
+        if (!root) return;
+        const current = mode();
+        root.querySelectorAll("[data-resize-mode]").forEach((group) => {
+            const modes = group.dataset.resizeMode.split(/\s+/);
+            group.classList.toggle("d-none", !modes.includes(current));
+        });
+    }
+
+    // With the lock on, typing one side fills in the other
+    function follow(changed) {
+        const { width, height, lock } = fields;
+        if (!ratio || !lock || !lock.checked || !width || !height) return;
+        if (changed === width && number(width)) {
+            height.value = Math.max(1, Math.round(number(width) / ratio));
+        } else if (changed === height && number(height)) {
+            width.value = Math.max(1, Math.round(number(height) * ratio));
+        }
+    }
+
+    if (fields.mode) fields.mode.addEventListener("change", syncGroups);
+    if (fields.width) fields.width.addEventListener("input", () => follow(fields.width));
+    if (fields.height) fields.height.addEventListener("input", () => follow(fields.height));
+    if (fields.lock) fields.lock.addEventListener("change", () => follow(fields.width));
+    syncGroups();
+
+    /**
+     * Size of the (first) selected image: used for the aspect
+     * lock and shown as placeholder in the width/height fields.
+     * @param {{width: number, height: number}|null} size
+     */
+    function setSourceSize(size) {
+        ratio = size && size.width && size.height ? size.width / size.height : null;
+        if (fields.width) fields.width.placeholder = ratio ? String(size.width) : "";
+        if (fields.height) fields.height.placeholder = ratio ? String(size.height) : "";
+    }
+
+    /** @returns {object} field values, e.g. for an Undo snapshot */
+    function getState() {
+        const state = {};
+        for (const [key, el] of Object.entries(fields)) {
+            if (el) state[key] = read(el);
+        }
+        return state;
+    }
+
+    /** @param {object} state - from getState() */
+    function setState(state) {
+        for (const [key, el] of Object.entries(fields)) {
+            if (el && state && key in state) write(el, state[key]);
+        }
+        syncGroups();
+    }
+
+    return {
+        /**
+         * Pipeline step for the current fields, or null when the
+         * output keeps the source size.
+         * @returns {object|null}
+         */
+        getStep() {
+            const step = {
+                type: "resize",
+                resampling: fields.resampling ? fields.resampling.value : "high"
+            };
+            switch (mode()) {
+                case "dimensions": {
+                    const width = number(fields.width);
+                    const height = number(fields.height);
+                    if (!width && !height) return null;
+                    return { ...step, width, height, keepAspect: Boolean(fields.lock && fields.lock.checked) };
+                }
+                case "edge": {
+                    const maxEdge = number(fields.edge);
+                    return maxEdge ? { ...step, maxEdge } : null;
+                }
+                case "percent": {
+                    const percent = number(fields.percent);
+                    return percent && percent !== 100 ? { ...step, percent } : null;
+                }
+                default:
+                    return null;
+            }
+        },
+
+        setSourceSize,
+        getState,
+        setState,
+        reset() {
+            setState(defaults);
+            setSourceSize(null);
+        }
+    };
+}
+
+/* ============================================================
+   Target file size controls
+   Markup inside `root`: #target-size-switch turns the mode on,
+   #target-size-value + #target-size-unit (KB | MB) hold the
+   budget, #target-size-fit allows smaller dimensions. Elements
+   with [data-target-size] are only shown while the mode is on.
+   The quality slider is disabled meanwhile, since the encoder
+   picks the quality itself.
+   ============================================================ */
+
+const SIZE_UNITS = { KB: 1024, MB: 1024 * 1024 };
+
+/**
+ * Wire the target size fields inside `root`.
+ * @param {HTMLElement|null} root
+ * @param {{quality?: HTMLInputElement|null}} [options] - slider to disable while active
+ */
+export function createTargetSizeControls(root, { quality = null } = {}) {
+    const field = (id) => (root ? root.querySelector(`#${id}`) : null);
+    const fields = {
+        enabled: field("target-size-switch"),
+        value: field("target-size-value"),
+        unit: field("target-size-unit"),
+        fit: field("target-size-fit")
+    };
+
+    const read = (el) => (el.type === "checkbox" ? el.checked : el.value);
+    const write = (el, value) => {
+        if (el.type === "checkbox") el.checked = Boolean(value);
+        else el.value = value;
+    };
+
+    const defaults = {};
+    for (const [key, el] of Object.entries(fields)) {
+        if (el) defaults[key] = read(el);
+    }
+
+    function enabled() {
+        return Boolean(fields.enabled && fields.enabled.checked);
+    }
+
+    function sync() {
+        const on = enabled();
+        if (root) {
+            root.querySelectorAll("[data-target-size]").forEach((group) => {
+                group.classList.toggle("d-none", !on);
+            });
+        }
+        if (quality) quality.disabled = on;
+    }
+
+    if (fields.enabled) fields.enabled.addEventListener("change", sync);
+    sync();
+
+    /** @returns {object} field values, e.g. for an Undo snapshot */
+    function getState() {
+        const state = {};
+        for (const [key, el] of Object.entries(fields)) {
+            if (el) state[key] = read(el);
+        }
+        return state;
+    }
+
+    /** @param {object} state - from getState() */
+    function setState(state) {
+        for (const [key, el] of Object.entries(fields)) {
+            if (el && state && key in state) write(el, state[key]);
+        }
+        sync();
+    }
+
+    return {
+        /**
+         * Pipeline options for the budget, or null when the mode
+         * is off or no valid size is entered.
+         * @returns {{maxBytes: number, fitDimensions: boolean}|null}
+         */
+        getOptions() {
+            if (!enabled() || !fields.value) return null;
+            const value = parseFloat(fields.value.value);
+            if (!Number.isFinite(value) || value <= 0) return null;
+            const unit = SIZE_UNITS[fields.unit ? fields.unit.value : "KB"] || SIZE_UNITS.KB;
+            return {
+                maxBytes: Math.round(value * unit),
+                fitDimensions: Boolean(fields.fit && fields.fit.checked)
+            };
+        },
+
+        /** @returns {boolean} true while the mode is on */
+        isEnabled: enabled,
+        getState,
+        setState,
+        reset() {
+            setState(defaults);
+        }
+    };
+}
+
+/* ============================================================
+   AVIF controls
+   Markup inside `root`, which is only shown while `format` is
+   "avif": #avif-speed (range), [data-avif-speed] its value,
+   [data-avif-support] which encoder the browser will use (or
+   that it has none).
+   ============================================================ */
+
+const AVIF_SUPPORT_KEYS = { native: "avif.native", wasm: "avif.wasm" };
+
+/**
+ * Wire the AVIF fields inside `root`.
+ * @param {HTMLElement|null} root
+ * @param {{format?: HTMLSelectElement|null, support?: () => Promise<string|null>}} [options]
+ *   `format`: target format select, `support`: avifSupport() of the pipeline
+ */
+export function createAvifControls(root, { format = null, support = null } = {}) {
+    const speed = root ? root.querySelector("#avif-speed") : null;
+    const speedLabel = root ? root.querySelector("[data-avif-speed]") : null;
+    const status = root ? root.querySelector("[data-avif-support]") : null;
+    const defaults = { speed: speed ? speed.value : null };
+    // undefined until checked, then "native" | "wasm" | null
+    let mode;
+
+    function active() {
+        return Boolean(format && format.value === "avif");
+    }
+
+    function render() {
+        if (speed && speedLabel) speedLabel.textContent = speed.value;
+        if (!status) return;
+        status.textContent = mode === undefined ? "" : t(AVIF_SUPPORT_KEYS[mode] || "avif.unavailable");
+        status.classList.toggle("text-warning", mode === null);
+        status.classList.toggle("text-secondary", mode !== null);
+    }
+
+    function sync() {
+        if (root) root.classList.toggle("d-none", !active());
+        if (active() && mode === undefined && support) {
+            support()
+                .catch(() => null)
+                .then((result) => {
+                    mode = result;
+                    render();
+                });
+        }
+        render();
+    }
+
+    if (format) format.addEventListener("change", sync);
+    if (speed) speed.addEventListener("input", render);
+    onLocaleChange(render);
+    sync();
+
+    return {
+        /**
+         * Pipeline options while AVIF is the target.
+         * @returns {{speed?: number}}
+         */
+        getOptions() {
+            return active() && speed ? { speed: Number(speed.value) } : {};
+        },
+
+        /** Re-read the target format (after programmatic changes). */
+        refresh: sync,
+
+        /** @returns {object} field values, e.g. for an Undo snapshot */
+        getState() {
+            return { speed: speed ? speed.value : null };
+        },
+
+        /** @param {object} state - from getState() */
+        setState(state) {
+            if (speed && state && state.speed !== null && state.speed !== undefined) speed.value = state.speed;
+            sync();
+        },
+
+        reset() {
+            this.setState(defaults);
+        }
+    };
+}
+
+/* ============================================================
+   Palette controls (PNG-8)
+   Markup inside `root`, which is only shown while `format` is
+   "png": #palette-switch turns colour reduction on, then the
+   [data-palette] groups with #palette-colors (2–256) and
+   #palette-dither appear.
+   ============================================================ */
+
+const PALETTE_COLORS = { min: 2, max: 256 };
+
+/**
+ * Wire the PNG-8 fields inside `root`.
+ * @param {HTMLElement|null} root
+ * @param {{format?: HTMLSelectElement|null}} [options] - target format select
+ */
+export function createPaletteControls(root, { format = null } = {}) {
+    const field = (id) => (root ? root.querySelector(`#${id}`) : null);
+    const fields = {
+        enabled: field("palette-switch"),
+        colors: field("palette-colors"),
+        dither: field("palette-dither")
+    };
+
+    const read = (el) => (el.type === "checkbox" ? el.checked : el.value);
+    const write = (el, value) => {
+        if (el.type === "checkbox") el.checked = Boolean(value);
+        else el.value = value;
+    };
+
+    const defaults = {};
+    for (const [key, el] of Object.entries(fields)) {
+        if (el) defaults[key] = read(el);
+    }
+
+    function active() {
+        return Boolean(format && format.value === "png" && fields.enabled && fields.enabled.checked);
+    }
+
+    function sync() {
+        if (!root) return;
+        root.classList.toggle("d-none", !format || format.value !== "png");
+        const on = Boolean(fields.enabled && fields.enabled.checked);
+        root.querySelectorAll("[data-palette]").forEach((group) => {
+            group.classList.toggle("d-none", !on);
+        });
+    }
+
+    if (format) format.addEventListener("change", sync);
+    if (fields.enabled) fields.enabled.addEventListener("change", sync);
+    sync();
+
+    /** @returns {object} field values, e.g. for an Undo snapshot */
+    function getState() {
+        const state = {};
+        for (const [key, el] of Object.entries(fields)) {
+            if (el) state[key] = read(el);
+        }
+        return state;
+    }
+
+    /** @param {object} state - from getState() */
+    function setState(state) {
+        for (const [key, el] of Object.entries(fields)) {
+            if (el && state && key in state) write(el, state[key]);
+        }
+        sync();
+    }
+
+    return {
+        /**
+         * Pipeline options while PNG-8 is on (out-of-range colour
+         * counts are clamped).
+         * @returns {{colors?: number, dither?: boolean}}
+         */
+        getOptions() {
+            if (!active()) return {};
+            const colors = parseInt(fields.colors ? fields.colors.value : "", 10) || PALETTE_COLORS.max;
+            return {
+                colors: Math.min(Math.max(colors, PALETTE_COLORS.min), PALETTE_COLORS.max),
+                dither: Boolean(fields.dither && fields.dither.checked)
+            };
+        },
+
+        /** Re-read the target format (after programmatic changes). */
+        refresh: sync,
+        getState,
+        setState,
+        reset() {
+            setState(defaults);
+        }
+    };
+}
+
+/* ============================================================
+   JPEG encoder controls
+   Markup inside `root`, which is only shown while `format` is
+   "jpg": #jpeg-advanced switches to the MozJPEG encoder, then
+   the [data-jpeg] groups with #jpeg-progressive,
+   #jpeg-subsampling, #jpeg-optimize and #jpeg-trellis appear.
+   Progressive scans always use optimized tables, so
+   #jpeg-optimize is locked on meanwhile.
+   ============================================================ */
+
+/**
+ * Wire the JPEG encoder fields inside `root`.
+ * @param {HTMLElement|null} root
+ * @param {{format?: HTMLSelectElement|null}} [options] - target format select
+ */
+export function createJpegControls(root, { format = null } = {}) {
+    const field = (id) => (root ? root.querySelector(`#${id}`) : null);
+    const fields = {
+        enabled: field("jpeg-advanced"),
+        progressive: field("jpeg-progressive"),
+        subsampling: field("jpeg-subsampling"),
+        optimize: field("jpeg-optimize"),
+        trellis: field("jpeg-trellis")
+    };
+
+    const read = (el) => (el.type === "checkbox" ? el.checked : el.value);
+    const write = (el, value) => {
+        if (el.type === "checkbox") el.checked = Boolean(value);
+        else el.value = value;
+    };
+    const checked = (el) => Boolean(el && el.checked);
+
+    const defaults = {};
+    for (const [key, el] of Object.entries(fields)) {
+        if (el) defaults[key] = read(el);
+    }
+
+    function active() {
+        return Boolean(format && format.value === "jpg" && checked(fields.enabled));
+    }
+
+    function sync() {
+        if (!root) return;
+        root.classList.toggle("d-none", !format || format.value !== "jpg");
+        const on = checked(fields.enabled);
+        root.querySelectorAll("[data-jpeg]").forEach((group) => {
+            group.classList.toggle("d-none", !on);
+        });
+        if (fields.optimize) fields.optimize.disabled = checked(fields.progressive);
+    }
+
+    if (format) format.addEventListener("change", sync);
+    if (fields.enabled) fields.enabled.addEventListener("change", sync);
+    if (fields.progressive) fields.progressive.addEventListener("change", sync);
+    sync();
+
+    /** @returns {object} field values, e.g. for an Undo snapshot */
+    function getState() {
+        const state = {};
+        for (const [key, el] of Object.entries(fields)) {
+            if (el) state[key] = read(el);
+        }
+        return state;
+    }
+
+    /** @param {object} state - from getState() */
+    function setState(state) {
+        for (const [key, el] of Object.entries(fields)) {
+            if (el && state && key in state) write(el, state[key]);
+        }
+        sync();
+    }
+
+    return {
+        /**
+         * Pipeline options while the advanced encoder is on.
+         * @returns {{jpeg?: {progressive: boolean, subsampling: string, optimize: boolean, trellis: boolean}}}
+         */
+        getOptions() {
+            if (!active()) return {};
+            return {
+                jpeg: {
+                    progressive: checked(fields.progressive),
+                    subsampling: fields.subsampling ? fields.subsampling.value : "420",
+                    optimize: checked(fields.optimize) || checked(fields.progressive),
+                    trellis: checked(fields.trellis)
+                }
+            };
+        },
+
+        /** Re-read the target format (after programmatic changes). */
+        refresh: sync,
+        getState,
+        setState,
+        reset() {
+            setState(defaults);
+        }
+    };
+}
+
+/* ============================================================
+   Frame controls (animated GIF / WebP)
+   Markup inside `root` (hidden until an animation is set):
+   #frame-mode ("single" | "all"), #frame-index (range, 1-based),
+   [data-frame-label] current frame + delay, [data-frames-summary]
+   frame count / duration / looping, [data-frame-list] <ol> with
+   every frame's delay.
+   ============================================================ */
+
+/**
+ * Wire the frame fields inside `root`.
+ * @param {HTMLElement|null} root
+ */
+export function createFrameControls(root) {
+    const field = (id) => (root ? root.querySelector(`#${id}`) : null);
+    const part = (name) => (root ? root.querySelector(`[data-${name}]`) : null);
+    const mode = field("frame-mode");
+    const index = field("frame-index");
+    const label = part("frame-label");
+    const summary = part("frames-summary");
+    const list = part("frame-list");
+
+    const defaultMode = mode ? mode.value : "single";
+    let animation = null;
+
+    function current() {
+        if (!animation || !index) return 0;
+        const value = parseInt(index.value, 10) - 1;
+        return Math.min(Math.max(Number.isFinite(value) ? value : 0, 0), animation.frames.length - 1);
+    }
+
+    function loopText(loop) {
+        if (loop === 0) return t("frames.loopForever");
+        if (loop === null || loop === undefined) return t("frames.loopOnce");
+        return t("frames.loopCount", { count: loop });
+    }
+
+    function render() {
+        if (!root) return;
+        root.classList.toggle("d-none", !animation);
+        if (!animation) return;
+
+        const frames = animation.frames;
+        const total = frames.reduce((sum, frame) => sum + frame.delay, 0);
+        if (summary) {
+            summary.textContent = [
+                t("frames.count", { count: frames.length }),
+                t("frames.duration", { seconds: Math.round(total / 100) / 10 }),
+                loopText(animation.loop)
+            ].join(" · ");
+        }
+        if (label) {
+            const i = current();
+            label.textContent = t("frames.current", { index: i + 1, count: frames.length, delay: frames[i].delay });
+        }
+        if (list) {
+            Array.from(list.children).forEach((li, i) => li.classList.toggle("is-current", i === current()));
+        }
+    }
+
+    function renderList() {
+        if (!list) return;
+        list.textContent = "";
+        for (const frame of animation ? animation.frames : []) {
+            const li = document.createElement("li");
+            li.textContent = t("frames.delay", { delay: frame.delay });
+            list.appendChild(li);
+        }
+    }
+
+    if (index) index.addEventListener("input", render);
+    onLocaleChange(() => {
+        renderList();
+        render();
+    });
+
+    /**
+     * Show the controls for an animation (see core/animation.js
+     * readAnimation), or hide them for null.
+     * @param {{frames: Array<{delay: number}>, loop: number|null}|null} info
+     */
+    function setAnimation(info) {
+        animation = info && info.frames && info.frames.length > 1 ? info : null;
+        if (index) {
+            index.max = String(animation ? animation.frames.length : 1);
+            index.value = "1";
+        }
+        renderList();
+        render();
+    }
+
+    /** @returns {object} field values, e.g. for an Undo snapshot */
+    function getState() {
+        return { mode: mode ? mode.value : defaultMode, index: index ? index.value : "1" };
+    }
+
+    /** @param {object} state - from getState() */
+    function setState(state) {
+        if (!state) return;
+        if (mode && state.mode) mode.value = state.mode;
+        if (index && state.index) index.value = state.index;
+        render();
+    }
+
+    return {
+        setAnimation,
+
+        /**
+         * Frame to convert (0-based), or undefined without an animation.
+         * @returns {number|undefined}
+         */
+        getFrame() {
+            return animation ? current() : undefined;
+        },
+
+        /** @returns {boolean} true when every frame is exported */
+        isAll() {
+            return Boolean(animation && mode && mode.value === "all");
+        },
+
+        getState,
+        setState,
+        reset() {
+            if (mode) mode.value = defaultMode;
+            setAnimation(null);
+        }
+    };
+}
+
+/* ============================================================
+   Dropped files and folders
+   ============================================================ */
+
+/**
+ * Files of a drop event, with dropped folders read recursively.
+ * Falls back to dataTransfer.files where the entries API
+ * (webkitGetAsEntry) is missing.
+ * Call it synchronously in the drop handler: the entries are only
+ * readable while the event is being dispatched.
+ * @param {DataTransfer|null} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+export async function readDroppedFiles(dataTransfer) {
+    if (!dataTransfer) return [];
+    const entries = Array.from(dataTransfer.items || [])
+        .filter((item) => item.kind === "file" && typeof item.webkitGetAsEntry === "function")
+        .map((item) => item.webkitGetAsEntry())
+        .filter(Boolean);
+    if (!entries.length) return Array.from(dataTransfer.files || []);
+
+    const files = [];
+    for (const entry of entries) {
+        await collectEntry(entry, files);
+    }
+    return files;
+}
+
+async function collectEntry(entry, files) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve) => entry.file(resolve, () => resolve(null)));
+        if (file) files.push(file);
+        return;
+    }
+    if (!entry.isDirectory) return;
+
+    // readEntries() hands out the listing in chunks until it is empty
+    const reader = entry.createReader();
+    for (;;) {
+        const chunk = await new Promise((resolve) => reader.readEntries(resolve, () => resolve([])));
+        if (!chunk.length) return;
+        for (const child of chunk) {
+            await collectEntry(child, files);
+        }
+    }
+}
+
+/* ============================================================
+   File format check
+   Selected files are judged by their header (core/sniff.js),
+   not by the type the browser reports or the extension.
+   ============================================================ */
+
+// One object per page: formats of the same converter are grouped by identity
+const PNG_JPG_PAGE = { href: "index.html#png-jpg", tool: "PNG ↔ JPG" };
+const WEBP_PAGE = { href: "webp-converter.html", tool: "WebP ↔ JPG/PNG" };
+
+/** Converter for each input format, offered when a page cannot take it. */
+export const CONVERTER_PAGES = {
+    png: PNG_JPG_PAGE,
+    jpg: PNG_JPG_PAGE,
+    bmp: PNG_JPG_PAGE,
+    tiff: PNG_JPG_PAGE,
+    webp: WEBP_PAGE,
+    gif: WEBP_PAGE,
+    heic: { href: "heic-converter.html", tool: "HEIC → JPG/PNG" },
+    pdf: { href: "image-pdf.html", tool: "JPG/PNG ↔ PDF" },
+    svg: { href: "svg-converter.html", tool: "SVG → PNG/JPG/WebP" }
+};
+
+/**
+ * Sort selected files by their real format:
+ * - mislabeled files ("photo.heic" that is a JPEG) are accepted as
+ *   what they are, with a warning toast
+ * - files this page cannot take are left out; when another
+ *   converter handles them, a toast offers to open it
+ * Accepted files carry their real MIME type (see inspectFile).
+ * `redirected` tells whether such a toast was shown, so pages can
+ * skip their own "unsupported" toast.
+ * @param {File[]|FileList} files
+ * @param {{accept: string[]}} options - formats the page takes
+ * @returns {Promise<{accepted: File[], rejected: {file: File, format: string|null}[], redirected: boolean}>}
+ */
+export async function checkFileFormats(files, { accept }) {
+    const accepted = [];
+    const rejected = [];
+    const mislabeled = [];
+
+    for (const file of Array.from(files || [])) {
+        const result = await inspectFile(file);
+        if (!accept.includes(result.format)) {
+            rejected.push({ file, format: result.format });
+            continue;
+        }
+        accepted.push(result.file);
+        if (result.mislabeled) mislabeled.push(result);
+    }
+
+    if (mislabeled.length === 1) {
+        const [{ file, format, declared }] = mislabeled;
+        showToast(
+            t("sniff.mislabeled", { name: file.name, actual: FORMAT_NAMES[format], declared: FORMAT_NAMES[declared] }),
+            "warning",
+            6000
+        );
+    } else if (mislabeled.length) {
+        showToast(t("sniff.mislabeledMany", { count: mislabeled.length }), "warning", 6000);
+    }
+
+    return { accepted, rejected, redirected: suggestConverter(rejected) };
+}
+
+// Point left-out files to the converter that takes most of them
+function suggestConverter(rejected) {
+    const byPage = new Map();
+    rejected.forEach((entry) => {
+        const page = CONVERTER_PAGES[entry.format];
+        if (!page) return;
+        if (!byPage.has(page)) byPage.set(page, []);
+        byPage.get(page).push(entry);
+    });
+    if (!byPage.size) return false;
+
+    const [page, entries] = [...byPage].sort((a, b) => b[1].length - a[1].length)[0];
+    const message = entries.length === 1
+        ? t("sniff.otherTool", { name: entries[0].file.name, format: FORMAT_NAMES[entries[0].format], tool: page.tool })
+        : t("sniff.otherToolMany", { count: entries.length, tool: page.tool });
+    showToast(message, "info", 8000, {
+        actions: [
+            {
+                label: t("sniff.open", { tool: page.tool }),
+                icon: "bi-box-arrow-up-right",
+                onClick: () => {
+                    window.location.href = page.href;
+                }
+            }
+        ]
+    });
+    return true;
+}
+
+/* ============================================================
+   Image size check
+   Dimensions come from the file headers (core/canvas-limits.js),
+   so huge images are caught before anything is decoded.
+   ============================================================ */
+
+/**
+ * Warn about images larger than this browser can draw on a canvas.
+ * The pipeline scales them down to fit; with `onTiles` the toast
+ * also offers to split them into full-resolution tiles instead.
+ * @param {File[]|FileList} files
+ * @param {{onTiles?: (files: File[]) => void}} [options]
+ * @returns {Promise<File[]>} the files beyond the limits
+ */
+export async function checkImageSizes(files, { onTiles } = {}) {
+    const oversized = [];
+    for (const file of Array.from(files || [])) {
+        const size = await readImageSize(file);
+        if (size && fitCanvasSize(size).scale < 1) oversized.push({ file, size });
+    }
+    if (!oversized.length) return [];
+
+    const megapixels = Math.floor(getCanvasLimits().maxArea / 1e6);
+    let message;
+    if (oversized.length === 1) {
+        const [{ file, size }] = oversized;
+        const fit = fitCanvasSize(size);
+        message = t("limits.tooLarge", {
+            name: file.name,
+            width: size.width,
+            height: size.height,
+            fitWidth: fit.width,
+            fitHeight: fit.height,
+            megapixels
+        });
+    } else {
+        message = t("limits.tooLargeMany", { count: oversized.length, megapixels });
+    }
+
+    const list = oversized.map((entry) => entry.file);
+    const actions = onTiles
+        ? [{ label: t("limits.splitTiles"), icon: "bi-grid-3x3", onClick: () => onTiles(list) }]
+        : [];
+    showToast(message, "warning", 10000, { actions });
+    return list;
+}
+
+/* ============================================================
+   Batch queue list
+   Renders rows for core/batch-queue.js items
+   ============================================================ */
+
+const QUEUE_STATE_LABELS = {
+    pending: { text: "queue.state.pending", cls: "text-bg-secondary" },
+    processing: { text: "queue.state.processing", cls: "text-bg-info" },
+    done: { text: "queue.state.done", cls: "text-bg-success" },
+    error: { text: "queue.state.error", cls: "text-bg-danger" },
+    cancelled: { text: "queue.state.cancelled", cls: "text-bg-warning" }
+};
+
+/**
+ * Render queue items as a list of rows (name, details, state,
+ * retry/remove buttons). Re-renders the whole list each call.
+ * @param {HTMLElement|null} listEl - usually an <ul>
+ * @param {Array<{id: number, file: File, state: string, error: Error|null}>} items
+ * @param {object} [options]
+ * @param {(item: object) => string} [options.describe] - second line text
+ * @param {(id: number) => void} [options.onRetry]
+ * @param {(id: number) => void} [options.onRemove]
+ */
+export function renderQueueList(listEl, items, options = {}) {
+    if (!listEl) return;
+
+    const { describe, onRetry, onRemove } = options;
+    listEl.textContent = "";
+
+    for (const item of items || []) {
+        const li = document.createElement("li");
+        li.className = "queue-item";
+        li.dataset.state = item.state;
+
+        const icon = document.createElement("i");
+        icon.className = "bi bi-file-earmark-image";
+
+        const info = document.createElement("div");
+        info.className = "queue-item-info";
+
+        const name = document.createElement("div");
+        name.className = "queue-item-name";
+        name.textContent = item.file ? item.file.name : "";
+        name.title = name.textContent;
+
+        const details = document.createElement("div");
+        details.className = "queue-item-details";
+        details.textContent =
+            item.state === "error" && item.error
+                ? errorMessage(item.error)
+                : typeof describe === "function"
+                    ? describe(item)
+                    : "";
+
+        info.appendChild(name);
+        info.appendChild(details);
+
+        const state = QUEUE_STATE_LABELS[item.state] || QUEUE_STATE_LABELS.pending;
+        const badge = document.createElement("span");
+        badge.className = `badge ${state.cls}`;
+        badge.textContent = t(state.text);
+
+        li.appendChild(icon);
+        li.appendChild(info);
+        li.appendChild(badge);
+
+        if ((item.state === "error" || item.state === "cancelled") && typeof onRetry === "function") {
+            li.appendChild(makeQueueButton("bi-arrow-clockwise", t("queue.retryFile", { name: name.textContent }), () =>
+                onRetry(item.id)
+            ));
+        }
+
+        if (item.state !== "processing" && typeof onRemove === "function") {
+            li.appendChild(makeQueueButton("bi-x-lg", t("queue.removeFile", { name: name.textContent }), () =>
+                onRemove(item.id)
+            ));
+        }
+
+        listEl.appendChild(li);
+    }
+}
+
+function makeQueueButton(iconClass, label, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn btn-sm btn-link queue-item-btn";
+    btn.setAttribute("aria-label", label);
+    btn.title = label;
+
+    const icon = document.createElement("i");
+    icon.className = `bi ${iconClass}`;
+    btn.appendChild(icon);
+
+    btn.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onClick();
+    });
+    return btn;
+}
+
 /* ============================================================
    Toast notifications
    Lightweight implementation that does not depend
-   on Bootstrap JS. Uses a fixed-position container.
+   on Bootstrap JS. Uses a fixed-position container that is
+   also an aria-live region; styles live in components.css.
+   - optional action buttons (Retry, Undo, Download again…)
+   - at most MAX_TOASTS at once, identical messages are merged
+   - the timer pauses while hovered or focused
    ============================================================ */
 
+const MAX_TOASTS = 3;
+
+// Toasts with actions stay at least this long
+const ACTION_TOAST_MS = 8000;
+
+const TOAST_ICONS = {
+    info: "bi-info-circle",
+    success: "bi-check-circle",
+    error: "bi-exclamation-octagon",
+    warning: "bi-exclamation-triangle"
+};
+
 let toastContainer = null;
+let activeToasts = [];
+
+function prefersReducedMotion() {
+    return (
+        typeof window.matchMedia === "function" &&
+        window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    );
+}
 
 /**
  * Create (once) and return the toast container element.
@@ -129,99 +1331,211 @@ function getToastContainer() {
 
     toastContainer = document.createElement("div");
     toastContainer.className = "qc-toast-container";
-    toastContainer.style.position = "fixed";
-    toastContainer.style.zIndex = "1080";
-    toastContainer.style.top = "1rem";
-    toastContainer.style.right = "1rem";
-    toastContainer.style.display = "flex";
-    toastContainer.style.flexDirection = "column";
-    toastContainer.style.gap = "0.5rem";
+    toastContainer.setAttribute("role", "region");
+    toastContainer.setAttribute("aria-label", t("toast.region"));
+    toastContainer.setAttribute("aria-live", "polite");
+    toastContainer.setAttribute("aria-relevant", "additions");
     document.body.appendChild(toastContainer);
 
     return toastContainer;
 }
 
+/**
+ * @typedef {object} ToastAction
+ * @property {string} label
+ * @property {string} [icon] - bootstrap-icons class, e.g. "bi-arrow-clockwise"
+ * @property {() => void} onClick
+ */
+
 /**
  * Show a small floating toast notification.
  * @param {string} message
  * @param {"info"|"success"|"error"|"warning"} [type]
- * @param {number} [durationMs]
+ * @param {number} [durationMs] - 0 keeps the toast until dismissed
+ * @param {{actions?: ToastAction[]}} [options]
+ * @returns {{dismiss: () => void}|null}
  */
-export function showToast(message, type = "info", durationMs = 3000) {
-    if (!message) return;
+export function showToast(message, type = "info", durationMs = 3000, options = {}) {
+    if (!message) return null;
 
     const container = getToastContainer();
-    if (!container) return;
+    if (!container) return null;
+
+    const kind = TOAST_ICONS[type] ? type : "info";
+    const actions = (options.actions || []).filter((a) => a && typeof a.onClick === "function");
+    const duration = durationMs > 0 && actions.length ? Math.max(durationMs, ACTION_TOAST_MS) : durationMs;
+    const key = `${kind}|${message}`;
+
+    // Same message already on screen → count it and restart the timer
+    const existing = activeToasts.find((t) => t.key === key);
+    if (existing) {
+        existing.count += 1;
+        existing.countEl.textContent = `×${existing.count}`;
+        existing.countEl.classList.remove("d-none");
+        renderToastActions(existing, actions);
+        existing.duration = duration;
+        existing.remaining = duration;
+        stopToastTimer(existing);
+        if (!existing.paused) startToastTimer(existing);
+        return existing.handle;
+    }
 
     const toast = document.createElement("div");
+    toast.className = `qc-toast qc-toast-${kind}`;
+    // Errors interrupt the screen reader, the rest waits its turn
+    toast.setAttribute("role", kind === "error" ? "alert" : "status");
 
-    toast.className = "qc-toast shadow-sm";
-    toast.style.minWidth = "220px";
-    toast.style.maxWidth = "320px";
-    toast.style.padding = "0.5rem 0.75rem";
-    toast.style.borderRadius = "0.5rem";
-    toast.style.fontSize = "0.85rem";
-    toast.style.display = "flex";
-    toast.style.alignItems = "center";
-    toast.style.justifyContent = "space-between";
-    toast.style.gap = "0.5rem";
-    toast.style.opacity = "0";
-    toast.style.transform = "translateY(-6px)";
-    toast.style.transition = "opacity 0.15s ease, transform 0.15s ease";
-
-    const bgColors = {
-        info: "rgba(37, 99, 235, 0.95)",
-        success: "rgba(22, 163, 74, 0.95)",
-        error: "rgba(220, 38, 38, 0.95)",
-        warning: "rgba(217, 119, 6, 0.95)"
-    };
-
-    toast.style.backgroundColor = bgColors[type] || bgColors.info;
-    toast.style.color = "#f9fafb";
+    const icon = document.createElement("i");
+    icon.className = `bi ${TOAST_ICONS[kind]} qc-toast-icon`;
+    icon.setAttribute("aria-hidden", "true");
+
+    const body = document.createElement("div");
+    body.className = "qc-toast-body";
 
     const textSpan = document.createElement("span");
+    textSpan.className = "qc-toast-text";
     textSpan.textContent = message;
 
+    const countEl = document.createElement("span");
+    countEl.className = "qc-toast-count d-none";
+
+    const actionsEl = document.createElement("div");
+    actionsEl.className = "qc-toast-actions";
+
+    body.appendChild(textSpan);
+    body.appendChild(countEl);
+    body.appendChild(actionsEl);
+
     const closeBtn = document.createElement("button");
     closeBtn.type = "button";
-    closeBtn.textContent = "×";
-    closeBtn.setAttribute("aria-label", "Close");
-    closeBtn.style.border = "none";
-    closeBtn.style.background = "transparent";
-    closeBtn.style.color = "inherit";
-    closeBtn.style.fontSize = "1.1rem";
-    closeBtn.style.lineHeight = "1";
-    closeBtn.style.cursor = "pointer";
-
-    closeBtn.addEventListener("click", () => {
-        hideToast(toast);
-    });
+    closeBtn.className = "qc-toast-close";
+    closeBtn.setAttribute("aria-label", t("toast.dismiss"));
+    closeBtn.innerHTML = '<i class="bi bi-x-lg" aria-hidden="true"></i>';
 
-    toast.appendChild(textSpan);
+    toast.appendChild(icon);
+    toast.appendChild(body);
     toast.appendChild(closeBtn);
-    container.appendChild(toast);
 
-    requestAnimationFrame(() => {
-        toast.style.opacity = "1";
-        toast.style.transform = "translateY(0)";
+    const entry = {
+        key,
+        el: toast,
+        countEl,
+        actionsEl,
+        count: 1,
+        duration,
+        remaining: duration,
+        timer: null,
+        startedAt: 0,
+        paused: false,
+        hovered: false,
+        focused: false
+    };
+    entry.handle = { dismiss: () => hideToast(entry) };
+
+    renderToastActions(entry, actions);
+
+    closeBtn.addEventListener("click", () => hideToast(entry));
+
+    toast.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") hideToast(entry);
+    });
+
+    // Pause while the user reads or tabs through the actions
+    const syncPause = () => {
+        const shouldPause = entry.hovered || entry.focused;
+        if (shouldPause === entry.paused) return;
+        entry.paused = shouldPause;
+        if (shouldPause) {
+            stopToastTimer(entry);
+        } else {
+            startToastTimer(entry);
+        }
+    };
+    toast.addEventListener("mouseenter", () => {
+        entry.hovered = true;
+        syncPause();
+    });
+    toast.addEventListener("mouseleave", () => {
+        entry.hovered = false;
+        syncPause();
+    });
+    toast.addEventListener("focusin", () => {
+        entry.focused = true;
+        syncPause();
+    });
+    toast.addEventListener("focusout", (e) => {
+        entry.focused = toast.contains(e.relatedTarget);
+        syncPause();
     });
 
-    if (durationMs > 0) {
-        window.setTimeout(() => {
-            hideToast(toast);
-        }, durationMs);
+    activeToasts.push(entry);
+    container.appendChild(toast);
+
+    // Drop the oldest ones beyond the cap
+    while (activeToasts.length > MAX_TOASTS) {
+        hideToast(activeToasts[0]);
+    }
+
+    if (prefersReducedMotion()) {
+        toast.classList.add("qc-toast-visible");
+    } else {
+        requestAnimationFrame(() => {
+            toast.classList.add("qc-toast-visible");
+        });
+    }
+
+    startToastTimer(entry);
+    return entry.handle;
+}
+
+function renderToastActions(entry, actions) {
+    entry.actionsEl.textContent = "";
+    entry.actionsEl.classList.toggle("d-none", !actions.length);
+
+    for (const action of actions) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "qc-toast-action";
+        if (action.icon) {
+            const icon = document.createElement("i");
+            icon.className = `bi ${action.icon}`;
+            icon.setAttribute("aria-hidden", "true");
+            btn.appendChild(icon);
+        }
+        btn.appendChild(document.createTextNode(action.label));
+        btn.addEventListener("click", () => {
+            hideToast(entry);
+            action.onClick();
+        });
+        entry.actionsEl.appendChild(btn);
     }
 }
 
-function hideToast(toast) {
-    if (!toast) return;
-    toast.style.opacity = "0";
-    toast.style.transform = "translateY(-6px)";
+function startToastTimer(entry) {
+    if (entry.duration <= 0 || entry.timer) return;
+    entry.startedAt = Date.now();
+    entry.timer = window.setTimeout(() => hideToast(entry), Math.max(0, entry.remaining));
+}
+
+function stopToastTimer(entry) {
+    if (!entry.timer) return;
+    window.clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.remaining -= Date.now() - entry.startedAt;
+}
+
+function hideToast(entry) {
+    if (!entry || !activeToasts.includes(entry)) return;
+    activeToasts = activeToasts.filter((t) => t !== entry);
+    stopToastTimer(entry);
+
+    const toast = entry.el;
+    toast.classList.remove("qc-toast-visible");
     window.setTimeout(() => {
         if (toast.parentElement) {
             toast.parentElement.removeChild(toast);
         }
-    }, 180);
+    }, prefersReducedMotion() ? 0 : 180);
 }
 
 /* ============================================================
@@ -233,8 +1547,20 @@ if (typeof window !== "undefined") {
     window.QCUI.setStatus = setStatus;
     window.QCUI.setTemporaryStatus = setTemporaryStatus;
     window.QCUI.toggleProgress = toggleProgress;
+    window.QCUI.createProgress = createProgress;
     window.QCUI.setButtonLoading = setButtonLoading;
+    window.QCUI.startCancellable = startCancellable;
+    window.QCUI.createResizeControls = createResizeControls;
+    window.QCUI.createTargetSizeControls = createTargetSizeControls;
+    window.QCUI.createAvifControls = createAvifControls;
+    window.QCUI.createPaletteControls = createPaletteControls;
+    window.QCUI.createJpegControls = createJpegControls;
+    window.QCUI.createFrameControls = createFrameControls;
     window.QCUI.showToast = showToast;
+    window.QCUI.readDroppedFiles = readDroppedFiles;
+    window.QCUI.checkFileFormats = checkFileFormats;
+    window.QCUI.checkImageSizes = checkImageSizes;
+    window.QCUI.renderQueueList = renderQueueList;
 }
 
 const yearEl = document.getElementById("footer-year");
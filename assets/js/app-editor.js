@@ -0,0 +1,525 @@
+/* ============================================================
+   app-editor.js
+   Crop / rotate / flip editor for the raster converters:
+   - 90° rotations and horizontal / vertical flips
+   - crop box drawn and adjusted on the image (drag, handles),
+     freeform or with a fixed ratio (1:1, 4:3, 16:9)
+   - numeric crop box in pixels of the rotated image
+   The result is a list of "rotate", "flip" and "crop" steps for
+   core/image-pipeline.js, applied before any resize step.
+
+   Markup inside `root` (see index.html):
+     [data-edit-empty] / [data-edit-body]  shown without / with a source
+     [data-edit-action="rotate-left" | "rotate-right" |
+                       "flip-horizontal" | "flip-vertical" | "reset"]
+     [data-edit-stage] with [data-edit-canvas] and [data-edit-crop]
+       (the crop box, containing [data-edit-handle="nw" ... "w"])
+     #crop-aspect, #crop-x, #crop-y, #crop-width, #crop-height
+     [data-edit-size]                      output size readout
+   ============================================================ */
+
+import { convert, loadImage, transform, getSize } from "./core/image-pipeline.js";
+import { t, onLocaleChange } from "./app-i18n.js";
+
+// Longer side of the on-screen copy; crops are mapped back to full size
+const VIEW_EDGE = 1024;
+// Pointer travel (screen px) before a click on the image starts a new box
+const DRAG_THRESHOLD = 4;
+
+const ASPECTS = { "1:1": 1, "4:3": 4 / 3, "16:9": 16 / 9 };
+
+/**
+ * @typedef {object} EditorState
+ * @property {number} angle - clockwise rotation: 0, 90, 180 or 270
+ * @property {boolean} flipH
+ * @property {boolean} flipV
+ * @property {{x: number, y: number, width: number, height: number}|null} crop
+ *   in pixels of the rotated image, null = whole image
+ * @property {string} aspect - "free" or a key of ASPECTS
+ */
+
+/**
+ * Wire the editor inside `root`. Rotation and flips are applied
+ * first (rotate, then flip), the crop box refers to the result.
+ * @param {HTMLElement|null} root
+ * @param {{display?: (file: File) => Promise<Blob>, onChange?: () => void}} [options]
+ *   `display`: browser-readable version of a source <img> cannot
+ *   show (default: PNG through the pipeline); `onChange`: called
+ *   after every edit and once the source has loaded
+ */
+export function createEditor(root, { display = toPng, onChange = null } = {}) {
+    const noop = () => {};
+    if (!root) {
+        return {
+            setSource: noop,
+            clear: noop,
+            getSteps: () => [],
+            getOutputSize: () => null,
+            getState: () => null,
+            setState: noop,
+            reset: noop
+        };
+    }
+
+    const part = (name) => root.querySelector(`[data-edit-${name}]`);
+    const field = (id) => root.querySelector(`#${id}`);
+    const empty = part("empty");
+    const body = part("body");
+    const stage = part("stage");
+    const canvas = part("canvas");
+    const box = part("crop");
+    const sizeEl = part("size");
+    const aspectSelect = field("crop-aspect");
+    const inputs = {
+        x: field("crop-x"),
+        y: field("crop-y"),
+        width: field("crop-width"),
+        height: field("crop-height")
+    };
+
+    let source = null;
+    let image = null;
+    let state = initialState();
+
+    function initialState() {
+        return { angle: 0, flipH: false, flipV: false, crop: null, aspect: "free" };
+    }
+
+    function changed() {
+        render();
+        if (onChange) onChange();
+    }
+
+    /* --------------------------------------------------------
+       Geometry
+       -------------------------------------------------------- */
+
+    // Size of the source after rotation (the space crop boxes live in)
+    function frame() {
+        if (!image) return null;
+        const { width, height } = getSize(image);
+        return state.angle % 180 ? { width: height, height: width } : { width, height };
+    }
+
+    function ratio() {
+        return ASPECTS[state.aspect] || null;
+    }
+
+    function clampRect(rect, bounds) {
+        const x = Math.min(Math.max(Math.round(rect.x) || 0, 0), bounds.width - 1);
+        const y = Math.min(Math.max(Math.round(rect.y) || 0, 0), bounds.height - 1);
+        return {
+            x,
+            y,
+            width: Math.min(Math.max(Math.round(rect.width) || 1, 1), bounds.width - x),
+            height: Math.min(Math.max(Math.round(rect.height) || 1, 1), bounds.height - y)
+        };
+    }
+
+    // Largest box with the current ratio inside `rect`, centred on it
+    function fitRatio(rect) {
+        const r = ratio();
+        if (!r) return rect;
+        const width = Math.min(rect.width, rect.height * r);
+        const height = width / r;
+        return {
+            x: rect.x + (rect.width - width) / 2,
+            y: rect.y + (rect.height - height) / 2,
+            width,
+            height
+        };
+    }
+
+    // A box covering the whole frame is no crop at all
+    function setCrop(rect) {
+        const bounds = frame();
+        if (!rect || !bounds) {
+            state.crop = rect;
+            return;
+        }
+        const next = clampRect(rect, bounds);
+        const whole = next.x === 0 && next.y === 0 && next.width === bounds.width && next.height === bounds.height;
+        state.crop = whole ? null : next;
+    }
+
+    function rotate(clockwise) {
+        const bounds = frame();
+        const crop = state.crop;
+        if (crop && bounds) {
+            state.crop = clockwise
+                ? { x: bounds.height - crop.y - crop.height, y: crop.x, width: crop.height, height: crop.width }
+                : { x: crop.y, y: bounds.width - crop.x - crop.width, width: crop.height, height: crop.width };
+        }
+        state.angle = (state.angle + (clockwise ? 90 : 270)) % 360;
+        // Keep the order "rotate, then flip": a flip before a quarter
+        // turn is the other flip after it
+        if (state.flipH !== state.flipV) {
+            [state.flipH, state.flipV] = [state.flipV, state.flipH];
+        }
+        if (state.crop && ratio()) setCrop(fitRatio(state.crop));
+        draw();
+        changed();
+    }
+
+    function flip(horizontal) {
+        const bounds = frame();
+        const crop = state.crop;
+        if (crop && bounds) {
+            state.crop = horizontal
+                ? { ...crop, x: bounds.width - crop.x - crop.width }
+                : { ...crop, y: bounds.height - crop.y - crop.height };
+        }
+        if (horizontal) state.flipH = !state.flipH;
+        else state.flipV = !state.flipV;
+        draw();
+        changed();
+    }
+
+    /* --------------------------------------------------------
+       Output
+       -------------------------------------------------------- */
+
+    /**
+     * Pipeline steps for the current edits (empty when unchanged).
+     * @returns {Array<object>}
+     */
+    function getSteps() {
+        const steps = [];
+        if (state.angle) steps.push({ type: "rotate", angle: state.angle });
+        if (state.flipH || state.flipV) {
+            steps.push({ type: "flip", horizontal: state.flipH, vertical: state.flipV });
+        }
+        if (state.crop) steps.push({ type: "crop", ...state.crop });
+        return steps;
+    }
+
+    /**
+     * Size after the edits, or null until the source has loaded.
+     * @returns {{width: number, height: number}|null}
+     */
+    function getOutputSize() {
+        const bounds = frame();
+        if (!bounds) return null;
+        return state.crop ? { width: state.crop.width, height: state.crop.height } : bounds;
+    }
+
+    /* --------------------------------------------------------
+       View
+       -------------------------------------------------------- */
+
+    function draw() {
+        if (!image || !canvas) return;
+        const view = transform(image, [
+            { type: "resize", maxEdge: VIEW_EDGE, resampling: "medium" },
+            ...getSteps().filter((step) => step.type !== "crop")
+        ]);
+        const { width, height } = getSize(view);
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext("2d").drawImage(view, 0, 0);
+        if (view !== image && view.width) view.width = view.height = 0;
+    }
+
+    function render(skip = null) {
+        const bounds = frame();
+        const crop = state.crop;
+
+        if (box) {
+            box.classList.toggle("d-none", !crop || !bounds);
+            if (crop && bounds) {
+                box.style.left = `${(crop.x / bounds.width) * 100}%`;
+                box.style.top = `${(crop.y / bounds.height) * 100}%`;
+                box.style.width = `${(crop.width / bounds.width) * 100}%`;
+                box.style.height = `${(crop.height / bounds.height) * 100}%`;
+            }
+        }
+        if (stage) stage.classList.toggle("is-fixed-ratio", Boolean(ratio()));
+
+        for (const [key, input] of Object.entries(inputs)) {
+            if (!input || input === skip) continue;
+            input.value = crop ? String(crop[key]) : "";
+            input.placeholder = bounds ? String(key === "x" || key === "y" ? 0 : bounds[key]) : "";
+        }
+        if (aspectSelect) aspectSelect.value = state.aspect;
+
+        root.querySelectorAll('[data-edit-action^="flip-"]').forEach((btn) => {
+            const on = btn.dataset.editAction === "flip-horizontal" ? state.flipH : state.flipV;
+            btn.classList.toggle("active", on);
+            btn.setAttribute("aria-pressed", String(on));
+        });
+
+        if (sizeEl) {
+            const size = getOutputSize();
+            sizeEl.textContent = size ? t("edit.output", size) : "";
+        }
+    }
+
+    function show(visible) {
+        if (empty) empty.classList.toggle("d-none", visible);
+        if (body) body.classList.toggle("d-none", !visible);
+    }
+
+    /* --------------------------------------------------------
+       Source
+       -------------------------------------------------------- */
+
+    async function loadFrom(blob) {
+        const url = URL.createObjectURL(blob);
+        try {
+            return await loadImage(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    async function load(file) {
+        try {
+            return await loadFrom(file);
+        } catch {
+            // e.g. HEIC outside Safari
+            return loadFrom(await display(file));
+        }
+    }
+
+    /**
+     * Edit `file` (null clears). A different file starts from no
+     * edits; setState() right after keeps restored edits.
+     * @param {File|Blob|null} file
+     */
+    function setSource(file) {
+        if (file === source) return;
+        clear();
+        if (!file) return;
+
+        source = file;
+        load(file).then((img) => {
+            if (source !== file) return;
+            image = img;
+            // Restored or typed boxes were not clamped without a size
+            if (state.crop) setCrop(state.crop);
+            show(true);
+            draw();
+            changed();
+        }).catch(() => {
+            // Without a picture there is nothing to edit
+            if (source === file) show(false);
+        });
+    }
+
+    function clear() {
+        source = null;
+        image = null;
+        state = initialState();
+        if (canvas) canvas.width = canvas.height = 0;
+        show(false);
+        render();
+    }
+
+    /** @returns {EditorState} */
+    function getState() {
+        return { ...state, crop: state.crop ? { ...state.crop } : null };
+    }
+
+    /** @param {EditorState} next - from getState() */
+    function setState(next) {
+        if (!next) return;
+        state = { ...initialState(), ...next, crop: next.crop ? { ...next.crop } : null };
+        if (!ASPECTS[state.aspect]) state.aspect = "free";
+        if (state.crop) setCrop(state.crop);
+        draw();
+        changed();
+    }
+
+    function reset() {
+        const aspect = state.aspect;
+        state = initialState();
+        state.aspect = aspect;
+        draw();
+        changed();
+    }
+
+    /* --------------------------------------------------------
+       Input
+       -------------------------------------------------------- */
+
+    root.querySelectorAll("[data-edit-action]").forEach((btn) => {
+        btn.addEventListener("click", () => {
+            switch (btn.dataset.editAction) {
+                case "rotate-left": rotate(false); break;
+                case "rotate-right": rotate(true); break;
+                case "flip-horizontal": flip(true); break;
+                case "flip-vertical": flip(false); break;
+                case "reset": reset(); break;
+            }
+        });
+    });
+
+    if (aspectSelect) {
+        aspectSelect.addEventListener("change", () => {
+            state.aspect = ASPECTS[aspectSelect.value] ? aspectSelect.value : "free";
+            const bounds = frame();
+            if (ratio() && bounds) {
+                const area = state.crop || { x: 0, y: 0, ...bounds };
+                setCrop(fitRatio(area));
+            }
+            changed();
+        });
+    }
+
+    // Typing one side of a fixed-ratio box fills in the other
+    function readInputs(active) {
+        const bounds = frame();
+        const values = {};
+        for (const [key, input] of Object.entries(inputs)) {
+            const value = parseFloat(input ? input.value : "");
+            values[key] = Number.isFinite(value) ? value : null;
+        }
+        if (Object.values(values).every((value) => value === null)) return null;
+        if (!bounds) return values;
+
+        const rect = {
+            x: values.x || 0,
+            y: values.y || 0,
+            width: values.width || bounds.width - (values.x || 0),
+            height: values.height || bounds.height - (values.y || 0)
+        };
+        const r = ratio();
+        if (r && active === inputs.height) rect.width = rect.height * r;
+        else if (r) rect.height = rect.width / r;
+        return rect;
+    }
+
+    for (const input of Object.values(inputs)) {
+        if (!input) continue;
+        input.addEventListener("input", () => {
+            setCrop(readInputs(input));
+            render(input);
+            if (onChange) onChange();
+        });
+        // Show the clamped values once the field is left
+        input.addEventListener("change", () => render());
+    }
+
+    if (stage) {
+        let drag = null;
+
+        const point = (e) => {
+            const rect = stage.getBoundingClientRect();
+            const bounds = frame();
+            return {
+                x: ((e.clientX - rect.left) / rect.width) * bounds.width,
+                y: ((e.clientY - rect.top) / rect.height) * bounds.height
+            };
+        };
+
+        stage.addEventListener("pointerdown", (e) => {
+            if (e.button !== 0 || !frame() || !stage.clientWidth) return;
+            const handle = e.target.closest("[data-edit-handle]");
+            const start = point(e);
+            let mode = "new";
+            if (handle) mode = handle.dataset.editHandle;
+            else if (state.crop && box && box.contains(e.target)) mode = "move";
+
+            drag = { mode, start, crop: state.crop, screen: { x: e.clientX, y: e.clientY }, moved: false };
+            stage.setPointerCapture(e.pointerId);
+            e.preventDefault();
+        });
+
+        stage.addEventListener("pointermove", (e) => {
+            if (!drag) return;
+            if (!drag.moved) {
+                const distance = Math.hypot(e.clientX - drag.screen.x, e.clientY - drag.screen.y);
+                if (distance < DRAG_THRESHOLD) return;
+                drag.moved = true;
+            }
+            const bounds = frame();
+            const p = point(e);
+            const p0 = drag.start;
+
+            if (drag.mode === "move") {
+                const crop = drag.crop;
+                setCrop({
+                    ...crop,
+                    x: Math.min(Math.max(crop.x + p.x - p0.x, 0), bounds.width - crop.width),
+                    y: Math.min(Math.max(crop.y + p.y - p0.y, 0), bounds.height - crop.height)
+                });
+            } else if (drag.mode === "new") {
+                setCrop(dragCorner({ x: p0.x, y: p0.y }, p, bounds));
+            } else {
+                setCrop(dragHandle(drag.mode, drag.crop, p, bounds));
+            }
+            changed();
+        });
+
+        const endDrag = () => {
+            drag = null;
+        };
+        stage.addEventListener("pointerup", endDrag);
+        stage.addEventListener("pointercancel", endDrag);
+    }
+
+    // Box from a fixed corner to the pointer, kept inside the frame
+    function dragCorner(anchor, p, bounds) {
+        const dirX = p.x < anchor.x ? -1 : 1;
+        const dirY = p.y < anchor.y ? -1 : 1;
+        const maxW = dirX > 0 ? bounds.width - anchor.x : anchor.x;
+        const maxH = dirY > 0 ? bounds.height - anchor.y : anchor.y;
+        let width = Math.min(Math.abs(p.x - anchor.x), maxW);
+        let height = Math.min(Math.abs(p.y - anchor.y), maxH);
+
+        const r = ratio();
+        if (r) {
+            width = Math.min(Math.max(width, height * r), maxW, maxH * r);
+            height = width / r;
+        }
+        return {
+            x: dirX > 0 ? anchor.x : anchor.x - width,
+            y: dirY > 0 ? anchor.y : anchor.y - height,
+            width,
+            height
+        };
+    }
+
+    // Corner handles keep the opposite corner, edge handles (freeform only) one side
+    function dragHandle(handle, crop, p, bounds) {
+        const right = crop.x + crop.width;
+        const bottom = crop.y + crop.height;
+
+        if (handle.length === 2) {
+            const anchor = {
+                x: handle.includes("w") ? right : crop.x,
+                y: handle.includes("n") ? bottom : crop.y
+            };
+            return dragCorner(anchor, p, bounds);
+        }
+
+        const x = Math.min(Math.max(p.x, 0), bounds.width);
+        const y = Math.min(Math.max(p.y, 0), bounds.height);
+        switch (handle) {
+            case "n": return { ...crop, y: Math.min(y, bottom - 1), height: bottom - Math.min(y, bottom - 1) };
+            case "s": return { ...crop, height: Math.max(y - crop.y, 1) };
+            case "w": return { ...crop, x: Math.min(x, right - 1), width: right - Math.min(x, right - 1) };
+            default: return { ...crop, width: Math.max(x - crop.x, 1) };
+        }
+    }
+
+    onLocaleChange(() => render());
+    clear();
+
+    return { setSource, clear, getSteps, getOutputSize, getState, setState, reset };
+}
+
+// Default for sources <img> cannot show
+async function toPng(file) {
+    const { blob } = await convert(file, { format: "png" });
+    return blob;
+}
+
+/* ============================================================
+   Global namespace (optional)
+   Allows usage as window.QCUI.createEditor from non-module scripts
+   ============================================================ */
+if (typeof window !== "undefined") {
+    window.QCUI = window.QCUI || {};
+    window.QCUI.createEditor = createEditor;
+}
@@ -0,0 +1,302 @@
+/* ============================================================
+   app-i18n.js
+   Message catalogue + locale handling for UI strings:
+   - t(key, params) with {placeholders} and plural forms
+   - locale from localStorage ("qc-lang"), else navigator.language
+   - language switcher (#lang-select), persisted like qc-theme
+   - <html lang/dir> + Bootstrap RTL stylesheet for RTL locales
+   - static markup through data-i18n / data-i18n-attr
+   Locale files: assets/js/locales/<code>.js (flat "area.key" maps).
+
+   Markup:
+     <span data-i18n="common.convert">Convert</span>
+     <button data-i18n-attr="aria-label:common.swapFormats; title:common.swap">
+
+   Plurals: a message may be an object keyed by Intl.PluralRules
+   categories ("one", "few", "many", "other", ...); the form is
+   picked from params.count:
+     t("files.selected", { count: 3 }) → "3 files selected"
+   ============================================================ */
+
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+import ru from "./locales/ru.js";
+import ar from "./locales/ar.js";
+
+export const DEFAULT_LOCALE = "en";
+
+/** Available locales: display name, text direction, messages. */
+export const LOCALES = {
+    en: { name: "English", dir: "ltr", messages: en },
+    es: { name: "Español", dir: "ltr", messages: es },
+    ru: { name: "Русский", dir: "ltr", messages: ru },
+    ar: { name: "العربية", dir: "rtl", messages: ar }
+};
+
+const STORAGE_KEY = "qc-lang";
+
+const listeners = new Set();
+let currentLocale = detectLocale();
+let pluralRules = null;
+
+/* ============================================================
+   Locale detection
+   ============================================================ */
+
+function readStoredLocale() {
+    try {
+        return localStorage.getItem(STORAGE_KEY);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Map a language tag ("ru-RU", "es", "ar-EG") to a supported locale.
+ * @param {string} tag
+ * @returns {string|null}
+ */
+export function matchLocale(tag) {
+    const lower = String(tag || "").toLowerCase();
+    if (!lower) return null;
+    if (LOCALES[lower]) return lower;
+    const base = lower.split("-")[0];
+    return LOCALES[base] ? base : null;
+}
+
+function detectLocale() {
+    const stored = matchLocale(readStoredLocale());
+    if (stored) return stored;
+
+    if (typeof navigator !== "undefined") {
+        const langs = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
+        for (const lang of langs) {
+            const match = matchLocale(lang);
+            if (match) return match;
+        }
+    }
+    return DEFAULT_LOCALE;
+}
+
+/* ============================================================
+   Lookup
+   ============================================================ */
+
+function lookup(locale, key) {
+    const entry = LOCALES[locale];
+    return entry ? entry.messages[key] : undefined;
+}
+
+function selectPlural(message, count) {
+    if (!pluralRules || pluralRules.locale !== currentLocale) {
+        pluralRules = {
+            locale: currentLocale,
+            rules: typeof Intl !== "undefined" && Intl.PluralRules
+                ? new Intl.PluralRules(currentLocale)
+                : null
+        };
+    }
+    const category = pluralRules.rules
+        ? pluralRules.rules.select(Number(count) || 0)
+        : Number(count) === 1 ? "one" : "other";
+    return message[category] !== undefined ? message[category] : message.other;
+}
+
+function formatParam(value) {
+    if (typeof value === "number" && typeof Intl !== "undefined") {
+        return new Intl.NumberFormat(currentLocale).format(value);
+    }
+    return String(value);
+}
+
+/**
+ * Translate a message key.
+ * Falls back to English, then to the key itself.
+ * @param {string} key
+ * @param {Record<string, *>} [params] - values for {placeholders}; `count` picks the plural form
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+    let message = lookup(currentLocale, key);
+    if (message === undefined) message = lookup(DEFAULT_LOCALE, key);
+    if (message === undefined) return key;
+
+    if (typeof message === "object") {
+        message = selectPlural(message, params.count);
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] !== undefined && params[name] !== null ? formatParam(params[name]) : match
+    );
+}
+
+/**
+ * True if the current locale (or English) has this key.
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+    return lookup(currentLocale, key) !== undefined || lookup(DEFAULT_LOCALE, key) !== undefined;
+}
+
+/**
+ * User-facing text for an error. Errors with a `code` (see
+ * core/image-pipeline.js) get the translated "errors.<code>"
+ * message with `err.params`; others keep their own message.
+ * @param {*} err
+ * @param {string} [fallbackKey]
+ * @returns {string}
+ */
+export function errorMessage(err, fallbackKey = "errors.generic") {
+    if (err && err.code && hasMessage(`errors.${err.code}`)) {
+        return t(`errors.${err.code}`, err.params || {});
+    }
+    return (err && err.message) || t(fallbackKey);
+}
+
+/* ============================================================
+   Current locale
+   ============================================================ */
+
+/** @returns {string} current locale code ("en", "ru", ...) */
+export function getLocale() {
+    return currentLocale;
+}
+
+/** @returns {"ltr"|"rtl"} */
+export function getDirection() {
+    return LOCALES[currentLocale].dir;
+}
+
+/**
+ * Switch the UI language.
+ * @param {string} locale
+ * @param {{persist?: boolean}} [options]
+ */
+export function setLocale(locale, { persist = true } = {}) {
+    const match = matchLocale(locale) || DEFAULT_LOCALE;
+
+    if (persist) {
+        try {
+            localStorage.setItem(STORAGE_KEY, match);
+        } catch {
+            // ignore storage errors
+        }
+    }
+
+    if (match === currentLocale) return;
+    currentLocale = match;
+
+    applyDocumentLocale();
+    translatePage();
+    for (const fn of listeners) fn(currentLocale);
+}
+
+/**
+ * Run `fn` after every language switch (e.g. to re-render
+ * text that was built in JS).
+ * @param {(locale: string) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function onLocaleChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+/* ============================================================
+   DOM
+   ============================================================ */
+
+function applyDocumentLocale() {
+    if (typeof document === "undefined") return;
+
+    const root = document.documentElement;
+    const dir = getDirection();
+    root.lang = currentLocale;
+    root.dir = dir;
+
+    // Bootstrap ships a mirrored build for RTL
+    const link = document.querySelector('link[href*="/bootstrap@"][href*="/dist/css/bootstrap"]');
+    if (link) {
+        const href = link.getAttribute("href");
+        const next = dir === "rtl"
+            ? href.replace(/bootstrap\.min\.css$/, "bootstrap.rtl.min.css")
+            : href.replace(/bootstrap\.rtl\.min\.css$/, "bootstrap.min.css");
+        if (next !== href) link.setAttribute("href", next);
+    }
+}
+
+/**
+ * Translate static markup: [data-i18n] sets the text,
+ * [data-i18n-attr="attr:key; attr2:key2"] sets attributes.
+ * @param {ParentNode} [root]
+ */
+export function translatePage(root = document) {
+    if (!root || typeof root.querySelectorAll !== "function") return;
+
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+        el.textContent = t(el.dataset.i18n);
+    });
+
+    root.querySelectorAll("[data-i18n-attr]").forEach((el) => {
+        for (const pair of el.dataset.i18nAttr.split(";")) {
+            const [attr, key] = pair.split(":").map((part) => part.trim());
+            if (attr && key) el.setAttribute(attr, t(key));
+        }
+    });
+}
+
+function initSwitcher() {
+    const select = document.getElementById("lang-select");
+    if (!select) return;
+
+    select.textContent = "";
+    for (const [code, { name }] of Object.entries(LOCALES)) {
+        const option = document.createElement("option");
+        option.value = code;
+        option.textContent = name;
+        option.lang = code;
+        select.appendChild(option);
+    }
+    select.value = currentLocale;
+
+    select.addEventListener("change", () => setLocale(select.value));
+    onLocaleChange((locale) => {
+        select.value = locale;
+    });
+}
+
+function init() {
+    applyDocumentLocale();
+    translatePage();
+    initSwitcher();
+}
+
+if (typeof document !== "undefined") {
+    // Module scripts run after parsing, before DOMContentLoaded;
+    // translate right away so converters start from translated markup
+    if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", init, { once: true });
+    } else {
+        init();
+    }
+}
+
+/* ============================================================
+   Global namespace (optional)
+   Allows usage as window.QCI18n.* from non-module scripts
+   ============================================================ */
+if (typeof window !== "undefined") {
+    window.QCI18n = {
+        LOCALES,
+        t,
+        errorMessage,
+        getLocale,
+        getDirection,
+        setLocale,
+        onLocaleChange,
+        translatePage
+    };
+}
@@ -0,0 +1,380 @@
+/* ============================================================
+   app-preview.js
+   Before/after preview for the raster converters:
+   - original and converted image on top of each other, split
+     by a draggable divider (also arrow keys)
+   - zoom (buttons, wheel, double click) and pan (drag), pixels
+     stay sharp above 100 %
+   - size readout (original → converted, change in %)
+   - re-renders (debounced) whenever a watched form changes, so
+     settings can be tuned before converting
+   The page supplies `render(file, signal)`, usually the same
+   function its Convert button uses.
+
+   Markup inside `root` (see index.html):
+     [data-preview-stage]           viewport
+     [data-preview-layer="after"]   clipped to the right of the divider
+     [data-preview-image="before" | "after"]
+     [data-preview-divider]         role="slider"
+     [data-preview-zoom="in" | "out" | "fit" | "actual"]
+     [data-preview-zoom-level], [data-preview-size], [data-preview-status]
+   ============================================================ */
+
+import { convert, formatBytes, isAbortError, pipelineError } from "./core/image-pipeline.js";
+import { t, errorMessage, onLocaleChange } from "./app-i18n.js";
+
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 32;
+const ZOOM_STEP = 1.5;
+const SPLIT_STEP = 5;
+
+/**
+ * @typedef {object} PreviewOptions
+ * @property {(file: File, signal: AbortSignal) => Promise<{blob: Blob, width?: number, height?: number}>} render
+ * @property {HTMLElement|null} [watch] - form whose input/change events trigger a refresh
+ * @property {(file: File) => Promise<Blob>} [display] - browser-readable version of the
+ *   original when <img> cannot show it (default: PNG through the pipeline)
+ * @property {number} [delay] - debounce for refreshes in ms
+ */
+
+/**
+ * Wire the preview panel inside `root`. The panel stays hidden
+ * until a source is set.
+ * @param {HTMLElement|null} root
+ * @param {PreviewOptions} options
+ */
+export function createPreview(root, { render, watch = null, display = toPng, delay = 350 } = {}) {
+    const noop = () => {};
+    if (!root || typeof render !== "function") {
+        return { setSource: noop, refresh: noop, clear: noop };
+    }
+
+    const part = (name) => root.querySelector(`[data-preview-${name}]`);
+    const stage = part("stage");
+    const before = root.querySelector('[data-preview-image="before"]');
+    const after = root.querySelector('[data-preview-image="after"]');
+    const afterLayer = root.querySelector('[data-preview-layer="after"]');
+    const divider = part("divider");
+    const zoomLevel = part("zoom-level");
+    const sizeEl = part("size");
+    const statusEl = part("status");
+
+    let source = null;
+    let beforeUrl = null;
+    let afterUrl = null;
+    let result = null;
+    let timer = null;
+    let controller = null;
+
+    // View: content size (= original), zoom, offset, split in %
+    let content = { width: 0, height: 0 };
+    let zoom = 1;
+    let offset = { x: 0, y: 0 };
+    let fitted = true;
+    let split = 50;
+
+    /* --------------------------------------------------------
+       View
+       -------------------------------------------------------- */
+
+    function fitZoom() {
+        // Nothing to measure while the panel is hidden
+        if (!stage || !stage.clientWidth || !content.width || !content.height) return 1;
+        return Math.min(stage.clientWidth / content.width, stage.clientHeight / content.height, 1);
+    }
+
+    // The converted side is as wide as the original; a crop or
+    // rotation keeps its own aspect ratio instead of being stretched
+    function layerHeight(img) {
+        if (img !== after || !after.naturalWidth) return content.height;
+        return (content.width * after.naturalHeight) / after.naturalWidth;
+    }
+
+    function applyView() {
+        const transform = `translate(${offset.x}px, ${offset.y}px) scale(${zoom})`;
+        for (const img of [before, after]) {
+            if (!img) continue;
+            img.style.width = `${content.width}px`;
+            img.style.height = `${layerHeight(img)}px`;
+            img.style.transform = transform;
+            img.classList.toggle("is-pixelated", zoom > 1);
+        }
+        if (afterLayer) afterLayer.style.clipPath = `inset(0 0 0 ${split}%)`;
+        if (divider) {
+            divider.style.left = `${split}%`;
+            divider.setAttribute("aria-valuenow", String(Math.round(split)));
+        }
+        if (zoomLevel) zoomLevel.textContent = `${Math.round(zoom * 100)}%`;
+    }
+
+    // Zoom around a point of the stage (its centre by default)
+    function zoomTo(value, point) {
+        if (!stage) return;
+        const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, value));
+        const at = point || { x: stage.clientWidth / 2, y: stage.clientHeight / 2 };
+        offset = {
+            x: at.x - ((at.x - offset.x) * next) / zoom,
+            y: at.y - ((at.y - offset.y) * next) / zoom
+        };
+        zoom = next;
+        fitted = false;
+        applyView();
+    }
+
+    function fit() {
+        if (!stage) return;
+        zoom = fitZoom();
+        offset = {
+            x: (stage.clientWidth - content.width * zoom) / 2,
+            y: (stage.clientHeight - content.height * zoom) / 2
+        };
+        fitted = true;
+        applyView();
+    }
+
+    function setSplit(value) {
+        split = Math.min(100, Math.max(0, value));
+        applyView();
+    }
+
+    /* --------------------------------------------------------
+       Readout / status
+       -------------------------------------------------------- */
+
+    function setStatusText(text) {
+        if (!statusEl) return;
+        statusEl.textContent = text || "";
+        statusEl.classList.toggle("d-none", !text);
+    }
+
+    function renderReadout() {
+        if (!sizeEl) return;
+        if (!source || !result) {
+            sizeEl.textContent = source ? formatBytes(source.size) : "";
+            return;
+        }
+        const change = Math.round((result.blob.size / source.size - 1) * 100);
+        const text = t("preview.sizes", {
+            before: formatBytes(source.size),
+            after: formatBytes(result.blob.size),
+            change: change > 0 ? `+${change}` : String(change)
+        });
+        sizeEl.textContent = result.width && result.height
+            ? `${text} · ${result.width}×${result.height}`
+            : text;
+    }
+
+    /* --------------------------------------------------------
+       Images
+       -------------------------------------------------------- */
+
+    function revoke(url) {
+        if (url) URL.revokeObjectURL(url);
+        return null;
+    }
+
+    function loadInto(img, blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            img.onload = () => resolve(url);
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(pipelineError("PREVIEW_FAILED", "Image cannot be displayed."));
+            };
+            img.src = url;
+        });
+    }
+
+    async function showOriginal(file) {
+        let url;
+        try {
+            url = await loadInto(before, file);
+        } catch {
+            // e.g. HEIC outside Safari
+            url = await loadInto(before, await display(file));
+        }
+        if (source !== file) {
+            revoke(url);
+            return;
+        }
+        beforeUrl = revoke(beforeUrl);
+        beforeUrl = url;
+        content = { width: before.naturalWidth, height: before.naturalHeight };
+        fit();
+    }
+
+    async function update() {
+        timer = null;
+        if (!source) return;
+        if (controller) controller.abort();
+        const run = new AbortController();
+        controller = run;
+        const file = source;
+
+        setStatusText(t("preview.rendering"));
+        try {
+            const next = await render(file, run.signal);
+            if (run.signal.aborted || file !== source) return;
+            const url = await loadInto(after, next.blob);
+            if (run.signal.aborted || file !== source) {
+                revoke(url);
+                return;
+            }
+            afterUrl = revoke(afterUrl);
+            afterUrl = url;
+            result = next;
+            applyView();
+            renderReadout();
+            setStatusText("");
+        } catch (err) {
+            if (isAbortError(err) || run.signal.aborted) return;
+            result = null;
+            renderReadout();
+            setStatusText(t("preview.failed", { message: errorMessage(err) }));
+        } finally {
+            if (controller === run) controller = null;
+        }
+    }
+
+    /** Re-render the converted side after a short pause. */
+    function refresh() {
+        if (!source) return;
+        clearTimeout(timer);
+        timer = setTimeout(update, delay);
+    }
+
+    /**
+     * Show `file` as the original (null hides the panel).
+     * @param {File|Blob|null} file
+     */
+    function setSource(file) {
+        if (file === source) return;
+        clear();
+        if (!file) return;
+
+        source = file;
+        root.classList.remove("d-none");
+        renderReadout();
+        showOriginal(file).catch((err) => {
+            if (source === file) setStatusText(t("preview.failed", { message: errorMessage(err) }));
+        });
+        refresh();
+    }
+
+    function clear() {
+        clearTimeout(timer);
+        timer = null;
+        if (controller) controller.abort();
+        controller = null;
+        source = null;
+        result = null;
+        beforeUrl = revoke(beforeUrl);
+        afterUrl = revoke(afterUrl);
+        if (before) before.removeAttribute("src");
+        if (after) after.removeAttribute("src");
+        setStatusText("");
+        renderReadout();
+        root.classList.add("d-none");
+    }
+
+    /* --------------------------------------------------------
+       Input
+       -------------------------------------------------------- */
+
+    function stagePoint(e) {
+        const rect = stage.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    root.querySelectorAll("[data-preview-zoom]").forEach((btn) => {
+        btn.addEventListener("click", () => {
+            switch (btn.dataset.previewZoom) {
+                case "in": zoomTo(zoom * ZOOM_STEP); break;
+                case "out": zoomTo(zoom / ZOOM_STEP); break;
+                case "actual": zoomTo(1); break;
+                default: fit();
+            }
+        });
+    });
+
+    if (stage) {
+        stage.addEventListener("wheel", (e) => {
+            e.preventDefault();
+            zoomTo(zoom * Math.exp(-e.deltaY * 0.0015), stagePoint(e));
+        }, { passive: false });
+
+        stage.addEventListener("dblclick", (e) => {
+            if (fitted) zoomTo(1, stagePoint(e));
+            else fit();
+        });
+
+        // Drag: the divider moves the split, anywhere else pans
+        let drag = null;
+        stage.addEventListener("pointerdown", (e) => {
+            if (e.button !== 0) return;
+            const onDivider = divider && divider.contains(e.target);
+            drag = { split: onDivider, x: e.clientX - offset.x, y: e.clientY - offset.y };
+            stage.setPointerCapture(e.pointerId);
+            if (onDivider) divider.focus();
+        });
+        stage.addEventListener("pointermove", (e) => {
+            if (!drag) return;
+            if (drag.split) {
+                setSplit((stagePoint(e).x / stage.clientWidth) * 100);
+            } else {
+                offset = { x: e.clientX - drag.x, y: e.clientY - drag.y };
+                fitted = false;
+                applyView();
+            }
+        });
+        const endDrag = () => {
+            drag = null;
+        };
+        stage.addEventListener("pointerup", endDrag);
+        stage.addEventListener("pointercancel", endDrag);
+    }
+
+    if (divider) {
+        divider.addEventListener("keydown", (e) => {
+            const keys = { ArrowLeft: -SPLIT_STEP, ArrowDown: -SPLIT_STEP, ArrowRight: SPLIT_STEP, ArrowUp: SPLIT_STEP };
+            if (e.key in keys) setSplit(split + keys[e.key]);
+            else if (e.key === "Home") setSplit(0);
+            else if (e.key === "End") setSplit(100);
+            else return;
+            e.preventDefault();
+        });
+    }
+
+    if (watch) {
+        watch.addEventListener("input", refresh);
+        watch.addEventListener("change", refresh);
+    }
+
+    // The stage is hidden until the first file, so fit again on resize
+    if (stage && typeof ResizeObserver === "function") {
+        new ResizeObserver(() => {
+            if (fitted) fit();
+        }).observe(stage);
+    }
+
+    onLocaleChange(renderReadout);
+    clear();
+    applyView();
+
+    return { setSource, refresh, clear };
+}
+
+// Default for originals <img> cannot show
+async function toPng(file) {
+    const { blob } = await convert(file, { format: "png" });
+    return blob;
+}
+
+/* ============================================================
+   Global namespace (optional)
+   Allows usage as window.QCUI.createPreview from non-module scripts
+   ============================================================ */
+if (typeof window !== "undefined") {
+    window.QCUI = window.QCUI || {};
+    window.QCUI.createPreview = createPreview;
+}
@@ -3,6 +3,8 @@
    Handles theme switching (dark / light) + persistence
    ============================================================ */
 
+import { t } from "./app-i18n.js";
+
 document.addEventListener("DOMContentLoaded", () => {
     const body = document.body;
     const toggleBtn = document.getElementById("theme-toggle");
@@ -32,13 +34,16 @@ document.addEventListener("DOMContentLoaded", () => {
         if (theme === "light") {
             body.classList.add("theme-light");
             icon.classList.replace("bi-moon-stars", "bi-sun");
-            text.textContent = "Light";
+            text.dataset.i18n = "theme.light";
         } else {
             body.classList.remove("theme-light");
             icon.classList.replace("bi-sun", "bi-moon-stars");
-            text.textContent = "Dark";
+            text.dataset.i18n = "theme.dark";
         }
 
+        // data-i18n keeps the label translated after a language switch
+        text.textContent = t(text.dataset.i18n);
+
         if (persist) {
             localStorage.setItem("qc-theme", theme);
         }
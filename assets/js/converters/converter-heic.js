@@ -1,7 +1,52 @@
 // assets/js/converters/converter-heic.js
-// HEIC → JPG/PNG conversion with lazy loading of heic2any
+// HEIC → JPG/PNG/AVIF conversion with lazy loading of heic2any.
+// JPG optionally goes through MozJPEG (#jpeg-controls).
+// heic2any only decodes; crop / rotate / flip and encoding go through
+// the shared image pipeline.
+// Files are judged by their header: a .heic that is really a JPEG skips
+// heic2any (with a warning), a PDF or SVG points to its converter.
+// Several photos (or whole dropped folders) go through a batch queue with
+// per-file status; the results come as one ZIP, failures are listed with
+// their reason (#failed-summary) and also written into the ZIP.
+// Burst shots and other multi-image HEIF files list every image with a
+// thumbnail (#heic-images) when they are the only file; the ticked ones
+// are exported with numbered names. In a batch every image is exported.
+// Photos larger than the browser's canvas limits get a warning and are
+// scaled down to fit.
+
+import {
+  avifSupport,
+  convert,
+  countPages,
+  decodeNative,
+  formatBytes,
+  getBaseName,
+  isAbortError,
+  registerDecoder,
+  resolveQuality,
+  throwIfAborted
+} from "../core/image-pipeline.js";
+import {
+  startCancellable,
+  createProgress,
+  createAvifControls,
+  createJpegControls,
+  checkFileFormats,
+  checkImageSizes,
+  readDroppedFiles,
+  renderQueueList,
+  showToast
+} from "../app-common-ui.js";
+import { createBatchQueue } from "../core/batch-queue.js";
+import { sniffedFormat } from "../core/sniff.js";
+import { createZip } from "../core/zip-writer.js";
+import { createPreview } from "../app-preview.js";
+import { createEditor } from "../app-editor.js";
+import { t, errorMessage, getLocale, onLocaleChange } from "../app-i18n.js";
 
 const HEIC2ANY_SRC = "assets/js/vendor/heic2any.min.js";
+// Longer side of the image list thumbnails (px)
+const THUMB_EDGE = 160;
 
 // Lazy-load heic2any ---------------------------------------------------------
 
@@ -13,7 +58,7 @@ function loadScriptOnce(src) {
         resolve();
       } else {
         existing.addEventListener("load", () => resolve());
-        existing.addEventListener("error", () => reject(new Error(`Failed to load ${src}`)));
+        existing.addEventListener("error", () => reject(new Error(t("common.libraryFailed", { src }))));
       }
       return;
     }
@@ -26,7 +71,7 @@ function loadScriptOnce(src) {
       script.dataset.loaded = "true";
       resolve();
     });
-    script.addEventListener("error", () => reject(new Error(`Failed to load ${src}`)));
+    script.addEventListener("error", () => reject(new Error(t("common.libraryFailed", { src }))));
     document.head.appendChild(script);
   });
 }
@@ -35,7 +80,7 @@ async function ensureHeic2any() {
   if (window.heic2any) return window.heic2any;
   await loadScriptOnce(HEIC2ANY_SRC);
   if (!window.heic2any) {
-    throw new Error("heic2any is not available after loading.");
+    throw new Error(t("heic.libraryMissing"));
   }
   return window.heic2any;
 }
@@ -48,62 +93,149 @@ const fileInfoWrapper = document.getElementById("file-info-wrapper");
 const fileNameEl = document.getElementById("file-name");
 const fileSizeEl = document.getElementById("file-size");
 const changeFileBtn = document.getElementById("change-file-btn");
+const addFilesBtn = document.getElementById("add-files-btn");
+const folderBtn = document.getElementById("folder-btn");
+const folderInput = document.getElementById("folder-input");
+const queueList = document.getElementById("queue-list");
 
 const toFormatSelect = document.getElementById("to-format");
 const qualityRange = document.getElementById("quality-range");
 const compressSwitch = document.getElementById("compress-switch");
+const metadataSelect = document.getElementById("metadata-mode");
+const avifControls = document.getElementById("avif-controls");
+const jpegControls = document.getElementById("jpeg-controls");
 
 const convertForm = document.getElementById("converter-form");
 const convertBtn = document.getElementById("convert-btn");
 const convertSpinner = document.getElementById("convert-spinner");
+const cancelBtn = document.getElementById("cancel-btn");
 const resetBtn = document.getElementById("reset-btn");
 
 const statusText = document.getElementById("status-text");
 const progressWrapper = document.getElementById("progress-bar-wrapper");
 const progressBar = document.getElementById("progress-bar");
+const progressLabel = document.getElementById("progress-label");
 const downloadLink = document.getElementById("download-link");
+const downloadLabel = document.getElementById("download-label");
+const failedSummary = document.getElementById("failed-summary");
 const lastConvLabel = document.getElementById("last-conv-label");
 
+const imagesPanel = document.getElementById("heic-images");
+const imageList = imagesPanel ? imagesPanel.querySelector("[data-image-list]") : null;
+const imagesSummary = imagesPanel ? imagesPanel.querySelector("[data-images-summary]") : null;
+
 // Internal state -------------------------------------------------------------
 
+// First queued file: source of the editor and the preview
 let selectedFile = null;
+let resultUrl = null;
+// "Add" appends to the queue, "Change" replaces it
+let appendNext = false;
+
+// Settings of the running conversion (taken on Convert)
+let runOptions = null;
+let runIndices = null;
+
+// Images inside the file when it is the only one: decoded PNGs (null
+// for a single image), the one shown in the preview and the ones to export
+let images = null;
+let currentImage = 0;
+let picked = new Set();
+let thumbUrls = [];
+
+const progress = createProgress({
+  wrapper: progressWrapper,
+  bar: progressBar,
+  label: progressLabel
+});
+
+const avif = createAvifControls(avifControls, { format: toFormatSelect, support: avifSupport });
+const jpeg = createJpegControls(jpegControls, { format: toFormatSelect });
+
+// heic2any runs one file at a time anyway, so the queue does too
+const queue = createBatchQueue({
+  process: async (file, item, signal) => {
+    try {
+      return await convertQueuedFile(file, item, signal);
+    } finally {
+      // Failed files count as finished too
+      progress.itemDone(item.id);
+    }
+  },
+  onChange: renderQueue
+});
+
+// heic2any is slow, so the preview decodes each file once to PNG
+// and re-encodes that copy when settings change
+let previewDecode = null;
+
+function decodeForPreview(file) {
+  if (!previewDecode || previewDecode.file !== file) {
+    const png = convert(file, { format: "png" }).then((result) => result.blob);
+    previewDecode = { file, png };
+    png.catch(() => {
+      if (previewDecode && previewDecode.png === png) previewDecode = null;
+    });
+  }
+  return previewDecode.png;
+}
+
+const preview = createPreview(document.getElementById("image-preview"), {
+  watch: convertForm,
+  display: decodeForPreview,
+  render: async (file, signal) => {
+    // Images listed from a multi-image file already are PNGs
+    const png = images && images.includes(file) ? file : await decodeForPreview(file);
+    throwIfAborted(signal);
+    // EXIF comes from the HEIC itself, so the size readout leaves it out
+    return convert(png, { ...conversionOptions(), signal });
+  }
+});
+
+// Shows the same decoded copy as the preview
+const edit = createEditor(document.getElementById("edit-controls"), {
+  display: decodeForPreview,
+  onChange: () => preview.refresh()
+});
 
 // Helpers --------------------------------------------------------------------
 
-function formatBytes(bytes) {
-  if (bytes === 0) return "0 B";
-  const k = 1024;
-  const sizes = ["B", "KB", "MB", "GB"];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return `${(bytes / Math.pow(k, i)).toFixed(1)} ${sizes[i]}`;
+function clearResult() {
+  if (resultUrl) {
+    URL.revokeObjectURL(resultUrl);
+    resultUrl = null;
+  }
+  if (downloadLink) {
+    downloadLink.classList.add("d-none");
+    downloadLink.removeAttribute("href");
+  }
 }
 
 function setStatus(message) {
   if (statusText) statusText.textContent = message;
 }
 
-function toggleLoading(isLoading) {
-  if (!convertBtn || !convertSpinner || !progressWrapper) return;
-
-  if (isLoading) {
-    convertSpinner.classList.remove("d-none");
-    convertBtn.disabled = true;
-    progressWrapper.classList.remove("d-none");
-  } else {
-    convertSpinner.classList.add("d-none");
-    convertBtn.disabled = false;
-    progressWrapper.classList.add("d-none");
-  }
+function setWorking(isWorking) {
+  [convertBtn, resetBtn, changeFileBtn, addFilesBtn].forEach((btn) => {
+    if (btn) btn.disabled = isWorking;
+  });
+  if (convertSpinner) convertSpinner.classList.toggle("d-none", !isWorking);
+  if (!isWorking) progress.done();
 }
 
-function getBaseName(filename) {
-  const dotIdx = filename.lastIndexOf(".");
-  if (dotIdx === -1) return filename;
-  return filename.slice(0, dotIdx);
+// Per file: decode → (edit) → encode; several results also get packed into a ZIP
+function startProgress(count, bundled) {
+  const stages = runOptions.steps.length ? ["decode", "render", "encode"] : ["decode", "encode"];
+  progress.start({ stages: bundled ? [...stages, "package"] : stages, items: count });
 }
 
-// Prefer MIME type; only use extension if type is missing
+// The header decides once the file was sniffed on selection
+// (iPhones also save JPEGs named .heic); otherwise prefer MIME type,
+// only use extension if type is missing
 function isHeicFile(file) {
+  const sniffed = sniffedFormat(file);
+  if (sniffed) return sniffed === "heic";
+
   const name = (file.name || "").toLowerCase();
   const type = (file.type || "").toLowerCase();
 
@@ -118,32 +250,305 @@ function isHeicFile(file) {
   return false;
 }
 
+// HEIC plus what the browser reads itself; anything else (e.g. the .MOV
+// and .AAE files of a dropped iPhone folder) is skipped
+const INPUT_FORMATS = ["heic", "jpg", "png"];
+
+// The queued file when it is the only one
+function soleFile() {
+  const items = queue.getItems();
+  return items.length === 1 ? items[0].file : null;
+}
+
+// Image list (multi-image HEIF) ----------------------------------------------
+
+function clearImages() {
+  images = null;
+  currentImage = 0;
+  picked = new Set();
+  thumbUrls.forEach((url) => URL.revokeObjectURL(url));
+  thumbUrls = [];
+  if (imageList) imageList.textContent = "";
+  if (imagesPanel) imagesPanel.classList.add("d-none");
+}
+
+// Numbered output name of one image: photo-002.jpg
+function imageName(base, index, ext) {
+  return `${base}-${String(index + 1).padStart(3, "0")}.${ext}`;
+}
+
+function renderImages() {
+  if (!imagesPanel || !imageList) return;
+  imagesPanel.classList.toggle("d-none", !images);
+  if (!images) return;
+
+  if (imageList.children.length !== images.length) {
+    imageList.textContent = "";
+    images.forEach((_, index) => {
+      const tile = document.createElement("div");
+      tile.className = "heic-image-tile";
+      tile.dataset.index = String(index);
+
+      const show = document.createElement("button");
+      show.type = "button";
+      show.className = "heic-image-thumb";
+      show.dataset.imageShow = "";
+      const img = document.createElement("img");
+      img.alt = "";
+      if (thumbUrls[index]) img.src = thumbUrls[index];
+      show.appendChild(img);
+
+      const row = document.createElement("div");
+      row.className = "d-flex align-items-center justify-content-between mt-1";
+      const label = document.createElement("label");
+      label.className = "form-check small mb-0";
+      const check = document.createElement("input");
+      check.type = "checkbox";
+      check.className = "form-check-input";
+      check.dataset.imagePick = "";
+      const number = document.createElement("span");
+      number.className = "form-check-label";
+      number.textContent = String(index + 1);
+      label.append(check, number);
+
+      const download = document.createElement("button");
+      download.type = "button";
+      download.className = "btn btn-link btn-sm p-0 text-info";
+      download.dataset.imageDownload = "";
+      download.innerHTML = '<i class="bi bi-download"></i>';
+
+      row.append(label, download);
+      tile.append(show, row);
+      imageList.appendChild(tile);
+    });
+  }
+
+  Array.from(imageList.children).forEach((tile, index) => {
+    const current = index === currentImage;
+    tile.classList.toggle("is-current", current);
+    const show = tile.querySelector("[data-image-show]");
+    show.setAttribute("aria-pressed", String(current));
+    show.setAttribute("aria-label", t("heic.imageLabel", { index: index + 1, count: images.length }));
+    tile.querySelector("[data-image-pick]").checked = picked.has(index);
+    const download = tile.querySelector("[data-image-download]");
+    download.title = t("heic.downloadImage", { index: index + 1 });
+    download.setAttribute("aria-label", download.title);
+  });
+
+  if (imagesSummary) {
+    imagesSummary.textContent = t("heic.imagesSummary", { count: images.length, selected: picked.size });
+  }
+}
+
+// Small JPEG per image, one after the other
+async function renderThumbnails(file) {
+  const list = images;
+  for (let index = 0; list && index < list.length; index++) {
+    let url;
+    try {
+      const { blob } = await convert(list[index], {
+        format: "jpg",
+        quality: 0.7,
+        steps: [{ type: "resize", maxEdge: THUMB_EDGE }]
+      });
+      url = URL.createObjectURL(blob);
+    } catch (err) {
+      console.warn("Thumbnail failed.", err);
+      continue;
+    }
+    if (soleFile() !== file || images !== list) {
+      URL.revokeObjectURL(url);
+      return;
+    }
+    thumbUrls[index] = url;
+    const img = imageList ? imageList.querySelector(`[data-index="${index}"] img`) : null;
+    if (img) img.src = url;
+  }
+}
+
+// Counting decodes the file once; the PNGs are reused afterwards
+async function listImages(file) {
+  const count = await countPages(file);
+  if (soleFile() !== file || count < 2) return;
+  const list = await readHeicImages(file).catch(() => null);
+  if (soleFile() !== file || !list) return;
+
+  images = list;
+  currentImage = 0;
+  picked = new Set(list.map((_, index) => index));
+  renderImages();
+  setStatus(t("heic.imagesFound", { count: list.length }));
+  renderThumbnails(file);
+}
+
+function showImage(index) {
+  if (!images || index === currentImage) return;
+  currentImage = index;
+  preview.setSource(images[index]);
+  renderImages();
+}
+
+if (imagesPanel) {
+  imagesPanel.addEventListener("click", (e) => {
+    const select = e.target.closest("[data-images-select]");
+    if (select && images) {
+      picked = select.dataset.imagesSelect === "all" ? new Set(images.map((_, index) => index)) : new Set();
+      renderImages();
+      return;
+    }
+    const tile = e.target.closest(".heic-image-tile");
+    if (!tile || !images) return;
+    const index = Number(tile.dataset.index);
+    if (e.target.closest("[data-image-show]")) {
+      showImage(index);
+    } else if (e.target.closest("[data-image-download]")) {
+      startConversion([index]);
+    }
+  });
+
+  imagesPanel.addEventListener("change", (e) => {
+    const check = e.target.closest("[data-image-pick]");
+    if (!check || !images) return;
+    const index = Number(check.closest(".heic-image-tile").dataset.index);
+    if (check.checked) picked.add(index);
+    else picked.delete(index);
+    renderImages();
+  });
+
+  onLocaleChange(renderImages);
+}
+
 // File selection UI ----------------------------------------------------------
 
-function handleFile(file) {
-  selectedFile = file || null;
+function renderQueue(items) {
+  renderQueueList(queueList, items, {
+    describe: (item) => {
+      if (item.state !== "done") return formatBytes(item.file.size);
+      const { outputs, size } = item.result;
+      const text = `${formatBytes(item.file.size)} → ${formatBytes(size)}`;
+      return outputs.length > 1 ? `${text} · ${t("heic.imagesCount", { count: outputs.length })}` : text;
+    },
+    onRetry: retryItem,
+    onRemove: removeItem
+  });
 
-  if (!selectedFile) {
+  if (!items.length) {
     if (fileInfoWrapper) fileInfoWrapper.classList.add("d-none");
-    if (downloadLink) downloadLink.classList.add("d-none");
     if (uploadArea) uploadArea.classList.remove("d-none");
-    setStatus("No file selected yet.");
     return;
   }
 
-  if (fileNameEl) fileNameEl.textContent = selectedFile.name;
-  if (fileSizeEl) fileSizeEl.textContent = formatBytes(selectedFile.size);
+  const totalSize = items.reduce((sum, item) => sum + item.file.size, 0);
+  if (fileNameEl) {
+    fileNameEl.textContent = items.length === 1 ? items[0].file.name : t("files.selected", { count: items.length });
+  }
+  if (fileSizeEl) fileSizeEl.textContent = formatBytes(totalSize);
 
   // Hide upload area like on WebP page
   if (uploadArea) uploadArea.classList.add("d-none");
   if (fileInfoWrapper) fileInfoWrapper.classList.remove("d-none");
+}
 
-  setStatus("Ready to convert.");
-  if (downloadLink) downloadLink.classList.add("d-none");
+// Editor and preview follow the first file; its images are listed
+// while it is the only one
+function updateSource() {
+  const first = queue.getItems()[0];
+  const file = first ? first.file : null;
+  const sole = soleFile();
+
+  if (file !== selectedFile) {
+    clearImages();
+    selectedFile = file;
+    edit.setSource(file);
+    preview.setSource(file);
+    if (sole) listImages(sole);
+  } else if (!sole && images) {
+    // A second file hides the list; back from a shown image to the file
+    clearImages();
+    preview.setSource(file);
+  } else if (sole && !images) {
+    listImages(sole);
+  }
+}
+
+// Judged by the file header, see checkFileFormats()
+async function handleFilesSelected(fileList, append = false) {
+  const files = Array.from(fileList || []);
+  const { accepted } = await checkFileFormats(files, { accept: INPUT_FORMATS });
+  const skipped = files.length - accepted.length;
+
+  if (!accepted.length) {
+    if (files.length) setStatus(t("heic.unsupported"));
+    return;
+  }
+
+  if (!append) queue.clear();
+  clearResult();
+  queue.add(accepted);
+  updateSource();
+  checkImageSizes(accepted);
+
+  const count = queue.getItems().length;
+  let status = count === 1
+    ? t("files.selectedName", { name: accepted[0].name })
+    : t("files.ready", { count });
+  if (skipped) status += " " + t("heic.skipped", { count: skipped });
+  setStatus(status);
+}
+
+function clearFiles() {
+  queue.clear();
+  updateSource();
+  if (fileInput) fileInput.value = "";
+  if (folderInput) folderInput.value = "";
+  setStatus(t("common.noFile"));
+}
+
+function removeItem(id) {
+  queue.remove(id);
+  clearResult();
+  updateSource();
+  if (!queue.getItems().length) clearFiles();
+}
+
+function retryItem(id) {
+  return rerun([id]);
+}
+
+function retryFailed() {
+  const ids = queue.getItems()
+    .filter((item) => item.state === "error" || item.state === "cancelled")
+    .map((item) => item.id);
+  return rerun(ids);
+}
+
+async function rerun(ids) {
+  if (!ids.length || !runOptions) return;
+  ids.forEach((id) => queue.reset(id));
+
+  // During a run the items are simply picked up again by the queue
+  if (queue.isRunning()) return;
+
+  const run = startCancellable(cancelBtn);
+  setWorking(true);
+  // Results of the other files are packed together with the retried ones
+  startProgress(ids.length, queue.getItems().length > 1);
+  try {
+    const items = await queue.run({ signal: run.signal });
+    await finishRun(items, false);
+  } finally {
+    run.done();
+    setWorking(false);
+  }
+}
+
+function openPicker(append) {
+  appendNext = append;
+  if (fileInput) fileInput.click();
 }
 
 if (uploadArea && fileInput) {
-  uploadArea.addEventListener("click", () => fileInput.click());
+  uploadArea.addEventListener("click", () => openPicker(false));
 
   uploadArea.addEventListener("dragover", (e) => {
     e.preventDefault();
@@ -157,191 +562,367 @@ if (uploadArea && fileInput) {
     uploadArea.classList.remove("upload-area-active");
   });
 
-  uploadArea.addEventListener("drop", (e) => {
+  // Folders are read recursively (iPhone exports come as folders)
+  uploadArea.addEventListener("drop", async (e) => {
     e.preventDefault();
     e.stopPropagation();
     uploadArea.classList.remove("upload-area-active");
-    const files = e.dataTransfer.files;
-    if (files && files.length) {
-      handleFile(files[0]);
-    }
+    const files = await readDroppedFiles(e.dataTransfer);
+    if (files.length) handleFilesSelected(files, queue.getItems().length > 0);
   });
 
   fileInput.addEventListener("change", () => {
-    if (fileInput.files && fileInput.files.length) {
-      handleFile(fileInput.files[0]);
-    } else {
-      handleFile(null);
-    }
+    if (fileInput.files && fileInput.files.length) handleFilesSelected(fileInput.files, appendNext);
+    fileInput.value = "";
   });
 }
 
-// Change: clear and immediately reopen dialog (WebP-like UX)
-if (changeFileBtn && fileInput) {
-  changeFileBtn.addEventListener("click", () => {
-    fileInput.value = "";
-    handleFile(null);
-    fileInput.click();
+if (folderBtn && folderInput) {
+  folderBtn.addEventListener("click", (e) => {
+    // Not the upload area's own file dialog
+    e.stopPropagation();
+    folderInput.click();
+  });
+
+  folderInput.addEventListener("change", () => {
+    if (folderInput.files && folderInput.files.length) handleFilesSelected(folderInput.files, false);
+    folderInput.value = "";
   });
 }
 
+// "Change" replaces the selection, "Add" appends to it
+if (changeFileBtn) changeFileBtn.addEventListener("click", () => openPicker(false));
+if (addFilesBtn) addFilesBtn.addEventListener("click", () => openPicker(true));
+
 // Reset: full clear
-if (resetBtn && fileInput) {
+if (resetBtn) {
   resetBtn.addEventListener("click", () => {
-    fileInput.value = "";
-    handleFile(null);
-    if (progressWrapper) progressWrapper.classList.add("d-none");
+    clearFiles();
+    clearResult();
+    clearFailures();
+    progress.done();
   });
 }
 
-// Conversion helpers ---------------------------------------------------------
+onLocaleChange(() => renderQueue(queue.getItems()));
 
-async function convertHeicWithLib(file, targetMime, quality) {
-  const heic2any = await ensureHeic2any();
+// Conversion helpers ---------------------------------------------------------
 
-  const options = {
-    blob: file,
-    toType: targetMime
+// Pipeline options from the form (shared by Convert and the preview)
+function conversionOptions() {
+  return {
+    format: toFormatSelect && ["png", "avif"].includes(toFormatSelect.value) ? toFormatSelect.value : "jpg",
+    quality: resolveQuality(qualityRange ? qualityRange.value : 90, {
+      compress: !compressSwitch || compressSwitch.checked
+    }),
+    // EXIF is read from the HEIC itself, heic2any drops it
+    metadata: metadataSelect ? metadataSelect.value : "strip",
+    steps: edit.getSteps(),
+    ...avif.getOptions(),
+    ...jpeg.getOptions()
   };
+}
 
-  if (targetMime === "image/jpeg") {
-    options.quality = quality;
-  }
+// heic2any decodes every image of a file in one go, so the PNGs of
+// the last file are kept for the other images, preview and thumbnails
+let heicDecode = null;
 
-  const result = await heic2any(options);
-  if (Array.isArray(result)) {
-    return result[0];
+function readHeicImages(file) {
+  if (!heicDecode || heicDecode.file !== file) {
+    const pngs = decodeHeicWithLib(file);
+    heicDecode = { file, pngs };
+    pngs.catch(() => {
+      if (heicDecode && heicDecode.pngs === pngs) heicDecode = null;
+    });
   }
-  return result;
+  return heicDecode.pngs;
 }
 
-async function convertImageViaCanvas(file, targetMime, quality) {
-  const dataUrl = await new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = () => reject(new Error("Failed to read image."));
-    reader.readAsDataURL(file);
-  });
-
-  const img = await new Promise((resolve, reject) => {
-    const image = new Image();
-    image.onload = () => resolve(image);
-    image.onerror = () => reject(new Error("Failed to load image."));
-    image.src = dataUrl;
-  });
-
-  const canvas = document.createElement("canvas");
-  canvas.width = img.width;
-  canvas.height = img.height;
-  const ctx = canvas.getContext("2d");
-  ctx.drawImage(img, 0, 0);
+// Decode HEIC to lossless PNGs (one per contained image) with heic2any,
+// then hand them to the pipeline so quality and background handling
+// match other converters.
+async function decodeHeicWithLib(file) {
+  const heic2any = await ensureHeic2any();
 
-  const blob = await new Promise((resolve) => {
-    if (targetMime === "image/jpeg") {
-      canvas.toBlob((b) => resolve(b), targetMime, quality);
-    } else {
-      canvas.toBlob((b) => resolve(b), targetMime);
+  try {
+    const result = await heic2any({ blob: file, toType: "image/png", multiple: true });
+    return Array.isArray(result) ? result : [result];
+  } catch (err) {
+    const msg = (err && err.message) || "";
+    if (
+      err &&
+      (err.code === 1 ||
+        msg.includes("already browser readable") ||
+        msg.toLowerCase().includes("already browser-readable"))
+    ) {
+      // File is actually JPEG/PNG inside → decode natively
+      console.warn("heic2any: file is browser readable, using native decoder.", err);
+      return [file];
     }
-  });
+    // heic2any rejects with plain objects; the queue keeps Errors
+    throw err instanceof Error ? err : new Error(msg || t("heic.failed"));
+  }
+}
 
-  return blob;
+// heic2any reports nothing until it is done → indeterminate bar
+registerDecoder({
+  name: "heic",
+  test: isHeicFile,
+  decode: async (file, { frame } = {}) => {
+    const pngs = await readHeicImages(file);
+    return decodeNative(pngs[Math.min(Math.max(frame || 0, 0), pngs.length - 1)]);
+  },
+  count: async (file) => (await readHeicImages(file)).length,
+  indeterminate: true
+});
+
+// Images to export: the ticked ones of a multi-image file
+function exportIndices() {
+  return images ? [...picked].sort((a, b) => a - b) : null;
 }
 
-async function runConversion() {
-  if (!selectedFile) {
-    throw new Error("Please select a file first.");
+// One queue entry: every image of the file (or the picked ones of a
+// lone multi-image file), numbered when the file holds several
+async function convertQueuedFile(file, item, signal) {
+  const count = await countPages(file);
+  throwIfAborted(signal);
+
+  const indices = runIndices && file === selectedFile ? runIndices : Array.from({ length: count }, (_, i) => i);
+  const format = runOptions.format;
+  const base = getBaseName(file.name);
+  const outputs = [];
+
+  for (const [position, index] of indices.entries()) {
+    setStatus(
+      indices.length > 1
+        ? t("heic.convertingImage", { index: position + 1, count: indices.length })
+        : t("common.converting")
+    );
+
+    const { blob } = await convert(file, {
+      ...runOptions,
+      frame: index,
+      signal,
+      onProgress: (stage, info) => progress.stage(stage, { ...info, item: item.id })
+    });
+    throwIfAborted(signal);
+
+    if (!blob) {
+      throw new Error(t("common.noResult"));
+    }
+    outputs.push({ name: count > 1 ? imageName(base, index, format) : `${base}.${format}`, data: blob });
   }
 
-  const targetFormat = toFormatSelect && toFormatSelect.value === "png" ? "png" : "jpg";
-  const targetMime = targetFormat === "png" ? "image/png" : "image/jpeg";
+  return { outputs, size: outputs.reduce((sum, output) => sum + output.data.size, 0) };
+}
 
-  let quality = qualityRange ? parseInt(qualityRange.value, 10) / 100 : 0.9;
-  if (compressSwitch && !compressSwitch.checked) {
-    quality = 1;
-  }
+// Failed files grouped by reason
+function groupFailures(failed) {
+  const reasons = new Map();
+  failed.forEach((item) => {
+    const reason = errorMessage(item.error);
+    if (!reasons.has(reason)) reasons.set(reason, []);
+    reasons.get(reason).push(item.file.name);
+  });
+  return reasons;
+}
 
-  setStatus("Converting...");
-  if (progressBar) progressBar.style.width = "20%";
+function clearFailures() {
+  if (!failedSummary) return;
+  failedSummary.classList.add("d-none");
+  failedSummary.open = false;
+  const list = failedSummary.querySelector("[data-failed-list]");
+  if (list) list.textContent = "";
+}
 
-  let outputBlob;
+function renderFailures(failed) {
+  clearFailures();
+  if (!failedSummary || !failed.length) return;
+
+  const title = failedSummary.querySelector("[data-failed-title]");
+  const list = failedSummary.querySelector("[data-failed-list]");
+  if (title) title.textContent = t("heic.failedTitle", { count: failed.length });
+  groupFailures(failed).forEach((names, reason) => {
+    const li = document.createElement("li");
+    const strong = document.createElement("strong");
+    strong.textContent = reason;
+    li.append(strong, ` — ${names.join(", ")}`);
+    if (list) list.appendChild(li);
+  });
+  failedSummary.classList.remove("d-none");
+}
 
-  if (isHeicFile(selectedFile)) {
-    try {
-      // Try HEIC library first
-      outputBlob = await convertHeicWithLib(selectedFile, targetMime, quality);
-    } catch (err) {
-      console.warn("heic2any error, falling back to canvas:", err);
-      const msg = (err && err.message) || "";
-      if (
-        err &&
-        (err.code === 1 ||
-          msg.includes("already browser readable") ||
-          msg.toLowerCase().includes("already browser-readable"))
-      ) {
-        // File is actually JPEG/PNG inside → fall back to canvas
-        outputBlob = await convertImageViaCanvas(selectedFile, targetMime, quality);
-      } else {
-        throw err;
-      }
-    }
-  } else {
-    // Non-HEIC: just re-encode via canvas
-    outputBlob = await convertImageViaCanvas(selectedFile, targetMime, quality);
+// Plain-text copy of the failure summary for the ZIP
+function failureReport(failed) {
+  const lines = [t("heic.failedTitle", { count: failed.length }), ""];
+  groupFailures(failed).forEach((names, reason) => {
+    lines.push(reason, ...names.map((name) => `  ${name}`), "");
+  });
+  return new Blob([lines.join("\n")], { type: "text/plain" });
+}
+
+async function finishRun(items, autoDownload) {
+  const done = items.filter((item) => item.state === "done");
+  const failed = items.filter((item) => item.state === "error" || item.state === "cancelled");
+  const errors = items.filter((item) => item.state === "error");
+
+  clearResult();
+  renderFailures(errors);
+
+  if (errors.length) {
+    showToast(t("files.failed", { count: errors.length }), "error", 8000, {
+      actions: [
+        {
+          label: errors.length === 1 ? t("common.retry") : t("files.retryFailed"),
+          icon: "bi-arrow-clockwise",
+          onClick: retryFailed
+        }
+      ]
+    });
   }
 
-  if (!outputBlob) {
-    throw new Error("Conversion did not produce a result.");
+  if (!done.length) {
+    setStatus(
+      items.length === 1 && items[0].error
+        ? t("common.failedWith", { message: errorMessage(items[0].error) })
+        : t("files.allFailed")
+    );
+    return;
   }
 
-  if (progressBar) progressBar.style.width = "80%";
+  const outputs = done.flatMap((item) => item.result.outputs);
+  let outputBlob = outputs[0].data;
+  let outName = outputs[0].name;
+  if (outputs.length > 1 || errors.length) {
+    setStatus(t("common.packingZip"));
+    progress.stage("package");
+    const entries = errors.length
+      ? [...outputs, { name: "conversion-errors.txt", data: failureReport(errors) }]
+      : outputs;
+    outputBlob = await createZip(entries);
+    outName = items.length === 1
+      ? `${getBaseName(items[0].file.name)}-images.zip`
+      : `quickconvert-${runOptions.format}-images.zip`;
+  }
 
-    const base = getBaseName(selectedFile.name);
-    const outName = `${base}.${targetFormat}`;
-    const url = URL.createObjectURL(outputBlob);
+  resultUrl = URL.createObjectURL(outputBlob);
 
-    if (downloadLink) {
-      downloadLink.href = url;
-      downloadLink.download = outName;
-      downloadLink.classList.remove("d-none");
+  if (downloadLink) {
+    downloadLink.href = resultUrl;
+    downloadLink.download = outName;
+    if (downloadLabel) {
+      downloadLabel.textContent = outputs.length > 1
+        ? t("files.downloadAll", { count: outputs.length })
+        : t("ui.downloadResult");
+    }
+    downloadLink.classList.remove("d-none");
 
-      // Auto-download after successful conversion, keep link as fallback
+    // Auto-download after successful conversion, keep link as fallback
+    if (autoDownload) {
       try {
         downloadLink.click();
       } catch (e) {
         console.warn("Auto-download failed, manual link is available.", e);
       }
     }
+  }
 
-    if (progressBar) progressBar.style.width = "100%";
-    setStatus("Done. File has been downloaded. You can use “Download result” again if needed.");
-    if (lastConvLabel) {
-      lastConvLabel.textContent = `Last: ${new Date().toLocaleTimeString()}`;
-    }
+  const size = formatBytes(outputBlob.size);
+  if (failed.length) {
+    const summary = outputs.length > 1
+      ? t("heic.readyImages", { count: outputs.length, name: outName, size })
+      : t("heic.readyOne", { name: outName, size });
+    setStatus(t("files.someFailed", { summary, count: failed.length }));
+  } else {
+    setStatus(
+      outputs.length > 1
+        ? t("heic.doneImages", { count: outputs.length, name: outName, size })
+        : t("heic.done")
+    );
+  }
+  if (lastConvLabel) {
+    lastConvLabel.textContent = t("common.last", { time: new Date().toLocaleTimeString(getLocale()) });
+  }
 }
 
 // Form submit ----------------------------------------------------------------
 
-if (convertForm) {
-  convertForm.addEventListener("submit", async (e) => {
-    e.preventDefault();
+// Convert the queue (Convert button). A lone multi-image file exports the
+// given images: the ticked ones, or a thumbnail download button's one.
+async function startConversion(indices) {
+  if (!queue.getItems().length) {
+    setStatus(t("common.selectFirst"));
+    return;
+  }
 
-    if (!selectedFile) {
-      setStatus("Please select a file first.");
-      return;
-    }
+  if (queue.isRunning()) return;
 
-    toggleLoading(true);
-    if (progressBar) progressBar.style.width = "10%";
-    setStatus("Preparing conversion...");
+  if (indices && !indices.length) {
+    setStatus(t("heic.noneSelected"));
+    return;
+  }
 
-    try {
-      await runConversion();
-    } catch (err) {
-      console.error(err);
-      setStatus(`Error: ${err.message || "conversion failed."}`);
-      if (downloadLink) downloadLink.classList.add("d-none");
-    } finally {
-      toggleLoading(false);
+  if (toFormatSelect && toFormatSelect.value === "avif" && !(await avifSupport())) {
+    setStatus(t("avif.unavailable"));
+    return;
+  }
+
+  runOptions = conversionOptions();
+  runIndices = indices;
+  clearResult();
+  clearFailures();
+  queue.reset();
+
+  const count = queue.getItems().length;
+  setWorking(true);
+  startProgress(count, count > 1 || (indices || []).length > 1);
+  setStatus(t("common.preparing"));
+
+  // heic2any itself cannot be interrupted; Cancel drops its result
+  const run = startCancellable(cancelBtn);
+
+  try {
+    const items = await queue.run({ signal: run.signal });
+
+    if (run.signal.aborted) {
+      // Offer whatever finished before Cancel, without auto-download
+      const done = items.filter((item) => item.state === "done").length;
+      if (done) {
+        await finishRun(items, false);
+        setStatus(t("files.cancelledPartial", { done, count: items.length }));
+      } else {
+        clearResult();
+        setStatus(t("common.cancelled"));
+      }
+    } else {
+      await finishRun(items, true);
+    }
+  } catch (err) {
+    clearResult();
+    if (isAbortError(err)) {
+      setStatus(t("common.cancelled"));
+      return;
     }
+    console.error(err);
+    setStatus(t("common.error", { message: errorMessage(err) }));
+    showToast(t("heic.failed"), "error", 8000, {
+      actions: [
+        {
+          label: t("common.retry"),
+          icon: "bi-arrow-clockwise",
+          onClick: () => startConversion(indices)
+        }
+      ]
+    });
+  } finally {
+    run.done();
+    setWorking(false);
+  }
+}
+
+if (convertForm) {
+  convertForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    startConversion(exportIndices());
   });
 }
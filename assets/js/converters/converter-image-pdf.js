@@ -1,10 +1,42 @@
 // assets/js/converters/converter-image-pdf.js
 // JPG/PNG ↔ PDF converter logic with lazy loading of jsPDF & pdf.js
+// Every page of a multi-page TIFF becomes a PDF page
+// Files are judged by their header, so a PDF without the .pdf name
+// still switches the mode and a HEIC or SVG points to its converter
+// Images and PDF pages beyond the browser's canvas limits are scaled down
+
+import {
+  decode,
+  countPages,
+  encode,
+  getSize,
+  release,
+  formatBytes,
+  getBaseName,
+  resolveQuality,
+  readFileAsDataURL,
+  downloadBlob,
+  isAbortError,
+  throwIfAborted,
+  fitCanvasSize
+} from "../core/image-pipeline.js";
+import { createZip } from "../core/zip-writer.js";
+import {
+  startCancellable,
+  createProgress,
+  showToast,
+  checkFileFormats,
+  checkImageSizes
+} from "../app-common-ui.js";
+import { t, errorMessage, getLocale } from "../app-i18n.js";
 
 const JSPDF_SRC = "assets/js/vendor/jspdf.umd.min.js";
 const PDF_JS_SRC = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js";
 const PDF_WORKER_SRC = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
 
+// Input formats, judged by the file header (core/sniff.js)
+const INPUT_FORMATS = ["pdf", "jpg", "png", "webp", "gif", "bmp", "tiff", "avif"];
+
 // --- Lazy-load helpers ------------------------------------------------------
 
 function loadScriptOnce(src) {
@@ -16,7 +48,7 @@ function loadScriptOnce(src) {
       } else {
         existing.addEventListener("load", () => resolve());
         existing.addEventListener("error", () =>
-          reject(new Error(`Failed to load ${src}`))
+          reject(new Error(t("common.libraryFailed", { src })))
         );
       }
       return;
@@ -31,7 +63,7 @@ function loadScriptOnce(src) {
       resolve();
     });
     script.addEventListener("error", () =>
-      reject(new Error(`Failed to load ${src}`))
+      reject(new Error(t("common.libraryFailed", { src })))
     );
     document.head.appendChild(script);
   });
@@ -43,7 +75,7 @@ async function ensureJsPdf() {
   }
   await loadScriptOnce(JSPDF_SRC);
   if (!window.jspdf || !window.jspdf.jsPDF) {
-    throw new Error("jsPDF not available after loading.");
+    throw new Error(t("pdf.jspdfMissing"));
   }
   return window.jspdf.jsPDF;
 }
@@ -54,12 +86,19 @@ async function ensurePdfJs() {
   }
   await loadScriptOnce(PDF_JS_SRC);
   if (!window.pdfjsLib || !window.pdfjsLib.GlobalWorkerOptions) {
-    throw new Error("pdfjsLib not available after loading.");
+    throw new Error(t("pdf.pdfjsMissing"));
   }
   window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_SRC;
   return window.pdfjsLib;
 }
 
+// Selection does not fit the chosen mode (the user can fix it in settings)
+function selectionError(message) {
+  const err = new Error(message);
+  err.code = "BAD_SELECTION";
+  return err;
+}
+
 // ---------------------------------------------------------------------------
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -79,30 +118,31 @@ document.addEventListener("DOMContentLoaded", () => {
   const toFormatSelect       = $("#to-format");
   const pageSizeSelect       = $("#page-size");
   const qualityRange         = $("#quality-range");
+  const pagesOutputSelect    = $("#pages-output");
 
   const convertForm       = $("#converter-form");
   const convertBtn        = $("#convert-btn");
   const convertSpinner    = $("#convert-spinner");
+  const cancelBtn         = $("#cancel-btn");
   const resetBtn          = $("#reset-btn");
 
   const statusText        = $("#status-text");
   const progressWrapper   = $("#progress-bar-wrapper");
   const progressBar       = $("#progress-bar");
+  const progressLabel     = $("#progress-label");
   const downloadLink      = $("#download-link");
   const lastConvLabel     = $("#last-conv-label");
 
   let selectedFiles = [];
+  let resultUrl = null;
 
-  // --- Small helpers --------------------------------------------------------
+  const progress = createProgress({
+    wrapper: progressWrapper,
+    bar: progressBar,
+    label: progressLabel
+  });
 
-  function formatBytes(bytes) {
-    if (!bytes && bytes !== 0) return "";
-    if (bytes === 0) return "0 B";
-    const k = 1024;
-    const sizes = ["B", "KB", "MB", "GB", "TB"];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return `${(bytes / Math.pow(k, i)).toFixed(1)} ${sizes[i]}`;
-  }
+  // --- Small helpers --------------------------------------------------------
 
   function setStatus(message) {
     statusText.textContent = message;
@@ -112,54 +152,70 @@ document.addEventListener("DOMContentLoaded", () => {
     if (isLoading) {
       convertSpinner.classList.remove("d-none");
       convertBtn.disabled = true;
-      progressWrapper.classList.remove("d-none");
     } else {
       convertSpinner.classList.add("d-none");
       convertBtn.disabled = false;
-      progressWrapper.classList.add("d-none");
+      progress.done();
     }
   }
 
+  function hideDownload() {
+    downloadLink.classList.add("d-none");
+    if (resultUrl) {
+      URL.revokeObjectURL(resultUrl);
+      resultUrl = null;
+    }
+  }
+
+  // Auto-download + fallback button
+  function offerDownload(blob, filename, { auto = true } = {}) {
+    hideDownload();
+    resultUrl = auto
+      ? downloadBlob(blob, filename)
+      : URL.createObjectURL(blob);
+    downloadLink.href = resultUrl;
+    downloadLink.download = filename;
+    downloadLink.classList.remove("d-none");
+  }
+
   function resetUI() {
     selectedFiles = [];
     fileInput.value = "";
     fileInfoWrapper.classList.add("d-none");
     uploadArea.classList.remove("upload-area-active", "dragover");
-    downloadLink.classList.add("d-none");
-    progressWrapper.classList.add("d-none");
+    hideDownload();
+    progress.done();
 
     conversionModeSelect.value = "auto";
     toFormatSelect.value = "pdf";
     pageSizeSelect.value = "a4";
     qualityRange.value = 90;
+    if (pagesOutputSelect) pagesOutputSelect.value = "zip";
 
-    setStatus("No files selected yet.");
+    setStatus(t("pdf.noFiles"));
   }
 
-  function getBaseName(filename) {
-    const dotIdx = filename.lastIndexOf(".");
-    if (dotIdx === -1) return filename;
-    return filename.slice(0, dotIdx);
+  // Selected files carry the type their header says (checkFileFormats)
+  function isPdf(file) {
+    return file.type === "application/pdf";
   }
 
   function detectMode(files) {
-    const hasPdf = files.some(
-      (f) =>
-        f.type === "application/pdf" ||
-        f.name.toLowerCase().endsWith(".pdf")
-    );
-    return hasPdf ? "pdf-to-image" : "image-to-pdf";
+    return files.some(isPdf) ? "pdf-to-image" : "image-to-pdf";
   }
 
   // --- File selection UI ----------------------------------------------------
 
-  function handleFiles(files) {
-    selectedFiles = Array.from(files || []).filter((f) => f && f.size > 0);
+  async function handleFiles(files) {
+    const picked = Array.from(files || []).filter((f) => f && f.size > 0);
+    const { accepted } = await checkFileFormats(picked, { accept: INPUT_FORMATS });
+    const skipped = picked.length - accepted.length;
+    selectedFiles = accepted;
 
     if (!selectedFiles.length) {
       fileInfoWrapper.classList.add("d-none");
-      setStatus("No files selected yet.");
-      downloadLink.classList.add("d-none");
+      setStatus(skipped ? t("common.unsupportedType") : t("pdf.noFiles"));
+      hideDownload();
       return;
     }
 
@@ -167,7 +223,7 @@ document.addEventListener("DOMContentLoaded", () => {
     fileSummaryEl.textContent =
       selectedFiles.length === 1
         ? selectedFiles[0].name
-        : `${selectedFiles.length} files selected`;
+        : t("files.selected", { count: selectedFiles.length });
     fileSizeEl.textContent = formatBytes(totalSize);
 
     fileListEl.innerHTML = selectedFiles
@@ -175,14 +231,17 @@ document.addEventListener("DOMContentLoaded", () => {
       .map((f) => f.name)
       .join("<br>");
     if (selectedFiles.length > 10) {
-      fileListEl.innerHTML += `<br>… and ${
-        selectedFiles.length - 10
-      } more`;
+      fileListEl.innerHTML += `<br>${t("pdf.andMore", {
+        count: selectedFiles.length - 10
+      })}`;
     }
 
     fileInfoWrapper.classList.remove("d-none");
-    downloadLink.classList.add("d-none");
-    setStatus("Ready to convert.");
+    hideDownload();
+    setStatus(
+      skipped ? `${t("common.ready")} ${t("pdf.skipped", { count: skipped })}` : t("common.ready")
+    );
+    checkImageSizes(selectedFiles);
 
     // Авто-настройка направления, если пользователь в режиме auto
     if (conversionModeSelect.value === "auto") {
@@ -238,6 +297,11 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  function focusModeSelect() {
+    conversionModeSelect.scrollIntoView({ block: "center", behavior: "smooth" });
+    conversionModeSelect.focus();
+  }
+
   // --- Mode switching (Swap) ------------------------------------------------
 
   if (swapModeBtn) {
@@ -263,17 +327,31 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // --- Image -> PDF ---------------------------------------------------------
 
-  async function convertImagesToPdf(files) {
+  async function convertImagesToPdf(files, signal) {
     const imageFiles = files.filter((f) => f.type.startsWith("image/"));
     if (!imageFiles.length) {
-      throw new Error("No images found in selection.");
+      throw selectionError(t("pdf.noImages"));
     }
 
+    // One entry per PDF page (multi-page TIFFs add several)
+    const pages = [];
+    for (const file of imageFiles) {
+      const count = await countPages(file);
+      for (let frame = 0; frame < count; frame++) pages.push({ file, frame });
+    }
+    throwIfAborted(signal);
+
+    // Per image: decode → JPEG encode → place on a page; then write the PDF
+    progress.start({
+      stages: ["decode", "encode", "render", "package"],
+      items: pages.length
+    });
+
     const jsPDF = await ensureJsPdf();
+    throwIfAborted(signal);
 
     const pageSizeKey = pageSizeSelect.value; // "a4" | "letter" | "fit-image"
-    const qualityVal = parseInt(qualityRange.value, 10) || 90;
-    const quality = Math.min(Math.max(qualityVal / 100, 0.4), 1.0);
+    const quality = resolveQuality(qualityRange.value);
 
     const sizes = {
       a4: [595.28, 841.89],
@@ -290,23 +368,24 @@ document.addEventListener("DOMContentLoaded", () => {
       });
     };
 
-    for (let index = 0; index < imageFiles.length; index++) {
-      const file = imageFiles[index];
+    for (let index = 0; index < pages.length; index++) {
+      const { file, frame } = pages[index];
 
-      const imageDataUrl = await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = () =>
-          reject(new Error("Failed to read an image file."));
-        reader.readAsDataURL(file);
-      });
-
-      const img = await new Promise((resolve, reject) => {
-        const image = new Image();
-        image.onload = () => resolve(image);
-        image.onerror = () => reject(new Error("Failed to load image data."));
-        image.src = imageDataUrl;
-      });
+      // Re-encode every image as JPEG (white background) so that
+      // PNG/WebP/GIF/BMP/TIFF input is embedded the same way
+      progress.stage("decode", { item: index });
+      const bitmap = await decode(file, { signal, frame });
+      const img = getSize(bitmap);
+      let jpegBlob;
+      try {
+        progress.stage("encode", { item: index });
+        jpegBlob = await encode(bitmap, { format: "jpg", quality, signal });
+      } finally {
+        release(bitmap);
+      }
+      const imageDataUrl = await readFileAsDataURL(jpegBlob);
+      throwIfAborted(signal);
+      progress.stage("render", { item: index });
 
       let pageWidth, pageHeight;
 
@@ -362,106 +441,143 @@ document.addEventListener("DOMContentLoaded", () => {
         quality
       );
 
-      progressBar.style.width = `${
-        ((index + 1) / imageFiles.length) * 100
-      }%`;
+      progress.itemDone(index);
     }
 
+    progress.stage("package");
     const outputBlob = pdf.output("blob");
     const firstName = imageFiles[0].name || "converted";
     const base = getBaseName(firstName);
-    const blobUrl = URL.createObjectURL(outputBlob);
-
-    // авто-скачивание
-    const autoLink = document.createElement("a");
-    autoLink.href = blobUrl;
-    autoLink.download = `${base}.pdf`;
-    document.body.appendChild(autoLink);
-    autoLink.click();
-    document.body.removeChild(autoLink);
-
-    // fallback-кнопка
-    downloadLink.href = blobUrl;
-    downloadLink.download = `${base}.pdf`;
-    downloadLink.classList.remove("d-none");
 
-    lastConvLabel.textContent = new Date().toLocaleString();
-    setStatus("PDF ready — downloaded automatically. If not, use the button below.");
+    offerDownload(outputBlob, `${base}.pdf`);
+
+    lastConvLabel.textContent = new Date().toLocaleString(getLocale());
+    setStatus(t("pdf.pdfReady"));
   }
 
   // --- PDF -> Images --------------------------------------------------------
 
-  async function convertPdfToImages(files) {
-    const pdfFile = files.find(
-      (f) =>
-        f.type === "application/pdf" ||
-        f.name.toLowerCase().endsWith(".pdf")
-    );
+  async function convertPdfToImages(files, signal) {
+    const pdfFile = files.find(isPdf);
     if (!pdfFile) {
-      throw new Error("No PDF file found in selection.");
+      throw selectionError(t("pdf.noPdf"));
     }
 
+    progress.start({ stages: ["read"] });
+    progress.stage("read");
+
     const pdfjsLib = await ensurePdfJs();
     const pdfData = await pdfFile.arrayBuffer();
 
+    throwIfAborted(signal);
+
     const pdf = await pdfjsLib.getDocument({ data: pdfData }).promise;
     const numPages = pdf.numPages;
 
     const targetFormat = toFormatSelect.value === "png" ? "png" : "jpg";
 
-    const qualityVal = parseInt(qualityRange.value, 10) || 90;
-    const quality = Math.min(Math.max(qualityVal / 100, 0.4), 1.0);
+    const quality = resolveQuality(qualityRange.value);
+
+    // "zip" (default) bundles every page, "separate" keeps the old
+    // one-download-per-page behaviour
+    const asZip = !pagesOutputSelect || pagesOutputSelect.value !== "separate";
+    const base = getBaseName(pdfFile.name);
+    const digits = Math.max(3, String(numPages).length);
+    const pages = [];
+    // Pages rendered below the usual resolution to fit the canvas limits
+    let reduced = 0;
+
+    // Per page: render → encode; the ZIP is packed once at the end
+    progress.start({
+      stages: asZip ? ["render", "encode", "package"] : ["render", "encode"],
+      items: numPages
+    });
 
     setStatus(
-      `Rendering ${numPages} page(s) to ${targetFormat.toUpperCase()}...`
+      t("pdf.renderingPages", { count: numPages, format: targetFormat.toUpperCase() })
     );
-    downloadLink.classList.add("d-none");
+    hideDownload();
+
+    try {
+      for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+        throwIfAborted(signal);
+        progress.stage("render", { item: pageNum });
+        const page = await pdf.getPage(pageNum);
+        let viewport = page.getViewport({ scale: 2.0 });
+        const fit = fitCanvasSize(viewport);
+        if (fit.scale < 1) {
+          viewport = page.getViewport({ scale: 2.0 * fit.scale });
+          reduced++;
+        }
 
-    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-      const page = await pdf.getPage(pageNum);
-      const viewport = page.getViewport({ scale: 2.0 });
-
-      const canvas = document.createElement("canvas");
-      const ctx = canvas.getContext("2d");
-      canvas.width = viewport.width;
-      canvas.height = viewport.height;
-
-      await page.render({ canvasContext: ctx, viewport }).promise;
-
-      const mimeType =
-        targetFormat === "png" ? "image/png" : "image/jpeg";
-
-      const blob = await new Promise((resolve, reject) => {
-        canvas.toBlob(
-          (b) => {
-            if (!b) {
-              reject(new Error("Failed to create image blob."));
-              return;
-            }
-            resolve(b);
-          },
-          mimeType,
-          targetFormat === "jpg" ? quality : undefined
-        );
-      });
+        const canvas = document.createElement("canvas");
+        const ctx = canvas.getContext("2d");
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+
+        const task = page.render({ canvasContext: ctx, viewport });
+        const onAbort = () => task.cancel();
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+        try {
+          await task.promise;
+        } catch (err) {
+          // pdf.js rejects a cancelled render with its own error type
+          throwIfAborted(signal);
+          throw err;
+        } finally {
+          if (signal) signal.removeEventListener("abort", onAbort);
+        }
 
-      const base = getBaseName(pdfFile.name);
-      const filename = `${base}-page-${pageNum}.${targetFormat}`;
+        progress.stage("encode", { item: pageNum });
+        const blob = await encode(canvas, {
+          format: targetFormat,
+          quality,
+          signal
+        });
 
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+        if (asZip) {
+          const num = String(pageNum).padStart(digits, "0");
+          pages.push({ name: `page-${num}.${targetFormat}`, data: blob });
+        } else {
+          const filename = `${base}-page-${pageNum}.${targetFormat}`;
+          URL.revokeObjectURL(downloadBlob(blob, filename));
+        }
+
+        page.cleanup();
+        progress.itemDone(pageNum);
+      }
+    } catch (err) {
+      if (!isAbortError(err) || !asZip || !pages.length) throw err;
+
+      // Keep what was already rendered, but do not push a download
+      const zipName = `${base}-pages-1-${pages.length}.zip`;
+      offerDownload(await createZip(pages), zipName, { auto: false });
+      setStatus(
+        t("pdf.cancelledPartial", { done: pages.length, count: numPages, name: zipName })
+      );
+      return;
+    } finally {
+      pdf.destroy();
+    }
 
-      progressBar.style.width = `${(pageNum / numPages) * 100}%`;
+    lastConvLabel.textContent = new Date().toLocaleString(getLocale());
+    if (reduced) showToast(t("limits.pdfScaled", { count: reduced }), "warning", 8000);
+
+    if (!asZip) {
+      setStatus(t("pdf.pagesSeparate"));
+      return;
     }
 
-    lastConvLabel.textContent = new Date().toLocaleString();
-    setStatus("All pages exported as images and downloaded one by one.");
+    setStatus(t("pdf.packingPages"));
+    progress.stage("package");
+    const zipBlob = await createZip(pages);
+    const zipName = `${base}-pages.zip`;
+
+    offerDownload(zipBlob, zipName);
+
+    setStatus(
+      t("pdf.pagesZipped", { count: numPages, name: zipName, size: formatBytes(zipBlob.size) })
+    );
   }
 
   // --- Form submit ----------------------------------------------------------
@@ -471,7 +587,7 @@ document.addEventListener("DOMContentLoaded", () => {
       e.preventDefault();
 
       if (!selectedFiles.length) {
-        setStatus("Please select at least one file first.");
+        setStatus(t("pdf.selectFirst"));
         return;
       }
 
@@ -481,22 +597,40 @@ document.addEventListener("DOMContentLoaded", () => {
       }
 
       toggleLoading(true);
-      progressBar.style.width = "15%";
-      setStatus("Preparing conversion...");
+      const run = startCancellable(cancelBtn);
+      setStatus(t("common.preparing"));
 
       try {
         if (mode === "image-to-pdf") {
-          await convertImagesToPdf(selectedFiles);
+          await convertImagesToPdf(selectedFiles, run.signal);
         } else if (mode === "pdf-to-image") {
-          await convertPdfToImages(selectedFiles);
+          await convertPdfToImages(selectedFiles, run.signal);
         } else {
-          throw new Error("Unsupported conversion mode.");
+          throw selectionError(t("pdf.badMode"));
         }
       } catch (err) {
+        if (isAbortError(err)) {
+          setStatus(t("common.cancelled"));
+          hideDownload();
+          return;
+        }
         console.error(err);
-        setStatus(`Error: ${err.message || "conversion failed."}`);
-        downloadLink.classList.add("d-none");
+        const message = errorMessage(err);
+        setStatus(t("common.error", { message }));
+        hideDownload();
+        showToast(message, "error", 8000, {
+          actions: [
+            err.code === "BAD_SELECTION"
+              ? { label: t("common.openSettings"), icon: "bi-sliders", onClick: focusModeSelect }
+              : {
+                  label: t("common.retry"),
+                  icon: "bi-arrow-clockwise",
+                  onClick: () => convertForm.requestSubmit()
+                }
+          ]
+        });
       } finally {
+        run.done();
         toggleLoading(false);
       }
     });
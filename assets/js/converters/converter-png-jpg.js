@@ -1,6 +1,47 @@
 // converter-png-jpg.js
-// Logic for PNG ↔ JPG on index.html
-// Uses only browser APIs (FileReader, Image, Canvas).
+// Logic for PNG ↔ JPG on index.html (BMP and TIFF in and out too, AVIF out,
+// PNG optionally palette-reduced to PNG-8, JPG optionally through MozJPEG)
+// Decoding, EXIF orientation, optional crop / rotate / flip,
+// resizing and encoding go through the shared image pipeline;
+// several files are processed through a batch queue and
+// delivered as one ZIP. Every page of a multi-page TIFF becomes
+// its own queue item. Files are accepted by their header, so an
+// empty or wrong type from the browser does not matter. Images too
+// large for the browser's canvas are scaled down, or on request
+// split into full-resolution tiles.
+
+import {
+  FORMATS,
+  avifSupport,
+  convert,
+  convertTiles,
+  countPages,
+  mimeToFormat,
+  formatBytes,
+  getBaseName,
+  tileFilename,
+  resolveQuality,
+  downloadBlob,
+  isAbortError,
+} from '../core/image-pipeline.js';
+import { createBatchQueue } from '../core/batch-queue.js';
+import { createZip } from '../core/zip-writer.js';
+import {
+  checkFileFormats,
+  checkImageSizes,
+  renderQueueList,
+  startCancellable,
+  createProgress,
+  createResizeControls,
+  createTargetSizeControls,
+  createAvifControls,
+  createPaletteControls,
+  createJpegControls,
+  showToast,
+} from '../app-common-ui.js';
+import { createPreview } from '../app-preview.js';
+import { createEditor } from '../app-editor.js';
+import { t, errorMessage, getLocale, onLocaleChange } from '../app-i18n.js';
 
 const $ = (sel, root = document) => root.querySelector(sel);
 const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
@@ -12,6 +53,7 @@ document.addEventListener('DOMContentLoaded', () => {
   const fileInfoWrapper   = $('#file-info-wrapper');
   const fileNameEl        = $('#file-name');
   const fileSizeEl        = $('#file-size');
+  const queueList         = $('#queue-list');
 
   const fromFormat        = $('#from-format');
   const toFormat          = $('#to-format');
@@ -19,37 +61,223 @@ document.addEventListener('DOMContentLoaded', () => {
 
   const qualityRange      = $('#quality-range');
   const compressSwitch    = $('#compress-switch');
+  const concurrencySelect = $('#concurrency-select');
+  const metadataSelect    = $('#metadata-mode');
+  const editControls      = $('#edit-controls');
+  const resizeControls    = $('#resize-controls');
+  const targetControls    = $('#target-size-controls');
+  const avifControls      = $('#avif-controls');
+  const paletteControls   = $('#palette-controls');
+  const jpegControls      = $('#jpeg-controls');
+  const previewPanel      = $('#image-preview');
 
   const convertForm       = $('#converter-form');
   const convertBtn        = $('#convert-btn');
   const convertSpinner    = $('#convert-spinner');
+  const cancelBtn         = $('#cancel-btn');
 
   const resetBtn          = $('#reset-btn');
 
   const statusText        = $('#status-text');
   const progressWrapper   = $('#progress-bar-wrapper');
   const progressBar       = $('#progress-bar');
+  const progressLabel     = $('#progress-label');
   const downloadHint      = $('#download-hint');
   const downloadLink      = $('#download-link');
+  const downloadLabel     = $('#download-label');
 
   const changeFileBtn     = $('#change-file-btn');
+  const addFilesBtn       = $('#add-files-btn');
 
   const lastConvLabel     = $('#last-conv-label');
 
-  let currentFile = null;
+  // Input formats, judged by the file header rather than the reported type
+  const allowed = ['png', 'jpg', 'bmp', 'tiff'];
+  const targets = ['jpg', 'png', 'bmp', 'tiff', 'avif'];
+
+  // Queue items cut from a multi-page TIFF → their page (0-based)
+  const pageOf = new WeakMap();
+  // Images too large for a canvas that the user chose to split into tiles
+  const tiled = new WeakSet();
+
+  // Target format, edit/resize steps, size budget and encoder options of the current run (the fields may change meanwhile)
+  let runTarget = 'jpg';
+  let runSteps = [];
+  let runBudget = null;
+  let runEncoder = {};
+  // "Add" and drops onto a non-empty queue append to it, "Change" replaces it
+  let appendNext = false;
+  // A batch is converting or being packed: new files are refused until it ends
+  let working = false;
+  let bundleUrl = null;
+
+  const progress = createProgress({
+    wrapper: progressWrapper,
+    bar: progressBar,
+    label: progressLabel,
+  });
+
+  const resize = createResizeControls(resizeControls);
+  const targetSize = createTargetSizeControls(targetControls, { quality: qualityRange });
+  const avif = createAvifControls(avifControls, { format: toFormat, support: avifSupport });
+  const palette = createPaletteControls(paletteControls, { format: toFormat });
+  const jpeg = createJpegControls(jpegControls, { format: toFormat });
+
+  // Live preview of the first file with the current settings
+  const preview = createPreview(previewPanel, {
+    watch: convertForm,
+    render: (file, signal) =>
+      convertImageFile(file, toFormat.value, currentSteps(), targetSize.getOptions(), encoderOptions(), signal),
+  });
+
+  // Crop / rotate / flip of the first file, applied to every file
+  const edit = createEditor(editControls, {
+    onChange: () => {
+      resize.setSourceSize(edit.getOutputSize());
+      preview.refresh();
+    },
+  });
+
+  const queue = createBatchQueue({
+    concurrency: parseInt(concurrencySelect.value, 10) || 1,
+    process: async (file, item, signal) => {
+      try {
+        if (tiled.has(file)) {
+          return await convertTiledFile(file, runTarget, runEncoder, signal, (stage, info) =>
+            progress.stage(stage, { item: item.id, ...info, fraction: info.tiles ? info.tile / info.tiles : 0 })
+          );
+        }
+        return await convertImageFile(file, runTarget, runSteps, runBudget, runEncoder, signal, (stage, info) =>
+          progress.stage(stage, { item: item.id, ...info })
+        );
+      } finally {
+        // Failed files count as finished too
+        progress.itemDone(item.id);
+      }
+    },
+    onChange: renderQueue,
+  });
 
   // Helpers
-  function humanFileSize(bytes) {
-    if (!bytes && bytes !== 0) return '';
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  function revokeBundle() {
+    if (bundleUrl) {
+      URL.revokeObjectURL(bundleUrl);
+      bundleUrl = null;
+    }
+    downloadHint.classList.add('d-none');
+    downloadLink.classList.add('d-none');
+    downloadLink.removeAttribute('href');
+  }
+
+  // AVIF speed / PNG-8 palette / MozJPEG, whichever applies to the target
+  function encoderOptions() {
+    return { ...avif.getOptions(), ...palette.getOptions(), ...jpeg.getOptions() };
+  }
+
+  function describeResult(result) {
+    const parts = [result.sizeHuman, `${result.width}×${result.height}`];
+    if (result.tiles) {
+      parts.push(t('limits.tileCount', { count: result.tiles.length }));
+    }
+    if (result.downscaledFrom) {
+      parts.push(t('limits.downscaledFrom', result.downscaledFrom));
+    }
+    if (result.budget && result.quality !== null) {
+      parts.push(t('target.quality', { quality: Math.round(result.quality * 100) }));
+    }
+    if (result.fullColorSize > result.size) {
+      parts.push(t('palette.savedShort', { percent: Math.round((1 - result.size / result.fullColorSize) * 100) }));
+    }
+    return parts.join(' · ');
+  }
+
+  // "PNG-8 saves 80 KB (62%) compared with a full-colour PNG" over all PNG-8 results
+  function describePalette(results) {
+    const reduced = results.filter((result) => result.fullColorSize);
+    if (!reduced.length) return '';
+    const size = reduced.reduce((sum, result) => sum + result.size, 0);
+    const full = reduced.reduce((sum, result) => sum + result.fullColorSize, 0);
+    if (size >= full) return t('palette.notSaved', { size: formatBytes(full) });
+    return t('palette.saved', {
+      saved: formatBytes(full - size),
+      percent: Math.round((1 - size / full) * 100),
+    });
+  }
+
+  // "Fits 500 KB: 480 KB at quality 78%." for a single file in target size mode
+  function describeBudget(result) {
+    const params = { limit: formatBytes(result.budget.maxBytes), size: result.sizeHuman };
+    let text = result.quality === null
+      ? t('target.achievedLossless', params)
+      : t('target.achieved', { ...params, quality: Math.round(result.quality * 100) });
+    if (result.scaled) {
+      text += ' ' + t('target.resized', { width: result.width, height: result.height });
+    }
+    return text;
+  }
+
+  function renderQueue(items) {
+    renderQueueList(queueList, items, {
+      describe: (item) =>
+        item.state === 'done'
+          ? `${formatBytes(item.file.size)} → ${describeResult(item.result)}`
+          : formatBytes(item.file.size),
+      onRetry: retryItem,
+      onRemove: removeItem,
+    });
+
+    if (!items.length) {
+      fileInfoWrapper.classList.add('d-none');
+      return;
+    }
+
+    const totalSize = items.reduce((sum, item) => sum + item.file.size, 0);
+    fileNameEl.textContent =
+      items.length === 1 ? items[0].file.name : t('files.selected', { count: items.length });
+    fileSizeEl.textContent = formatBytes(totalSize);
+    fileInfoWrapper.classList.remove('d-none');
+  }
+
+  // Per file: decode → (edit, resize) → encode; several files also get packed into a ZIP
+  function startProgress(count) {
+    const stages = runSteps.length ? ['decode', 'render', 'encode'] : ['decode', 'encode'];
+    progress.start({
+      stages: count > 1 ? [...stages, 'package'] : stages,
+      items: count,
+    });
+  }
+
+  // Editor and preview follow the first file of the queue; the
+  // editor reports the edited size for the aspect lock and placeholders
+  function updateSourceSize() {
+    const first = queue.getItems()[0];
+    edit.setSource(first ? first.file : null);
+    preview.setSource(first ? first.file : null);
+    if (!first) resize.setSourceSize(null);
+  }
+
+  // Edits first, then the resize step
+  function currentSteps() {
+    const step = resize.getStep();
+    return step ? [...edit.getSteps(), step] : edit.getSteps();
+  }
+
+  function setWorking(isWorking) {
+    working = isWorking;
+    convertBtn.disabled = isWorking;
+    resetBtn.disabled = isWorking;
+    changeFileBtn.disabled = isWorking;
+    addFilesBtn.disabled = isWorking;
+    uploadArea.setAttribute('aria-disabled', String(isWorking));
+    convertSpinner.classList.toggle('d-none', !isWorking);
+    if (!isWorking) progress.done();
   }
 
   function resetUI() {
-    currentFile = null;
+    queue.clear();
+    edit.clear();
+    preview.clear();
+    revokeBundle();
     fileInput.value = '';
     fileInfoWrapper.classList.add('d-none');
     uploadArea.classList.remove('dragover');
@@ -58,63 +286,158 @@ document.addEventListener('DOMContentLoaded', () => {
     toFormat.value = 'jpg';
     qualityRange.value = 85;
     compressSwitch.checked = true;
-
-    statusText.textContent = 'No file selected yet.';
-    progressWrapper.classList.add('d-none');
-    downloadHint.classList.add('d-none');
-    downloadLink.classList.add('d-none');
+    metadataSelect.value = 'strip';
+    resize.reset();
+    targetSize.reset();
+    avif.reset();
+    palette.reset();
+    jpeg.reset();
+
+    statusText.textContent = t('common.noFile');
+    progress.done();
     convertSpinner.classList.add('d-none');
     convertBtn.disabled = false;
   }
 
-  function showFileInfo(file) {
-    currentFile = file;
-    fileNameEl.textContent = file.name;
-    fileSizeEl.textContent = humanFileSize(file.size);
-    fileInfoWrapper.classList.remove('d-none');
-    statusText.textContent = `Selected: ${file.name}`;
-  }
-
   function detectFormatFromFile(file) {
     if (!file) return null;
-    if (file.type === 'image/png') return 'png';
-    if (file.type === 'image/jpeg') return 'jpg';
-    return null;
+    const format = mimeToFormat(file.type);
+    return targets.includes(format) ? format : null;
+  }
+
+  // One file per page for multi-page TIFFs, everything else as is
+  async function splitPages(files) {
+    const out = [];
+    for (const file of files) {
+      const count = pageOf.has(file) ? 1 : await countPages(file);
+      if (count < 2) {
+        out.push(file);
+        continue;
+      }
+      const base = getBaseName(file.name);
+      for (let page = 0; page < count; page++) {
+        const name = `${base}-page-${String(page + 1).padStart(3, '0')}.tif`;
+        const part = new File([file], name, { type: file.type, lastModified: file.lastModified });
+        pageOf.set(part, page);
+        out.push(part);
+      }
+    }
+    return out;
   }
 
-  function handleFileSelected(file) {
-    const allowed = ['image/png', 'image/jpeg', 'image/jpg'];
-    if (!allowed.includes(file.type)) {
-      statusText.textContent =
-        'Unsupported file type — please choose PNG or JPG/JPEG.';
+  async function handleFilesSelected(fileList, append = false) {
+    const files = Array.from(fileList || []);
+    const { accepted: supported } = await checkFileFormats(files, { accept: allowed });
+    const skipped = files.length - supported.length;
+    const accepted = await splitPages(supported);
+
+    if (!accepted.length) {
+      statusText.textContent = t('pngjpg.unsupported');
       return;
     }
 
-    showFileInfo(file);
+    if (!append) queue.clear();
+    revokeBundle();
+    queue.add(accepted);
+    updateSourceSize();
+    checkImageSizes(accepted, { onTiles: splitIntoTiles });
+
+    const count = queue.getItems().length;
+    statusText.textContent = count === 1
+      ? t('files.selectedName', { name: accepted[0].name })
+      : t('files.ready', { count });
+    const pages = accepted.filter((f) => pageOf.has(f)).length;
+    if (pages) {
+      statusText.textContent += ' ' + t('pngjpg.pagesSplit', { count: pages });
+    }
+    if (skipped) {
+      statusText.textContent += ' ' + t('pngjpg.skipped', { count: skipped });
+    }
 
-    // Auto-detect source format
-    const detected = detectFormatFromFile(file);
+    // Auto-detect source format (only when the whole batch agrees)
+    const formats = new Set(queue.getItems().map((item) => detectFormatFromFile(item.file)));
+    const detected = formats.size === 1 ? [...formats][0] : null;
+    fromFormat.value = detected || 'auto';
     if (detected) {
-      fromFormat.value = detected;
       // if target совпадает с source — переключим на противоположный
       if (toFormat.value === detected) {
-        toFormat.value = detected === 'png' ? 'jpg' : 'png';
+        toFormat.value = detected === 'jpg' ? 'png' : 'jpg';
+        palette.refresh();
+        jpeg.refresh();
       }
     }
   }
 
+  // Chosen from the size warning: these files become tiles at full resolution
+  function splitIntoTiles(files) {
+    const queued = new Set(queue.getItems().map((item) => item.file));
+    const split = files.filter((file) => queued.has(file));
+    if (!split.length) return;
+    split.forEach((file) => tiled.add(file));
+    revokeBundle();
+    renderQueue(queue.getItems());
+    statusText.textContent = t('limits.tilesChosen', { count: split.length });
+  }
+
+  function openPicker(append) {
+    if (working) return;
+    appendNext = append;
+    fileInput.click();
+  }
+
+  function removeItem(id) {
+    queue.remove(id);
+    revokeBundle();
+    updateSourceSize();
+    if (!queue.getItems().length) {
+      fileInput.value = '';
+      statusText.textContent = t('common.noFile');
+    }
+  }
+
+  function retryItem(id) {
+    return rerun([id]);
+  }
+
+  function retryFailed() {
+    const ids = queue.getItems()
+      .filter((item) => item.state === 'error' || item.state === 'cancelled')
+      .map((item) => item.id);
+    return rerun(ids);
+  }
+
+  async function rerun(ids) {
+    if (!ids.length) return;
+    ids.forEach((id) => queue.reset(id));
+
+    // During a run the items are simply picked up again by the queue
+    if (queue.isRunning()) return;
+
+    const run = startCancellable(cancelBtn);
+    setWorking(true);
+    startProgress(ids.length);
+    try {
+      const items = await queue.run({ signal: run.signal });
+      await finishRun(items, false);
+    } finally {
+      run.done();
+      setWorking(false);
+    }
+  }
+
   // Drag & drop + click
-  uploadArea.addEventListener('click', () => fileInput.click());
+  uploadArea.addEventListener('click', () => openPicker(false));
 
   uploadArea.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' || e.key === ' ') {
       e.preventDefault();
-      fileInput.click();
+      openPicker(false);
     }
   });
 
   uploadArea.addEventListener('dragover', (e) => {
     e.preventDefault();
+    if (working) return;
     uploadArea.classList.add('dragover');
   });
 
@@ -125,24 +448,34 @@ document.addEventListener('DOMContentLoaded', () => {
   uploadArea.addEventListener('drop', (e) => {
     e.preventDefault();
     uploadArea.classList.remove('dragover');
+    if (working) return;
 
-    const f = e.dataTransfer.files && e.dataTransfer.files[0];
-    if (f) handleFileSelected(f);
+    const files = e.dataTransfer.files;
+    if (files && files.length) handleFilesSelected(files, queue.getItems().length > 0);
   });
 
   fileInput.addEventListener('change', (e) => {
-    const f = e.target.files && e.target.files[0];
-    if (f) handleFileSelected(f);
+    const files = e.target.files;
+    if (files && files.length && !working) handleFilesSelected(files, appendNext);
+    fileInput.value = '';
   });
 
-  // "Change" button
-  changeFileBtn.addEventListener('click', () => fileInput.click());
+  // "Change" replaces the selection, "Add" appends to it
+  changeFileBtn.addEventListener('click', () => openPicker(false));
+  addFilesBtn.addEventListener('click', () => openPicker(true));
 
-  // Swap formats (как в webp-конвертере, но только для PNG/JPG)
+  concurrencySelect.addEventListener('change', () => {
+    queue.setConcurrency(parseInt(concurrencySelect.value, 10) || 1);
+  });
+
+  // Swap formats (как в webp-конвертере)
   swapBtn.addEventListener('click', () => {
     const src = fromFormat.value;
     const dst = toFormat.value;
 
+    // AVIF is an output format only: nothing to swap with
+    if (dst === 'avif') return;
+
     // спец-логика, если source = auto
     if (src === 'auto') {
       if (dst === 'jpg') {
@@ -152,8 +485,8 @@ document.addEventListener('DOMContentLoaded', () => {
         fromFormat.value = 'jpg';
         toFormat.value = 'png';
       } else {
-        // теоретически не должно сюда попасть, но пусть:
-        fromFormat.value = 'auto';
+        // BMP/TIFF target: it becomes the source, JPG the target
+        fromFormat.value = dst;
         toFormat.value = 'jpg';
       }
       return;
@@ -164,148 +497,283 @@ document.addEventListener('DOMContentLoaded', () => {
     toFormat.value = src === 'auto' ? 'auto' : src;
   });
 
+  // Programmatic changes fire no change event
+  swapBtn.addEventListener('click', () => {
+    avif.refresh();
+    palette.refresh();
+    jpeg.refresh();
+    preview.refresh();
+  });
+
   // Reset button
   resetBtn.addEventListener('click', () => {
+    const snapshot = {
+      files: queue.getItems().map((item) => item.file),
+      to: toFormat.value,
+      quality: qualityRange.value,
+      compress: compressSwitch.checked,
+      metadata: metadataSelect.value,
+      edit: edit.getState(),
+      resize: resize.getState(),
+      targetSize: targetSize.getState(),
+      avif: avif.getState(),
+      palette: palette.getState(),
+      jpeg: jpeg.getState(),
+    };
+
     resetUI();
+
+    if (snapshot.files.length) {
+      showToast(t('files.cleared'), 'info', 5000, {
+        actions: [{
+          label: t('common.undo'),
+          icon: 'bi-arrow-counterclockwise',
+          onClick: () => undoReset(snapshot),
+        }],
+      });
+    }
   });
 
-  // Conversion submit
-  convertForm.addEventListener('submit', async (e) => {
-    e.preventDefault();
+  async function undoReset(snapshot) {
+    if (working) return;
+    toFormat.value = snapshot.to;
+    qualityRange.value = snapshot.quality;
+    compressSwitch.checked = snapshot.compress;
+    metadataSelect.value = snapshot.metadata;
+    resize.setState(snapshot.resize);
+    targetSize.setState(snapshot.targetSize);
+    avif.setState(snapshot.avif);
+    palette.setState(snapshot.palette);
+    jpeg.setState(snapshot.jpeg);
+    await handleFilesSelected(snapshot.files, false);
+    // After the files: a new source starts without edits
+    edit.setState(snapshot.edit);
+  }
 
-    if (!currentFile) {
-      statusText.textContent = 'Please choose a file first.';
-      return;
+  // Build the aggregated result: a single file as-is, several as ZIP
+  async function finishRun(items, autoDownload) {
+    const done = items.filter((item) => item.state === 'done');
+    // Tiled images contribute one entry per tile
+    const entries = done.flatMap((item) =>
+      item.result.tiles || [{ name: item.result.filename, data: item.result.blob }]
+    );
+    const failed = items.length - done.length;
+    const errors = items.filter((item) => item.state === 'error').length;
+
+    revokeBundle();
+
+    if (errors) {
+      showToast(
+        t('files.failed', { count: errors }),
+        'error',
+        8000,
+        {
+          actions: [{
+            label: errors === 1 ? t('common.retry') : t('files.retryFailed'),
+            icon: 'bi-arrow-clockwise',
+            onClick: retryFailed,
+          }],
+        }
+      );
     }
 
-    const target = toFormat.value;
-    if (!['jpg', 'png'].includes(target)) {
-      statusText.textContent = 'Please choose a valid target format.';
+    if (!done.length) {
+      statusText.textContent = items.length === 1 && items[0].error
+        ? t('common.failedWith', { message: errorMessage(items[0].error) })
+        : t('files.allFailed');
       return;
     }
 
-    convertBtn.disabled = true;
-    convertSpinner.classList.remove('d-none');
-    progressWrapper.classList.remove('d-none');
-    progressBar.style.width = '100%';
-    downloadHint.classList.add('d-none');
-    downloadLink.classList.add('d-none');
-    statusText.textContent = 'Converting image...';
-
-    try {
-      const result = await convertImageFile(currentFile, target);
-
-      const blobUrl = URL.createObjectURL(result.blob);
-      const baseName = (currentFile && currentFile.name)
-        ? currentFile.name.replace(/\.[^/.]+$/, '')
-        : 'converted';
-      const ext = target === 'jpg' ? '.jpg' : '.png';
+    let bundle;
+    let bundleName;
+    if (entries.length === 1) {
+      bundle = entries[0].data;
+      bundleName = entries[0].name;
+    } else {
+      statusText.textContent = t('common.packingZip');
+      progress.stage('package');
+      bundle = await createZip(entries);
+      bundleName = done.length === 1
+        ? `${getBaseName(done[0].file.name)}-tiles.zip`
+        : `quickconvert-${runTarget}-images.zip`;
+    }
 
+    if (autoDownload) {
       // Auto-download (как в webp-версии)
-      const autoLink = document.createElement('a');
-      autoLink.href = blobUrl;
-      autoLink.download = baseName + ext;
-      document.body.appendChild(autoLink);
-      autoLink.click();
-      document.body.removeChild(autoLink);
-
-      // Показать кнопку на всякий случай
-      downloadLink.href = blobUrl;
-      downloadLink.download = baseName + ext;
-      downloadLink.classList.remove('d-none');
+      bundleUrl = downloadBlob(bundle, bundleName);
       downloadHint.classList.remove('d-none');
-
-      statusText.textContent = `Conversion ready — ${result.sizeHuman}`;
-      lastConvLabel.textContent = new Date().toLocaleString();
-    } catch (err) {
-      console.error(err);
-      statusText.textContent =
-        'Conversion failed: ' + (err && err.message ? err.message : String(err));
-    } finally {
-      convertSpinner.classList.add('d-none');
-      progressWrapper.classList.add('d-none');
-      convertBtn.disabled = false;
+    } else {
+      bundleUrl = URL.createObjectURL(bundle);
     }
-  });
 
-  // Core converter
-  async function convertImageFile(file, targetFormat) {
-    const dataURL = await readFileAsDataURL(file);
-    const img = await loadImage(dataURL);
+    // Показать кнопку на всякий случай
+    downloadLink.href = bundleUrl;
+    downloadLink.download = bundleName;
+    downloadLabel.textContent = entries.length === 1
+      ? t('common.downloadFile')
+      : t('files.downloadAll', { count: entries.length });
+    downloadLink.classList.remove('d-none');
+
+    let summary;
+    if (done.length > 1) {
+      summary = t('pngjpg.readyMany', { count: done.length, size: formatBytes(bundle.size) });
+    } else if (done[0].result.tiles) {
+      summary = t('limits.tilesReady', { count: entries.length, size: formatBytes(bundle.size) });
+    } else if (done[0].result.budget) {
+      summary = describeBudget(done[0].result);
+    } else {
+      summary = t('pngjpg.readyOne', { size: done[0].result.sizeHuman });
+    }
+    const paletteNote = describePalette(done.map((item) => item.result));
+    if (paletteNote) summary += ` · ${paletteNote}`;
+    statusText.textContent = failed
+      ? t('files.someFailed', { summary, count: failed })
+      : summary;
+    lastConvLabel.textContent = new Date().toLocaleString(getLocale());
+  }
 
-    const outW = img.naturalWidth;
-    const outH = img.naturalHeight;
+  // Conversion submit
+  convertForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
 
-    const canvas = document.createElement('canvas');
-    canvas.width = outW;
-    canvas.height = outH;
+    if (!queue.getItems().length) {
+      statusText.textContent = t('pngjpg.chooseFile');
+      return;
+    }
 
-    const ctx = canvas.getContext('2d');
+    const target = toFormat.value;
+    if (!targets.includes(target)) {
+      statusText.textContent = t('pngjpg.invalidTarget');
+      return;
+    }
 
-    // Для JPG заливаем фон белым (без прозрачности)
-    if (targetFormat === 'jpg') {
-      ctx.fillStyle = '#ffffff';
-      ctx.fillRect(0, 0, outW, outH);
+    runTarget = target;
+    runSteps = currentSteps();
+    runBudget = targetSize.getOptions();
+    runEncoder = encoderOptions();
+    if (targetSize.isEnabled() && !runBudget) {
+      statusText.textContent = t('target.invalid');
+      return;
+    }
+    if (target === 'avif' && !(await avifSupport())) {
+      statusText.textContent = t('avif.unavailable');
+      return;
     }
+    revokeBundle();
+    queue.reset();
+    setWorking(true);
+    startProgress(queue.getItems().length);
+    statusText.textContent = t('pngjpg.converting');
 
-    ctx.drawImage(img, 0, 0, outW, outH);
+    const run = startCancellable(cancelBtn);
 
-    // Качество:
-    //  - если compress-switch включен: используем слайдер (0.4–1.0)
-    //  - если выключен: ставим максимальное качество (1.0)
-    let quality = 1.0;
-    if (compressSwitch.checked) {
-      const qVal = parseFloat(qualityRange.value) || 85;
-      quality = Math.min(Math.max(qVal / 100, 0.4), 1.0);
+    try {
+      const items = await queue.run({ signal: run.signal });
+
+      if (run.signal.aborted) {
+        // Offer whatever finished before Cancel, without auto-download
+        const done = items.filter((item) => item.state === 'done').length;
+        if (done) {
+          await finishRun(items, false);
+          statusText.textContent = t('files.cancelledPartial', { done, count: items.length });
+        } else {
+          revokeBundle();
+          statusText.textContent = t('common.cancelled');
+        }
+      } else {
+        await finishRun(items, true);
+      }
+    } catch (err) {
+      if (isAbortError(err)) {
+        statusText.textContent = t('common.cancelled');
+        return;
+      }
+      console.error(err);
+      statusText.textContent = t('common.failedWith', { message: errorMessage(err) });
+      showToast(t('common.failed'), 'error', 8000, {
+        actions: [{
+          label: t('common.retry'),
+          icon: 'bi-arrow-clockwise',
+          onClick: () => convertForm.requestSubmit(),
+        }],
+      });
+    } finally {
+      run.done();
+      setWorking(false);
     }
+  });
 
-    const mime = targetFormat === 'jpg' ? 'image/jpeg' : 'image/png';
+  // Core converter
+  // With a size budget the pipeline searches the quality from 100% downwards
+  async function convertImageFile(file, targetFormat, steps, budget, encoder, signal, onProgress) {
+    const quality = budget ? 1 : resolveQuality(qualityRange.value, {
+      compress: compressSwitch.checked,
+    });
 
-    const blob = await new Promise((resolve, reject) => {
-      canvas.toBlob((b) => {
-        if (!b) {
-          reject(new Error('Failed to generate output file.'));
-          return;
-        }
-        resolve(b);
-      }, mime, targetFormat === 'jpg' ? quality : undefined);
-      // для PNG качество обычно игнорируется, поэтому передаём только для JPG
+    const { blob, width, height, quality: usedQuality, scaled, fullColorSize, downscaledFrom } = await convert(file, {
+      format: targetFormat,
+      quality,
+      steps,
+      metadata: metadataSelect.value,
+      frame: pageOf.get(file),
+      ...encoder,
+      ...budget,
+      signal,
+      onProgress,
     });
 
     return {
       blob,
+      filename: `${getBaseName(file.name)}.${FORMATS[targetFormat].ext}`,
       size: blob.size,
-      sizeHuman: humanFileSize(blob.size),
+      sizeHuman: formatBytes(blob.size),
+      width,
+      height,
+      quality: usedQuality,
+      budget,
+      scaled: Boolean(scaled),
+      fullColorSize,
+      downscaledFrom,
     };
   }
 
-  // Small helpers
-  function readFileAsDataURL(file) {
-    return new Promise((resolve, reject) => {
-      const fr = new FileReader();
-      fr.onload = () => resolve(fr.result);
-      fr.onerror = () => reject(fr.error || new Error('Failed to read file.'));
-      fr.readAsDataURL(file);
+  // Full resolution as tiles; edits, resizing and the size target do not apply
+  async function convertTiledFile(file, targetFormat, encoder, signal, onProgress) {
+    const { tiles, width, height } = await convertTiles(file, {
+      format: targetFormat,
+      quality: resolveQuality(qualityRange.value, { compress: compressSwitch.checked }),
+      frame: pageOf.get(file),
+      ...encoder,
+      signal,
+      onProgress,
     });
-  }
 
-  function loadImage(dataURL) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = () => reject(new Error('Invalid image data.'));
-      img.src = dataURL;
-    });
+    const base = getBaseName(file.name);
+    const ext = FORMATS[targetFormat].ext;
+    const size = tiles.reduce((sum, tile) => sum + tile.blob.size, 0);
+    return {
+      tiles: tiles.map((tile) => ({ name: tileFilename(base, tile, ext), data: tile.blob })),
+      size,
+      sizeHuman: formatBytes(size),
+      width,
+      height,
+      quality: null,
+      budget: null,
+    };
   }
 
   // Keyboard accessibility на блоке инфы о файле (Enter = Change)
   fileInfoWrapper.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
+    // Buttons inside the queue list handle Enter themselves
+    if (e.key === 'Enter' && e.target === fileInfoWrapper) {
       e.preventDefault();
       changeFileBtn.click();
     }
   });
 
+  // Rows are built in JS, so rebuild them after a language switch
+  onLocaleChange(() => renderQueue(queue.getItems()));
+
   // Init
   resetUI();
 
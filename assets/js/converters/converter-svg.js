@@ -1,5 +1,31 @@
 // assets/js/converters/converter-svg.js
-// SVG -> PNG/JPEG/WebP (client-side) using Canvas
+// SVG -> PNG/JPEG/WebP (client-side) using the shared image pipeline
+// SVG or a large PNG -> multi-size ICO / favicon package (core/favicon.js)
+// Input is judged by its header; other image files point to their converter
+// Output larger than the browser's canvas limits is rendered smaller, with a warning
+// SVGs are sanitized on selection (core/svg-sanitizer.js); what was removed
+// is listed under the file info (#svg-sanitize-report)
+
+import {
+  decode,
+  encode,
+  transform,
+  formatBytes,
+  getBaseName,
+  formatToMime,
+  resolveQuality,
+  isAbortError,
+  probeSize,
+  computeResize,
+  fitCanvasSize,
+  getCanvasLimits,
+  MAX_DIMENSION
+} from "../core/image-pipeline.js";
+import { createIcoFile, createFaviconPackage } from "../core/favicon.js";
+import { sanitizeSvg, countUnsafe } from "../core/svg-sanitizer.js";
+import { createZip } from "../core/zip-writer.js";
+import { startCancellable, createProgress, showToast, checkFileFormats } from "../app-common-ui.js";
+import { t, errorMessage, getLocale } from "../app-i18n.js";
 
 const $ = (id) => document.getElementById(id);
 
@@ -12,6 +38,7 @@ const fileNameEl = $("file-name");
 const fileSizeEl = $("file-size");
 const changeFileBtn = $("change-file-btn");
 
+const fromFormat = $("from-format");
 const toFormat = $("to-format");
 const scaleRange = $("scale-range");
 const scaleLabel = $("scale-label");
@@ -21,33 +48,38 @@ const transparentSwitch = $("transparent-switch");
 
 const convertBtn = $("convert-btn");
 const convertSpinner = $("convert-spinner");
+const cancelBtn = $("cancel-btn");
 const resetBtn = $("reset-btn");
 
 const statusText = $("status-text");
 const progressWrap = $("progress-bar-wrapper");
+const progressLabel = $("progress-label");
 const downloadLink = $("download-link");
 const lastConvLabel = $("last-conv-label");
 
 const svgMeta = $("svg-meta");
-const canvas = $("render-canvas");
-const ctx = canvas.getContext("2d", { willReadFrequently: false });
+const sanitizeReport = $("svg-sanitize-report");
+
+const faviconControls = $("favicon-controls");
+const faviconName = $("favicon-name");
+const faviconTheme = $("favicon-theme");
+const faviconPath = $("favicon-path");
+const snippetWrapper = $("favicon-snippet-wrapper");
+const snippetText = $("favicon-snippet");
+const copySnippetBtn = $("favicon-copy");
+
+// Sources smaller than this make soft 180–512 px icons
+const ICON_SOURCE_MIN = 512;
+// Input formats, judged by the file header (core/sniff.js)
+const INPUT_FORMATS = ["svg", "png"];
 
 // State
 let currentFile = null;
-let currentSvgText = "";
-let svgIntrinsic = { width: 512, height: 512 };
-
-function formatBytes(bytes) {
-  if (!Number.isFinite(bytes)) return "";
-  const units = ["B", "KB", "MB", "GB"];
-  let i = 0;
-  let v = bytes;
-  while (v >= 1024 && i < units.length - 1) {
-    v /= 1024;
-    i++;
-  }
-  return `${v.toFixed(i === 0 ? 0 : 2)} ${units[i]}`;
-}
+let currentSvgText = ""; // sanitized; empty for PNG sources
+let sourceSize = { width: 512, height: 512 };
+let resultUrl = null;
+
+const progress = createProgress({ wrapper: progressWrap, label: progressLabel });
 
 function setStatus(msg) {
   statusText.textContent = msg;
@@ -60,17 +92,22 @@ function setWorking(isWorking) {
   toFormat.disabled = isWorking;
 
   convertSpinner.classList.toggle("d-none", !isWorking);
-  progressWrap.classList.toggle("d-none", !isWorking);
+  if (!isWorking) progress.done();
 }
 
 function hideDownload() {
   downloadLink.classList.add("d-none");
+  if (resultUrl) {
+    URL.revokeObjectURL(resultUrl);
+    resultUrl = null;
+  }
   downloadLink.removeAttribute("href");
 }
 
 function showDownload(blob, filename) {
-  const url = URL.createObjectURL(blob);
-  downloadLink.href = url;
+  hideDownload();
+  resultUrl = URL.createObjectURL(blob);
+  downloadLink.href = resultUrl;
   downloadLink.download = filename;
   downloadLink.classList.remove("d-none");
   // HEIC-style: no auto-click; user clicks "Download result"
@@ -80,13 +117,30 @@ function updateScaleLabel() {
   scaleLabel.textContent = `${scaleRange.value}×`;
 }
 
+function isIconFormat(dst) {
+  return dst === "ico" || dst === "favicon";
+}
+
 function updateOptionVisibility() {
-  const dst = toFormat.value; // png | jpg | webp
+  const dst = toFormat.value; // png | jpg | webp | ico | favicon
   const isLossy = dst === "jpg" || dst === "webp";
   qualityRange.disabled = !isLossy;
 
-  // transparency meaningful for png/webp only
-  transparentSwitch.disabled = dst === "jpg";
+  // transparency meaningful for png/webp/ico only
+  transparentSwitch.disabled = dst === "jpg" || dst === "favicon";
+
+  // icons come in fixed sizes
+  scaleRange.disabled = isIconFormat(dst);
+  faviconControls.classList.toggle("d-none", !isIconFormat(dst));
+  faviconControls.querySelectorAll("[data-favicon-mode]").forEach((el) => {
+    el.classList.toggle("d-none", el.dataset.faviconMode !== dst);
+  });
+  if (dst !== "favicon") hideSnippet();
+}
+
+function hideSnippet() {
+  snippetWrapper.classList.add("d-none");
+  snippetText.value = "";
 }
 
 function parseSvgSize(svgText) {
@@ -131,175 +185,297 @@ function parseSvgSize(svgText) {
   }
 }
 
-function sanitizeSvg(svgText) {
-  let t = svgText;
-
-  // remove scripts
-  t = t.replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi, "");
-
-  // ensure xmlns
-  if (!/xmlns=["']http:\/\/www\.w3\.org\/2000\/svg["']/.test(t)) {
-    t = t.replace(/<svg\b/, `<svg xmlns="http://www.w3.org/2000/svg"`);
-  }
-
-  // ensure xlink namespace if referenced
-  if (/xlink:href=/.test(t) && !/xmlns:xlink=/.test(t)) {
-    t = t.replace(/<svg\b([^>]*)>/, (m) => {
-      if (/xmlns:xlink=/.test(m)) return m;
-      return m.replace(/>$/, ` xmlns:xlink="http://www.w3.org/1999/xlink">`);
+// What the sanitizer removed, as a list under the file info
+function renderSanitizeReport(report) {
+  clearSanitizeReport();
+  const unsafe = countUnsafe(report);
+  if (!sanitizeReport || !unsafe) return;
+
+  const title = sanitizeReport.querySelector("[data-sanitize-title]");
+  const list = sanitizeReport.querySelector("[data-sanitize-list]");
+  if (title) title.textContent = t("svgsafe.title", { count: unsafe });
+  report.removed
+    .filter((entry) => entry.kind !== "editor")
+    .forEach((entry) => {
+      const li = document.createElement("li");
+      const strong = document.createElement("strong");
+      strong.textContent = t(`svgsafe.kind.${entry.kind}`);
+      const code = document.createElement("code");
+      code.textContent = entry.name;
+      li.append(strong, " — ", code, ` (<${entry.element}>)`);
+      if (list) list.appendChild(li);
     });
+  if (report.counts.editor && list) {
+    const li = document.createElement("li");
+    li.textContent = t("svgsafe.editor", { count: report.counts.editor });
+    list.appendChild(li);
   }
-
-  return t;
+  sanitizeReport.classList.remove("d-none");
+  showToast(t("svgsafe.removed", { count: unsafe }), "warning", 6000);
 }
 
-async function svgToImage(svgText) {
-  const blob = new Blob([svgText], { type: "image/svg+xml;charset=utf-8" });
-  const url = URL.createObjectURL(blob);
-
-  const img = new Image();
-  await new Promise((resolve, reject) => {
-    img.onload = resolve;
-    img.onerror = () => reject(new Error("Failed to load SVG as image (maybe unsupported external assets)."));
-    img.src = url;
-  });
+function clearSanitizeReport() {
+  if (!sanitizeReport) return;
+  sanitizeReport.classList.add("d-none");
+  sanitizeReport.open = false;
+  const list = sanitizeReport.querySelector("[data-sanitize-list]");
+  if (list) list.textContent = "";
+}
 
-  URL.revokeObjectURL(url);
-  return img;
+async function svgToImage(svgText, signal) {
+  const blob = new Blob([svgText], { type: "image/svg+xml" });
+  try {
+    return await decode(blob, { signal });
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    throw new Error(t("svg.loadFailed"));
+  }
 }
 
-async function handleFile(file) {
-  if (!file) return;
+async function handleFile(selected) {
+  if (!selected) return;
 
-  const isSvg = file.type === "image/svg+xml" || /\.svg$/i.test(file.name);
-  if (!isSvg) {
-    setStatus("Please upload an SVG file (.svg).");
+  // Accepted files carry the type their header says
+  const { accepted } = await checkFileFormats([selected], { accept: INPUT_FORMATS });
+  const file = accepted[0];
+  if (!file) {
+    setStatus(t("svg.notSvg"));
     return;
   }
+  const isSvg = file.type === "image/svg+xml";
 
   currentFile = file;
   currentSvgText = "";
   hideDownload();
+  hideSnippet();
+  clearSanitizeReport();
 
   fileNameEl.textContent = file.name;
   fileSizeEl.textContent = formatBytes(file.size);
   fileInfoWrapper.classList.remove("d-none");
+  fromFormat.value = isSvg ? "svg" : "png";
 
   setWorking(true);
-  setStatus("Reading SVG…");
+  progress.start({ stages: ["read"] });
+  progress.stage("read");
+  setStatus(t(isSvg ? "svg.reading" : "svg.readingImage"));
 
   try {
-    const text = await file.text();
-    currentSvgText = text;
-    svgIntrinsic = parseSvgSize(text);
+    if (isSvg) {
+      const report = sanitizeSvg(await file.text());
+      currentSvgText = report.svg;
+      sourceSize = parseSvgSize(currentSvgText);
+      renderSanitizeReport(report);
+    } else {
+      const size = await probeSize(file);
+      if (!size) throw new Error("PNG cannot be decoded.");
+      sourceSize = size;
+    }
 
     svgMeta.classList.remove("d-none");
-    svgMeta.textContent = `Detected size: ${Math.round(svgIntrinsic.width)}×${Math.round(svgIntrinsic.height)} px (before scaling)`;
+    svgMeta.textContent = t("svg.detectedSize", {
+      width: Math.round(sourceSize.width),
+      height: Math.round(sourceSize.height)
+    });
+
+    if (!isSvg && Math.min(sourceSize.width, sourceSize.height) < ICON_SOURCE_MIN) {
+      svgMeta.textContent += " · " + t("favicon.smallSource", sourceSize);
+    }
 
-    setStatus("SVG loaded. Choose output format and click Convert.");
+    setStatus(t(isSvg ? "svg.loaded" : "svg.imageLoaded"));
   } catch (err) {
     console.error(err);
-    setStatus("Failed to read the SVG file.");
+    setStatus(err && err.code ? t("common.error", { message: errorMessage(err) }) : t("svg.readFailed"));
   } finally {
     setWorking(false);
   }
 }
 
+// The picture to render: the sanitized SVG, or the decoded PNG
+async function loadSource(signal) {
+  if (!currentSvgText) return decode(currentFile, { signal });
+  return svgToImage(currentSvgText, signal);
+}
+
 async function renderAndExport() {
-  if (!currentFile || !currentSvgText) {
-    setStatus("Please select an SVG file first.");
+  if (!currentFile || (!currentSvgText && fromFormat.value === "svg")) {
+    setStatus(t("svg.selectFirst"));
+    return;
+  }
+
+  if (isIconFormat(toFormat.value)) {
+    exportIcons();
     return;
   }
 
   hideDownload();
   setWorking(true);
+  progress.start({ stages: ["decode", "render", "encode"] });
+  const run = startCancellable(cancelBtn);
 
   const dst = toFormat.value; // png | jpg | webp
   const scale = Number(scaleRange.value) || 1;
-  const quality = (Number(qualityRange.value) || 90) / 100;
+  const quality = resolveQuality(qualityRange.value);
   const bg = bgColor.value || "#ffffff";
   const keepTransparency = transparentSwitch.checked;
 
   try {
-    setStatus("Preparing SVG…");
-    const clean = sanitizeSvg(currentSvgText);
-
-    const outW = Math.max(1, Math.round(svgIntrinsic.width * scale));
-    const outH = Math.max(1, Math.round(svgIntrinsic.height * scale));
-
-    canvas.width = outW;
-    canvas.height = outH;
+    setStatus(t("svg.preparing"));
+    const requested = { width: Math.round(sourceSize.width * scale), height: Math.round(sourceSize.height * scale) };
+    // Also within the resize step's side limit, so the aspect ratio is kept
+    const limits = getCanvasLimits();
+    const fit = fitCanvasSize(requested, { ...limits, maxSide: Math.min(limits.maxSide, MAX_DIMENSION) });
+    const outW = Math.max(1, Math.round(fit.width));
+    const outH = Math.max(1, Math.round(fit.height));
+    if (fit.scale < 1) {
+      showToast(t("limits.svgScaled", { ...requested, fitWidth: outW, fitHeight: outH }), "warning", 8000);
+    }
 
     const needBg =
       dst === "jpg" ||
       ((dst === "png" || dst === "webp") && !keepTransparency);
 
-    if (needBg) {
-      ctx.clearRect(0, 0, outW, outH);
-      ctx.fillStyle = bg;
-      ctx.fillRect(0, 0, outW, outH);
-    } else {
-      ctx.clearRect(0, 0, outW, outH);
-    }
-
-    setStatus("Rendering…");
-    const img = await svgToImage(clean);
-    ctx.drawImage(img, 0, 0, outW, outH);
+    setStatus(t("svg.rendering"));
+    progress.stage("decode");
+    const img = await loadSource(run.signal);
+    // Draw the SVG straight at the output size so it stays sharp
+    progress.stage("render");
+    const rendered = transform(img, [{ type: "resize", width: outW, height: outH }]);
+
+    setStatus(t("svg.exporting"));
+    progress.stage("encode");
+    const ext = dst === "jpg" || dst === "webp" ? dst : "png";
+
+    const blob = await encode(rendered, {
+      mime: formatToMime(ext),
+      quality,
+      background: needBg ? bg : null,
+      signal: run.signal
+    });
 
-    setStatus("Exporting…");
-    let mime = "image/png";
-    let ext = "png";
+    const baseName = getBaseName(currentFile.name);
+    showDownload(blob, `${baseName}.${ext}`);
 
-    if (dst === "jpg") {
-      mime = "image/jpeg";
-      ext = "jpg";
-    } else if (dst === "webp") {
-      mime = "image/webp";
-      ext = "webp";
+    const now = new Date();
+    lastConvLabel.textContent = now.toLocaleString(getLocale());
+    setStatus(t("svg.done"));
+  } catch (err) {
+    if (isAbortError(err)) {
+      setStatus(t("common.cancelled"));
+      return;
     }
-
-    const blob = await new Promise((resolve) => {
-      canvas.toBlob(
-        (b) => resolve(b),
-        mime,
-        (dst === "jpg" || dst === "webp") ? quality : undefined
-      );
+    console.error(err);
+    setStatus(t("common.error", { message: errorMessage(err) }));
+    showToast(t("svg.failed"), "error", 8000, {
+      actions: [{ label: t("common.retry"), icon: "bi-arrow-clockwise", onClick: renderAndExport }]
     });
+  } finally {
+    run.done();
+    setWorking(false);
+  }
+}
 
-    if (!blob) throw new Error("Export failed: Canvas could not produce output.");
+// favicon.ico, or the whole favicon package as a ZIP
+async function exportIcons() {
+  hideDownload();
+  hideSnippet();
+  setWorking(true);
+  const dst = toFormat.value;
+  progress.start({ stages: dst === "favicon" ? ["decode", "encode", "package"] : ["decode", "encode"] });
+  const run = startCancellable(cancelBtn);
+  const onProgress = (fraction) => progress.stage("encode", { fraction });
+  const baseName = getBaseName(currentFile.name);
 
-    const baseName = currentFile.name.replace(/\.svg$/i, "");
-    showDownload(blob, `${baseName}.${ext}`);
+  try {
+    setStatus(t("favicon.building"));
+    progress.stage("decode");
+    let img = await loadSource(run.signal);
+    if (currentSvgText) {
+      // SVGs without width/height have no usable natural size:
+      // draw once at the largest icon size, smaller ones scale down from it
+      const box = computeResize(sourceSize, { width: ICON_SOURCE_MIN, height: ICON_SOURCE_MIN, keepAspect: true });
+      img = transform(img, [{ type: "resize", ...box }]);
+    }
 
-    const now = new Date();
-    lastConvLabel.textContent = now.toLocaleString();
-    setStatus("Done. Your file is ready to download.");
+    progress.stage("encode");
+    if (dst === "ico") {
+      const blob = await createIcoFile(img, {
+        background: transparentSwitch.checked ? null : bgColor.value || "#ffffff",
+        signal: run.signal,
+        onProgress
+      });
+      showDownload(blob, `${baseName}.ico`);
+      setStatus(t("favicon.doneIco"));
+    } else {
+      const result = await createFaviconPackage(img, {
+        name: faviconName.value,
+        themeColor: faviconTheme.value,
+        background: bgColor.value || "#ffffff",
+        path: faviconPath.value,
+        svg: currentSvgText || undefined,
+        signal: run.signal,
+        onProgress
+      });
+      progress.stage("package");
+      const zip = await createZip(result.files.map(({ name, data }) => ({ name, data })));
+      showDownload(zip, `${baseName}-favicons.zip`);
+
+      snippetText.value = result.snippet;
+      snippetWrapper.classList.remove("d-none");
+      setStatus(t("favicon.donePackage"));
+    }
+
+    lastConvLabel.textContent = new Date().toLocaleString(getLocale());
   } catch (err) {
+    if (isAbortError(err)) {
+      setStatus(t("common.cancelled"));
+      return;
+    }
     console.error(err);
-    setStatus(`Error: ${err?.message || "Unknown error"}`);
+    setStatus(t("common.error", { message: errorMessage(err) }));
+    showToast(t("svg.failed"), "error", 8000, {
+      actions: [{ label: t("common.retry"), icon: "bi-arrow-clockwise", onClick: renderAndExport }]
+    });
   } finally {
+    run.done();
     setWorking(false);
   }
 }
 
+async function copySnippet() {
+  try {
+    await navigator.clipboard.writeText(snippetText.value);
+    showToast(t("favicon.copied"), "success", 2000);
+  } catch {
+    snippetText.select();
+    showToast(t("favicon.copyFailed"), "warning");
+  }
+}
+
 function resetAll() {
   currentFile = null;
   currentSvgText = "";
-  svgIntrinsic = { width: 512, height: 512 };
+  sourceSize = { width: 512, height: 512 };
 
   fileInput.value = "";
   fileInfoWrapper.classList.add("d-none");
   svgMeta.classList.add("d-none");
   svgMeta.textContent = "";
+  clearSanitizeReport();
 
   hideDownload();
-  setStatus("No file selected yet.");
+  setStatus(t("common.noFile"));
 
+  fromFormat.value = "svg";
   toFormat.value = "png";
   scaleRange.value = "2";
   qualityRange.value = "90";
   bgColor.value = "#ffffff";
   transparentSwitch.checked = true;
+  faviconName.value = "";
+  faviconTheme.value = "#ffffff";
+  faviconPath.value = "/";
+  hideSnippet();
 
   updateScaleLabel();
   updateOptionVisibility();
@@ -343,6 +519,7 @@ form.addEventListener("submit", (e) => {
 resetBtn.addEventListener("click", resetAll);
 toFormat.addEventListener("change", updateOptionVisibility);
 scaleRange.addEventListener("input", updateScaleLabel);
+copySnippetBtn.addEventListener("click", copySnippet);
 
 // Init
 updateScaleLabel();
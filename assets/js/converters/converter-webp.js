@@ -1,20 +1,68 @@
 /* ============================================================
    converter-webp.js
-   WebP ↔ JPG / PNG (frontend demo)
+   WebP ↔ JPG / PNG / GIF / BMP / TIFF, → AVIF (frontend demo)
    - Uses <canvas> for image → image conversion
-   - GIF output is NOT implemented (needs extra encoder/back-end)
-   - Animated WebP/GIF are flattened to a single frame
+   - GIF output through the pipeline's JS encoder (palette size,
+     dithering from #gif-controls); BMP and TIFF are read and
+     written in JS as well (first page of a multi-page TIFF)
+   - AVIF output natively or through the WASM encoder, encoder
+     speed from #avif-controls
+   - PNG output optionally reduced to a PNG-8 palette
+     (#palette-controls)
+   - JPG output optionally through MozJPEG: progressive scans,
+     chroma subsampling, trellis (#jpeg-controls)
+   - Animated WebP/GIF: one selected frame, or every frame as a
+     ZIP with a frames.json listing the delays (an animated GIF
+     when GIF is the target)
+   - Several selected images: frames of an animated GIF
+   - Optional crop / rotate / flip before encoding (app-editor.js)
+   - Optional resize (size fields from app-common-ui.js)
+   - Optional target file size (quality picked by the pipeline)
+   - EXIF orientation applied, metadata stripped or kept (#metadata-mode)
+   - Before/after preview that follows the settings (app-preview.js)
+   - Input checked by its header: mislabeled files are converted as
+     what they are, other formats point to their converter
+   - Images larger than the browser's canvas limits get a warning
+     and are scaled down to fit
    Dependencies:
-   - app-common-ui.js (status, progress, button helpers, toasts)
+   - app-common-ui.js (status, staged progress, button helpers, toasts)
+   - core/image-pipeline.js (decode / encode)
+   - app-i18n.js (UI strings)
    ============================================================ */
 
 import {
     setStatus,
     setTemporaryStatus,
-    toggleProgress,
+    createProgress,
+    createResizeControls,
+    createTargetSizeControls,
+    createFrameControls,
+    createAvifControls,
+    createPaletteControls,
+    createJpegControls,
     setButtonLoading,
-    showToast
+    showToast,
+    startCancellable,
+    checkFileFormats,
+    checkImageSizes
 } from "../app-common-ui.js";
+import {
+    avifSupport,
+    convert,
+    convertFrames,
+    encodeAnimatedGif,
+    readAnimation,
+    formatBytes,
+    getBaseName,
+    isAbortError,
+    mimeToFormat,
+    countPages,
+    resolveQuality
+} from "../core/image-pipeline.js";
+import { createPreview } from "../app-preview.js";
+import { createEditor } from "../app-editor.js";
+import { createZip } from "../core/zip-writer.js";
+import { t, errorMessage, getLocale } from "../app-i18n.js";
 
 document.addEventListener("DOMContentLoaded", () => {
     const form = document.getElementById("converter-form");
@@ -32,20 +80,59 @@ document.addEventListener("DOMContentLoaded", () => {
     const toSelect = document.getElementById("to-format");
     const qualityRange = document.getElementById("quality-range");
     const compressSwitch = document.getElementById("compress-switch");
+    const metadataSelect = document.getElementById("metadata-mode");
+    const gifControls = document.getElementById("gif-controls");
+    const gifColors = document.getElementById("gif-colors");
+    const gifDither = document.getElementById("gif-dither");
+    const gifDelay = document.getElementById("gif-delay");
     const swapBtn = document.getElementById("swap-formats");
 
     const statusText = document.getElementById("status-text");
     const progressWrapper = document.getElementById("progress-bar-wrapper");
+    const progressLabel = document.getElementById("progress-label");
     const downloadLink = document.getElementById("download-link");
     const downloadHint = document.getElementById("download-hint");
     const convertBtn = document.getElementById("convert-btn");
+    const cancelBtn = document.getElementById("cancel-btn");
     const resetBtn = document.getElementById("reset-btn");
     const lastConvLabel = document.getElementById("last-conv-label");
 
     const MAX_SIZE = 20 * 1024 * 1024; // 20 MB
+    // Input formats, judged by the file header (core/sniff.js)
+    const INPUT_FORMATS = ["webp", "png", "jpg", "gif", "bmp", "tiff"];
     let currentFile = null;
+    // More than one: frames of an animated GIF
+    let currentFiles = [];
     let currentObjectUrl = null;
 
+    const progress = createProgress({ wrapper: progressWrapper, label: progressLabel });
+    const resize = createResizeControls(document.getElementById("resize-controls"));
+    const targetSize = createTargetSizeControls(document.getElementById("target-size-controls"), {
+        quality: qualityRange
+    });
+    const frames = createFrameControls(document.getElementById("animation-controls"));
+    const avif = createAvifControls(document.getElementById("avif-controls"), {
+        format: toSelect,
+        support: avifSupport
+    });
+    const palette = createPaletteControls(document.getElementById("palette-controls"), { format: toSelect });
+    const jpeg = createJpegControls(document.getElementById("jpeg-controls"), { format: toSelect });
+    // Shows the selected frame of animations
+    const preview = createPreview(document.getElementById("image-preview"), {
+        watch: form,
+        render: (file, signal) => {
+            const { fromValue, toFormat, quality, steps, budget, frame, encoder } = readSettings();
+            return convertImage(file, fromValue, toFormat, quality, steps, budget, frame, encoder, signal);
+        }
+    });
+    // Reports the edited size to the resize fields
+    const edit = createEditor(document.getElementById("edit-controls"), {
+        onChange: () => {
+            resize.setSourceSize(edit.getOutputSize());
+            preview.refresh();
+        }
+    });
+
     /* --------------------------------------------------------
        Feature detection: WebP encoding support
        -------------------------------------------------------- */
@@ -83,15 +170,11 @@ document.addEventListener("DOMContentLoaded", () => {
             e.preventDefault();
             uploadArea.classList.remove("dragover");
 
-            const files = e.dataTransfer && e.dataTransfer.files;
-            const file = files && files[0];
-            if (file) handleFileSelect(file);
+            handleFilesSelected(e.dataTransfer && e.dataTransfer.files);
         });
 
         fileInput.addEventListener("change", (e) => {
-            const files = e.target.files;
-            const file = files && files[0];
-            if (file) handleFileSelect(file);
+            handleFilesSelected(e.target.files);
         });
     }
 
@@ -111,7 +194,10 @@ document.addEventListener("DOMContentLoaded", () => {
             e.preventDefault();
 
             const prevFrom = fromSelect.value; // "auto" | "webp" | "jpg" | "png"
-            const prevTo = toSelect.value;     // "webp" | "jpg" | "png"
+            const prevTo = toSelect.value;     // "webp" | "jpg" | "png" | "gif" | "bmp" | "tiff" | "avif"
+
+            // AVIF is an output format only: nothing to swap with
+            if (prevTo === "avif") return;
 
             // Basic swap
             let newFrom = prevTo;
@@ -125,7 +211,7 @@ document.addEventListener("DOMContentLoaded", () => {
                     detected = mimeToFormat(currentFile.type);
                 }
 
-                if (detected === "webp" || detected === "jpg" || detected === "png") {
+                if (["webp", "jpg", "png", "gif", "bmp", "tiff"].includes(detected)) {
                     newTo = detected;
                 } else {
                     // Fallback: choose something different from newFrom
@@ -141,30 +227,96 @@ document.addEventListener("DOMContentLoaded", () => {
 
             fromSelect.value = newFrom;
             toSelect.value = newTo;
+            syncGifControls();
+            avif.refresh();
+            palette.refresh();
+            jpeg.refresh();
+            preview.refresh();
 
-            setTemporaryStatus(statusText, "Formats swapped.", "muted", 1500);
+            setTemporaryStatus(statusText, t("common.swapped"), "muted", 1500);
         });
     }
 
+    if (toSelect) {
+        toSelect.addEventListener("change", syncGifControls);
+    }
+
+    // GIF options only matter for GIF output, the delay only for several images
+    function syncGifControls() {
+        if (gifControls) gifControls.classList.toggle("d-none", !toSelect || toSelect.value !== "gif");
+        const delayField = gifControls && gifControls.querySelector("[data-gif-sequence]");
+        if (delayField) delayField.classList.toggle("d-none", currentFiles.length < 2);
+    }
+
     /* --------------------------------------------------------
        File handling
        -------------------------------------------------------- */
 
-    function handleFileSelect(file) {
-        const allowedTypes = ["image/webp", "image/png", "image/jpeg", "image/gif"];
-        if (!allowedTypes.includes(file.type)) {
-            showToast("Please select a WebP, PNG, JPG or GIF image.", "warning");
-            setStatus(statusText, "Unsupported file type.", "error");
+    // Judged by the file header: a mislabeled file still works, a HEIC,
+    // PDF or SVG gets a hint to the converter that takes it
+    async function handleFilesSelected(list) {
+        const picked = Array.from(list || []);
+        if (!picked.length) return;
+
+        const { accepted, rejected, redirected } = await checkFileFormats(picked, { accept: INPUT_FORMATS });
+        if (rejected.length) {
+            if (!redirected) showToast(t("webp.unsupported"), "warning");
+            setStatus(statusText, t("common.unsupportedType"), "error");
             return;
         }
 
+        selectFiles(accepted);
+    }
+
+    // Checked files (also the ones an undone reset brings back)
+    function selectFiles(files) {
+        if (files.length > 1) {
+            handleSequenceSelect(files);
+        } else if (files[0]) {
+            handleFileSelect(files[0]);
+        }
+        // Only when the selection was taken (not refused for its size)
+        if (files.length && currentFiles[0] === files[0]) checkImageSizes(files);
+    }
+
+    function isAcceptable(file) {
         if (file.size > MAX_SIZE) {
-            showToast("Selected file is too large (max 20 MB).", "warning");
-            setStatus(statusText, "File size exceeds 20 MB limit.", "error");
-            return;
+            showToast(t("webp.tooLarge"), "warning");
+            setStatus(statusText, t("webp.sizeLimit"), "error");
+            return false;
         }
+        return true;
+    }
+
+    // Several images: the first one drives the editor and the preview,
+    // all of them become GIF frames
+    function handleSequenceSelect(files) {
+        if (!files.every(isAcceptable)) return;
+
+        handleFileSelect(files[0]);
+        currentFiles = files;
+        if (toSelect) toSelect.value = "gif";
+        syncGifControls();
+        avif.refresh();
+        palette.refresh();
+        jpeg.refresh();
+        preview.refresh();
+
+        const total = files.reduce((sum, file) => sum + file.size, 0);
+        if (fileNameEl) fileNameEl.textContent = t("webp.sequenceName", { count: files.length });
+        if (fileSizeEl) fileSizeEl.textContent = t("common.size", { size: formatBytes(total) });
+        setStatus(statusText, t("webp.sequenceNote"), "muted");
+    }
+
+    function handleFileSelect(file) {
+        if (!isAcceptable(file)) return;
 
         currentFile = file;
+        currentFiles = [file];
+        syncGifControls();
+        edit.setSource(file);
+        preview.setSource(file);
+        frames.setAnimation(null);
 
         const mime = file.type;
         const detected = mimeToFormat(mime);
@@ -173,7 +325,7 @@ document.addEventListener("DOMContentLoaded", () => {
         }
 
         if (fileNameEl) fileNameEl.textContent = file.name;
-        if (fileSizeEl) fileSizeEl.textContent = "Size: " + formatBytes(file.size);
+        if (fileSizeEl) fileSizeEl.textContent = t("common.size", { size: formatBytes(file.size) });
 
         if (fileInfoWrapper) fileInfoWrapper.classList.remove("d-none");
         if (uploadArea) uploadArea.classList.add("d-none");
@@ -187,15 +339,25 @@ document.addEventListener("DOMContentLoaded", () => {
             downloadHint.classList.add("d-none");
         }
 
-        setStatus(statusText, "File selected. Ready to convert.", "muted");
+        setStatus(statusText, t("common.fileReady"), "muted");
 
         if (mime === "image/webp" || mime === "image/gif") {
-            setTemporaryStatus(
-                statusText,
-                "Note: animated images will be converted to a single static frame.",
-                "warning",
-                4000
-            );
+            readAnimation(file).then((info) => {
+                if (currentFile !== file || currentFiles.length > 1 || !info) return;
+                frames.setAnimation(info);
+                preview.refresh();
+                setTemporaryStatus(
+                    statusText,
+                    t("webp.animatedNote"),
+                    "muted",
+                    4000
+                );
+            });
+        } else if (mime === "image/tiff") {
+            countPages(file).then((count) => {
+                if (currentFile !== file || count < 2) return;
+                setTemporaryStatus(statusText, t("webp.tiffFirstPage", { count }), "muted", 6000);
+            });
         }
     }
 
@@ -206,6 +368,12 @@ document.addEventListener("DOMContentLoaded", () => {
         }
 
         currentFile = null;
+        currentFiles = [];
+        syncGifControls();
+        frames.setAnimation(null);
+        edit.clear();
+        resize.setSourceSize(null);
+        preview.clear();
 
         if (fileInput) fileInput.value = "";
         if (fileInfoWrapper) fileInfoWrapper.classList.add("d-none");
@@ -220,182 +388,349 @@ document.addEventListener("DOMContentLoaded", () => {
             downloadHint.classList.add("d-none");
         }
 
-        setStatus(statusText, "No file selected yet.", "muted");
+        setStatus(statusText, t("common.noFile"), "muted");
     }
 
     /* --------------------------------------------------------
        Form submit: conversion
        -------------------------------------------------------- */
 
+    // Conversion settings from the form (shared by Convert and the preview)
+    function readSettings() {
+        const budget = targetSize.getOptions();
+        const step = resize.getStep();
+        const edits = edit.getSteps();
+        const toFormat = (toSelect && toSelect.value) || "webp";
+        const gif = {
+            colors: Number(gifColors ? gifColors.value : 256),
+            dither: Boolean(gifDither && gifDither.checked),
+            delay: Number(gifDelay ? gifDelay.value : 0) || undefined
+        };
+        return {
+            fromValue: (fromSelect && fromSelect.value) || "auto",
+            toFormat,
+            // With a size budget the pipeline searches the quality from 100% downwards
+            quality: budget
+                ? 1
+                : resolveQuality(qualityRange ? qualityRange.value : 85, {
+                    compress: !compressSwitch || compressSwitch.checked
+                }),
+            steps: step ? [...edits, step] : edits,
+            budget,
+            frame: frames.getFrame(),
+            allFrames: frames.isAll(),
+            gif,
+            // Palette options only for GIF and PNG-8, AVIF speed only for AVIF, MozJPEG only for JPG
+            encoder: toFormat === "gif"
+                ? { colors: gif.colors, dither: gif.dither }
+                : { ...avif.getOptions(), ...palette.getOptions(), ...jpeg.getOptions() }
+        };
+    }
+
     form.addEventListener("submit", async (e) => {
         e.preventDefault();
 
         if (!currentFile) {
-            showToast("Please select a file first.", "warning");
+            showToast(t("common.selectFirst"), "warning");
             return;
         }
 
-        const toFormat = (toSelect && toSelect.value) || "webp";
-        const fromValue = (fromSelect && fromSelect.value) || "auto";
+        const settings = readSettings();
+        const { fromValue, toFormat, quality, steps, budget, frame, allFrames, gif, encoder } = settings;
+        const sequence = currentFiles.length > 1;
+
+        if (sequence && toFormat !== "gif") {
+            setStatus(statusText, t("webp.sequenceGifOnly"), "warning");
+            showToast(t("webp.sequenceGifOnly"), "warning", 6000, {
+                actions: [{ label: t("common.openSettings"), icon: "bi-sliders", onClick: focusTargetFormat }]
+            });
+            return;
+        }
+        const animatedGif = toFormat === "gif" && (sequence || allFrames);
+        if (animatedGif && budget) {
+            setStatus(statusText, t("gif.noBudget"), "warning");
+            return;
+        }
 
         if (toFormat === "webp" && !canEncodeWebP) {
-            const msg =
-                "This browser does not support WebP encoding via Canvas. " +
-                "Try using JPG or PNG as the target format.";
-            showToast(msg, "error");
+            const msg = t("webp.noEncoder");
+            showToast(msg, "error", 6000, {
+                actions: [{ label: t("common.openSettings"), icon: "bi-sliders", onClick: focusTargetFormat }]
+            });
             setStatus(statusText, msg, "error");
             return;
         }
 
-        const rawQuality = qualityRange ? parseInt(qualityRange.value, 10) : 85;
-        let quality = Number.isNaN(rawQuality) ? 0.85 : rawQuality / 100;
+        if (toFormat === "avif" && !(await avifSupport())) {
+            const msg = t("avif.unavailable");
+            showToast(msg, "error", 6000, {
+                actions: [{ label: t("common.openSettings"), icon: "bi-sliders", onClick: focusTargetFormat }]
+            });
+            setStatus(statusText, msg, "error");
+            return;
+        }
 
-        if (compressSwitch && !compressSwitch.checked) {
-            quality = Math.max(quality, 0.9);
+        if (targetSize.isEnabled() && !budget) {
+            setStatus(statusText, t("target.invalid"), "warning");
+            return;
         }
 
-        setButtonLoading(convertBtn, true, "Converting...");
-        toggleProgress(progressWrapper, true);
-        setStatus(statusText, "Converting image...", "muted");
+        setButtonLoading(convertBtn, true, t("common.converting"));
+        const run = startCancellable(cancelBtn);
 
         try {
-            const blob = await convertImage(currentFile, fromValue, toFormat, quality);
-            if (!blob) {
-                throw new Error("Conversion failed.");
-            }
-
-            if (currentObjectUrl) {
-                URL.revokeObjectURL(currentObjectUrl);
-            }
-            currentObjectUrl = URL.createObjectURL(blob);
-
-            const ext = toFormat;
-            const filename = generateDownloadName(currentFile.name, ext);
-
-            if (downloadLink) {
-                downloadLink.href = currentObjectUrl;
-                downloadLink.download = filename;
-                downloadLink.classList.remove("d-none");
-            }
-            if (downloadHint) {
-                downloadHint.classList.remove("d-none");
-            }
-
-            // Trigger automatic download
-            try {
-                if (downloadLink) {
-                    downloadLink.click();
+            if (animatedGif) {
+                await exportGif(settings, run.signal);
+            } else if (allFrames) {
+                await exportFrames(settings, run.signal);
+            } else {
+                progress.start({ stages: steps.length ? ["decode", "render", "encode"] : ["decode", "encode"] });
+                setStatus(statusText, t("webp.converting"), "muted");
+
+                const result = await convertImage(currentFile, fromValue, toFormat, quality, steps, budget, frame, encoder, run.signal, (stage, info) =>
+                    progress.stage(stage, info)
+                );
+                const blob = result && result.blob;
+                if (!blob) {
+                    throw new Error(t("common.failed"));
                 }
-            } catch {
-                // ignore, user still has the button
-            }
 
-            if (lastConvLabel) {
-                const now = new Date();
-                const timeStr = now.toLocaleTimeString("en-US", {
-                    hour: "2-digit",
-                    minute: "2-digit"
-                });
-                lastConvLabel.textContent = "Last conversion: " + timeStr;
+                deliver(blob, generateDownloadName(currentFile.name, toFormat));
+                let message = budget ? describeBudget(result, budget) : t("webp.success");
+                if (result.fullColorSize) message += ` ${describePalette(result)}.`;
+                setStatus(statusText, message, "success");
             }
 
-            setStatus(statusText, "Conversion successful!", "success");
-            showToast("Image converted successfully.", "success");
+            showToast(t("webp.successToast"), "success", 3000, {
+                actions: [{ label: t("common.downloadAgain"), icon: "bi-download", onClick: downloadAgain }]
+            });
         } catch (err) {
+            if (isAbortError(err)) {
+                setStatus(statusText, t("common.cancelled"), "warning");
+                return;
+            }
             console.error(err);
-            const message =
-                err && err.message ? err.message : "Error during conversion.";
+            const message = errorMessage(err, "webp.error");
             setStatus(statusText, message, "error");
-            showToast("Conversion failed.", "error");
+            showToast(t("common.failed"), "error", 6000, {
+                actions: [{ label: t("common.retry"), icon: "bi-arrow-clockwise", onClick: () => form.requestSubmit() }]
+            });
         } finally {
-            toggleProgress(progressWrapper, false);
+            run.done();
+            progress.done();
             setButtonLoading(convertBtn, false);
         }
     });
 
+    // Every frame of the animation, packed with a frames.json (delays, loop)
+    async function exportFrames({ toFormat, quality, steps, budget, encoder }, signal) {
+        const info = await readAnimation(currentFile);
+        const count = info ? info.frames.length : 1;
+        const stages = steps.length ? ["decode", "render", "encode"] : ["decode", "encode"];
+        progress.start({ stages: [...stages, "package"], items: count });
+        setStatus(statusText, t("frames.converting", { count }), "muted");
+
+        const result = await convertFrames(currentFile, {
+            format: toFormat,
+            quality,
+            steps,
+            ...encoder,
+            ...budget,
+            signal,
+            onProgress: (stage, { frame = 0, ...rest }) => progress.stage(stage, { ...rest, item: frame }),
+            onFrame: (done) => progress.itemDone(done.index)
+        });
+
+        progress.stage("package");
+        const base = getBaseName(currentFile.name);
+        const digits = String(result.frames.length).length;
+        const listing = result.frames.map((done) => ({
+            file: `${base}-frame-${String(done.index + 1).padStart(Math.max(3, digits), "0")}.${toFormat}`,
+            delay: done.delay,
+            width: done.width,
+            height: done.height,
+            blob: done.blob
+        }));
+        const manifest = {
+            source: currentFile.name,
+            width: result.width,
+            height: result.height,
+            loop: result.loop,
+            frames: listing.map(({ file, delay, width, height }) => ({ file, delay, width, height }))
+        };
+        const zip = await createZip([
+            ...listing.map(({ file, blob }) => ({ name: file, data: blob })),
+            { name: "frames.json", data: JSON.stringify(manifest, null, 2) }
+        ]);
+        progress.stage("package", { fraction: 1 });
+
+        deliver(zip, `${base}-frames.zip`);
+        setStatus(statusText, t("frames.done", { count: result.frames.length }), "success");
+    }
+
+    // One GIF from every frame of the animation or from all selected images
+    async function exportGif({ steps, gif }, signal) {
+        const sequence = currentFiles.length > 1;
+        const info = sequence ? null : await readAnimation(currentFile);
+        const count = sequence ? currentFiles.length : info ? info.frames.length : 1;
+        progress.start({ stages: steps.length ? ["decode", "render", "encode"] : ["decode", "encode"], items: count });
+        setStatus(statusText, t("gif.building", { count }), "muted");
+
+        const result = await encodeAnimatedGif(sequence ? currentFiles : currentFile, {
+            steps,
+            ...gif,
+            signal,
+            onProgress: (stage, { frame = 0, ...rest }) => {
+                if (stage === "decode" && frame > 0) progress.itemDone(frame - 1);
+                progress.stage(stage, { ...rest, item: frame });
+            }
+        });
+        progress.itemDone(result.frames - 1);
+
+        deliver(result.blob, generateDownloadName(currentFile.name, "gif"));
+        setStatus(statusText, t("gif.done", { count: result.frames }), "success");
+    }
+
+    // Offer the result through the download link and start the download
+    function deliver(blob, filename) {
+        if (currentObjectUrl) {
+            URL.revokeObjectURL(currentObjectUrl);
+        }
+        currentObjectUrl = URL.createObjectURL(blob);
+
+        if (downloadLink) {
+            downloadLink.href = currentObjectUrl;
+            downloadLink.download = filename;
+            downloadLink.classList.remove("d-none");
+        }
+        if (downloadHint) {
+            downloadHint.classList.remove("d-none");
+        }
+
+        // Trigger automatic download
+        try {
+            if (downloadLink) {
+                downloadLink.click();
+            }
+        } catch {
+            // ignore, user still has the button
+        }
+
+        if (lastConvLabel) {
+            const now = new Date();
+            const timeStr = now.toLocaleTimeString(getLocale(), {
+                hour: "2-digit",
+                minute: "2-digit"
+            });
+            lastConvLabel.textContent = t("common.lastConversion", { time: timeStr });
+        }
+    }
+
     /* --------------------------------------------------------
        Reset button
        -------------------------------------------------------- */
 
     if (resetBtn) {
         resetBtn.addEventListener("click", () => {
+            const snapshot = {
+                file: currentFile,
+                files: currentFiles,
+                from: fromSelect ? fromSelect.value : "auto",
+                to: toSelect ? toSelect.value : "webp",
+                quality: qualityRange ? qualityRange.value : "85",
+                compress: compressSwitch ? compressSwitch.checked : true,
+                metadata: metadataSelect ? metadataSelect.value : "strip",
+                gif: {
+                    colors: gifColors ? gifColors.value : "256",
+                    dither: Boolean(gifDither && gifDither.checked),
+                    delay: gifDelay ? gifDelay.value : "500"
+                },
+                edit: edit.getState(),
+                resize: resize.getState(),
+                targetSize: targetSize.getState(),
+                avif: avif.getState(),
+                palette: palette.getState(),
+                jpeg: jpeg.getState(),
+                frames: frames.getState()
+            };
+
             resetFileState();
             if (fromSelect) fromSelect.value = "auto";
             if (toSelect) toSelect.value = "webp";
             if (qualityRange) qualityRange.value = "85";
             if (compressSwitch) compressSwitch.checked = true;
-
-            setTemporaryStatus(statusText, "Form reset.", "muted", 2000);
+            if (metadataSelect) metadataSelect.value = "strip";
+            if (gifColors) gifColors.value = "256";
+            if (gifDither) gifDither.checked = false;
+            if (gifDelay) gifDelay.value = "500";
+            syncGifControls();
+            resize.reset();
+            targetSize.reset();
+            avif.reset();
+            palette.reset();
+            jpeg.reset();
+            frames.reset();
+
+            setTemporaryStatus(statusText, t("common.formReset"), "muted", 2000);
+
+            if (snapshot.file) {
+                showToast(t("common.formReset"), "info", 5000, {
+                    actions: [{ label: t("common.undo"), icon: "bi-arrow-counterclockwise", onClick: () => undoReset(snapshot) }]
+                });
+            }
         });
     }
 
+    function undoReset(snapshot) {
+        if (fromSelect) fromSelect.value = snapshot.from;
+        if (toSelect) toSelect.value = snapshot.to;
+        if (qualityRange) qualityRange.value = snapshot.quality;
+        if (compressSwitch) compressSwitch.checked = snapshot.compress;
+        if (metadataSelect) metadataSelect.value = snapshot.metadata;
+        if (gifColors) gifColors.value = snapshot.gif.colors;
+        if (gifDither) gifDither.checked = snapshot.gif.dither;
+        if (gifDelay) gifDelay.value = snapshot.gif.delay;
+        resize.setState(snapshot.resize);
+        targetSize.setState(snapshot.targetSize);
+        avif.setState(snapshot.avif);
+        palette.setState(snapshot.palette);
+        jpeg.setState(snapshot.jpeg);
+        // The frame list comes back once the file is read again
+        frames.setState(snapshot.frames);
+        selectFiles(snapshot.files);
+        // A sequence switches the target to GIF, keep what was chosen
+        if (toSelect) toSelect.value = snapshot.to;
+        syncGifControls();
+        avif.refresh();
+        palette.refresh();
+        jpeg.refresh();
+        // After the file: a new source starts without edits
+        edit.setState(snapshot.edit);
+    }
+
     /* --------------------------------------------------------
-       Core conversion using Canvas
+       Core conversion (shared image pipeline)
        -------------------------------------------------------- */
 
     /**
-     * Convert image to desired format using Canvas.
+     * Convert image to desired format via the shared pipeline.
      * @param {File} file
-     * @param {string} fromFormat - "auto" | "webp" | "jpg" | "png" | "gif"
-     * @param {string} toFormat   - "webp" | "jpg" | "png"
+     * @param {string} fromFormat - "auto" | "webp" | "jpg" | "png" | "gif" | "bmp" | "tiff"
+     * @param {string} toFormat   - "webp" | "jpg" | "png" | "gif" | "bmp" | "tiff" | "avif"
      * @param {number} quality    - 0..1
-     * @returns {Promise<Blob>}
+     * @param {Array<object>} steps - pipeline steps (edits, resize), may be empty
+     * @param {{maxBytes: number, fitDimensions: boolean}|null} budget - target file size, if any
+     * @param {number|undefined} frame - frame of an animated source (0-based)
+     * @param {{colors?: number, dither?: boolean, speed?: number, jpeg?: object}} encoder - GIF / PNG-8 palette, AVIF speed, MozJPEG
+     * @param {AbortSignal} [signal]
+     * @param {Function} [onProgress] - pipeline stage callback
+     * @returns {Promise<{blob: Blob, width: number, height: number, quality: number|null, scaled?: boolean}>}
      */
-    function convertImage(file, fromFormat, toFormat, quality) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onerror = () => reject(new Error("Failed to read file."));
-            reader.onload = () => {
-                const img = new Image();
-                img.onload = () => {
-                    try {
-                        const canvas = document.createElement("canvas");
-                        canvas.width = img.width;
-                        canvas.height = img.height;
-
-                        const ctx = canvas.getContext("2d");
-                        if (!ctx) {
-                            reject(new Error("Canvas is not supported in this browser."));
-                            return;
-                        }
-
-                        if (toFormat === "jpg" || toFormat === "jpeg") {
-                            ctx.fillStyle = "#ffffff";
-                            ctx.fillRect(0, 0, canvas.width, canvas.height);
-                        }
-
-                        ctx.drawImage(img, 0, 0);
-
-                        let mimeType = "image/jpeg";
-                        if (toFormat === "png") mimeType = "image/png";
-                        if (toFormat === "webp") mimeType = "image/webp";
-
-                        canvas.toBlob(
-                            (blob) => {
-                                if (!blob) {
-                                    reject(new Error("Failed to generate output image."));
-                                    return;
-                                }
-                                resolve(blob);
-                            },
-                            mimeType,
-                            quality
-                        );
-                    } catch (err) {
-                        reject(err);
-                    }
-                };
-                img.onerror = () =>
-                    reject(
-                        new Error(
-                            "Failed to decode image. Unsupported or corrupted file."
-                        )
-                    );
-                img.src = reader.result;
-            };
-
-            reader.readAsDataURL(file);
+    async function convertImage(file, fromFormat, toFormat, quality, steps, budget, frame, encoder, signal, onProgress) {
+        const metadata = metadataSelect ? metadataSelect.value : "strip";
+        const { colors, dither, speed, jpeg: jpegOptions } = encoder || {};
+        return convert(file, {
+            format: toFormat, quality, steps, metadata, ...budget, frame, colors, dither, speed, jpeg: jpegOptions, signal, onProgress
         });
     }
 
@@ -403,29 +738,47 @@ document.addEventListener("DOMContentLoaded", () => {
        Utilities
        -------------------------------------------------------- */
 
-    function mimeToFormat(mime) {
-        if (!mime) return null;
-        if (mime === "image/webp") return "webp";
-        if (mime === "image/jpeg") return "jpg";
-        if (mime === "image/png") return "png";
-        if (mime === "image/gif") return "gif";
-        return null;
+    // Toast actions
+    function focusTargetFormat() {
+        if (!toSelect) return;
+        toSelect.scrollIntoView({ block: "center", behavior: "smooth" });
+        toSelect.focus();
+    }
+
+    function downloadAgain() {
+        if (downloadLink && downloadLink.getAttribute("href")) {
+            downloadLink.click();
+        }
+    }
+
+    // "Fits 500 KB: 480 KB at quality 78%."
+    function describeBudget(result, budget) {
+        const params = { limit: formatBytes(budget.maxBytes), size: formatBytes(result.blob.size) };
+        let text = result.quality === null
+            ? t("target.achievedLossless", params)
+            : t("target.achieved", { ...params, quality: Math.round(result.quality * 100) });
+        if (result.scaled) {
+            text += " " + t("target.resized", { width: result.width, height: result.height });
+        }
+        return text;
     }
 
-    function formatBytes(bytes, decimals = 1) {
-        if (!bytes) return "0 B";
-        const k = 1024;
-        const dm = decimals < 0 ? 0 : decimals;
-        const sizes = ["B", "KB", "MB", "GB", "TB"];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + " " + sizes[i];
+    // "PNG-8 saves 80 KB (62%) compared with a full-colour PNG"
+    function describePalette(result) {
+        if (result.blob.size >= result.fullColorSize) {
+            return t("palette.notSaved", { size: formatBytes(result.fullColorSize) });
+        }
+        return t("palette.saved", {
+            saved: formatBytes(result.fullColorSize - result.blob.size),
+            percent: Math.round((1 - result.blob.size / result.fullColorSize) * 100)
+        });
     }
 
     function generateDownloadName(original, newExt) {
-        const base = original.replace(/\.[^/.]+$/, "");
+        const base = getBaseName(original);
         return `${base}-converted.${newExt}`;
     }
 
     // Initial status
-    setStatus(statusText, "No file selected yet.", "muted");
+    setStatus(statusText, t("common.noFile"), "muted");
 });
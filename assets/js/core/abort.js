@@ -0,0 +1,75 @@
+/* ============================================================
+   abort.js
+   AbortSignal helpers shared by the pipeline, worker pool and
+   converters (Cancel button support).
+   ============================================================ */
+
+/**
+ * Create the error thrown when a conversion is cancelled.
+ * @returns {Error}
+ */
+export function abortError() {
+    if (typeof DOMException === "function") {
+        return new DOMException("Conversion cancelled.", "AbortError");
+    }
+    const err = new Error("Conversion cancelled.");
+    err.name = "AbortError";
+    return err;
+}
+
+/**
+ * @param {*} err
+ * @returns {boolean} true if err comes from a cancelled conversion
+ */
+export function isAbortError(err) {
+    return Boolean(err && err.name === "AbortError");
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted.
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw abortError();
+    }
+}
+
+/**
+ * Settle as soon as either the promise settles or the signal aborts.
+ * Used for steps that cannot be interrupted (e.g. heic2any): the
+ * work keeps running, but its result is dropped. `discard` receives
+ * a value that arrives after the abort so it can be freed.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @param {(value: T) => void} [discard]
+ * @returns {Promise<T>}
+ */
+export function raceAbort(promise, signal, discard) {
+    if (!signal) return promise;
+    if (signal.aborted) {
+        promise.then((value) => discard && discard(value), () => {});
+        return Promise.reject(abortError());
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            promise.then((value) => discard && discard(value), () => {});
+            reject(abortError());
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+
+        promise.then(
+            (value) => {
+                signal.removeEventListener("abort", onAbort);
+                if (signal.aborted) return;
+                resolve(value);
+            },
+            (err) => {
+                signal.removeEventListener("abort", onAbort);
+                reject(err);
+            }
+        );
+    });
+}
@@ -0,0 +1,319 @@
+/* ============================================================
+   animation.js
+   Frame access for animated GIF and WebP:
+   - readAnimation(): frame count, delays and loop count straight
+     from the container (cheap, nothing is decoded)
+   - openAnimation(): full-size, composited frames by index,
+     through ImageDecoder (WebCodecs) where the browser has it,
+     otherwise core/gif-decoder.js for GIF and the native WebP
+     decoder frame by frame (each ANMF chunk re-wrapped as a
+     still WebP) with disposal/blending done here
+   Works in workers as well (OffscreenCanvas).
+   ============================================================ */
+
+import { createGifReader, parseGif } from "./gif-decoder.js";
+
+/** MIME types that may hold several frames. */
+export const ANIMATED_TYPES = ["image/gif", "image/webp"];
+
+/**
+ * @typedef {object} AnimationInfo
+ * @property {"gif"|"webp"} format
+ * @property {number} width
+ * @property {number} height
+ * @property {number|null} loop - 0 = forever, n = repeat count, null = play once
+ * @property {Array<{delay: number}>} frames - delay in ms
+ */
+
+/* ============================================================
+   Container parsing
+   ============================================================ */
+
+function readU24(bytes, pos) {
+    return bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16);
+}
+
+function readU32(bytes, pos) {
+    return (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0;
+}
+
+function fourCC(bytes, pos) {
+    return String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+}
+
+function sniff(bytes) {
+    if (bytes.length >= 6 && fourCC(bytes, 0) === "GIF8") return "gif";
+    if (bytes.length >= 12 && fourCC(bytes, 0) === "RIFF" && fourCC(bytes, 8) === "WEBP") return "webp";
+    return null;
+}
+
+// RIFF chunks: fourcc, little-endian size, data padded to even length
+function* riffChunks(bytes, start, end) {
+    let pos = start;
+    while (pos + 8 <= end) {
+        const type = fourCC(bytes, pos);
+        const size = readU32(bytes, pos + 4);
+        const data = pos + 8;
+        if (data + size > end) return;
+        yield { type, data, size };
+        pos = data + size + (size & 1);
+    }
+}
+
+/**
+ * Structure of an animated WebP: canvas, loop count and every
+ * ANMF frame (offset, size, delay, blend/dispose, data range).
+ */
+function parseWebp(bytes) {
+    const end = Math.min(bytes.length, 8 + readU32(bytes, 4));
+    let width = 0;
+    let height = 0;
+    let animated = false;
+    let loop = 0;
+    const frames = [];
+
+    for (const chunk of riffChunks(bytes, 12, end)) {
+        const d = chunk.data;
+        if (chunk.type === "VP8X" && chunk.size >= 10) {
+            animated = Boolean(bytes[d] & 0x02);
+            width = readU24(bytes, d + 4) + 1;
+            height = readU24(bytes, d + 7) + 1;
+        } else if (chunk.type === "ANIM" && chunk.size >= 6) {
+            loop = bytes[d + 4] | (bytes[d + 5] << 8);
+        } else if (chunk.type === "ANMF" && chunk.size >= 16) {
+            frames.push({
+                x: readU24(bytes, d) * 2,
+                y: readU24(bytes, d + 3) * 2,
+                width: readU24(bytes, d + 6) + 1,
+                height: readU24(bytes, d + 9) + 1,
+                delay: readU24(bytes, d + 12),
+                blend: !(bytes[d + 15] & 0x02),
+                dispose: Boolean(bytes[d + 15] & 0x01),
+                start: d + 16,
+                end: d + chunk.size
+            });
+        }
+    }
+
+    return animated && frames.length ? { width, height, loop, frames } : null;
+}
+
+function parse(bytes) {
+    const format = sniff(bytes);
+    if (format === "gif") {
+        const gif = parseGif(bytes);
+        return { format, width: gif.width, height: gif.height, loop: gif.loop, frames: gif.frames };
+    }
+    if (format === "webp") {
+        const webp = parseWebp(bytes);
+        return webp ? { format, ...webp } : null;
+    }
+    return null;
+}
+
+/**
+ * Frame count, delays and loop count of an animated GIF/WebP.
+ * Resolves with null for stills, single-frame files and other
+ * formats (or files that cannot be parsed).
+ * @param {Blob} blob
+ * @returns {Promise<AnimationInfo|null>}
+ */
+export async function readAnimation(blob) {
+    try {
+        const info = parse(new Uint8Array(await blob.arrayBuffer()));
+        if (!info || info.frames.length < 2) return null;
+        return {
+            format: info.format,
+            width: info.width,
+            height: info.height,
+            loop: info.loop,
+            frames: info.frames.map((frame) => ({ delay: frame.delay }))
+        };
+    } catch {
+        return null;
+    }
+}
+
+/* ============================================================
+   Frame readers
+   ============================================================ */
+
+function makeCanvas(width, height) {
+    if (typeof document === "undefined") return new OffscreenCanvas(width, height);
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function copyCanvas(source) {
+    const canvas = makeCanvas(source.width, source.height);
+    canvas.getContext("2d").drawImage(source, 0, 0);
+    return canvas;
+}
+
+function frameError(index) {
+    const err = new Error(`Frame ${index + 1} cannot be decoded.`);
+    err.code = "DECODE_FAILED";
+    return err;
+}
+
+// WebCodecs: frames come out composited already
+async function nativeReader(bytes, type, count) {
+    if (typeof ImageDecoder === "undefined") return null;
+    try {
+        if (!(await ImageDecoder.isTypeSupported(type))) return null;
+        const decoder = new ImageDecoder({ data: bytes, type });
+        await decoder.tracks.ready;
+        const track = decoder.tracks.selectedTrack;
+        if (!track || track.frameCount < count) {
+            decoder.close();
+            return null;
+        }
+        return {
+            async readFrame(index) {
+                const { image } = await decoder.decode({ frameIndex: index, completeFramesOnly: true });
+                try {
+                    const canvas = makeCanvas(image.displayWidth, image.displayHeight);
+                    canvas.getContext("2d").drawImage(image, 0, 0);
+                    return canvas;
+                } finally {
+                    image.close();
+                }
+            },
+            close: () => decoder.close()
+        };
+    } catch {
+        return null;
+    }
+}
+
+function gifReader(bytes) {
+    const gif = createGifReader(bytes);
+    return {
+        async readFrame(index) {
+            const pixels = gif.readFrame(index);
+            const canvas = makeCanvas(gif.width, gif.height);
+            canvas.getContext("2d").putImageData(new ImageData(pixels, gif.width, gif.height), 0, 0);
+            return canvas;
+        },
+        close() {}
+    };
+}
+
+// One ANMF frame as a standalone still WebP
+function frameToWebp(bytes, frame) {
+    const chunks = bytes.subarray(frame.start, frame.end);
+    let hasAlpha = false;
+    for (const chunk of riffChunks(chunks, 0, chunks.length)) {
+        if (chunk.type === "ALPH") hasAlpha = true;
+    }
+
+    const parts = [];
+    if (hasAlpha) {
+        // Separate alpha needs the extended header
+        const vp8x = new Uint8Array(18);
+        vp8x.set([0x56, 0x50, 0x38, 0x58, 10, 0, 0, 0, 0x10]);
+        const w = frame.width - 1;
+        const h = frame.height - 1;
+        vp8x.set([w & 0xff, (w >> 8) & 0xff, (w >> 16) & 0xff, h & 0xff, (h >> 8) & 0xff, (h >> 16) & 0xff], 12);
+        parts.push(vp8x);
+    }
+    parts.push(chunks);
+
+    const size = 4 + parts.reduce((sum, part) => sum + part.length, 0);
+    const header = new Uint8Array(12);
+    header.set([0x52, 0x49, 0x46, 0x46, size & 0xff, (size >> 8) & 0xff, (size >> 16) & 0xff, (size >>> 24) & 0xff, 0x57, 0x45, 0x42, 0x50]);
+    return new Blob([header, ...parts], { type: "image/webp" });
+}
+
+// Browser decodes each frame, compositing follows the WebP spec
+// (the background colour is ignored like browsers do)
+function webpReader(bytes, info) {
+    const canvas = makeCanvas(info.width, info.height);
+    const ctx = canvas.getContext("2d");
+    let last = -1;
+
+    async function step(index) {
+        const frame = info.frames[index];
+        if (index > 0 && info.frames[index - 1].dispose) {
+            const previous = info.frames[index - 1];
+            ctx.clearRect(previous.x, previous.y, previous.width, previous.height);
+        }
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(frameToWebp(bytes, frame));
+        } catch {
+            throw frameError(index);
+        }
+        if (!frame.blend) ctx.clearRect(frame.x, frame.y, frame.width, frame.height);
+        ctx.drawImage(bitmap, frame.x, frame.y);
+        bitmap.close();
+        last = index;
+    }
+
+    return {
+        async readFrame(index) {
+            if (index <= last) {
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                last = -1;
+            }
+            while (last < index) await step(last + 1);
+            return copyCanvas(canvas);
+        },
+        close() {
+            canvas.width = canvas.height = 0;
+        }
+    };
+}
+
+/**
+ * Open an animated GIF/WebP for frame access. Resolves with null
+ * when the file is not animated.
+ * `readFrame(index)` gives a new full-size canvas per call (the
+ * caller owns it); reading in order is the cheap way.
+ * @param {Blob} blob
+ * @returns {Promise<(AnimationInfo & {readFrame: (index: number) => Promise<HTMLCanvasElement|OffscreenCanvas>, close: () => void})|null>}
+ */
+export async function openAnimation(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const info = parse(bytes);
+    if (!info || info.frames.length < 2) return null;
+
+    const type = info.format === "gif" ? "image/gif" : "image/webp";
+    const reader =
+        (await nativeReader(bytes, type, info.frames.length)) ||
+        (info.format === "gif" ? gifReader(bytes) : webpReader(bytes, info));
+
+    return {
+        format: info.format,
+        width: info.width,
+        height: info.height,
+        loop: info.loop,
+        frames: info.frames.map((frame) => ({ delay: frame.delay })),
+        readFrame(index) {
+            if (!Number.isInteger(index) || index < 0 || index >= info.frames.length) {
+                return Promise.reject(frameError(index));
+            }
+            return reader.readFrame(index);
+        },
+        close: () => reader.close()
+    };
+}
+
+/**
+ * Decode a single frame. Resolves with null when the file is not
+ * animated (the normal decoder then applies).
+ * @param {Blob} blob
+ * @param {number} index
+ * @returns {Promise<HTMLCanvasElement|OffscreenCanvas|null>}
+ */
+export async function decodeFrame(blob, index) {
+    const animation = await openAnimation(blob);
+    if (!animation) return null;
+    try {
+        return await animation.readFrame(Math.min(index, animation.frames.length - 1));
+    } finally {
+        animation.close();
+    }
+}
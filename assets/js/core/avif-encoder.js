@@ -0,0 +1,75 @@
+/* ============================================================
+   avif-encoder.js
+   AVIF for browsers whose canvas cannot write it: the libavif
+   WASM build from Squoosh (vendor/avif/, repackaged by
+   @jsquash/avif, Apache-2.0). Loaded on first use (~3.5 MB),
+   works in workers as well.
+   The single-threaded build is used on purpose: the threaded
+   one needs a cross-origin isolated page, which a static host
+   does not give.
+   ============================================================ */
+
+const ENCODER_SRC = "../vendor/avif/avif_enc.js";
+
+/** Encoder speed: 0 = slowest / smallest file … 10 = fastest. */
+export const AVIF_SPEED = { min: 0, max: 10, default: 6 };
+
+// Every field of the encoder's options struct must be present
+const ENCODER_OPTIONS = {
+    quality: 50,
+    qualityAlpha: -1,
+    denoiseLevel: 0,
+    tileColsLog2: 0,
+    tileRowsLog2: 0,
+    speed: AVIF_SPEED.default,
+    subsample: 1, // 4:2:0
+    chromaDeltaQ: false,
+    sharpness: 0,
+    tune: 0,
+    enableSharpYUV: false,
+    bitDepth: 8,
+    lossless: false
+};
+
+let encoder = null;
+
+/**
+ * Whether the WASM encoder can run here at all.
+ * @returns {boolean}
+ */
+export function canUseAvifEncoder() {
+    return typeof WebAssembly === "object" && typeof WebAssembly.instantiate === "function";
+}
+
+// Loads once; a failed load may be retried later (e.g. back online)
+function loadEncoder() {
+    if (!encoder) {
+        encoder = import(new URL(ENCODER_SRC, import.meta.url).href)
+            .then((lib) => lib.default({ noInitialRun: true }))
+            .catch((err) => {
+                encoder = null;
+                throw err;
+            });
+    }
+    return encoder;
+}
+
+/**
+ * Encode RGBA pixels as AVIF.
+ * @param {Uint8ClampedArray|Uint8Array} pixels - width × height × 4
+ * @param {number} width
+ * @param {number} height
+ * @param {{quality?: number, speed?: number}} [options] - quality 0–1 like the canvas
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeAvif(pixels, width, height, { quality = 0.5, speed = AVIF_SPEED.default } = {}) {
+    const module = await loadEncoder();
+    const level = Number.isFinite(Number(speed)) ? Math.round(Number(speed)) : AVIF_SPEED.default;
+    const output = module.encode(new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.byteLength), width, height, {
+        ...ENCODER_OPTIONS,
+        quality: Math.round(Math.min(Math.max(Number(quality) || 0, 0), 1) * 100),
+        speed: Math.min(Math.max(level, AVIF_SPEED.min), AVIF_SPEED.max)
+    });
+    if (!output) throw new Error("AVIF encoding failed.");
+    return output;
+}
@@ -0,0 +1,181 @@
+/* ============================================================
+   batch-queue.js
+   Small job queue for multi-file conversions:
+   - one entry per file with its own state/result/error
+   - limited concurrency (1 = sequential)
+   - per-entry retry and remove
+   - cancellation through an AbortSignal passed to run()
+   The queue knows nothing about the DOM; pages render rows
+   from getItems() inside onChange.
+   ============================================================ */
+
+import { isAbortError } from "./abort.js";
+
+/**
+ * @typedef {"pending"|"processing"|"done"|"error"|"cancelled"} QueueState
+ */
+
+/**
+ * @typedef {object} QueueItem
+ * @property {number} id
+ * @property {File} file
+ * @property {QueueState} state
+ * @property {*} result  - whatever `process` resolved with
+ * @property {Error|null} error
+ */
+
+/**
+ * Create a conversion queue.
+ * @param {object} options
+ * @param {(file: File, item: QueueItem, signal?: AbortSignal) => Promise<*>} options.process
+ * @param {number} [options.concurrency] - parallel jobs (default 1)
+ * @param {(items: QueueItem[]) => void} [options.onChange]
+ */
+export function createBatchQueue({ process, concurrency = 1, onChange } = {}) {
+    if (typeof process !== "function") {
+        throw new Error("Batch queue needs a process() function.");
+    }
+
+    let items = [];
+    let nextId = 1;
+    let limit = Math.max(1, concurrency | 0);
+    let running = null;
+
+    function emit() {
+        if (typeof onChange === "function") {
+            onChange(items.slice());
+        }
+    }
+
+    function find(id) {
+        return items.find((item) => item.id === id) || null;
+    }
+
+    /**
+     * Append files to the queue.
+     * @param {Iterable<File>} files
+     * @returns {QueueItem[]} the new entries
+     */
+    function add(files) {
+        const added = Array.from(files || []).map((file) => ({
+            id: nextId++,
+            file,
+            state: "pending",
+            result: null,
+            error: null
+        }));
+        items = items.concat(added);
+        emit();
+        return added;
+    }
+
+    /**
+     * Remove an entry. Entries that are being processed stay.
+     * @param {number} id
+     * @returns {boolean}
+     */
+    function remove(id) {
+        const item = find(id);
+        if (!item || item.state === "processing") return false;
+        items = items.filter((i) => i !== item);
+        emit();
+        return true;
+    }
+
+    function clear() {
+        items = items.filter((item) => item.state === "processing");
+        emit();
+    }
+
+    /**
+     * Mark entries as pending again (all when no id is given).
+     * @param {number} [id]
+     */
+    function reset(id) {
+        for (const item of items) {
+            if (id !== undefined && item.id !== id) continue;
+            if (item.state === "processing") continue;
+            item.state = "pending";
+            item.result = null;
+            item.error = null;
+        }
+        emit();
+    }
+
+    async function runItem(item, signal) {
+        item.state = "processing";
+        item.error = null;
+        emit();
+        try {
+            item.result = await process(item.file, item, signal);
+            item.state = "done";
+        } catch (err) {
+            item.result = null;
+            if (isAbortError(err)) {
+                item.error = null;
+                item.state = "cancelled";
+            } else {
+                item.error = err instanceof Error ? err : new Error(String(err));
+                item.state = "error";
+            }
+        }
+        emit();
+    }
+
+    /**
+     * Process every pending entry. Calling run() while a run is
+     * in progress returns the same promise; entries added or
+     * retried in the meantime are picked up by it.
+     * After an abort no new entries are started; the ones still
+     * waiting stay "pending".
+     * @param {{signal?: AbortSignal}} [options]
+     * @returns {Promise<QueueItem[]>}
+     */
+    function run({ signal } = {}) {
+        if (running) return running;
+
+        const worker = async () => {
+            for (;;) {
+                if (signal && signal.aborted) return;
+                const next = items.find((item) => item.state === "pending");
+                if (!next) return;
+                await runItem(next, signal);
+            }
+        };
+
+        // Workers start on the next microtask so isRunning() is
+        // already true when the first onChange fires
+        running = Promise.resolve()
+            .then(() => Promise.all(Array.from({ length: limit }, worker)))
+            .then(() => {
+                running = null;
+                return items.slice();
+            });
+        return running;
+    }
+
+    /**
+     * Re-run a single failed (or finished) entry.
+     * @param {number} id
+     * @param {{signal?: AbortSignal}} [options]
+     * @returns {Promise<QueueItem[]>}
+     */
+    function retry(id, options) {
+        reset(id);
+        return run(options);
+    }
+
+    return {
+        add,
+        remove,
+        clear,
+        reset,
+        run,
+        retry,
+        getItems: () => items.slice(),
+        isRunning: () => running !== null,
+        setConcurrency(value) {
+            limit = Math.max(1, value | 0);
+        }
+    };
+}
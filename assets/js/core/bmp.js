@@ -0,0 +1,270 @@
+/* ============================================================
+   bmp.js
+   Plain JS BMP codec (Windows bitmap), bytes in / bytes out,
+   so it runs in workers as well.
+   - decodeBmp(): 1/4/8-bit palette (also RLE4/RLE8), 16/24/32-bit
+     (also BI_BITFIELDS masks), OS/2 core headers, top-down and
+     bottom-up rows; 32-bit alpha is used when the file has any
+   - encodeBmp(): 24-bit for opaque images, 32-bit BGRA with a
+     V4 header (alpha mask) otherwise
+   ============================================================ */
+
+const BI_RGB = 0;
+const BI_RLE8 = 1;
+const BI_RLE4 = 2;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+const FILE_HEADER = 14;
+const INFO_HEADER = 40;
+const V4_HEADER = 108;
+
+// Channel masks to use when a BI_BITFIELDS file has none for a colour
+const DEFAULT_BITFIELDS = {
+    16: [0xf800, 0x07e0, 0x001f],
+    32: [0x00ff0000, 0x0000ff00, 0x000000ff]
+};
+
+/**
+ * @typedef {object} RgbaImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8ClampedArray} data - width × height × 4
+ */
+
+function bmpError(message) {
+    const err = new Error(message);
+    err.code = "DECODE_FAILED";
+    return err;
+}
+
+// Shift and 8-bit scale for one channel mask
+function maskReader(mask) {
+    if (!mask) return null;
+    let shift = 0;
+    while (!((mask >>> shift) & 1)) shift++;
+    let bits = 0;
+    while ((mask >>> (shift + bits)) & 1) bits++;
+    const max = 2 ** bits - 1;
+    return (value) => Math.round((((value & mask) >>> shift) * 255) / max);
+}
+
+// RLE4/RLE8 → one palette index per pixel (bottom-up rows, -1 = not painted)
+function decodeRle(bytes, pos, width, height, rle4) {
+    const indices = new Int16Array(width * height).fill(-1);
+    let x = 0;
+    let y = 0;
+    const put = (value) => {
+        if (x < width && y < height) indices[y * width + x] = value;
+        x++;
+    };
+
+    while (pos + 1 < bytes.length && y < height) {
+        const count = bytes[pos++];
+        const value = bytes[pos++];
+        if (count > 0) {
+            for (let i = 0; i < count; i++) {
+                put(rle4 ? (i & 1 ? value & 0x0f : value >> 4) : value);
+            }
+        } else if (value === 0) {
+            x = 0;
+            y++;
+        } else if (value === 1) {
+            break;
+        } else if (value === 2) {
+            x += bytes[pos++];
+            y += bytes[pos++];
+        } else {
+            // Absolute run, padded to 16 bits
+            const size = rle4 ? Math.ceil(value / 2) : value;
+            for (let i = 0; i < value; i++) {
+                const byte = bytes[pos + (rle4 ? i >> 1 : i)];
+                put(rle4 ? (i & 1 ? byte & 0x0f : byte >> 4) : byte);
+            }
+            pos += size + (size & 1);
+        }
+    }
+    return indices;
+}
+
+/**
+ * Decode a BMP file.
+ * @param {Uint8Array} bytes
+ * @returns {RgbaImage}
+ */
+export function decodeBmp(bytes) {
+    if (bytes.length < FILE_HEADER + 12 || bytes[0] !== 0x42 || bytes[1] !== 0x4d) {
+        throw bmpError("Not a BMP file.");
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const dataOffset = view.getUint32(10, true);
+    const headerSize = view.getUint32(14, true);
+    const core = headerSize === 12;
+
+    const width = core ? view.getUint16(18, true) : view.getInt32(18, true);
+    const rawHeight = core ? view.getInt16(20, true) : view.getInt32(22, true);
+    const bpp = view.getUint16(core ? 24 : 28, true);
+    const compression = core ? BI_RGB : view.getUint32(30, true);
+    const colorsUsed = core || headerSize < 36 ? 0 : view.getUint32(46, true);
+    const topDown = rawHeight < 0;
+    const height = Math.abs(rawHeight);
+
+    if (width < 1 || height < 1) throw bmpError("BMP has no pixels.");
+    if (![1, 2, 4, 8, 16, 24, 32].includes(bpp)) throw bmpError(`Unsupported BMP bit depth: ${bpp}.`);
+    if (![BI_RGB, BI_RLE8, BI_RLE4, BI_BITFIELDS, BI_ALPHABITFIELDS].includes(compression)) {
+        throw bmpError("Unsupported BMP compression.");
+    }
+
+    // Channel masks: in the header (V2+) or right after a 40-byte one
+    let masks = null;
+    if (compression === BI_BITFIELDS || compression === BI_ALPHABITFIELDS) {
+        const count = compression === BI_ALPHABITFIELDS || headerSize >= 56 ? 4 : 3;
+        masks = [];
+        for (let i = 0; i < count; i++) masks.push(view.getUint32(FILE_HEADER + INFO_HEADER + i * 4, true));
+        // A zero colour mask would lose that channel: broken writer, use the usual layout
+        if (DEFAULT_BITFIELDS[bpp] && masks.slice(0, 3).some((mask) => !mask)) {
+            masks.splice(0, 3, ...DEFAULT_BITFIELDS[bpp]);
+        }
+    } else if (bpp === 16) {
+        masks = [0x7c00, 0x03e0, 0x001f];
+    } else if (bpp === 32) {
+        masks = [0x00ff0000, 0x0000ff00, 0x000000ff, 0xff000000];
+    }
+
+    // Palette (BGR0, or BGR for core headers)
+    let palette = null;
+    if (bpp <= 8) {
+        const entry = core ? 3 : 4;
+        const extra = headerSize === INFO_HEADER && compression === BI_BITFIELDS ? 12 : 0;
+        const start = FILE_HEADER + headerSize + extra;
+        const count = Math.min(colorsUsed || 1 << bpp, Math.floor((dataOffset - start) / entry), 256);
+        palette = new Uint8Array(256 * 3);
+        for (let i = 0; i < count; i++) {
+            palette[i * 3] = bytes[start + i * entry + 2];
+            palette[i * 3 + 1] = bytes[start + i * entry + 1];
+            palette[i * 3 + 2] = bytes[start + i * entry];
+        }
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    // Output row for file row `row`
+    const outRow = (row) => (topDown ? row : height - 1 - row);
+
+    if (compression === BI_RLE8 || compression === BI_RLE4) {
+        const indices = decodeRle(bytes, dataOffset, width, height, compression === BI_RLE4);
+        for (let row = 0; row < height; row++) {
+            const out = outRow(row) * width * 4;
+            for (let x = 0; x < width; x++) {
+                const index = indices[row * width + x];
+                if (index < 0) continue; // skipped by a delta: transparent
+                const o = out + x * 4;
+                data[o] = palette[index * 3];
+                data[o + 1] = palette[index * 3 + 1];
+                data[o + 2] = palette[index * 3 + 2];
+                data[o + 3] = 255;
+            }
+        }
+        return { width, height, data };
+    }
+
+    const stride = Math.floor((bpp * width + 31) / 32) * 4;
+    if (dataOffset + stride * (height - 1) + Math.ceil((bpp * width) / 8) > bytes.length) {
+        throw bmpError("BMP data is truncated.");
+    }
+
+    const [red, green, blue, alpha] = (masks || []).map(maskReader);
+    let hasAlpha = false;
+
+    for (let row = 0; row < height; row++) {
+        const src = dataOffset + row * stride;
+        const out = outRow(row) * width * 4;
+        for (let x = 0; x < width; x++) {
+            const o = out + x * 4;
+            if (bpp <= 8) {
+                const bit = x * bpp;
+                const index = (bytes[src + (bit >> 3)] >> (8 - bpp - (bit & 7))) & ((1 << bpp) - 1);
+                data[o] = palette[index * 3];
+                data[o + 1] = palette[index * 3 + 1];
+                data[o + 2] = palette[index * 3 + 2];
+                data[o + 3] = 255;
+            } else if (bpp === 24) {
+                const p = src + x * 3;
+                data[o] = bytes[p + 2];
+                data[o + 1] = bytes[p + 1];
+                data[o + 2] = bytes[p];
+                data[o + 3] = 255;
+            } else {
+                const value = bpp === 16 ? view.getUint16(src + x * 2, true) : view.getUint32(src + x * 4, true);
+                data[o] = red(value);
+                data[o + 1] = green(value);
+                data[o + 2] = blue(value);
+                data[o + 3] = alpha ? alpha(value) : 255;
+                if (alpha && data[o + 3]) hasAlpha = true;
+            }
+        }
+    }
+
+    // Plain 32-bit files often leave the fourth byte at 0: opaque then
+    if (alpha && !hasAlpha) {
+        for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    }
+    return { width, height, data };
+}
+
+/**
+ * Encode RGBA pixels as a BMP file.
+ * @param {Uint8ClampedArray|Uint8Array} pixels - width × height × 4
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+export function encodeBmp(pixels, width, height) {
+    let hasAlpha = false;
+    for (let i = 3; i < pixels.length; i += 4) {
+        if (pixels[i] !== 255) {
+            hasAlpha = true;
+            break;
+        }
+    }
+
+    const bpp = hasAlpha ? 32 : 24;
+    const headerSize = hasAlpha ? V4_HEADER : INFO_HEADER;
+    const stride = Math.floor((bpp * width + 31) / 32) * 4;
+    const dataOffset = FILE_HEADER + headerSize;
+    const bytes = new Uint8Array(dataOffset + stride * height);
+    const view = new DataView(bytes.buffer);
+
+    bytes[0] = 0x42;
+    bytes[1] = 0x4d;
+    view.setUint32(2, bytes.length, true);
+    view.setUint32(10, dataOffset, true);
+
+    view.setUint32(14, headerSize, true);
+    view.setInt32(18, width, true);
+    view.setInt32(22, height, true); // bottom-up
+    view.setUint16(26, 1, true);
+    view.setUint16(28, bpp, true);
+    view.setUint32(30, hasAlpha ? BI_BITFIELDS : BI_RGB, true);
+    view.setUint32(34, stride * height, true);
+    view.setInt32(38, 2835, true); // 72 dpi
+    view.setInt32(42, 2835, true);
+    if (hasAlpha) {
+        view.setUint32(54, 0x00ff0000, true);
+        view.setUint32(58, 0x0000ff00, true);
+        view.setUint32(62, 0x000000ff, true);
+        view.setUint32(66, 0xff000000, true);
+        view.setUint32(70, 0x73524742, true); // "sRGB"
+    }
+
+    for (let y = 0; y < height; y++) {
+        let p = dataOffset + (height - 1 - y) * stride;
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            bytes[p++] = pixels[i + 2];
+            bytes[p++] = pixels[i + 1];
+            bytes[p++] = pixels[i];
+            if (hasAlpha) bytes[p++] = pixels[i + 3];
+        }
+    }
+    return bytes;
+}
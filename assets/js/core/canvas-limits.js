@@ -0,0 +1,205 @@
+/* ============================================================
+   canvas-limits.js
+   How large a canvas this browser can draw, and the size of an
+   image read from its header before anything is decoded.
+   Browsers fail on canvases beyond their limits in unhelpful
+   ways (blank output, "could not decode", a crashed tab), so
+   the pipeline checks sizes against these limits first and
+   scales down or splits into tiles instead.
+   Works in workers as well.
+   ============================================================ */
+
+import { sniffFile } from "./sniff.js";
+
+/**
+ * Canvas limits per browser family: longest side and largest
+ * area in pixels (documented values, rounded down).
+ */
+export const CANVAS_LIMITS = {
+    chromium: { maxSide: 32767, maxArea: 16384 * 16384 },
+    firefox: { maxSide: 32767, maxArea: 11180 * 11180 },
+    safari: { maxSide: 32767, maxArea: 16384 * 16384 },
+    ios: { maxSide: 32767, maxArea: 4096 * 4096 }
+};
+
+// Decoded source, canvas and encoder copies held at the same time
+const PIXEL_COPIES = 4;
+const BYTES_PER_PIXEL = 4;
+// Headers are read from this many bytes (JPEG EXIF blocks can be long)
+const HEADER_BYTES = 256 * 1024;
+
+let limits = null;
+
+function browserFamily(userAgent) {
+    const ua = String(userAgent || "");
+    if (/iPad|iPhone|iPod/.test(ua)) return "ios";
+    if (/Firefox\//.test(ua)) return "firefox";
+    if (/Safari\//.test(ua) && !/Chrome|Chromium|Edg|OPR/.test(ua)) return "safari";
+    return "chromium";
+}
+
+/**
+ * Limits that apply here. Devices that report little memory
+ * (navigator.deviceMemory, Chromium only) get a smaller area.
+ * @returns {{browser: string, maxSide: number, maxArea: number}}
+ */
+export function getCanvasLimits() {
+    if (!limits) {
+        const nav = typeof navigator === "undefined" ? {} : navigator;
+        const browser = browserFamily(nav.userAgent);
+        let { maxSide, maxArea } = CANVAS_LIMITS[browser];
+        if (nav.deviceMemory > 0) {
+            const budget = (nav.deviceMemory * 1024 ** 3) / (BYTES_PER_PIXEL * PIXEL_COPIES);
+            maxArea = Math.min(maxArea, Math.floor(budget));
+        }
+        limits = { browser, maxSide, maxArea };
+    }
+    return limits;
+}
+
+/**
+ * Largest size with the same aspect ratio that fits the limits.
+ * @param {{width: number, height: number}} size
+ * @param {{maxSide: number, maxArea: number}} [max] - default: getCanvasLimits()
+ * @returns {{width: number, height: number, scale: number}} scale 1 = fits as is
+ */
+export function fitCanvasSize(size, max = getCanvasLimits()) {
+    const { width, height } = size;
+    const scale = Math.min(
+        1,
+        max.maxSide / Math.max(width, height, 1),
+        Math.sqrt(max.maxArea / Math.max(width * height, 1))
+    );
+    if (scale >= 1) return { width, height, scale: 1 };
+    return {
+        width: Math.max(1, Math.floor(width * scale)),
+        height: Math.max(1, Math.floor(height * scale)),
+        scale
+    };
+}
+
+/* ============================================================
+   Dimensions from file headers
+   ============================================================ */
+
+function u16be(bytes, pos) {
+    return (bytes[pos] << 8) | bytes[pos + 1];
+}
+
+function u32be(bytes, pos) {
+    return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+}
+
+function u16le(bytes, pos) {
+    return bytes[pos] | (bytes[pos + 1] << 8);
+}
+
+function u32le(bytes, pos) {
+    return (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0;
+}
+
+function fourCC(bytes, pos) {
+    return String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+}
+
+// First SOFn segment (not DHT / JPG / DAC, which share the range)
+function jpegSize(bytes) {
+    let pos = 2;
+    while (pos + 9 < bytes.length) {
+        if (bytes[pos] !== 0xff) return null;
+        const marker = bytes[pos + 1];
+        if (marker === 0xff) {
+            pos += 1;
+            continue;
+        }
+        if (marker === 0xd9 || marker === 0xda) return null;
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return { width: u16be(bytes, pos + 7), height: u16be(bytes, pos + 5) };
+        }
+        pos += 2 + u16be(bytes, pos + 2);
+    }
+    return null;
+}
+
+function webpSize(bytes) {
+    const chunk = fourCC(bytes, 12);
+    if (chunk === "VP8X") {
+        return { width: 1 + (u32le(bytes, 24) & 0xffffff), height: 1 + (u32le(bytes, 27) & 0xffffff) };
+    }
+    if (chunk === "VP8L" && bytes[20] === 0x2f) {
+        const bits = u32le(bytes, 21);
+        return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >>> 14) & 0x3fff) };
+    }
+    if (chunk === "VP8 " && bytes[23] === 0x9d && bytes[24] === 0x01 && bytes[25] === 0x2a) {
+        return { width: u16le(bytes, 26) & 0x3fff, height: u16le(bytes, 28) & 0x3fff };
+    }
+    return null;
+}
+
+function bmpSize(bytes) {
+    if (u32le(bytes, 14) === 12) return { width: u16le(bytes, 18), height: u16le(bytes, 20) };
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return { width: Math.abs(view.getInt32(18, true)), height: Math.abs(view.getInt32(22, true)) };
+}
+
+// ImageWidth (256) / ImageLength (257) of the first IFD
+async function tiffSize(blob, head) {
+    const little = head[0] === 0x49;
+    const u16 = little ? u16le : u16be;
+    const u32 = little ? u32le : u32be;
+    if (u16(head, 2) !== 42) return null;
+    const offset = u32(head, 4);
+    const countBytes = new Uint8Array(await blob.slice(offset, offset + 2).arrayBuffer());
+    if (countBytes.length < 2) return null;
+    const count = u16(countBytes, 0);
+    const ifd = new Uint8Array(await blob.slice(offset + 2, offset + 2 + count * 12).arrayBuffer());
+
+    const size = {};
+    for (let pos = 0; pos + 12 <= ifd.length; pos += 12) {
+        const tag = u16(ifd, pos);
+        if (tag !== 256 && tag !== 257) continue;
+        // SHORT (3) or LONG (4), stored inline
+        const value = u16(ifd, pos + 2) === 3 ? u16(ifd, pos + 8) : u32(ifd, pos + 8);
+        size[tag === 256 ? "width" : "height"] = value;
+    }
+    return size.width && size.height ? size : null;
+}
+
+// HEIC / AVIF: the largest "ispe" property (grids list their tiles too)
+function ispeSize(bytes) {
+    let best = null;
+    for (let pos = 4; pos + 16 <= bytes.length; pos++) {
+        if (bytes[pos] !== 0x69 || fourCC(bytes, pos) !== "ispe") continue;
+        const width = u32be(bytes, pos + 8);
+        const height = u32be(bytes, pos + 12);
+        if (!best || width * height > best.width * best.height) best = { width, height };
+    }
+    return best;
+}
+
+/**
+ * Pixel size of an image read from its header, without decoding.
+ * Knows PNG, JPEG, GIF, WebP, BMP, TIFF (first page), HEIC and
+ * AVIF; null for other formats and unreadable headers.
+ * @param {Blob} blob
+ * @returns {Promise<{width: number, height: number}|null>}
+ */
+export async function readImageSize(blob) {
+    if (!blob) return null;
+    try {
+        const format = await sniffFile(blob);
+        if (!format || format === "pdf" || format === "svg") return null;
+        const bytes = new Uint8Array(await blob.slice(0, HEADER_BYTES).arrayBuffer());
+        let size = null;
+        if (format === "png") size = { width: u32be(bytes, 16), height: u32be(bytes, 20) };
+        else if (format === "gif") size = { width: u16le(bytes, 6), height: u16le(bytes, 8) };
+        else if (format === "jpg") size = jpegSize(bytes);
+        else if (format === "webp") size = webpSize(bytes);
+        else if (format === "bmp") size = bmpSize(bytes);
+        else if (format === "tiff") size = await tiffSize(blob, bytes);
+        else size = ispeSize(bytes);
+        return size && size.width > 0 && size.height > 0 ? size : null;
+    } catch {
+        return null;
+    }
+}
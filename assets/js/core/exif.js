@@ -0,0 +1,388 @@
+/* ============================================================
+   exif.js
+   Minimal EXIF support for the image pipeline:
+   - read the EXIF (TIFF) block from JPEG (APP1) and HEIC/HEIF
+     (the "Exif" item of the meta box)
+   - orientation, GPS presence
+   - prepare a copy for re-insertion: orientation reset to 1,
+     GPS removed on request, pixel size updated, thumbnail dropped
+   - insert it as an APP1 segment into a JPEG
+   Works on bytes only, so it runs in workers as well.
+   ============================================================ */
+
+/**
+ * @typedef {object} ExifData
+ * @property {"jpeg"|"heic"} container - where the block came from
+ * @property {Uint8Array} tiff          - raw TIFF block ("II*\0" / "MM\0*" ...)
+ * @property {number} orientation       - 1–8 (1 when missing)
+ * @property {boolean} hasLocation      - GPS IFD present
+ */
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_PIXEL_X = 0xa002;
+const TAG_PIXEL_Y = 0xa003;
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00]; // "Exif\0\0"
+
+// Byte size of one value per TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// How much of a file is searched for the EXIF block / meta box
+const JPEG_SCAN_BYTES = 256 * 1024;
+const HEIF_SCAN_BYTES = 1024 * 1024;
+
+// An APP1 segment holds at most 65535 bytes including its length field
+const MAX_SEGMENT = 0xffff;
+
+/* ============================================================
+   TIFF structure
+   ============================================================ */
+
+function tiffView(tiff) {
+    if (!tiff || tiff.length < 8) return null;
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const order = view.getUint16(0);
+    if (order !== 0x4949 && order !== 0x4d4d) return null;
+    const little = order === 0x4949;
+    if (view.getUint16(2, little) !== 42) return null;
+    return { view, little };
+}
+
+// Entries of the IFD at `offset`: [{ tag, type, count, at }], `at` = entry offset
+function readIfd(t, offset) {
+    const { view, little } = t;
+    if (!offset || offset + 2 > view.byteLength) return null;
+    const count = view.getUint16(offset, little);
+    if (offset + 2 + count * 12 + 4 > view.byteLength) return null;
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        const at = offset + 2 + i * 12;
+        entries.push({
+            tag: view.getUint16(at, little),
+            type: view.getUint16(at + 2, little),
+            count: view.getUint32(at + 4, little),
+            at
+        });
+    }
+    return { offset, entries, next: offset + 2 + count * 12 };
+}
+
+function findEntry(ifd, tag) {
+    return ifd ? ifd.entries.find((e) => e.tag === tag) || null : null;
+}
+
+function readLong(t, entry) {
+    return t.view.getUint32(entry.at + 8, t.little);
+}
+
+function readShort(t, entry) {
+    return t.view.getUint16(entry.at + 8, t.little);
+}
+
+// Update an inline SHORT or LONG value
+function writeNumber(t, entry, value) {
+    if (!entry || entry.count !== 1) return;
+    if (entry.type === 3) t.view.setUint16(entry.at + 8, value, t.little);
+    else if (entry.type === 4) t.view.setUint32(entry.at + 8, value, t.little);
+}
+
+function ifd0(t) {
+    return readIfd(t, t.view.getUint32(4, t.little));
+}
+
+// Zero an IFD together with the values stored outside of it
+function eraseIfd(t, ifd) {
+    const bytes = new Uint8Array(t.view.buffer, t.view.byteOffset, t.view.byteLength);
+    for (const entry of ifd.entries) {
+        const size = (TYPE_SIZES[entry.type] || 1) * entry.count;
+        if (size > 4) {
+            const at = readLong(t, entry);
+            if (at + size <= bytes.length) bytes.fill(0, at, at + size);
+        }
+    }
+    bytes.fill(0, ifd.offset, ifd.next + 4);
+}
+
+// Drop one entry: later entries move up, the IFD keeps its size
+function removeEntry(t, ifd, entry) {
+    const bytes = new Uint8Array(t.view.buffer, t.view.byteOffset, t.view.byteLength);
+    const end = ifd.next + 4;
+    bytes.copyWithin(entry.at, entry.at + 12, end);
+    bytes.fill(0, end - 12, end);
+    t.view.setUint16(ifd.offset, ifd.entries.length - 1, t.little);
+}
+
+/* ============================================================
+   Containers
+   ============================================================ */
+
+async function readBytes(blob, start, end) {
+    const part = blob.slice(start, end);
+    return new Uint8Array(await part.arrayBuffer());
+}
+
+function startsWith(bytes, at, signature) {
+    return signature.every((b, i) => bytes[at + i] === b);
+}
+
+function fourCC(bytes, at) {
+    return String.fromCharCode(bytes[at], bytes[at + 1], bytes[at + 2], bytes[at + 3]);
+}
+
+function jpegExif(bytes) {
+    let i = 2;
+    while (i + 4 <= bytes.length && bytes[i] === 0xff) {
+        const marker = bytes[i + 1];
+        // Start of scan / end of image: no more metadata segments
+        if (marker === 0xda || marker === 0xd9) break;
+        const length = (bytes[i + 2] << 8) | bytes[i + 3];
+        if (marker === 0xe1 && startsWith(bytes, i + 4, EXIF_HEADER)) {
+            return bytes.slice(i + 10, Math.min(i + 2 + length, bytes.length));
+        }
+        i += 2 + length;
+    }
+    return null;
+}
+
+// ISOBMFF boxes inside [start, end): [{ type, start, end, body }]
+function readBoxes(bytes, start, end) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const boxes = [];
+    let at = start;
+    while (at + 8 <= end) {
+        let size = view.getUint32(at);
+        let header = 8;
+        if (size === 1) {
+            if (at + 16 > end) break;
+            size = view.getUint32(at + 8) * 2 ** 32 + view.getUint32(at + 12);
+            header = 16;
+        } else if (size === 0) {
+            size = end - at;
+        }
+        if (size < header) break;
+        boxes.push({ type: fourCC(bytes, at + 4), start: at, end: Math.min(at + size, end), body: at + header });
+        at += size;
+    }
+    return boxes;
+}
+
+function readSized(view, at, size) {
+    if (size === 2) return view.getUint16(at);
+    if (size === 4) return view.getUint32(at);
+    if (size === 8) return view.getUint32(at) * 2 ** 32 + view.getUint32(at + 4);
+    return 0;
+}
+
+// File offset and length of the "Exif" item, from iinf + iloc
+function heifExifLocation(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const meta = readBoxes(bytes, 0, bytes.length).find((b) => b.type === "meta");
+    if (!meta) return null;
+
+    // meta is a full box: 4 bytes version/flags before its children
+    const children = readBoxes(bytes, meta.body + 4, meta.end);
+    const iinf = children.find((b) => b.type === "iinf");
+    const iloc = children.find((b) => b.type === "iloc");
+    if (!iinf || !iloc) return null;
+
+    const iinfVersion = bytes[iinf.body];
+    const entriesAt = iinf.body + 4 + (iinfVersion === 0 ? 2 : 4);
+    let itemId = null;
+    for (const infe of readBoxes(bytes, entriesAt, iinf.end)) {
+        const version = bytes[infe.body];
+        if (infe.type !== "infe" || version < 2) continue;
+        const idSize = version === 2 ? 2 : 4;
+        const id = readSized(view, infe.body + 4, idSize);
+        if (fourCC(bytes, infe.body + 4 + idSize + 2) === "Exif") {
+            itemId = id;
+            break;
+        }
+    }
+    if (itemId === null) return null;
+
+    const version = bytes[iloc.body];
+    let at = iloc.body + 4;
+    const offsetSize = bytes[at] >> 4;
+    const lengthSize = bytes[at] & 15;
+    const baseSize = bytes[at + 1] >> 4;
+    const indexSize = version === 1 || version === 2 ? bytes[at + 1] & 15 : 0;
+    at += 2;
+    const idSize = version === 2 ? 4 : 2;
+    const count = readSized(view, at, idSize);
+    at += idSize;
+
+    for (let i = 0; i < count && at < iloc.end; i++) {
+        const id = readSized(view, at, idSize);
+        at += idSize;
+        let method = 0;
+        if (version === 1 || version === 2) {
+            method = view.getUint16(at) & 15;
+            at += 2;
+        }
+        at += 2; // data_reference_index
+        const base = readSized(view, at, baseSize);
+        at += baseSize;
+        const extents = view.getUint16(at);
+        at += 2;
+
+        let first = null;
+        for (let e = 0; e < extents; e++) {
+            at += indexSize;
+            const offset = readSized(view, at, offsetSize);
+            at += offsetSize;
+            const length = readSized(view, at, lengthSize);
+            at += lengthSize;
+            if (!first) first = { offset: base + offset, length };
+        }
+        // Only plain file offsets (method 0) with one extent are supported
+        if (id === itemId) {
+            return method === 0 && extents === 1 ? first : null;
+        }
+    }
+    return null;
+}
+
+async function heifExif(blob, bytes) {
+    const location = heifExifLocation(bytes);
+    if (!location || !location.length) return null;
+
+    const item = await readBytes(blob, location.offset, location.offset + location.length);
+    if (item.length < 4) return null;
+    // The item starts with the offset of the TIFF header
+    const skip = new DataView(item.buffer).getUint32(0);
+    const start = 4 + skip;
+    return start < item.length ? item.slice(start) : null;
+}
+
+function isHeif(bytes) {
+    if (bytes.length < 12 || fourCC(bytes, 4) !== "ftyp") return false;
+    return ["heic", "heix", "heim", "heis", "hevc", "hevx", "mif1", "msf1", "avif"].includes(fourCC(bytes, 8));
+}
+
+/* ============================================================
+   Public API
+   ============================================================ */
+
+/**
+ * Read the EXIF block of a JPEG or HEIC/HEIF file.
+ * The container is detected from the bytes, not the MIME type.
+ * Resolves with null when there is none or it cannot be read.
+ * @param {Blob} blob
+ * @returns {Promise<ExifData|null>}
+ */
+export async function readExif(blob) {
+    if (!blob || typeof blob.slice !== "function") return null;
+
+    try {
+        const head = await readBytes(blob, 0, 12);
+        let container = null;
+        let tiff = null;
+
+        if (head[0] === 0xff && head[1] === 0xd8) {
+            container = "jpeg";
+            tiff = jpegExif(await readBytes(blob, 0, JPEG_SCAN_BYTES));
+        } else if (isHeif(head)) {
+            container = "heic";
+            tiff = await heifExif(blob, await readBytes(blob, 0, HEIF_SCAN_BYTES));
+        }
+
+        const t = tiffView(tiff);
+        if (!t) return null;
+
+        const ifd = ifd0(t);
+        const orientation = findEntry(ifd, TAG_ORIENTATION);
+        const value = orientation ? readShort(t, orientation) : 1;
+        return {
+            container,
+            tiff,
+            orientation: value >= 1 && value <= 8 ? value : 1,
+            hasLocation: Boolean(findEntry(ifd, TAG_GPS_IFD))
+        };
+    } catch (err) {
+        console.warn("EXIF could not be read.", err);
+        return null;
+    }
+}
+
+/**
+ * Copy of the TIFF block that is safe to write into the output:
+ * orientation reset to 1 (the pixels are already rotated),
+ * PixelX/YDimension set to the output size, thumbnail (IFD1)
+ * unlinked, and the GPS IFD erased with `stripLocation`.
+ * @param {ExifData} exif
+ * @param {{stripLocation?: boolean, width?: number, height?: number}} [options]
+ * @returns {Uint8Array|null}
+ */
+export function prepareExif(exif, { stripLocation = false, width, height } = {}) {
+    if (!exif || !exif.tiff) return null;
+
+    const tiff = exif.tiff.slice();
+    const t = tiffView(tiff);
+    if (!t) return null;
+
+    let ifd = ifd0(t);
+    if (!ifd) return null;
+
+    writeNumber(t, findEntry(ifd, TAG_ORIENTATION), 1);
+
+    const exifPointer = findEntry(ifd, TAG_EXIF_IFD);
+    if (exifPointer && width && height) {
+        const exifIfd = readIfd(t, readLong(t, exifPointer));
+        writeNumber(t, findEntry(exifIfd, TAG_PIXEL_X), width);
+        writeNumber(t, findEntry(exifIfd, TAG_PIXEL_Y), height);
+    }
+
+    const gps = findEntry(ifd, TAG_GPS_IFD);
+    if (gps && stripLocation) {
+        const gpsIfd = readIfd(t, readLong(t, gps));
+        if (gpsIfd) eraseIfd(t, gpsIfd);
+        removeEntry(t, ifd, gps);
+        ifd = ifd0(t);
+    }
+
+    // The thumbnail would still show the old orientation / location
+    t.view.setUint32(ifd.next, 0, t.little);
+    return tiff;
+}
+
+/**
+ * Bytes an APP1 segment for `tiff` adds to a JPEG (0 if it
+ * does not fit into one segment).
+ * @param {Uint8Array|null} tiff
+ * @returns {number}
+ */
+export function exifSegmentSize(tiff) {
+    if (!tiff) return 0;
+    const size = 2 + 2 + EXIF_HEADER.length + tiff.length;
+    return size - 2 > MAX_SEGMENT ? 0 : size;
+}
+
+/**
+ * Insert `tiff` as an EXIF APP1 segment into a JPEG, after SOI
+ * and a JFIF APP0 segment if there is one. Returns the JPEG
+ * unchanged when the block is too large for one segment.
+ * @param {Blob} jpeg
+ * @param {Uint8Array} tiff
+ * @returns {Promise<Blob>}
+ */
+export async function insertExif(jpeg, tiff) {
+    const size = exifSegmentSize(tiff);
+    if (!size) return jpeg;
+
+    const head = await readBytes(jpeg, 0, 64);
+    if (head[0] !== 0xff || head[1] !== 0xd8) return jpeg;
+
+    let at = 2;
+    if (head[2] === 0xff && head[3] === 0xe0) {
+        at += 2 + ((head[4] << 8) | head[5]);
+    }
+
+    const segment = new Uint8Array(4 + EXIF_HEADER.length);
+    segment.set([0xff, 0xe1, (size - 2) >> 8, (size - 2) & 0xff]);
+    segment.set(EXIF_HEADER, 4);
+
+    return new Blob([jpeg.slice(0, at), segment, tiff, jpeg.slice(at)], { type: jpeg.type || "image/jpeg" });
+}
@@ -0,0 +1,163 @@
+/* ============================================================
+   favicon.js
+   Favicons from one picture (an SVG or a large PNG), built on
+   the shared pipeline:
+   - renderIcon(): square icon of any size, picture centred and
+     fitted, optional background
+   - createIcoFile(): one .ico with several sizes (ICO_SIZES)
+   - createFaviconPackage(): favicon.ico, PNG favicons,
+     apple-touch-icon, Android/PWA icons, site.webmanifest and
+     the <link> tags to paste into <head>
+   ============================================================ */
+
+import { transform, encode, getSize, createCanvas, throwIfAborted } from "./image-pipeline.js";
+import { createIco } from "./ico-writer.js";
+
+/** Sizes embedded in favicon.ico. */
+export const ICO_SIZES = [16, 32, 48, 64, 256];
+
+/**
+ * PNG icons of the favicon package. `opaque` icons get the
+ * background colour: iOS shows transparency as black.
+ */
+export const FAVICON_ICONS = [
+    { name: "favicon-16x16.png", size: 16, rel: "icon" },
+    { name: "favicon-32x32.png", size: 32, rel: "icon" },
+    { name: "apple-touch-icon.png", size: 180, rel: "apple-touch-icon", opaque: true },
+    { name: "android-chrome-192x192.png", size: 192, manifest: true },
+    { name: "android-chrome-512x512.png", size: 512, manifest: true }
+];
+
+/**
+ * Square icon: the picture is scaled to fit (aspect kept) and
+ * centred, the rest stays transparent unless `background` is set.
+ * Vector sources are drawn straight at the target size.
+ * @param {CanvasImageSource} source
+ * @param {number} size
+ * @param {{background?: string|null}} [options]
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function renderIcon(source, size, { background = null } = {}) {
+    const fitted = transform(source, [
+        { type: "resize", width: size, height: size, keepAspect: true, resampling: "stepwise" }
+    ]);
+    const { width, height } = getSize(fitted);
+
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext("2d");
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, size, size);
+    }
+    ctx.drawImage(fitted, Math.floor((size - width) / 2), Math.floor((size - height) / 2));
+    if (fitted !== source) fitted.width = fitted.height = 0;
+    return canvas;
+}
+
+async function iconPng(source, size, options, signal) {
+    throwIfAborted(signal);
+    const canvas = renderIcon(source, size, options);
+    try {
+        return await encode(canvas, { format: "png", signal });
+    } finally {
+        canvas.width = canvas.height = 0;
+    }
+}
+
+/**
+ * Multi-size .ico (PNG entries). `onProgress(fraction)` after
+ * every size.
+ * @param {CanvasImageSource} source
+ * @param {{sizes?: number[], background?: string|null, signal?: AbortSignal, onProgress?: (fraction: number) => void}} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function createIcoFile(source, { sizes = ICO_SIZES, background = null, signal, onProgress } = {}) {
+    const images = [];
+    for (const size of sizes) {
+        images.push({ width: size, height: size, data: await iconPng(source, size, { background }, signal) });
+        if (onProgress) onProgress(images.length / sizes.length);
+    }
+    return createIco(images);
+}
+
+// "/icons" → "/icons/", "" → ""
+function normalizePath(path) {
+    const clean = String(path || "").trim();
+    return clean && !clean.endsWith("/") ? `${clean}/` : clean;
+}
+
+function escapeAttr(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+/**
+ * Everything a site needs for its icons. Files are returned as
+ * ZIP entries ({name, data}); `snippet` holds the tags for
+ * <head>, `manifest` the site.webmanifest text.
+ * Passing `svg` (the SVG source text) adds favicon.svg, which
+ * modern browsers prefer over the ICO.
+ * @param {CanvasImageSource} source
+ * @param {{name?: string, shortName?: string, themeColor?: string, background?: string, path?: string, svg?: string, signal?: AbortSignal, onProgress?: (fraction: number) => void}} [options]
+ *   `path`: where the files will live on the site (default "/")
+ * @returns {Promise<{files: Array<{name: string, data: Blob|string}>, snippet: string, manifest: string}>}
+ */
+export async function createFaviconPackage(source, options = {}) {
+    const { signal, onProgress, svg } = options;
+    const themeColor = options.themeColor || "#ffffff";
+    const background = options.background || "#ffffff";
+    const path = normalizePath(options.path === undefined ? "/" : options.path);
+    const steps = FAVICON_ICONS.length + 1;
+    let done = 0;
+    const tick = () => onProgress && onProgress(++done / steps);
+
+    const files = [];
+    files.push({ name: "favicon.ico", data: await createIcoFile(source, { signal }) });
+    tick();
+    for (const icon of FAVICON_ICONS) {
+        const data = await iconPng(source, icon.size, { background: icon.opaque ? background : null }, signal);
+        files.push({ name: icon.name, data });
+        tick();
+    }
+    if (svg) files.push({ name: "favicon.svg", data: svg });
+
+    const name = String(options.name || "").trim();
+    const manifest = JSON.stringify(
+        {
+            name,
+            short_name: String(options.shortName || name).trim(),
+            icons: FAVICON_ICONS.filter((icon) => icon.manifest).map((icon) => ({
+                src: `${path}${icon.name}`,
+                sizes: `${icon.size}x${icon.size}`,
+                type: "image/png"
+            })),
+            theme_color: themeColor,
+            background_color: background,
+            display: "standalone"
+        },
+        null,
+        2
+    );
+    files.push({ name: "site.webmanifest", data: manifest });
+
+    const href = (file) => escapeAttr(`${path}${file}`);
+    const lines = [`<link rel="icon" href="${href("favicon.ico")}" sizes="any">`];
+    if (svg) lines.push(`<link rel="icon" href="${href("favicon.svg")}" type="image/svg+xml">`);
+    for (const icon of FAVICON_ICONS.filter((entry) => entry.rel)) {
+        const type = icon.rel === "icon" ? ' type="image/png"' : "";
+        lines.push(`<link rel="${icon.rel}"${type} sizes="${icon.size}x${icon.size}" href="${href(icon.name)}">`);
+    }
+    lines.push(`<link rel="manifest" href="${href("site.webmanifest")}">`);
+    lines.push(`<meta name="theme-color" content="${escapeAttr(themeColor)}">`);
+    const snippet = lines.join("\n");
+    files.push({ name: "favicon-snippet.html", data: `${snippet}\n` });
+
+    return { files, snippet, manifest };
+}
+
+/* ============================================================
+   Global namespace (optional)
+   ============================================================ */
+if (typeof window !== "undefined") {
+    window.QCPipeline = window.QCPipeline || {};
+    Object.assign(window.QCPipeline, { createIcoFile, createFaviconPackage });
+}
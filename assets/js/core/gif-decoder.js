@@ -0,0 +1,324 @@
+/* ============================================================
+   gif-decoder.js
+   Plain JS GIF decoder, used for animated GIFs where the
+   browser has no ImageDecoder (WebCodecs). Works in workers.
+   - parseGif(): logical screen, loop count and per-frame
+     descriptors; pixel data stays compressed until needed
+   - createGifReader(): composites frames (transparency,
+     disposal, interlacing) into full-size RGBA images
+   ============================================================ */
+
+// Extension / block introducers
+const EXTENSION = 0x21;
+const IMAGE = 0x2c;
+const TRAILER = 0x3b;
+const GRAPHIC_CONTROL = 0xf9;
+const APPLICATION = 0xff;
+
+const MAX_CODES = 4096;
+
+// Browsers play delays of 0 and 10 ms at 100 ms
+const MIN_DELAY = 20;
+const DEFAULT_DELAY = 100;
+
+/**
+ * @typedef {object} GifFrame
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ * @property {number} delay - in ms, as browsers play it
+ * @property {number} disposal - 0/1 keep, 2 clear to transparent, 3 restore previous
+ * @property {number} transparent - palette index, or -1
+ * @property {boolean} interlaced
+ * @property {Uint8Array|null} palette - RGB triplets (local, else global)
+ * @property {number} minCodeSize
+ * @property {number} data - offset of the first LZW sub-block
+ */
+
+function gifError(message) {
+    const err = new Error(message);
+    err.code = "DECODE_FAILED";
+    return err;
+}
+
+// Skip a chain of sub-blocks, return the offset after the terminator
+function skipBlocks(bytes, pos) {
+    while (pos < bytes.length) {
+        const size = bytes[pos];
+        pos += size + 1;
+        if (size === 0) return pos;
+    }
+    throw gifError("GIF data is truncated.");
+}
+
+/**
+ * Read the structure of a GIF without decompressing any frame.
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number, loop: number|null, frames: GifFrame[]}}
+ *   `loop`: 0 = forever, n = repeat count, null = play once
+ */
+export function parseGif(bytes) {
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    if (signature !== "GIF87a" && signature !== "GIF89a") {
+        throw gifError("Not a GIF file.");
+    }
+
+    const width = bytes[6] | (bytes[7] << 8);
+    const height = bytes[8] | (bytes[9] << 8);
+    const flags = bytes[10];
+    let pos = 13;
+
+    let globalPalette = null;
+    if (flags & 0x80) {
+        const size = 3 * (1 << ((flags & 0x07) + 1));
+        globalPalette = bytes.subarray(pos, pos + size);
+        pos += size;
+    }
+
+    const frames = [];
+    let loop = null;
+    let control = null;
+
+    while (pos < bytes.length) {
+        const block = bytes[pos++];
+
+        if (block === TRAILER) break;
+
+        if (block === EXTENSION) {
+            const label = bytes[pos++];
+            if (label === GRAPHIC_CONTROL && bytes[pos] >= 4) {
+                const packed = bytes[pos + 1];
+                const delay = (bytes[pos + 2] | (bytes[pos + 3] << 8)) * 10;
+                control = {
+                    disposal: (packed >> 2) & 0x07,
+                    delay: delay < MIN_DELAY ? DEFAULT_DELAY : delay,
+                    transparent: packed & 0x01 ? bytes[pos + 4] : -1
+                };
+            } else if (label === APPLICATION && bytes[pos] === 11) {
+                const id = String.fromCharCode(...bytes.subarray(pos + 1, pos + 12));
+                const sub = pos + 12;
+                if ((id === "NETSCAPE2.0" || id === "ANIMEXTS1.0") && bytes[sub] >= 3 && bytes[sub + 1] === 1) {
+                    loop = bytes[sub + 2] | (bytes[sub + 3] << 8);
+                }
+            }
+            pos = skipBlocks(bytes, pos);
+            continue;
+        }
+
+        if (block === IMAGE) {
+            const packed = bytes[pos + 8];
+            const frame = {
+                x: bytes[pos] | (bytes[pos + 1] << 8),
+                y: bytes[pos + 2] | (bytes[pos + 3] << 8),
+                width: bytes[pos + 4] | (bytes[pos + 5] << 8),
+                height: bytes[pos + 6] | (bytes[pos + 7] << 8),
+                interlaced: Boolean(packed & 0x40),
+                palette: globalPalette,
+                delay: control ? control.delay : DEFAULT_DELAY,
+                disposal: control ? control.disposal : 0,
+                transparent: control ? control.transparent : -1
+            };
+            pos += 9;
+            if (packed & 0x80) {
+                const size = 3 * (1 << ((packed & 0x07) + 1));
+                frame.palette = bytes.subarray(pos, pos + size);
+                pos += size;
+            }
+            frame.minCodeSize = bytes[pos++];
+            frame.data = pos;
+            pos = skipBlocks(bytes, pos);
+            frames.push(frame);
+            control = null;
+            continue;
+        }
+
+        // Unknown block: stop at what was read so far
+        break;
+    }
+
+    if (!frames.length) throw gifError("GIF contains no image.");
+    return { width, height, loop, frames };
+}
+
+/**
+ * Decompress one frame into palette indices (row order, interlacing undone).
+ * @param {Uint8Array} bytes
+ * @param {GifFrame} frame
+ * @returns {Uint8Array}
+ */
+export function decodeFrameIndices(bytes, frame) {
+    const count = frame.width * frame.height;
+    const out = new Uint8Array(count);
+    const minCodeSize = frame.minCodeSize;
+    if (minCodeSize < 2 || minCodeSize > 8) throw gifError("Invalid GIF code size.");
+
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    const prefix = new Int16Array(MAX_CODES);
+    const suffix = new Uint8Array(MAX_CODES);
+    const stack = new Uint8Array(MAX_CODES + 1);
+    for (let i = 0; i < clear; i++) suffix[i] = i;
+
+    let codeSize = minCodeSize + 1;
+    let next = end + 1;
+    let prev = -1;
+    let first = 0;
+    let datum = 0;
+    let bits = 0;
+    let op = 0;
+    let pos = frame.data;
+
+    outer:
+    while (pos < bytes.length && op < count) {
+        const size = bytes[pos++];
+        if (size === 0) break;
+        const stop = Math.min(pos + size, bytes.length);
+
+        for (; pos < stop; pos++) {
+            datum |= bytes[pos] << bits;
+            bits += 8;
+
+            while (bits >= codeSize) {
+                let code = datum & ((1 << codeSize) - 1);
+                datum >>>= codeSize;
+                bits -= codeSize;
+
+                if (code === clear) {
+                    codeSize = minCodeSize + 1;
+                    next = end + 1;
+                    prev = -1;
+                    continue;
+                }
+                if (code === end) break outer;
+
+                if (prev === -1) {
+                    if (code >= clear) continue;
+                    out[op++] = code;
+                    prev = first = code;
+                    continue;
+                }
+
+                const current = code;
+                let sp = 0;
+                if (code >= next) {
+                    // Code not in the table yet: previous string + its first byte
+                    stack[sp++] = first;
+                    code = prev;
+                }
+                while (code >= clear && sp < MAX_CODES) {
+                    stack[sp++] = suffix[code];
+                    code = prefix[code];
+                }
+                first = suffix[code];
+                stack[sp++] = first;
+
+                if (next < MAX_CODES) {
+                    prefix[next] = prev;
+                    suffix[next] = first;
+                    next++;
+                    if (next === 1 << codeSize && codeSize < 12) codeSize++;
+                }
+                prev = current;
+
+                while (sp > 0 && op < count) out[op++] = stack[--sp];
+                if (op >= count) break outer;
+            }
+        }
+    }
+
+    return frame.interlaced ? deinterlace(out, frame.width, frame.height) : out;
+}
+
+// Interlaced rows come in four passes: every 8th from 0, every 8th
+// from 4, every 4th from 2, every 2nd from 1
+function deinterlace(indices, width, height) {
+    const out = new Uint8Array(indices.length);
+    const passes = [[0, 8], [4, 8], [2, 4], [1, 2]];
+    let row = 0;
+    for (const [start, step] of passes) {
+        for (let y = start; y < height; y += step, row++) {
+            out.set(indices.subarray(row * width, (row + 1) * width), y * width);
+        }
+    }
+    return out;
+}
+
+/**
+ * Composite GIF frames into full-size RGBA images. Reading in
+ * order is cheap; going back replays from the first frame.
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number, loop: number|null, frames: GifFrame[], readFrame: (index: number) => Uint8ClampedArray}}
+ */
+export function createGifReader(bytes) {
+    const gif = parseGif(bytes);
+    const { width, height, frames } = gif;
+
+    let pixels = new Uint8ClampedArray(width * height * 4);
+    let saved = null;
+    let last = -1;
+
+    function clearRect(frame) {
+        for (let y = frame.y; y < Math.min(frame.y + frame.height, height); y++) {
+            const start = (y * width + frame.x) * 4;
+            const stop = (y * width + Math.min(frame.x + frame.width, width)) * 4;
+            pixels.fill(0, start, stop);
+        }
+    }
+
+    function draw(frame) {
+        const indices = decodeFrameIndices(bytes, frame);
+        const palette = frame.palette;
+        for (let y = 0; y < frame.height; y++) {
+            const py = frame.y + y;
+            if (py >= height) break;
+            for (let x = 0; x < frame.width; x++) {
+                const px = frame.x + x;
+                if (px >= width) break;
+                const index = indices[y * frame.width + x];
+                if (index === frame.transparent) continue;
+                const o = (py * width + px) * 4;
+                if (palette && index * 3 + 2 < palette.length) {
+                    pixels[o] = palette[index * 3];
+                    pixels[o + 1] = palette[index * 3 + 1];
+                    pixels[o + 2] = palette[index * 3 + 2];
+                } else {
+                    pixels[o] = pixels[o + 1] = pixels[o + 2] = 0;
+                }
+                pixels[o + 3] = 255;
+            }
+        }
+    }
+
+    function step(index) {
+        if (index > 0) {
+            // Disposal of the previous frame happens before this one is drawn
+            const previous = frames[index - 1];
+            if (previous.disposal === 2) clearRect(previous);
+            else if (previous.disposal === 3 && saved) pixels = saved;
+        }
+        saved = frames[index].disposal === 3 ? pixels.slice() : null;
+        draw(frames[index]);
+        last = index;
+    }
+
+    /**
+     * RGBA pixels of frame `index` (a copy, width × height × 4).
+     * @param {number} index
+     * @returns {Uint8ClampedArray}
+     */
+    function readFrame(index) {
+        if (index < 0 || index >= frames.length) {
+            throw gifError(`GIF has no frame ${index + 1}.`);
+        }
+        if (index <= last) {
+            pixels = new Uint8ClampedArray(width * height * 4);
+            saved = null;
+            last = -1;
+        }
+        while (last < index) step(last + 1);
+        return pixels.slice();
+    }
+
+    return { ...gif, readFrame };
+}
@@ -0,0 +1,249 @@
+/* ============================================================
+   gif-encoder.js
+   Client-side GIF encoder (GIF89a), the counterpart of
+   gif-decoder.js. Canvas cannot write GIF, so the pipeline
+   hands RGBA pixels to this module:
+   - quantizePixels(): palette of up to 256 colours from
+     quantizeRgba() (quantize.js), one palette entry reserved
+     for transparency (alpha < 50 %)
+   - encodeFrame(): one frame block (delay, disposal, local
+     palette, LZW data)
+   - gifHeader() / GIF_TRAILER: the parts around the frames, so
+     frames can be encoded one by one (or in workers)
+   Works on bytes only, so it runs in workers as well.
+   ============================================================ */
+
+import { quantizeRgba } from "./quantize.js";
+
+const MAX_CODES = 4096;
+
+/** Trailer byte that ends every GIF. */
+export const GIF_TRAILER = Uint8Array.of(0x3b);
+
+/**
+ * @typedef {object} IndexedImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} palette - RGB triplets
+ * @property {Uint8Array} indices - one palette index per pixel
+ * @property {number} transparent - palette index, or -1
+ */
+
+/* ============================================================
+   Byte output
+   ============================================================ */
+
+function createWriter(initial = 4096) {
+    let buffer = new Uint8Array(initial);
+    let length = 0;
+
+    function ensure(extra) {
+        if (length + extra <= buffer.length) return;
+        let size = buffer.length * 2;
+        while (size < length + extra) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(buffer.subarray(0, length));
+        buffer = next;
+    }
+
+    return {
+        byte(value) {
+            ensure(1);
+            buffer[length++] = value & 0xff;
+        },
+        word(value) {
+            ensure(2);
+            buffer[length++] = value & 0xff;
+            buffer[length++] = (value >> 8) & 0xff;
+        },
+        bytes(values) {
+            ensure(values.length);
+            buffer.set(values, length);
+            length += values.length;
+        },
+        ascii(text) {
+            for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+        },
+        result: () => buffer.slice(0, length)
+    };
+}
+
+/* ============================================================
+   Palette
+   ============================================================ */
+
+/**
+ * Reduce RGBA pixels to a GIF palette image: RGB entries and
+ * one transparent index.
+ * @param {Uint8ClampedArray|Uint8Array} pixels - width × height × 4
+ * @param {number} width
+ * @param {number} height
+ * @param {{colors?: number, dither?: boolean}} [options]
+ *   `colors`: 2–256 including the transparent entry
+ * @returns {IndexedImage}
+ */
+export function quantizePixels(pixels, width, height, options = {}) {
+    const quantized = quantizeRgba(pixels, width, height, { ...options, binaryAlpha: true });
+    const count = quantized.palette.length / 4;
+    const palette = new Uint8Array(count * 3);
+    let transparent = -1;
+    for (let i = 0; i < count; i++) {
+        palette.set(quantized.palette.subarray(i * 4, i * 4 + 3), i * 3);
+        if (quantized.palette[i * 4 + 3] === 0) transparent = i;
+    }
+    return { width, height, palette, indices: quantized.indices, transparent };
+}
+
+/* ============================================================
+   LZW
+   ============================================================ */
+
+function lzwEncode(indices, minCodeSize, out) {
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    let codeSize = minCodeSize + 1;
+    let next = end + 1;
+    let table = new Map();
+
+    // Codes are packed LSB first into 255-byte sub-blocks
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let acc = 0;
+    let bits = 0;
+
+    function flushByte(value) {
+        block[blockLength++] = value;
+        if (blockLength === 255) {
+            out.byte(255);
+            out.bytes(block);
+            blockLength = 0;
+        }
+    }
+
+    function emit(code) {
+        acc |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            flushByte(acc & 0xff);
+            acc >>>= 8;
+            bits -= 8;
+        }
+    }
+
+    out.byte(minCodeSize);
+    emit(clear);
+
+    let prefix = indices.length ? indices[0] : 0;
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const known = table.get(key);
+        if (known !== undefined) {
+            prefix = known;
+            continue;
+        }
+        emit(prefix);
+        if (next === MAX_CODES) {
+            emit(clear);
+            table = new Map();
+            next = end + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (next >= 1 << codeSize) codeSize++;
+            table.set(key, next++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(end);
+
+    if (bits > 0) flushByte(acc & 0xff);
+    if (blockLength) {
+        out.byte(blockLength);
+        out.bytes(block.subarray(0, blockLength));
+    }
+    out.byte(0);
+}
+
+/* ============================================================
+   Blocks
+   ============================================================ */
+
+/**
+ * Header, logical screen (no global palette) and, for
+ * animations, the NETSCAPE2.0 loop extension.
+ * @param {number} width
+ * @param {number} height
+ * @param {{loop?: number|null}} [options] - 0 = forever, null = no loop block
+ * @returns {Uint8Array}
+ */
+export function gifHeader(width, height, { loop = null } = {}) {
+    const out = createWriter(64);
+    out.ascii("GIF89a");
+    out.word(width);
+    out.word(height);
+    out.byte(0); // no global colour table
+    out.byte(0); // background index
+    out.byte(0); // pixel aspect ratio
+    if (loop !== null && loop !== undefined) {
+        out.bytes([0x21, 0xff, 11]);
+        out.ascii("NETSCAPE2.0");
+        out.bytes([3, 1]);
+        out.word(loop);
+        out.byte(0);
+    }
+    return out.result();
+}
+
+/**
+ * One frame: graphic control extension, image descriptor,
+ * local palette and LZW data.
+ * @param {IndexedImage} image
+ * @param {{delay?: number, x?: number, y?: number, disposal?: number}} [options]
+ *   `delay` in ms (stored as 1/100 s); `disposal` defaults to 2
+ *   (clear): frames are full pictures, so nothing of the previous
+ *   one may show through the transparent pixels of the next
+ * @returns {Uint8Array}
+ */
+export function encodeFrame(image, { delay = 0, x = 0, y = 0, disposal = 2 } = {}) {
+    const { width, height, palette, indices, transparent } = image;
+    const count = Math.max(palette.length / 3, 2);
+    const bits = Math.max(1, Math.ceil(Math.log2(count)));
+    const out = createWriter(Math.max(1024, indices.length >> 1));
+
+    out.bytes([0x21, 0xf9, 4, (disposal << 2) | (transparent >= 0 ? 1 : 0)]);
+    out.word(Math.round(Math.max(0, delay) / 10));
+    out.byte(transparent >= 0 ? transparent : 0);
+    out.byte(0);
+
+    out.byte(0x2c);
+    out.word(x);
+    out.word(y);
+    out.word(width);
+    out.word(height);
+    out.byte(0x80 | (bits - 1)); // local colour table, not interlaced
+
+    const table = new Uint8Array(3 * (1 << bits));
+    table.set(palette.subarray(0, table.length));
+    out.bytes(table);
+
+    lzwEncode(indices, Math.max(2, bits), out);
+    return out.result();
+}
+
+/**
+ * Complete GIF from RGBA frames of the same size.
+ * @param {Array<{pixels: Uint8ClampedArray|Uint8Array, delay?: number}>} frames
+ * @param {{width: number, height: number, loop?: number|null, colors?: number, dither?: boolean}} options
+ *   `loop` defaults to 0 (forever) for several frames
+ * @returns {Blob}
+ */
+export function encodeGif(frames, { width, height, loop, colors, dither } = {}) {
+    const parts = [gifHeader(width, height, { loop: loop !== undefined ? loop : frames.length > 1 ? 0 : null })];
+    for (const frame of frames) {
+        const image = quantizePixels(frame.pixels, width, height, { colors, dither });
+        parts.push(encodeFrame(image, { delay: frame.delay }));
+    }
+    parts.push(GIF_TRAILER);
+    return new Blob(parts, { type: "image/gif" });
+}
@@ -0,0 +1,81 @@
+/* ============================================================
+   ico-writer.js
+   Minimal in-browser ICO writer (no server, no dependencies).
+   - Every size is stored as a PNG entry (supported by Windows
+     Vista and later and by every browser), so the images come
+     straight from the PNG encoder
+   - Entries are sorted small → large, 256 px is stored as 0
+     in the directory as the format requires
+   ============================================================ */
+
+/** Largest edge an ICO entry can have. */
+export const MAX_ICO_SIZE = 256;
+
+// Error with a code the UI translates ("errors.<code>"), like zip-writer.js
+function icoError(code, message, params) {
+    const err = new Error(message);
+    err.code = code;
+    if (params) err.params = params;
+    return err;
+}
+
+async function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new Uint8Array(await data.arrayBuffer());
+}
+
+/**
+ * Build an .ico file from PNG images.
+ * @param {Array<{width: number, height: number, data: Blob|ArrayBuffer|Uint8Array}>} images
+ *   PNG data, at most MAX_ICO_SIZE on each side
+ * @returns {Promise<Blob>}
+ */
+export async function createIco(images) {
+    const entries = [...(images || [])].sort((a, b) => a.width - b.width);
+    if (!entries.length) throw icoError("ICO_EMPTY", "An ICO file needs at least one image.");
+
+    const header = new DataView(new ArrayBuffer(6 + 16 * entries.length));
+    header.setUint16(0, 0, true); // reserved
+    header.setUint16(2, 1, true); // type: icon
+    header.setUint16(4, entries.length, true);
+
+    const parts = [header.buffer];
+    let offset = header.byteLength;
+
+    for (let i = 0; i < entries.length; i++) {
+        const { width, height } = entries[i];
+        if (width < 1 || height < 1 || width > MAX_ICO_SIZE || height > MAX_ICO_SIZE) {
+            throw icoError("ICO_SIZE", `ICO images must be 1–${MAX_ICO_SIZE} px, got ${width}×${height}.`, {
+                max: MAX_ICO_SIZE,
+                width,
+                height
+            });
+        }
+        const bytes = await toBytes(entries[i].data);
+
+        // Directory entry
+        const pos = 6 + 16 * i;
+        header.setUint8(pos, width === MAX_ICO_SIZE ? 0 : width);
+        header.setUint8(pos + 1, height === MAX_ICO_SIZE ? 0 : height);
+        header.setUint8(pos + 2, 0); // no palette
+        header.setUint8(pos + 3, 0); // reserved
+        header.setUint16(pos + 4, 1, true); // colour planes
+        header.setUint16(pos + 6, 32, true); // bits per pixel
+        header.setUint32(pos + 8, bytes.length, true);
+        header.setUint32(pos + 12, offset, true);
+
+        parts.push(bytes);
+        offset += bytes.length;
+    }
+
+    return new Blob(parts, { type: "image/x-icon" });
+}
+
+/* ============================================================
+   Global namespace (optional)
+   ============================================================ */
+if (typeof window !== "undefined") {
+    window.QCPipeline = window.QCPipeline || {};
+    window.QCPipeline.createIco = createIco;
+}
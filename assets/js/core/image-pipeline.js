@@ -0,0 +1,1632 @@
+/* ============================================================
+   image-pipeline.js
+   Shared decode → transform → encode pipeline used by every
+   converter page. Also exposed as window.QCPipeline so
+   conversions can be scripted from the console or other pages
+   with exactly the same results as the UI.
+
+   Where the browser supports it (Worker + OffscreenCanvas +
+   createImageBitmap), convert() and encode() run inside a small
+   worker pool (core/image-worker.js) and fall back to the main
+   thread automatically otherwise.
+
+   Every entry point accepts `signal` (AbortSignal): work stops
+   between stages and running worker tasks are terminated.
+
+   convert() also accepts `onProgress(stage, info)`, called when
+   a stage starts ("decode", "render", "encode"), also from inside
+   a worker. `info.indeterminate` is true for steps that report
+   nothing until they finish (decoders registered as such).
+
+   With `maxBytes` convert() searches the quality (and, with
+   `fitDimensions`, the size) for the largest output that fits
+   into the budget; see encodeToSize().
+
+   Animated GIF/WebP: `frame` (0-based) picks the frame convert()
+   decodes (the first one otherwise); convertFrames() converts
+   all of them (core/animation.js).
+
+   GIF output is encoded in JS (core/gif-encoder.js, options
+   `colors` and `dither`); encodeAnimatedGif() builds a GIF from
+   the frames of an animated file or from several images.
+
+   PNG with `colors` (2–256, optional `dither`) becomes an
+   indexed PNG-8 written in JS (core/png8.js); convert() then
+   also reports `fullColorSize`, the size of the same image as
+   a regular 32-bit PNG.
+
+   JPEG output can go through the vendored MozJPEG encoder
+   instead of the canvas (core/jpeg-encoder.js, option `jpeg`:
+   progressive scans, chroma subsampling, optimized Huffman
+   tables, trellis quantization).
+
+   AVIF output uses the canvas where the browser can write AVIF
+   and the vendored WASM encoder otherwise (core/avif-encoder.js,
+   option `speed`); avifSupport() tells which one applies.
+
+   BMP and TIFF are read and written in JS as well (core/bmp.js,
+   core/tiff.js), so they also work inside workers. For a
+   multi-page TIFF `frame` picks the page; countPages() tells
+   how many there are. Registered decoders get `frame` as well
+   and may report their own count (multi-image HEIC).
+
+   Images larger than this browser can draw on a canvas
+   (core/canvas-limits.js) are scaled down right after decoding
+   so conversions still work; convert() then reports the size
+   it started from as `downscaledFrom`. convertTiles() keeps the
+   full resolution and splits the image into tiles instead.
+
+   EXIF orientation of JPEG input is always applied to the
+   pixels. `metadata` ("strip" | "strip-location" | "keep")
+   decides whether the EXIF block of JPEG/HEIC input is written
+   back into JPEG output (core/exif.js).
+
+   Example (browser console):
+     const file = document.getElementById("file-input").files[0];
+     const { blob } = await QCPipeline.convert(file, {
+         format: "jpg",
+         quality: 0.85,
+         steps: [{ type: "resize", maxEdge: 1920, resampling: "stepwise" }]
+     });
+     QCPipeline.downloadBlob(blob, "web-size.jpg");
+   ============================================================ */
+
+import { createWorkerPool } from "./worker-pool.js";
+import { readExif, prepareExif, exifSegmentSize, insertExif } from "./exif.js";
+import { ANIMATED_TYPES, decodeFrame, openAnimation, readAnimation } from "./animation.js";
+import { quantizePixels, encodeFrame, gifHeader, GIF_TRAILER } from "./gif-encoder.js";
+import { decodeBmp, encodeBmp } from "./bmp.js";
+import { countTiffPages, decodeTiffPage, encodeTiff } from "./tiff.js";
+import { encodePng8 } from "./png8.js";
+import { JPEG_DEFAULTS, canUseJpegEncoder, encodeJpeg } from "./jpeg-encoder.js";
+import { AVIF_SPEED, canUseAvifEncoder, encodeAvif } from "./avif-encoder.js";
+import { abortError, isAbortError, throwIfAborted, raceAbort } from "./abort.js";
+import { fitCanvasSize, getCanvasLimits, readImageSize } from "./canvas-limits.js";
+
+export { abortError, isAbortError, throwIfAborted, raceAbort };
+export { readAnimation };
+export { fitCanvasSize, getCanvasLimits, readImageSize };
+export { AVIF_SPEED, JPEG_DEFAULTS };
+
+/**
+ * Output formats known to the pipeline.
+ * `lossy` formats accept a quality value, formats without
+ * `alpha` get a background fill (white unless overridden).
+ * `js` formats are encoded in JS instead of by the canvas.
+ */
+export const FORMATS = {
+    jpg: { mime: "image/jpeg", ext: "jpg", lossy: true, alpha: false },
+    png: { mime: "image/png", ext: "png", lossy: false, alpha: true },
+    webp: { mime: "image/webp", ext: "webp", lossy: true, alpha: true },
+    avif: { mime: "image/avif", ext: "avif", lossy: true, alpha: true },
+    gif: { mime: "image/gif", ext: "gif", lossy: false, alpha: true, js: true },
+    bmp: { mime: "image/bmp", ext: "bmp", lossy: false, alpha: true, js: true },
+    tiff: { mime: "image/tiff", ext: "tiff", lossy: false, alpha: true, js: true }
+};
+
+/** Delay between frames of a GIF built from several images (ms). */
+export const DEFAULT_FRAME_DELAY = 500;
+
+/** Lowest quality the UI sliders are allowed to produce. */
+export const MIN_QUALITY = 0.4;
+
+/** Background used for formats without an alpha channel. */
+export const DEFAULT_BACKGROUND = "#ffffff";
+
+/**
+ * What convert() does with EXIF metadata of the input:
+ * drop it, keep it without GPS, or keep it (JPEG output only).
+ */
+export const METADATA = ["strip", "strip-location", "keep"];
+
+/* ============================================================
+   Errors
+   ============================================================ */
+
+/**
+ * Error shown to the user. The English message is kept for the
+ * console; `code` and `params` let the UI translate it
+ * (app-i18n.js → errorMessage, "errors.<code>").
+ * @param {string} code
+ * @param {string} message
+ * @param {object} [params]
+ * @returns {Error}
+ */
+export function pipelineError(code, message, params) {
+    const err = new Error(message);
+    err.code = code;
+    if (params) err.params = params;
+    return err;
+}
+
+/* ============================================================
+   Format & naming helpers
+   ============================================================ */
+
+/**
+ * Map a short format name ("jpg", "jpeg", "png", "webp", "avif", "gif", "bmp", "tiff", "tif") to a MIME type.
+ * Unknown values are returned unchanged so full MIME types pass through.
+ * @param {string} format
+ * @returns {string}
+ */
+export function formatToMime(format) {
+    const key = String(format || "").toLowerCase();
+    if (key === "jpeg") return FORMATS.jpg.mime;
+    if (key === "tif") return FORMATS.tiff.mime;
+    if (FORMATS[key]) return FORMATS[key].mime;
+    return key;
+}
+
+/**
+ * Map a MIME type to a short format name.
+ * @param {string} mime
+ * @returns {string|null}
+ */
+export function mimeToFormat(mime) {
+    if (!mime) return null;
+    const type = String(mime).toLowerCase();
+    if (type === "image/jpeg" || type === "image/jpg") return "jpg";
+    if (type === "image/png") return "png";
+    if (type === "image/webp") return "webp";
+    if (type === "image/avif") return "avif";
+    if (type === "image/gif") return "gif";
+    if (type === "image/bmp" || type === "image/x-ms-bmp") return "bmp";
+    if (type === "image/tiff") return "tiff";
+    if (type === "image/heic" || type === "image/heif") return "heic";
+    if (type === "image/svg+xml") return "svg";
+    return null;
+}
+
+/**
+ * Human readable file size (e.g. "1.4 MB").
+ * @param {number} bytes
+ * @param {number} [decimals]
+ * @returns {string}
+ */
+export function formatBytes(bytes, decimals = 1) {
+    if (!Number.isFinite(bytes)) return "";
+    if (bytes <= 0) return "0 B";
+    const k = 1024;
+    const dm = decimals < 0 ? 0 : decimals;
+    const sizes = ["B", "KB", "MB", "GB", "TB"];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(i === 0 ? 0 : dm)) + " " + sizes[i];
+}
+
+/**
+ * File name without its last extension ("photo.min.png" → "photo.min").
+ * @param {string} filename
+ * @returns {string}
+ */
+export function getBaseName(filename) {
+    const name = String(filename || "");
+    const dotIdx = name.lastIndexOf(".");
+    if (dotIdx <= 0) return name || "converted";
+    return name.slice(0, dotIdx);
+}
+
+/**
+ * File name of a tile from convertTiles(), e.g. "map-tile-r01-c02.png".
+ * @param {string} baseName
+ * @param {{row: number, column: number}} tile
+ * @param {string} ext
+ * @returns {string}
+ */
+export function tileFilename(baseName, tile, ext) {
+    const pad = (n) => String(n + 1).padStart(2, "0");
+    return `${baseName}-tile-r${pad(tile.row)}-c${pad(tile.column)}.${ext}`;
+}
+
+/**
+ * Turn a quality slider value (40–100) into an encoder quality (0.4–1).
+ * With compression disabled the maximum quality is used.
+ * @param {number|string} percent
+ * @param {{compress?: boolean}} [options]
+ * @returns {number}
+ */
+export function resolveQuality(percent, { compress = true } = {}) {
+    if (!compress) return 1;
+    const value = parseFloat(percent);
+    const q = Number.isFinite(value) ? value / 100 : 0.85;
+    return Math.min(Math.max(q, MIN_QUALITY), 1);
+}
+
+/* ============================================================
+   Decoding
+   ============================================================ */
+
+const decoders = [];
+
+/**
+ * @callback ProgressCallback
+ * @param {"decode"|"render"|"encode"} stage - the stage that starts
+ * @param {{indeterminate: boolean, frame?: number, tile?: number, tiles?: number}} info
+ *   `frame` from convertFrames(), `tile` / `tiles` from convertTiles()
+ */
+
+function report(onProgress, stage, { indeterminate = false, ...extra } = {}) {
+    if (typeof onProgress === "function") {
+        onProgress(stage, { indeterminate, ...extra });
+    }
+}
+
+/**
+ * Register an extra decoder for formats the browser cannot read
+ * natively (e.g. HEIC). Decoders are tried in registration order
+ * before the native path. Set `indeterminate` for decoders that
+ * give no feedback while they run (e.g. heic2any).
+ * `decode` receives `{frame}` for files holding several images;
+ * `count`, if given, tells countPages() how many there are.
+ * @param {{name: string, test: (blob: Blob) => boolean, decode: (blob: Blob, info: {frame?: number}) => Promise<CanvasImageSource>, count?: (blob: Blob) => Promise<number>, indeterminate?: boolean}} decoder
+ */
+export function registerDecoder(decoder) {
+    if (!decoder || typeof decoder.test !== "function" || typeof decoder.decode !== "function") {
+        throw new Error("Decoder must provide test() and decode().");
+    }
+    const idx = decoders.findIndex((d) => d.name === decoder.name);
+    if (idx !== -1) decoders.splice(idx, 1);
+    decoders.push(decoder);
+}
+
+/**
+ * Read a Blob/File as a data URL.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function readFileAsDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(pipelineError("READ_FAILED", "Failed to read file."));
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Load an <img> from a URL.
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () =>
+            reject(pipelineError("DECODE_FAILED", "Failed to decode image. Unsupported or corrupted file."));
+        img.src = src;
+    });
+}
+
+/**
+ * Decode with the browser's own codecs only.
+ * SVG always goes through <img>, because createImageBitmap()
+ * does not accept SVG blobs in every browser.
+ * @param {Blob} blob
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+export async function decodeNative(blob) {
+    const isSvg = blob.type === "image/svg+xml";
+    const hasImage = typeof Image !== "undefined";
+
+    if (!isSvg && typeof createImageBitmap === "function") {
+        try {
+            return await createImageBitmap(blob);
+        } catch (err) {
+            // fall through to <img> (not available inside workers)
+            if (!hasImage) throw err;
+        }
+    }
+
+    if (!hasImage) {
+        throw new Error("This image can only be decoded on the main thread.");
+    }
+
+    const url = URL.createObjectURL(blob);
+    try {
+        const img = await loadImage(url);
+        if (img.decode) {
+            await img.decode().catch(() => {});
+        }
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// "bmp" | "tiff" for files decoded in JS (by type, else by extension)
+function jsDecodedFormat(blob) {
+    const format = mimeToFormat(blob.type);
+    if (format === "bmp" || format === "tiff") return format;
+    const ext = /\.(bmp|tiff?)$/i.exec(blob.name || "");
+    if (!ext || blob.type.startsWith("image/")) return null;
+    return ext[1].toLowerCase() === "bmp" ? "bmp" : "tiff";
+}
+
+// RGBA pixels ({width, height, data}) of a BMP or a TIFF page
+async function decodeInJs(blob, format, page) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return format === "bmp" ? decodeBmp(bytes) : decodeTiffPage(bytes, page || 0);
+}
+
+// A region of decoded pixels on a canvas of its own
+function pixelsToCanvas(image, x = 0, y = 0, width = image.width, height = image.height) {
+    let data = image.data;
+    if (width !== image.width || height !== image.height) {
+        data = new Uint8ClampedArray(width * height * 4);
+        for (let row = 0; row < height; row++) {
+            const start = ((y + row) * image.width + x) * 4;
+            data.set(image.data.subarray(start, start + width * 4), row * width * 4);
+        }
+    }
+    const canvas = createCanvas(width, height);
+    get2dContext(canvas).putImageData(new ImageData(data, width, height), 0, 0);
+    return canvas;
+}
+
+/* ============================================================
+   Canvas limits
+   ============================================================ */
+
+/** Side of the tiles large images are drawn in (fits every browser's limits). */
+export const TILE_SIZE = 4096;
+
+// Downscaled result → size of the source it was made from
+const downscaledSizes = new WeakMap();
+
+/**
+ * Rectangles covering a `width` × `height` image, row by row.
+ * @returns {Array<{row: number, column: number, x: number, y: number, width: number, height: number}>}
+ */
+function tileGrid(width, height, tileSize) {
+    const tiles = [];
+    for (let row = 0, y = 0; y < height; row++, y += tileSize) {
+        for (let column = 0, x = 0; x < width; column++, x += tileSize) {
+            tiles.push({ row, column, x, y, width: Math.min(tileSize, width - x), height: Math.min(tileSize, height - y) });
+        }
+    }
+    return tiles;
+}
+
+// Decoded RGBA pixels (BMP/TIFF) rather than something drawable
+function isPixels(source) {
+    return !isCanvas(source) && Boolean(source.data);
+}
+
+// Region of a drawable or of decoded pixels, as a canvas
+function drawRegion(source, { x, y, width, height }) {
+    if (isPixels(source)) return pixelsToCanvas(source, x, y, width, height);
+    const canvas = createCanvas(width, height);
+    get2dContext(canvas).drawImage(source, x, y, width, height, 0, 0, width, height);
+    return canvas;
+}
+
+/**
+ * A decoded source as a drawable that fits this browser's canvas
+ * limits. Larger ones are scaled down (decoded pixels tile by tile,
+ * so no oversized canvas is ever created) and the original size
+ * is remembered for downscaledFrom().
+ * @param {CanvasImageSource|{width: number, height: number, data: Uint8ClampedArray}} source
+ * @returns {CanvasImageSource}
+ */
+function fitToCanvas(source) {
+    const pixels = isPixels(source);
+    const size = pixels ? { width: source.width, height: source.height } : getSize(source);
+    const fit = fitCanvasSize(size);
+    if (fit.scale === 1) return pixels ? pixelsToCanvas(source) : source;
+
+    const canvas = createCanvas(fit.width, fit.height);
+    const ctx = get2dContext(canvas);
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+    if (pixels) {
+        const scaleX = fit.width / size.width;
+        const scaleY = fit.height / size.height;
+        for (const tile of tileGrid(size.width, size.height, TILE_SIZE)) {
+            const part = pixelsToCanvas(source, tile.x, tile.y, tile.width, tile.height);
+            ctx.drawImage(part, tile.x * scaleX, tile.y * scaleY, tile.width * scaleX, tile.height * scaleY);
+            part.width = part.height = 0;
+        }
+    } else {
+        ctx.drawImage(source, 0, 0, fit.width, fit.height);
+        release(source);
+        if (isCanvas(source)) source.width = source.height = 0;
+    }
+    downscaledSizes.set(canvas, size);
+    return canvas;
+}
+
+/**
+ * Size of the image a decoded bitmap was scaled down from to fit
+ * the canvas limits, or null if it has its original size.
+ * @param {CanvasImageSource} bitmap
+ * @returns {{width: number, height: number}|null}
+ */
+export function downscaledFrom(bitmap) {
+    return (bitmap && downscaledSizes.get(bitmap)) || null;
+}
+
+/**
+ * Error for an image beyond what this browser can handle.
+ * @param {{width: number, height: number}} size
+ * @returns {Error}
+ */
+function tooLargeError(size) {
+    return pipelineError(
+        "IMAGE_TOO_LARGE",
+        `The image is too large for this browser (${size.width} × ${size.height} px).`,
+        { width: size.width, height: size.height }
+    );
+}
+
+// A failed decode of an image beyond the limits says so
+async function decodeFailure(blob, err) {
+    if (isAbortError(err) || (err && err.code && err.code !== "DECODE_FAILED")) return err;
+    const size = await readImageSize(blob);
+    return size && fitCanvasSize(size).scale < 1 ? tooLargeError(size) : err;
+}
+
+/**
+ * Number of pages of a multi-page TIFF, or of images a registered
+ * decoder finds (see registerDecoder); 1 for everything else
+ * (and for files that cannot be read).
+ * @param {Blob} blob
+ * @returns {Promise<number>}
+ */
+export async function countPages(blob) {
+    if (!blob) return 1;
+    const decoder = decoders.find((d) => d.test(blob));
+    try {
+        if (decoder) return decoder.count ? Math.max(1, (await decoder.count(blob)) || 1) : 1;
+        if (jsDecodedFormat(blob) !== "tiff") return 1;
+        return countTiffPages(new Uint8Array(await blob.arrayBuffer()));
+    } catch {
+        return 1;
+    }
+}
+
+/**
+ * Decode a Blob/File into something drawable on a canvas.
+ * Decoders cannot be interrupted; on abort their result is
+ * released as soon as it arrives.
+ * `frame` selects a frame of an animated GIF/WebP, a page of
+ * a multi-page TIFF or an image of a registered decoder's file;
+ * stills and other formats ignore it.
+ * Images beyond the canvas limits come back scaled down to fit
+ * (see downscaledFrom); if one cannot be decoded at all the
+ * error is IMAGE_TOO_LARGE.
+ * @param {Blob} blob
+ * @param {{signal?: AbortSignal, onProgress?: ProgressCallback, frame?: number}} [options]
+ * @returns {Promise<CanvasImageSource>}
+ */
+export async function decode(blob, { signal, onProgress, frame } = {}) {
+    if (!blob) throw new Error("Nothing to decode.");
+    throwIfAborted(signal);
+
+    const decoder = decoders.find((d) => d.test(blob));
+    report(onProgress, "decode", { indeterminate: Boolean(decoder && decoder.indeterminate) });
+    return raceAbort(decodeSource(blob, frame).then(fitToCanvas), signal, release);
+}
+
+/**
+ * Decode at full size: a drawable, or RGBA pixels for BMP/TIFF.
+ * @param {Blob} blob
+ * @param {number} [frame]
+ * @returns {Promise<CanvasImageSource|{width: number, height: number, data: Uint8ClampedArray}>}
+ */
+async function decodeSource(blob, frame) {
+    const decoder = decoders.find((d) => d.test(blob));
+    const jsFormat = jsDecodedFormat(blob);
+    try {
+        if (decoder) return await decoder.decode(blob, { frame });
+        if (jsFormat) return await decodeInJs(blob, jsFormat, frame);
+        if (Number.isInteger(frame) && frame > 0 && ANIMATED_TYPES.includes(blob.type)) {
+            return (await decodeFrame(blob, frame)) || (await decodeNative(blob));
+        }
+        return await decodeNative(blob);
+    } catch (err) {
+        throw await decodeFailure(blob, err);
+    }
+}
+
+/**
+ * Intrinsic size of a decoded bitmap, image or canvas.
+ * @param {CanvasImageSource} bitmap
+ * @returns {{width: number, height: number}}
+ */
+export function getSize(bitmap) {
+    if (!bitmap) return { width: 0, height: 0 };
+    return {
+        width: bitmap.naturalWidth || bitmap.width || 0,
+        height: bitmap.naturalHeight || bitmap.height || 0
+    };
+}
+
+/**
+ * Decode just to read the intrinsic size (e.g. to prefill resize
+ * fields), the original one for images scaled down to fit the
+ * canvas limits. Resolves with null if the image cannot be decoded.
+ * @param {Blob} blob
+ * @returns {Promise<{width: number, height: number}|null>}
+ */
+export async function probeSize(blob) {
+    try {
+        const bitmap = await decode(blob);
+        const size = downscaledFrom(bitmap) || getSize(bitmap);
+        release(bitmap);
+        return size;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Free the memory held by an ImageBitmap (no-op for other sources).
+ * @param {CanvasImageSource} bitmap
+ */
+export function release(bitmap) {
+    if (bitmap && typeof bitmap.close === "function") {
+        bitmap.close();
+    }
+}
+
+/* ============================================================
+   Transform steps
+   ============================================================ */
+
+/**
+ * Create a canvas of the given size (an OffscreenCanvas inside workers).
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createCanvas(width, height) {
+    const w = Math.max(1, Math.round(width));
+    const h = Math.max(1, Math.round(height));
+
+    if (typeof document === "undefined") {
+        return new OffscreenCanvas(w, h);
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = w;
+    canvas.height = h;
+    return canvas;
+}
+
+function isCanvas(source) {
+    return (
+        (typeof HTMLCanvasElement !== "undefined" && source instanceof HTMLCanvasElement) ||
+        (typeof OffscreenCanvas !== "undefined" && source instanceof OffscreenCanvas)
+    );
+}
+
+function get2dContext(canvas) {
+    const ctx = canvas.getContext("2d");
+    if (!ctx) {
+        throw pipelineError("CANVAS_UNSUPPORTED", "Canvas is not supported in this browser.");
+    }
+    return ctx;
+}
+
+/**
+ * Resampling modes for resize/scale steps:
+ * - "high" / "medium" / "low": one pass with the browser's
+ *   smoothing at that quality
+ * - "stepwise": halves the image until it is close to the target,
+ *   then one "high" pass; keeps large downscales crisp
+ * - "pixelated": nearest neighbour (pixel art, icons)
+ */
+export const RESAMPLING = ["high", "medium", "low", "stepwise", "pixelated"];
+
+/** Largest width/height a resize step will produce (less where the canvas area limit requires). */
+export const MAX_DIMENSION = 16384;
+
+function drawPass(source, width, height, quality) {
+    const canvas = createCanvas(width, height);
+    const ctx = get2dContext(canvas);
+    if (quality === "pixelated") {
+        ctx.imageSmoothingEnabled = false;
+    } else {
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = quality;
+    }
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+function drawResized(source, width, height, resampling = "high") {
+    const mode = RESAMPLING.includes(resampling) ? resampling : "high";
+    if (mode !== "stepwise") {
+        return drawPass(source, width, height, mode);
+    }
+
+    let current = source;
+    let { width: w, height: h } = getSize(source);
+    while (w / 2 >= width && h / 2 >= height) {
+        w = Math.round(w / 2);
+        h = Math.round(h / 2);
+        const next = drawPass(current, w, h, "high");
+        if (current !== source) current.width = current.height = 0;
+        current = next;
+    }
+    if (current !== source && w === Math.round(width) && h === Math.round(height)) {
+        return current;
+    }
+    const result = drawPass(current, width, height, "high");
+    if (current !== source) current.width = current.height = 0;
+    return result;
+}
+
+/**
+ * Output size of a resize step. The first option that is set wins:
+ * - `percent`: scale both sides (100 = unchanged)
+ * - `maxEdge`: shrink so the longer side is at most maxEdge
+ *   (never enlarges)
+ * - `width` / `height`: with `keepAspect` the image fits inside
+ *   the box (a missing side follows the aspect ratio); without
+ *   it the sides are set as given and a missing one stays as is
+ * @param {{width: number, height: number}} size - source size
+ * @param {{width?: number, height?: number, keepAspect?: boolean, maxEdge?: number, percent?: number}} options
+ * @returns {{width: number, height: number}}
+ */
+export function computeResize(size, { width, height, keepAspect = false, maxEdge, percent } = {}) {
+    const w = size.width;
+    const h = size.height;
+    let outW = w;
+    let outH = h;
+
+    if (percent > 0) {
+        outW = (w * percent) / 100;
+        outH = (h * percent) / 100;
+    } else if (maxEdge > 0) {
+        const factor = Math.min(1, maxEdge / Math.max(w, h));
+        outW = w * factor;
+        outH = h * factor;
+    } else if (width > 0 || height > 0) {
+        if (keepAspect) {
+            const factor = Math.min(
+                width > 0 ? width / w : Infinity,
+                height > 0 ? height / h : Infinity
+            );
+            outW = w * factor;
+            outH = h * factor;
+        } else {
+            outW = width > 0 ? width : w;
+            outH = height > 0 ? height : h;
+        }
+    }
+
+    const clamp = (value) => Math.min(MAX_DIMENSION, Math.max(1, Math.round(value)));
+    const fit = fitCanvasSize({ width: clamp(outW), height: clamp(outH) });
+    return { width: fit.width, height: fit.height };
+}
+
+/**
+ * Canvas transform for an EXIF orientation (2–8) of a
+ * `width` × `height` source; 5–8 swap the output sides.
+ */
+function orientationMatrix(orientation, width, height) {
+    switch (orientation) {
+        case 2: return [-1, 0, 0, 1, width, 0];
+        case 3: return [-1, 0, 0, -1, width, height];
+        case 4: return [1, 0, 0, -1, 0, height];
+        case 5: return [0, 1, 1, 0, 0, 0];
+        case 6: return [0, 1, -1, 0, height, 0];
+        case 7: return [0, -1, -1, 0, height, width];
+        case 8: return [0, -1, 1, 0, 0, width];
+        default: return null;
+    }
+}
+
+/**
+ * Built-in transform steps. Each takes a drawable and the step
+ * options and returns a new drawable.
+ */
+const STEPS = {
+    /** { type: "orient", orientation } – EXIF orientation 1–8 */
+    orient(source, { orientation = 1 }) {
+        const { width, height } = getSize(source);
+        const matrix = orientationMatrix(orientation, width, height);
+        if (!matrix) return source;
+
+        const swap = orientation >= 5;
+        const canvas = createCanvas(swap ? height : width, swap ? width : height);
+        const ctx = get2dContext(canvas);
+        ctx.setTransform(...matrix);
+        ctx.drawImage(source, 0, 0, width, height);
+        return canvas;
+    },
+
+    /** { type: "rotate", angle } – clockwise, multiples of 90° */
+    rotate(source, { angle = 0 }) {
+        const turns = ((Math.round(angle / 90) % 4) + 4) % 4;
+        return STEPS.orient(source, { orientation: [1, 6, 3, 8][turns] });
+    },
+
+    /** { type: "flip", horizontal?, vertical? } */
+    flip(source, { horizontal = false, vertical = false }) {
+        const orientation = horizontal && vertical ? 3 : horizontal ? 2 : vertical ? 4 : 1;
+        return STEPS.orient(source, { orientation });
+    },
+
+    /** { type: "crop", x, y, width, height } – in source pixels, clamped to the image */
+    crop(source, { x = 0, y = 0, width, height }) {
+        const size = getSize(source);
+        const left = Math.min(Math.max(Math.round(x) || 0, 0), size.width - 1);
+        const top = Math.min(Math.max(Math.round(y) || 0, 0), size.height - 1);
+        const w = Math.min(Math.max(Math.round(width) || size.width, 1), size.width - left);
+        const h = Math.min(Math.max(Math.round(height) || size.height, 1), size.height - top);
+        if (w === size.width && h === size.height) return source;
+
+        const canvas = createCanvas(w, h);
+        get2dContext(canvas).drawImage(source, left, top, w, h, 0, 0, w, h);
+        return canvas;
+    },
+
+    /** { type: "resize", width?, height?, keepAspect?, maxEdge?, percent?, resampling? } */
+    resize(source, step) {
+        const size = getSize(source);
+        const target = computeResize(size, step);
+        if (target.width === size.width && target.height === size.height) return source;
+        return drawResized(source, target.width, target.height, step.resampling);
+    },
+
+    /** { type: "scale", factor, resampling? } */
+    scale(source, { factor = 1, resampling }) {
+        const size = getSize(source);
+        const fit = fitCanvasSize({ width: size.width * factor, height: size.height * factor });
+        return drawResized(source, fit.width, fit.height, resampling);
+    }
+};
+
+/**
+ * Apply transform steps in order.
+ * @param {CanvasImageSource} bitmap
+ * @param {Array<{type: string}>} [steps]
+ * @returns {CanvasImageSource}
+ */
+export function transform(bitmap, steps = []) {
+    let current = bitmap;
+    for (const step of steps || []) {
+        if (!step) continue;
+        const fn = STEPS[step.type];
+        if (!fn) {
+            throw new Error(`Unknown transform step: ${step.type}`);
+        }
+        current = fn(current, step);
+    }
+    return current;
+}
+
+/* ============================================================
+   Encoding
+   ============================================================ */
+
+/**
+ * Promise wrapper around canvas.toBlob() / OffscreenCanvas.convertToBlob().
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {string} mime
+ * @param {number} [quality]
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, mime, quality) {
+    if (typeof canvas.convertToBlob === "function") {
+        return canvas.convertToBlob({ type: mime, quality });
+    }
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            (blob) => {
+                if (!blob) {
+                    reject(pipelineError("ENCODE_FAILED", "Failed to generate output image."));
+                    return;
+                }
+                resolve(blob);
+            },
+            mime,
+            quality
+        );
+    });
+}
+
+/**
+ * Palette version of a canvas for the GIF encoder.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {{colors?: number, dither?: boolean}} [options]
+ */
+function quantizeCanvas(canvas, options) {
+    const { width, height } = canvas;
+    const pixels = get2dContext(canvas).getImageData(0, 0, width, height).data;
+    return quantizePixels(pixels, width, height, options);
+}
+
+/**
+ * Encode a canvas to one of the `js` FORMATS, or to PNG-8.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {object} fmt - entry of FORMATS
+ * @param {{colors?: number, dither?: boolean}} [options] - GIF and PNG-8 only
+ * @returns {Promise<Blob>}
+ */
+async function encodeInJs(canvas, fmt, options) {
+    const { width, height } = canvas;
+    if (fmt.ext === "gif") {
+        const image = quantizeCanvas(canvas, options);
+        return new Blob([gifHeader(width, height), encodeFrame(image), GIF_TRAILER], { type: fmt.mime });
+    }
+    const pixels = get2dContext(canvas).getImageData(0, 0, width, height).data;
+    let bytes;
+    if (fmt.ext === "png") {
+        bytes = await encodePng8(pixels, width, height, options);
+    } else if (fmt.ext === "bmp") {
+        bytes = encodeBmp(pixels, width, height);
+    } else {
+        bytes = await encodeTiff([{ width, height, data: pixels }]);
+    }
+    return new Blob([bytes], { type: fmt.mime });
+}
+
+// Result per MIME type: can this browser's canvas write it?
+const canvasSupport = new Map();
+
+function canvasEncodes(mime) {
+    if (!canvasSupport.has(mime)) {
+        const probe = canvasToBlob(createCanvas(1, 1), mime)
+            .then((blob) => blob.type === mime)
+            .catch(() => false);
+        canvasSupport.set(mime, probe);
+    }
+    return canvasSupport.get(mime);
+}
+
+/**
+ * How AVIF gets encoded here: "native" (canvas), "wasm" (the
+ * vendored encoder, downloaded on first use) or null when
+ * neither works.
+ * @returns {Promise<"native"|"wasm"|null>}
+ */
+export async function avifSupport() {
+    if (await canvasEncodes(FORMATS.avif.mime)) return "native";
+    return canUseAvifEncoder() ? "wasm" : null;
+}
+
+/**
+ * AVIF through the WASM encoder.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {{quality: number, speed?: number}} options
+ * @returns {Promise<Blob>}
+ */
+async function encodeAvifInJs(canvas, options) {
+    if (!canUseAvifEncoder()) {
+        throw pipelineError("AVIF_UNSUPPORTED", "This browser cannot encode AVIF images.");
+    }
+    const { width, height } = canvas;
+    const pixels = get2dContext(canvas).getImageData(0, 0, width, height).data;
+    let bytes;
+    try {
+        bytes = await encodeAvif(pixels, width, height, options);
+    } catch (err) {
+        console.error(err);
+        throw pipelineError("AVIF_UNSUPPORTED", "The AVIF encoder could not be loaded or failed.");
+    }
+    return new Blob([bytes], { type: FORMATS.avif.mime });
+}
+
+/**
+ * JPEG through the MozJPEG encoder.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {{quality: number, progressive?: boolean, subsampling?: string, optimize?: boolean, trellis?: boolean}} options
+ * @returns {Promise<Blob>}
+ */
+async function encodeJpegInJs(canvas, options) {
+    if (!canUseJpegEncoder()) {
+        throw pipelineError("JPEG_ENCODER_UNAVAILABLE", "The advanced JPEG encoder needs WebAssembly.");
+    }
+    const { width, height } = canvas;
+    const pixels = get2dContext(canvas).getImageData(0, 0, width, height).data;
+    let bytes;
+    try {
+        bytes = await encodeJpeg(pixels, width, height, options);
+    } catch (err) {
+        console.error(err);
+        throw pipelineError("JPEG_ENCODER_UNAVAILABLE", "The advanced JPEG encoder could not be loaded or failed.");
+    }
+    return new Blob([bytes], { type: FORMATS.jpg.mime });
+}
+
+/* ============================================================
+   Worker offloading
+   ============================================================ */
+
+let workerPool = null;
+let workersEnabled = true;
+
+// Task errors that are not worth a main-thread retry
+const FINAL_WORKER_ERRORS = new Set([
+    "TARGET_SIZE_PNG",
+    "TARGET_SIZE_UNREACHABLE",
+    "TARGET_SIZE_TOO_SMALL",
+    "TIFF_UNSUPPORTED"
+]);
+
+function canUseWorkers() {
+    return (
+        workersEnabled &&
+        typeof window !== "undefined" &&
+        typeof Worker === "function" &&
+        typeof OffscreenCanvas === "function" &&
+        typeof OffscreenCanvas.prototype.convertToBlob === "function" &&
+        typeof createImageBitmap === "function"
+    );
+}
+
+/**
+ * Turn worker offloading on or off (e.g. from the console).
+ * @param {boolean} enabled
+ */
+export function useWorkers(enabled) {
+    workersEnabled = Boolean(enabled);
+}
+
+// Options are posted to the worker, so drop anything not cloneable
+function workerOptions(options) {
+    const out = {};
+    for (const [key, value] of Object.entries(options || {})) {
+        if (key === "worker" || typeof value === "function") continue;
+        if (typeof AbortSignal !== "undefined" && value instanceof AbortSignal) continue;
+        out[key] = value;
+    }
+    return out;
+}
+
+/**
+ * Run a task in the pool. Resolves with null when the caller
+ * should fall back to the main thread.
+ */
+async function runInWorker(payload, transfer = [], signal, onProgress) {
+    try {
+        if (!workerPool) {
+            workerPool = createWorkerPool(new URL("./image-worker.js", import.meta.url));
+        }
+        return await workerPool.run(payload, transfer, {
+            signal,
+            onProgress: (info) => report(onProgress, info.stage, info)
+        });
+    } catch (err) {
+        if (isAbortError(err)) throw err;
+        // The main thread would fail the same way
+        if (err && FINAL_WORKER_ERRORS.has(err.code)) throw err;
+        if (err && err.code === "WORKER_FAILED") {
+            // Module workers or OffscreenCanvas 2D not usable here
+            workersEnabled = false;
+        }
+        console.warn("Worker conversion failed, using main thread.", err);
+        return null;
+    }
+}
+
+/* ============================================================
+   EXIF orientation / metadata
+   ============================================================ */
+
+// 2×1 grey JPEG with EXIF orientation 6 (rotate 90°)
+const ORIENTATION_PROBE =
+    "/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/2wBDAAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEB" +
+    "AQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQH/wAALCAABAAIBAREA/8QAFAABAAAAAAAAAAAAAAAAAAAAAP/EABQQAQAA" +
+    "AAAAAAAAAAAAAAAAAAD/2gAIAQEAAD8AP//Z";
+
+let orientationApplied = null;
+
+/**
+ * Whether the browser's own decoders already rotate JPEGs by
+ * their EXIF orientation (current browsers do, older ones and
+ * some WebViews do not). Checked once by decoding a probe image.
+ * @returns {Promise<boolean>}
+ */
+function decoderAppliesOrientation() {
+    if (!orientationApplied) {
+        const bytes = Uint8Array.from(atob(ORIENTATION_PROBE), (c) => c.charCodeAt(0));
+        orientationApplied = decodeNative(new Blob([bytes], { type: "image/jpeg" }))
+            .then((probe) => {
+                const { width, height } = getSize(probe);
+                release(probe);
+                return height > width;
+            })
+            .catch(() => true);
+    }
+    return orientationApplied;
+}
+
+/**
+ * Orient step for JPEG input the decoder left unrotated, else none.
+ * HEIF rotation is stored outside EXIF and applied by the decoder.
+ * @param {object|null} exif - from readExif()
+ * @returns {Promise<Array<object>>}
+ */
+async function orientationSteps(exif) {
+    if (exif && exif.container === "jpeg" && exif.orientation > 1 && !(await decoderAppliesOrientation())) {
+        return [{ type: "orient", orientation: exif.orientation }];
+    }
+    return [];
+}
+
+/**
+ * EXIF block to write into the output, or null.
+ * @param {object|null} exif - from readExif()
+ * @param {string} mode - one of METADATA
+ * @param {string} mime - output type
+ * @param {{width: number, height: number}} size - output size
+ */
+function outputExif(exif, mode, mime, size) {
+    if (!exif || mime !== "image/jpeg" || (mode !== "keep" && mode !== "strip-location")) return null;
+    return prepareExif(exif, { stripLocation: mode === "strip-location", ...size });
+}
+
+/* ============================================================
+   Encode / convert entry points
+   ============================================================ */
+
+/**
+ * Encode on the current thread (main thread or inside a worker).
+ */
+async function encodeHere(bitmap, { mime, format, quality = 0.92, background = null, colors, dither, speed, jpeg, signal }) {
+    throwIfAborted(signal);
+
+    const type = mime || formatToMime(format || "png");
+    const fmt = FORMATS[mimeToFormat(type)] || FORMATS.png;
+
+    const fill = background || (fmt.alpha ? null : DEFAULT_BACKGROUND);
+    const { width, height } = getSize(bitmap);
+
+    let canvas = bitmap;
+    if (fill || !isCanvas(bitmap)) {
+        canvas = createCanvas(width, height);
+        const ctx = get2dContext(canvas);
+        if (fill) {
+            ctx.fillStyle = fill;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    }
+
+    if (fmt.js || (fmt.ext === "png" && colors)) {
+        return encodeInJs(canvas, fmt, { colors, dither });
+    }
+
+    const q = Math.min(Math.max(Number(quality) || 0, 0), 1);
+    if (fmt.ext === "jpg" && jpeg) {
+        return raceAbort(encodeJpegInJs(canvas, { ...jpeg, quality: q }), signal);
+    }
+    if (fmt.ext === "avif" && !(await canvasEncodes(fmt.mime))) {
+        return raceAbort(encodeAvifInJs(canvas, { quality: q, speed }), signal);
+    }
+    const blob = await raceAbort(canvasToBlob(canvas, type, fmt.lossy ? q : undefined), signal);
+
+    if (blob.type && blob.type !== type) {
+        throw pipelineError(
+            "ENCODE_UNSUPPORTED",
+            `This browser cannot encode ${fmt.ext.toUpperCase()} images.`,
+            { format: fmt.ext.toUpperCase() }
+        );
+    }
+    return blob;
+}
+
+/**
+ * Encode a drawable to an image Blob.
+ * - JPEG always gets a background (white by default), other
+ *   formats only when `background` is given.
+ * - `quality` is only passed for lossy formats.
+ * - GIF takes `colors` (2–256) and `dither` (Floyd–Steinberg);
+ *   so does PNG, which then is written as an indexed PNG-8.
+ * - JPEG takes `jpeg` ({progressive, subsampling, optimize,
+ *   trellis}, see JPEG_DEFAULTS) to use MozJPEG instead of the
+ *   canvas.
+ * - AVIF takes `speed` (AVIF_SPEED: slower = smaller) when the
+ *   WASM encoder is used.
+ * - The pixels are copied into a worker when possible; pass
+ *   `worker: false` to stay on the current thread.
+ * @param {CanvasImageSource} bitmap
+ * @param {{mime?: string, format?: string, quality?: number, background?: string|null, colors?: number, dither?: boolean, speed?: number, jpeg?: object, worker?: boolean, signal?: AbortSignal}} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function encode(bitmap, options = {}) {
+    throwIfAborted(options.signal);
+
+    if (options.worker !== false && canUseWorkers()) {
+        const copy = await createImageBitmap(bitmap).catch(() => null);
+        if (copy) {
+            const blob = await runInWorker(
+                { op: "encode", bitmap: copy, options: workerOptions(options) },
+                [copy],
+                options.signal
+            );
+            if (blob) return blob;
+        }
+    }
+    return encodeHere(bitmap, options);
+}
+
+// Crop steps moved onto an image scaled by `factor`
+function scaleCropSteps(steps, factor) {
+    if (factor === 1) return steps;
+    return steps.map((step) => {
+        if (!step || step.type !== "crop") return step;
+        const scaled = { ...step };
+        for (const key of ["x", "y", "width", "height"]) {
+            if (Number.isFinite(step[key])) scaled[key] = step[key] * factor;
+        }
+        return scaled;
+    });
+}
+
+/**
+ * Full pipeline: decode → transform → encode.
+ * Runs entirely in a worker unless the input needs a main-thread
+ * decoder (registered decoders, SVG).
+ * `metadata` (see METADATA) only has an effect for JPEG output;
+ * `result.metadata` is what was actually written ("strip" when
+ * there was nothing to keep).
+ * With `maxBytes` the output is fitted into that many bytes
+ * (see encodeToSize); `quality` then is the quality it ended up
+ * with and `scaled` tells whether the size had to be reduced.
+ * For PNG-8 output (`colors`) `fullColorSize` is the byte size
+ * the image has as a regular PNG.
+ * Crop steps are in pixels of the original image, also when it
+ * was scaled down to fit the canvas limits (`downscaledFrom`).
+ * @param {Blob} blob
+ * @param {{format?: string, mime?: string, quality?: number, background?: string|null, steps?: Array<object>, metadata?: string, maxBytes?: number, fitDimensions?: boolean, frame?: number, colors?: number, dither?: boolean, speed?: number, jpeg?: object, worker?: boolean, signal?: AbortSignal, onProgress?: ProgressCallback}} [options]
+ * @returns {Promise<{blob: Blob, mime: string, width: number, height: number, quality: number|null, scaled?: boolean, fullColorSize?: number, downscaledFrom?: {width: number, height: number}, metadata: string}>}
+ */
+export async function convert(blob, options = {}) {
+    const { signal, onProgress } = options;
+    throwIfAborted(signal);
+
+    const mainThreadOnly =
+        blob.type === "image/svg+xml" || decoders.some((d) => d.test(blob));
+
+    if (options.worker !== false && !mainThreadOnly && canUseWorkers()) {
+        const result = await runInWorker(
+            { op: "convert", blob, options: workerOptions(options) },
+            [],
+            signal,
+            onProgress
+        );
+        if (result) return result;
+    }
+
+    const exif = await readExif(blob);
+    const bitmap = await decode(blob, { signal, onProgress, frame: options.frame });
+    try {
+        throwIfAborted(signal);
+        const original = downscaledFrom(bitmap);
+        const factor = original ? getSize(bitmap).width / original.width : 1;
+        const steps = [...(await orientationSteps(exif)), ...scaleCropSteps(options.steps || [], factor)];
+        if (steps.length) {
+            report(onProgress, "render");
+        }
+        const output = transform(bitmap, steps);
+        const mime = options.mime || formatToMime(options.format || "png");
+        const { width, height } = getSize(output);
+        const metadata = options.metadata || "strip";
+        const tiff = outputExif(exif, metadata, mime, { width, height });
+        const extra = exifSegmentSize(tiff);
+
+        report(onProgress, "encode");
+        let result;
+        if (options.maxBytes > 0) {
+            // Leave room for the EXIF segment added afterwards
+            const fitted = await encodeToSize(output, { ...options, mime, maxBytes: options.maxBytes - extra });
+            result = { ...fitted, mime };
+        } else {
+            const encoded = await encode(output, { ...options, mime });
+            result = { blob: encoded, mime, width, height, quality: null };
+            if (mime === FORMATS.png.mime && options.colors) {
+                // What the palette saved: the same pixels as a 32-bit PNG
+                const full = await encode(output, { ...options, mime, colors: undefined });
+                result.fullColorSize = full.size;
+            }
+        }
+
+        if (extra) {
+            const final = result.scaled
+                ? outputExif(exif, metadata, mime, { width: result.width, height: result.height })
+                : tiff;
+            result.blob = await insertExif(result.blob, final);
+        }
+        result.metadata = extra ? metadata : "strip";
+        if (original) result.downscaledFrom = original;
+        return result;
+    } finally {
+        release(bitmap);
+    }
+}
+
+/* ============================================================
+   Tiles
+   ============================================================ */
+
+/**
+ * Convert an image at full resolution as tiles of at most
+ * `tileSize` pixels a side (TILE_SIZE, less where the canvas
+ * limits require), for images too large for a single canvas:
+ * nothing larger than one tile is ever drawn. Tiles come row by
+ * row; `onTile` gets each one as soon as it is encoded, progress
+ * reports carry `info.tile` and `info.tiles`. The image is
+ * decoded on the main thread, the tiles are encoded in workers
+ * where possible. Transform steps and `maxBytes` do not apply.
+ * Throws IMAGE_TOO_LARGE when the browser cannot decode the
+ * image at all.
+ * @param {Blob} blob
+ * @param {{format?: string, mime?: string, quality?: number, background?: string|null, colors?: number, dither?: boolean, speed?: number, jpeg?: object, tileSize?: number, frame?: number, signal?: AbortSignal, onProgress?: ProgressCallback, onTile?: (tile: object) => void}} [options]
+ * @returns {Promise<{tiles: Array<{index: number, row: number, column: number, x: number, y: number, width: number, height: number, blob: Blob}>, rows: number, columns: number, width: number, height: number, mime: string}>}
+ */
+export async function convertTiles(blob, options = {}) {
+    const { signal, onProgress, onTile } = options;
+    throwIfAborted(signal);
+
+    const limits = getCanvasLimits();
+    const tileSize = Math.max(
+        1,
+        Math.floor(Math.min(options.tileSize || TILE_SIZE, limits.maxSide, Math.sqrt(limits.maxArea)))
+    );
+    const mime = options.mime || formatToMime(options.format || "png");
+
+    report(onProgress, "decode");
+    const source = await raceAbort(decodeSource(blob, options.frame), signal, release);
+    try {
+        const size = isPixels(source) ? { width: source.width, height: source.height } : getSize(source);
+        const grid = tileGrid(size.width, size.height, tileSize);
+        const tiles = [];
+        for (const [index, rect] of grid.entries()) {
+            throwIfAborted(signal);
+            report(onProgress, "encode", { tile: index, tiles: grid.length });
+            const canvas = drawRegion(source, rect);
+            try {
+                const tile = { index, ...rect, blob: await encode(canvas, { ...options, mime }) };
+                tiles.push(tile);
+                if (onTile) onTile(tile);
+            } finally {
+                canvas.width = canvas.height = 0;
+            }
+        }
+        const last = grid[grid.length - 1];
+        return { tiles, rows: last.row + 1, columns: last.column + 1, ...size, mime };
+    } finally {
+        release(source);
+    }
+}
+
+/* ============================================================
+   Animated images
+   ============================================================ */
+
+/**
+ * Convert every frame of an animated GIF/WebP with the same
+ * options as convert() (steps, maxBytes, ...). Frames are
+ * decoded on the main thread one after another; only the
+ * encoded results are kept. `onFrame` gets each one as soon as
+ * it is ready, progress reports carry `info.frame`.
+ * Throws NOT_ANIMATED for stills and single-frame files.
+ * @param {Blob} blob
+ * @param {{format?: string, mime?: string, quality?: number, background?: string|null, steps?: Array<object>, maxBytes?: number, fitDimensions?: boolean, signal?: AbortSignal, onProgress?: ProgressCallback, onFrame?: (frame: object) => void}} [options]
+ * @returns {Promise<{frames: Array<{index: number, delay: number, blob: Blob, width: number, height: number, quality: number|null}>, mime: string, width: number, height: number, loop: number|null}>}
+ */
+export async function convertFrames(blob, options = {}) {
+    const { signal, onProgress, onFrame } = options;
+    throwIfAborted(signal);
+
+    report(onProgress, "decode", { frame: 0 });
+    const animation = await raceAbort(openAnimation(blob), signal, (opened) => opened && opened.close());
+    if (!animation) {
+        throw pipelineError("NOT_ANIMATED", "This image has only one frame.");
+    }
+
+    const mime = options.mime || formatToMime(options.format || "png");
+    const steps = options.steps || [];
+    const frames = [];
+    try {
+        for (let index = 0; index < animation.frames.length; index++) {
+            throwIfAborted(signal);
+            report(onProgress, "decode", { frame: index });
+            const canvas = await animation.readFrame(index);
+            try {
+                if (steps.length) report(onProgress, "render", { frame: index });
+                const output = transform(canvas, steps);
+
+                report(onProgress, "encode", { frame: index });
+                let result;
+                if (options.maxBytes > 0) {
+                    result = await encodeToSize(output, { ...options, mime });
+                } else {
+                    const { width, height } = getSize(output);
+                    result = { blob: await encode(output, { ...options, mime }), width, height, quality: null };
+                }
+
+                const frame = { index, delay: animation.frames[index].delay, ...result };
+                frames.push(frame);
+                if (onFrame) onFrame(frame);
+            } finally {
+                canvas.width = canvas.height = 0;
+            }
+        }
+    } finally {
+        animation.close();
+    }
+
+    return { frames, mime, width: animation.width, height: animation.height, loop: animation.loop };
+}
+
+// Source drawn centred into a width × height frame (aspect kept,
+// the rest transparent unless there is a background)
+function fitFrame(source, width, height, background) {
+    const size = getSize(source);
+    const canvas = createCanvas(width, height);
+    const ctx = get2dContext(canvas);
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+    }
+    const scale = Math.min(width / size.width, height / size.height);
+    const w = Math.max(1, Math.round(size.width * scale));
+    const h = Math.max(1, Math.round(size.height * scale));
+    ctx.drawImage(source, Math.round((width - w) / 2), Math.round((height - h) / 2), w, h);
+    return canvas;
+}
+
+/**
+ * Build a GIF from every frame of an animated GIF/WebP (their
+ * delays and loop count are kept) or from several images, one
+ * frame each, shown `delay` ms and looping `loop` times (0 =
+ * forever). `steps` apply to every frame; images that end up
+ * with another size than the first are fitted into it.
+ * Runs on the main thread, frame after frame; progress reports
+ * carry `info.frame`.
+ * @param {Blob|Blob[]} input
+ * @param {{steps?: Array<object>, delay?: number, loop?: number|null, colors?: number, dither?: boolean, background?: string|null, signal?: AbortSignal, onProgress?: ProgressCallback}} [options]
+ * @returns {Promise<{blob: Blob, mime: string, width: number, height: number, frames: number, loop: number|null}>}
+ */
+export async function encodeAnimatedGif(input, options = {}) {
+    const { signal, onProgress, background = null } = options;
+    const sources = Array.isArray(input) ? input : [input];
+    const steps = options.steps || [];
+    const delay = Number(options.delay) > 0 ? Number(options.delay) : DEFAULT_FRAME_DELAY;
+    throwIfAborted(signal);
+    if (!sources.length) {
+        throw pipelineError("NOT_ANIMATED", "This image has only one frame.");
+    }
+
+    report(onProgress, "decode", { frame: 0 });
+    const animation = sources.length === 1
+        ? await raceAbort(openAnimation(sources[0]), signal, (opened) => opened && opened.close())
+        : null;
+    const count = animation ? animation.frames.length : sources.length;
+
+    // Every frame as a canvas with the steps applied
+    async function readFrame(index) {
+        if (animation) {
+            const frame = await animation.readFrame(index);
+            if (steps.length) report(onProgress, "render", { frame: index });
+            const output = transform(frame, steps);
+            if (output !== frame) frame.width = frame.height = 0;
+            return output;
+        }
+        const blob = sources[index];
+        const exif = await readExif(blob);
+        const bitmap = await decode(blob, { signal });
+        try {
+            if (steps.length) report(onProgress, "render", { frame: index });
+            const output = transform(bitmap, [...(await orientationSteps(exif)), ...steps]);
+            if (output !== bitmap) return output;
+            // The bitmap is released below, keep a copy
+            const { width: w, height: h } = getSize(bitmap);
+            return fitFrame(bitmap, w, h, null);
+        } finally {
+            release(bitmap);
+        }
+    }
+
+    const parts = [];
+    let width = 0;
+    let height = 0;
+    try {
+        for (let index = 0; index < count; index++) {
+            throwIfAborted(signal);
+            report(onProgress, "decode", { frame: index });
+            let canvas = await readFrame(index);
+            if (!index) ({ width, height } = getSize(canvas));
+
+            report(onProgress, "encode", { frame: index });
+            const size = getSize(canvas);
+            if (background || size.width !== width || size.height !== height) {
+                const fitted = fitFrame(canvas, width, height, background);
+                canvas.width = canvas.height = 0;
+                canvas = fitted;
+            }
+            const image = quantizeCanvas(canvas, options);
+            canvas.width = canvas.height = 0;
+            parts.push(encodeFrame(image, { delay: animation ? animation.frames[index].delay : delay }));
+        }
+    } finally {
+        if (animation) animation.close();
+    }
+
+    const loop = animation ? animation.loop : count > 1 ? (Number.isInteger(options.loop) ? options.loop : 0) : null;
+    parts.unshift(gifHeader(width, height, { loop }));
+    parts.push(GIF_TRAILER);
+    const mime = FORMATS.gif.mime;
+    return { blob: new Blob(parts, { type: mime }), mime, width, height, frames: count, loop };
+}
+
+/* ============================================================
+   Target file size
+   ============================================================ */
+
+// Quality search steps per size, and downscale attempts
+const SIZE_SEARCH_STEPS = 7;
+const SIZE_DOWNSCALE_TRIES = 8;
+// Quality used while searching for a smaller size
+const DOWNSCALE_QUALITY = 0.8;
+// Smallest side a downscale may produce
+const MIN_FIT_DIMENSION = 16;
+
+// Highest quality in [low, high] whose output fits, or null
+async function searchQuality(source, options, low, high, maxBytes) {
+    let best = null;
+    let lo = low;
+    let hi = high;
+    for (let i = 0; i < SIZE_SEARCH_STEPS && hi - lo > 0.01; i++) {
+        const q = (lo + hi) / 2;
+        const blob = await encodeHere(source, { ...options, quality: q });
+        if (blob.size <= maxBytes) {
+            best = { blob, quality: q };
+            lo = q;
+        } else {
+            hi = q;
+        }
+    }
+    return best;
+}
+
+/**
+ * Encode so the result fits into `maxBytes`, keeping it as large
+ * as possible. Lossy formats search the quality between
+ * `minQuality` and `quality`; if even the lowest quality is too
+ * big and `fitDimensions` is set, the image is scaled down until
+ * it fits (lossless PNG can only shrink that way).
+ * Throws TARGET_SIZE_PNG / TARGET_SIZE_UNREACHABLE (without
+ * `fitDimensions`) or TARGET_SIZE_TOO_SMALL when the budget
+ * cannot be met.
+ * @param {CanvasImageSource} source
+ * @param {{mime?: string, format?: string, maxBytes: number, quality?: number, minQuality?: number, fitDimensions?: boolean, background?: string|null, signal?: AbortSignal}} options
+ * @returns {Promise<{blob: Blob, quality: number|null, width: number, height: number, scaled: boolean}>}
+ */
+export async function encodeToSize(source, options) {
+    const { maxBytes, minQuality = MIN_QUALITY, fitDimensions = false, signal } = options;
+    const type = options.mime || formatToMime(options.format || "png");
+    const fmt = FORMATS[mimeToFormat(type)] || FORMATS.png;
+    const maxQuality = Math.min(Math.max(Number(options.quality) || 1, minQuality), 1);
+    const encodeOptions = { ...options, mime: type };
+    const budget = formatBytes(maxBytes);
+
+    const done = (blob, quality, canvas) => ({ blob, quality, scaled: canvas !== source, ...getSize(canvas) });
+
+    // 1. Full size: best quality that fits
+    let blob = await encodeHere(source, { ...encodeOptions, quality: maxQuality });
+    if (blob.size <= maxBytes) return done(blob, fmt.lossy ? maxQuality : null, source);
+
+    if (fmt.lossy) {
+        throwIfAborted(signal);
+        const found = await searchQuality(source, encodeOptions, minQuality, maxQuality, maxBytes);
+        if (found) return done(found.blob, found.quality, source);
+    }
+
+    if (!fitDimensions) {
+        if (!fmt.lossy) {
+            throw pipelineError(
+                "TARGET_SIZE_PNG",
+                `A lossless ${fmt.ext.toUpperCase()} of this image cannot fit into ${budget}.`,
+                { size: budget, format: fmt.ext.toUpperCase() }
+            );
+        }
+        throw pipelineError(
+            "TARGET_SIZE_UNREACHABLE",
+            `Even the lowest quality does not fit into ${budget}.`,
+            { size: budget }
+        );
+    }
+
+    // 2. Scale down (estimating from the last size) until it fits,
+    //    then raise the quality again as far as the budget allows
+    const quality = fmt.lossy ? Math.max(minQuality, Math.min(DOWNSCALE_QUALITY, maxQuality)) : undefined;
+    const size = getSize(source);
+    if (fmt.lossy) blob = await encodeHere(source, { ...encodeOptions, quality });
+    let factor = 1;
+    for (let i = 0; i < SIZE_DOWNSCALE_TRIES; i++) {
+        throwIfAborted(signal);
+        factor *= Math.min(0.9, Math.sqrt(maxBytes / blob.size) * 0.95);
+        const width = size.width * factor;
+        const height = size.height * factor;
+        if (Math.min(width, height) < MIN_FIT_DIMENSION) break;
+
+        const canvas = drawResized(source, width, height, "stepwise");
+        blob = await encodeHere(canvas, { ...encodeOptions, quality });
+        if (blob.size <= maxBytes) {
+            if (!fmt.lossy) return done(blob, null, canvas);
+            const better = await searchQuality(canvas, encodeOptions, quality, maxQuality, maxBytes);
+            return better ? done(better.blob, better.quality, canvas) : done(blob, quality, canvas);
+        }
+        canvas.width = canvas.height = 0;
+    }
+
+    throw pipelineError(
+        "TARGET_SIZE_TOO_SMALL",
+        `${budget} is too small for this image, even scaled down.`,
+        { size: budget }
+    );
+}
+
+/* ============================================================
+   Download helper
+   ============================================================ */
+
+/**
+ * Trigger a browser download for a Blob.
+ * Returns the object URL so callers can reuse it for a
+ * "Download again" link; revoke it when no longer needed.
+ * @param {Blob} blob
+ * @param {string} filename
+ * @returns {string}
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    return url;
+}
+
+/* ============================================================
+   Global namespace (optional)
+   Allows usage as window.QCPipeline.* from the console
+   or non-module scripts
+   ============================================================ */
+if (typeof window !== "undefined") {
+    window.QCPipeline = window.QCPipeline || {};
+    Object.assign(window.QCPipeline, {
+        FORMATS,
+        METADATA,
+        formatToMime,
+        mimeToFormat,
+        formatBytes,
+        getBaseName,
+        tileFilename,
+        resolveQuality,
+        computeResize,
+        registerDecoder,
+        decode,
+        decodeNative,
+        countPages,
+        avifSupport,
+        transform,
+        encode,
+        encodeToSize,
+        convert,
+        convertTiles,
+        convertFrames,
+        encodeAnimatedGif,
+        readAnimation,
+        useWorkers,
+        isAbortError,
+        getSize,
+        probeSize,
+        readImageSize,
+        getCanvasLimits,
+        downscaledFrom,
+        readExif,
+        release,
+        downloadBlob
+    });
+}
@@ -0,0 +1,47 @@
+/* ============================================================
+   image-worker.js
+   Web Worker side of the image pipeline. Runs the very same
+   decode/transform/encode code as the main thread, but on an
+   OffscreenCanvas, so big conversions do not freeze the page.
+   Started by image-pipeline.js through core/worker-pool.js.
+
+   Tasks:
+   - { op: "convert", blob, options }  → { blob, mime, width, height, quality }
+   - { op: "encode", bitmap, options } → Blob
+   convert also posts { id, progress: { stage, indeterminate } }
+   whenever a stage starts.
+   ============================================================ */
+
+import { convert, encode, release } from "./image-pipeline.js";
+
+self.addEventListener("message", async (e) => {
+    const { id, op, blob, bitmap, options } = e.data || {};
+
+    try {
+        let result;
+        if (op === "convert") {
+            result = await convert(blob, {
+                ...options,
+                worker: false,
+                onProgress: (stage, info) => self.postMessage({ id, progress: { stage, ...info } })
+            });
+        } else if (op === "encode") {
+            try {
+                result = await encode(bitmap, { ...options, worker: false });
+            } finally {
+                release(bitmap);
+            }
+        } else {
+            throw new Error(`Unknown worker task: ${op}`);
+        }
+        self.postMessage({ id, result });
+    } catch (err) {
+        // code/params let the page show the same translated message
+        self.postMessage({
+            id,
+            error: (err && err.message) || String(err),
+            code: err && err.code,
+            params: err && err.params
+        });
+    }
+});
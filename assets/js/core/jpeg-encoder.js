@@ -0,0 +1,92 @@
+/* ============================================================
+   jpeg-encoder.js
+   JPEG through MozJPEG (vendor/mozjpeg/, the WASM build from
+   Squoosh repackaged by @jsquash/jpeg, Apache-2.0 / BSD) instead
+   of the browser's encoder, which only takes a quality:
+   progressive scans, 4:2:0 or 4:4:4 chroma, optimized Huffman
+   tables and trellis quantization. Files come out noticeably
+   smaller at the same quality setting.
+   Loaded on first use (~250 KB), works in workers as well.
+   ============================================================ */
+
+const ENCODER_SRC = "../vendor/mozjpeg/mozjpeg_enc.js";
+
+/** Chroma subsampling choices → MozJPEG factor. */
+export const JPEG_SUBSAMPLING = { "420": 2, "444": 1 };
+
+/**
+ * Defaults of the `jpeg` pipeline option.
+ * `trellis` adds the slower multi-pass trellis search on top of
+ * the basic trellis quantization MozJPEG always does.
+ */
+export const JPEG_DEFAULTS = { progressive: true, subsampling: "420", optimize: true, trellis: false };
+
+// Every field of the encoder's options struct must be present
+const ENCODER_OPTIONS = {
+    quality: 75,
+    baseline: false,
+    arithmetic: false,
+    progressive: true,
+    optimize_coding: true,
+    smoothing: 0,
+    color_space: 3, // YCbCr
+    quant_table: 3,
+    trellis_multipass: false,
+    trellis_opt_zero: false,
+    trellis_opt_table: false,
+    trellis_loops: 1,
+    auto_subsample: false,
+    chroma_subsample: 2,
+    separate_chroma_quality: false,
+    chroma_quality: 75
+};
+
+let encoder = null;
+
+/**
+ * Whether the WASM encoder can run here at all.
+ * @returns {boolean}
+ */
+export function canUseJpegEncoder() {
+    return typeof WebAssembly === "object" && typeof WebAssembly.instantiate === "function";
+}
+
+// Loads once; a failed load may be retried later (e.g. back online)
+function loadEncoder() {
+    if (!encoder) {
+        encoder = import(new URL(ENCODER_SRC, import.meta.url).href)
+            .then((lib) => lib.default({ noInitialRun: true }))
+            .catch((err) => {
+                encoder = null;
+                throw err;
+            });
+    }
+    return encoder;
+}
+
+/**
+ * Encode RGBA pixels (alpha ignored) as JPEG.
+ * @param {Uint8ClampedArray|Uint8Array} pixels - width × height × 4
+ * @param {number} width
+ * @param {number} height
+ * @param {{quality?: number, progressive?: boolean, subsampling?: string, optimize?: boolean, trellis?: boolean}} [options]
+ *   quality 0–1 like the canvas, the rest see JPEG_DEFAULTS
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeJpeg(pixels, width, height, options = {}) {
+    const { quality = 0.92, progressive, subsampling, optimize, trellis } = { ...JPEG_DEFAULTS, ...options };
+    const module = await loadEncoder();
+    const output = module.encode(new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.byteLength), width, height, {
+        ...ENCODER_OPTIONS,
+        quality: Math.round(Math.min(Math.max(Number(quality) || 0, 0), 1) * 100),
+        progressive: Boolean(progressive),
+        // Progressive scans always get optimized tables
+        optimize_coding: Boolean(optimize || progressive),
+        chroma_subsample: JPEG_SUBSAMPLING[subsampling] || JPEG_SUBSAMPLING[JPEG_DEFAULTS.subsampling],
+        trellis_multipass: Boolean(trellis),
+        trellis_opt_zero: Boolean(trellis),
+        trellis_opt_table: Boolean(trellis)
+    });
+    if (!output) throw new Error("JPEG encoding failed.");
+    return output;
+}
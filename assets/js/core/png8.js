@@ -0,0 +1,138 @@
+/* ============================================================
+   png8.js
+   Indexed PNG ("PNG-8") encoder. Canvas always writes 32-bit
+   PNGs; with a palette of at most 256 colours the same picture
+   usually takes a fraction of the bytes.
+   - encodePng8(): palette of up to 256 RGBA colours from
+     quantizeRgba() (quantize.js); semi-transparent pixels keep
+     their own entries
+   - encodeIndexedPng(): PLTE + tRNS, 1/2/4/8-bit rows, zlib
+     through CompressionStream (stored blocks without it)
+   Works on bytes only, so it runs in workers as well.
+   ============================================================ */
+
+import { crc32 } from "./zip-writer.js";
+import { quantizeRgba } from "./quantize.js";
+
+const PNG_SIGNATURE = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a);
+const COLOR_TYPE_INDEXED = 3;
+
+/* ============================================================
+   PNG writer
+   ============================================================ */
+
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; ) {
+        // 5552 bytes fit before the sums can overflow
+        const end = Math.min(i + 5552, bytes.length);
+        for (; i < end; i++) {
+            a += bytes[i];
+            b += a;
+        }
+        a %= 65521;
+        b %= 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+// zlib stream; uncompressed (stored) blocks where CompressionStream is missing
+async function zlib(bytes) {
+    if (typeof CompressionStream !== "undefined") {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    const blocks = Math.max(Math.ceil(bytes.length / 65535), 1);
+    const out = new Uint8Array(2 + bytes.length + blocks * 5 + 4);
+    const view = new DataView(out.buffer);
+    out[0] = 0x78;
+    out[1] = 0x01;
+    let pos = 2;
+    for (let block = 0; block < blocks; block++) {
+        const chunk = bytes.subarray(block * 65535, (block + 1) * 65535);
+        out[pos] = block === blocks - 1 ? 1 : 0;
+        view.setUint16(pos + 1, chunk.length, true);
+        view.setUint16(pos + 3, ~chunk.length & 0xffff, true);
+        out.set(chunk, pos + 5);
+        pos += 5 + chunk.length;
+    }
+    view.setUint32(pos, adler32(bytes));
+    return out;
+}
+
+function chunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+/**
+ * Write a palette image as an indexed PNG. Entries with alpha
+ * are moved to the front so the tRNS chunk stays short.
+ * @param {QuantizedImage} image - from quantizeRgba() (quantize.js)
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeIndexedPng({ width, height, palette, indices }) {
+    const count = palette.length / 4;
+    const order = [...Array(count).keys()].sort((a, b) => (palette[a * 4 + 3] === 255) - (palette[b * 4 + 3] === 255));
+    const remap = new Uint8Array(count);
+    order.forEach((from, to) => {
+        remap[from] = to;
+    });
+
+    const plte = new Uint8Array(count * 3);
+    const alphas = [];
+    order.forEach((from, to) => {
+        plte.set(palette.subarray(from * 4, from * 4 + 3), to * 3);
+        if (palette[from * 4 + 3] !== 255) alphas.push(palette[from * 4 + 3]);
+    });
+
+    const depth = count <= 2 ? 1 : count <= 4 ? 2 : count <= 16 ? 4 : 8;
+    const perByte = 8 / depth;
+    const stride = Math.ceil(width / perByte);
+    // Filter type 0 on every row: the usual best choice for palette images
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * (stride + 1) + 1;
+        for (let x = 0; x < width; x++) {
+            const index = remap[indices[y * width + x]];
+            raw[row + Math.floor(x / perByte)] |= index << (8 - depth * ((x % perByte) + 1));
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = depth;
+    header[9] = COLOR_TYPE_INDEXED;
+
+    const parts = [PNG_SIGNATURE, chunk("IHDR", header), chunk("PLTE", plte)];
+    if (alphas.length) parts.push(chunk("tRNS", Uint8Array.from(alphas)));
+    parts.push(chunk("IDAT", await zlib(raw)), chunk("IEND", new Uint8Array(0)));
+
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+/**
+ * Encode RGBA pixels as a PNG-8.
+ * @param {Uint8ClampedArray|Uint8Array} pixels - width × height × 4
+ * @param {number} width
+ * @param {number} height
+ * @param {{colors?: number, dither?: boolean}} [options]
+ * @returns {Promise<Uint8Array>}
+ */
+export function encodePng8(pixels, width, height, options) {
+    return encodeIndexedPng(quantizeRgba(pixels, width, height, options));
+}
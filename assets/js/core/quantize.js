@@ -0,0 +1,335 @@
+/* ============================================================
+   quantize.js
+   Colour quantizer shared by the palette encoders (gif-encoder.js,
+   png8.js): reduces RGBA pixels to at most 256 RGBA palette
+   entries and one index per pixel.
+   - exact palette when the image has few colours
+   - otherwise median cut over a 5-bit-per-channel histogram
+     (plus 4 bits of alpha), refined by a few k-means passes
+   - optional Floyd–Steinberg dithering of the colour channels
+   - semi-transparent pixels get their own entries, fully
+     transparent ones share one; `binaryAlpha` makes pixels
+     either opaque or fully transparent first (GIF)
+   Works on bytes only, so it runs in workers as well.
+   ============================================================ */
+
+// Histogram bins: 5 bits per colour channel, 4 bits of alpha
+// (level 15 is reserved for fully opaque pixels)
+const BIN_BITS = 5;
+const BIN_SHIFT = 8 - BIN_BITS;
+const ALPHA_BITS = 4;
+const OPAQUE_LEVEL = (1 << ALPHA_BITS) - 1;
+const BIN_COUNT = 1 << (3 * BIN_BITS + ALPHA_BITS);
+
+// binaryAlpha: pixels below this alpha become transparent, the rest opaque
+const ALPHA_THRESHOLD = 128;
+
+// k-means passes, and the work (bins × colours) allowed per pass
+const KMEANS_PASSES = 3;
+const KMEANS_BUDGET = 2e7;
+
+/**
+ * @typedef {object} QuantizedImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} palette - RGBA quadruplets
+ * @property {Uint8Array} indices - one palette index per pixel
+ */
+
+function alphaLevel(a) {
+    return a === 255 ? OPAQUE_LEVEL : Math.min(a >> (8 - ALPHA_BITS), OPAQUE_LEVEL - 1);
+}
+
+function binOf(r, g, b, a) {
+    return (
+        (((r >> BIN_SHIFT) << (2 * BIN_BITS)) | ((g >> BIN_SHIFT) << BIN_BITS) | (b >> BIN_SHIFT)) << ALPHA_BITS
+    ) | alphaLevel(a);
+}
+
+// Bin coordinate per axis (r, g, b: 0–31, alpha: 0–60, so boxes are split by alpha first)
+function coordinate(bin, axis) {
+    if (axis === 3) return (bin & OPAQUE_LEVEL) * 4;
+    return (bin >> (ALPHA_BITS + BIN_BITS * (2 - axis))) & ((1 << BIN_BITS) - 1);
+}
+
+// Colour distance; colour differences count less the more transparent the pixel is
+function distance(r, g, b, a, palette, i) {
+    const dr = r - palette[i * 4];
+    const dg = g - palette[i * 4 + 1];
+    const db = b - palette[i * 4 + 2];
+    const da = a - palette[i * 4 + 3];
+    return ((dr * dr * 2 + dg * dg * 4 + db * db * 3) * a) / 255 + da * da * 16;
+}
+
+// Exact colours (fully transparent ones folded into one) when there are at most `limit`, else null
+function exactColors(pixels, limit) {
+    const seen = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+        const key = pixels[i + 3] === 0
+            ? 0
+            : ((pixels[i] << 24) | (pixels[i + 1] << 16) | (pixels[i + 2] << 8) | pixels[i + 3]) >>> 0;
+        if (!seen.has(key)) {
+            if (seen.size >= limit) return null;
+            seen.set(key, seen.size);
+        }
+    }
+    return seen;
+}
+
+// Pixel count and channel sums per bin (fully transparent pixels left out)
+function histogram(pixels) {
+    const counts = new Uint32Array(BIN_COUNT);
+    const sums = new Float64Array(BIN_COUNT * 4);
+    let transparent = false;
+    for (let i = 0; i < pixels.length; i += 4) {
+        const a = pixels[i + 3];
+        if (a === 0) {
+            transparent = true;
+            continue;
+        }
+        const bin = binOf(pixels[i], pixels[i + 1], pixels[i + 2], a);
+        counts[bin]++;
+        sums[bin * 4] += pixels[i];
+        sums[bin * 4 + 1] += pixels[i + 1];
+        sums[bin * 4 + 2] += pixels[i + 2];
+        sums[bin * 4 + 3] += a;
+    }
+    const bins = [];
+    for (let bin = 0; bin < BIN_COUNT; bin++) {
+        if (counts[bin]) bins.push(bin);
+    }
+    return { counts, sums, bins, transparent };
+}
+
+// Average colour of `weight` pixels; mostly opaque groups stay fully
+// opaque, or the edges of a shape would turn its inside translucent
+function setEntry(palette, i, sum, weight, opaque) {
+    for (let c = 0; c < 3; c++) palette[i * 4 + c] = Math.round(sum[c] / weight);
+    palette[i * 4 + 3] = opaque * 2 >= weight ? 255 : Math.round(sum[3] / weight);
+}
+
+// Median cut over the occupied bins, box colours are pixel-weighted averages
+function medianCut({ counts, sums, bins }, limit) {
+    function describe(list) {
+        const min = [31, 31, 31, 60];
+        const max = [0, 0, 0, 0];
+        let total = 0;
+        for (const bin of list) {
+            total += counts[bin];
+            for (let c = 0; c < 4; c++) {
+                const v = coordinate(bin, c);
+                if (v < min[c]) min[c] = v;
+                if (v > max[c]) max[c] = v;
+            }
+        }
+        const ranges = max.map((v, c) => v - min[c]);
+        const axis = ranges.indexOf(Math.max(...ranges));
+        return { list, total, axis, range: ranges[axis] };
+    }
+
+    const boxes = bins.length ? [describe(bins)] : [];
+    while (boxes.length < limit) {
+        // Split the box with the most pixels that still has a spread
+        let pick = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            if (boxes[i].range > 0 && boxes[i].list.length > 1 && (pick === -1 || boxes[i].total * boxes[i].range > boxes[pick].total * boxes[pick].range)) {
+                pick = i;
+            }
+        }
+        if (pick === -1) break;
+
+        const box = boxes[pick];
+        const sorted = box.list.slice().sort((a, b) => coordinate(a, box.axis) - coordinate(b, box.axis));
+        let half = 0;
+        let cut = 1;
+        for (; cut < sorted.length; cut++) {
+            half += counts[sorted[cut - 1]];
+            if (half >= box.total / 2) break;
+        }
+        cut = Math.min(Math.max(cut, 1), sorted.length - 1);
+        boxes.splice(pick, 1, describe(sorted.slice(0, cut)), describe(sorted.slice(cut)));
+    }
+
+    const palette = new Uint8Array(boxes.length * 4);
+    boxes.forEach((box, i) => {
+        const sum = [0, 0, 0, 0];
+        let opaque = 0;
+        for (const bin of box.list) {
+            for (let c = 0; c < 4; c++) sum[c] += sums[bin * 4 + c];
+            if ((bin & OPAQUE_LEVEL) === OPAQUE_LEVEL) opaque += counts[bin];
+        }
+        setEntry(palette, i, sum, box.total, opaque);
+    });
+    return palette;
+}
+
+// Lloyd iterations over the bins: every entry moves to the average of the pixels nearest to it
+function refine(palette, { counts, sums, bins }) {
+    const count = palette.length / 4;
+    const passes = Math.min(KMEANS_PASSES, Math.floor(KMEANS_BUDGET / Math.max(bins.length * count, 1)));
+    const mean = new Float64Array(4);
+    for (let pass = 0; pass < passes; pass++) {
+        const totals = new Float64Array(count * 4);
+        const weights = new Float64Array(count);
+        const opaque = new Float64Array(count);
+        for (const bin of bins) {
+            const n = counts[bin];
+            for (let c = 0; c < 4; c++) mean[c] = sums[bin * 4 + c] / n;
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let i = 0; i < count; i++) {
+                const d = distance(mean[0], mean[1], mean[2], mean[3], palette, i);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = i;
+                }
+            }
+            weights[best] += n;
+            if ((bin & OPAQUE_LEVEL) === OPAQUE_LEVEL) opaque[best] += n;
+            for (let c = 0; c < 4; c++) totals[best * 4 + c] += sums[bin * 4 + c];
+        }
+        for (let i = 0; i < count; i++) {
+            if (!weights[i]) continue; // unused entry keeps its colour
+            setEntry(palette, i, totals.subarray(i * 4, i * 4 + 4), weights[i], opaque[i]);
+        }
+    }
+    return palette;
+}
+
+// Nearest palette entry, cached per histogram bin
+function createMatcher(palette, count) {
+    const cache = new Int16Array(BIN_COUNT).fill(-1);
+    return (r, g, b, a) => {
+        const bin = binOf(r, g, b, a);
+        if (cache[bin] !== -1) return cache[bin];
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < count; i++) {
+            const d = distance(r, g, b, a, palette, i);
+            if (d < bestDistance) {
+                bestDistance = d;
+                best = i;
+            }
+        }
+        cache[bin] = best;
+        return best;
+    };
+}
+
+// Copy with every pixel either fully opaque or fully transparent
+function thresholdAlpha(pixels) {
+    const out = new Uint8Array(pixels.length);
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] < ALPHA_THRESHOLD) continue;
+        out[i] = pixels[i];
+        out[i + 1] = pixels[i + 1];
+        out[i + 2] = pixels[i + 2];
+        out[i + 3] = 255;
+    }
+    return out;
+}
+
+// Drop entries no pixel uses (fewer entries → fewer bits per pixel)
+function compact(palette, indices) {
+    const used = new Uint8Array(palette.length / 4);
+    for (let p = 0; p < indices.length; p++) used[indices[p]] = 1;
+    const remap = new Uint8Array(used.length);
+    const kept = [];
+    used.forEach((flag, i) => {
+        if (flag) {
+            remap[i] = kept.length;
+            kept.push(i);
+        }
+    });
+    if (kept.length === used.length) return { palette, indices };
+
+    const next = new Uint8Array(Math.max(kept.length, 1) * 4);
+    kept.forEach((from, to) => next.set(palette.subarray(from * 4, from * 4 + 4), to * 4));
+    for (let p = 0; p < indices.length; p++) indices[p] = remap[indices[p]];
+    return { palette: next, indices };
+}
+
+/**
+ * Reduce RGBA pixels to a palette image. Unused entries are
+ * dropped, so the palette may be shorter than `colors`.
+ * @param {Uint8ClampedArray|Uint8Array} source - width × height × 4
+ * @param {number} width
+ * @param {number} height
+ * @param {{colors?: number, dither?: boolean, binaryAlpha?: boolean}} [options]
+ *   `colors`: 2–256 including the fully transparent entry
+ * @returns {QuantizedImage}
+ */
+export function quantizeRgba(source, width, height, { colors = 256, dither = false, binaryAlpha = false } = {}) {
+    const pixels = binaryAlpha ? thresholdAlpha(source) : source;
+    const limit = Math.min(Math.max(Math.round(colors) || 256, 2), 256);
+    const indices = new Uint8Array(width * height);
+
+    const exact = exactColors(pixels, limit);
+    if (exact) {
+        // Few colours: lossless, no dithering needed
+        const palette = new Uint8Array(Math.max(exact.size, 1) * 4);
+        for (const [key, index] of exact) {
+            palette[index * 4] = key >>> 24;
+            palette[index * 4 + 1] = (key >> 16) & 0xff;
+            palette[index * 4 + 2] = (key >> 8) & 0xff;
+            palette[index * 4 + 3] = key & 0xff;
+        }
+        for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+            indices[p] = pixels[i + 3] === 0
+                ? exact.get(0)
+                : exact.get(((pixels[i] << 24) | (pixels[i + 1] << 16) | (pixels[i + 2] << 8) | pixels[i + 3]) >>> 0);
+        }
+        return { width, height, palette, indices };
+    }
+
+    const stats = histogram(pixels);
+    let palette = refine(medianCut(stats, limit - (stats.transparent ? 1 : 0)), stats);
+    const count = palette.length / 4;
+    if (stats.transparent) {
+        // Fully transparent entry goes last
+        const withAlpha = new Uint8Array(palette.length + 4);
+        withAlpha.set(palette);
+        palette = withAlpha;
+    }
+    const match = createMatcher(palette, count);
+
+    if (!dither) {
+        for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+            const a = pixels[i + 3];
+            indices[p] = a === 0 ? count : match(pixels[i], pixels[i + 1], pixels[i + 2], a);
+        }
+    } else {
+        // Floyd–Steinberg on the colour channels: error goes right (7/16) and to the next row (3, 5, 1/16)
+        let current = new Float32Array((width + 2) * 3);
+        let next = new Float32Array((width + 2) * 3);
+        for (let y = 0; y < height; y++) {
+            next.fill(0);
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const i = p * 4;
+                const a = pixels[i + 3];
+                if (a === 0) {
+                    indices[p] = count;
+                    continue;
+                }
+                const e = (x + 1) * 3;
+                const r = Math.min(255, Math.max(0, pixels[i] + current[e]));
+                const g = Math.min(255, Math.max(0, pixels[i + 1] + current[e + 1]));
+                const b = Math.min(255, Math.max(0, pixels[i + 2] + current[e + 2]));
+                const index = match(r | 0, g | 0, b | 0, a);
+                indices[p] = index;
+
+                const errors = [r - palette[index * 4], g - palette[index * 4 + 1], b - palette[index * 4 + 2]];
+                for (let c = 0; c < 3; c++) {
+                    current[e + 3 + c] += (errors[c] * 7) / 16;
+                    next[e - 3 + c] += (errors[c] * 3) / 16;
+                    next[e + c] += (errors[c] * 5) / 16;
+                    next[e + 3 + c] += errors[c] / 16;
+                }
+            }
+            [current, next] = [next, current];
+        }
+    }
+
+    return { width, height, ...compact(palette, indices) };
+}
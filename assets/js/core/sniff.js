@@ -0,0 +1,195 @@
+/* ============================================================
+   sniff.js
+   File format from the first bytes of a file instead of the
+   MIME type the browser reports (often empty, e.g. for HEIC on
+   Windows) or the extension (often wrong, e.g. iPhone photos
+   that are actually JPEGs but still named .heic).
+   Knows PNG, JPEG, GIF, WebP, HEIC/HEIF and AVIF (ftyp brands),
+   PDF, SVG, BMP and TIFF. Works in workers as well.
+   ============================================================ */
+
+import { mimeToFormat } from "./image-pipeline.js";
+
+/** Bytes read from the start of a file (SVG may open with a long prolog). */
+export const SNIFF_LENGTH = 1024;
+
+/** MIME type of every format the sniffer knows. */
+export const FORMAT_MIME = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    heic: "image/heic",
+    avif: "image/avif",
+    pdf: "application/pdf",
+    svg: "image/svg+xml",
+    bmp: "image/bmp",
+    tiff: "image/tiff"
+};
+
+/** Display names of the formats (not translated, like on the pages). */
+export const FORMAT_NAMES = {
+    png: "PNG",
+    jpg: "JPEG",
+    gif: "GIF",
+    webp: "WebP",
+    heic: "HEIC",
+    avif: "AVIF",
+    pdf: "PDF",
+    svg: "SVG",
+    bmp: "BMP",
+    tiff: "TIFF"
+};
+
+const EXTENSIONS = {
+    png: "png",
+    jpg: "jpg",
+    jpeg: "jpg",
+    jpe: "jpg",
+    jfif: "jpg",
+    gif: "gif",
+    webp: "webp",
+    heic: "heic",
+    heif: "heic",
+    avif: "avif",
+    pdf: "pdf",
+    svg: "svg",
+    bmp: "bmp",
+    dib: "bmp",
+    tif: "tiff",
+    tiff: "tiff"
+};
+
+const AVIF_BRANDS = ["avif", "avis"];
+const HEIC_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "hevm", "hevs", "mif1", "msf1"];
+
+// Sizes of the BMP info headers (core, v2–v5, OS/2)
+const BMP_HEADER_SIZES = [12, 16, 40, 52, 56, 64, 108, 124];
+
+// Results per Blob (File objects are immutable)
+const cache = new WeakMap();
+
+function ascii(bytes, start, length) {
+    return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function startsWith(bytes, signature) {
+    return signature.length <= bytes.length && signature.every((byte, i) => byte === bytes[i]);
+}
+
+// ISO-BMFF: size, "ftyp", major brand, minor version, compatible brands
+function ftypFormat(bytes) {
+    if (bytes.length < 16 || ascii(bytes, 4, 4) !== "ftyp") return null;
+    const size = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+    const end = Math.min(bytes.length, Math.max(size, 16));
+    const brands = [ascii(bytes, 8, 4)];
+    for (let pos = 16; pos + 4 <= end; pos += 4) brands.push(ascii(bytes, pos, 4));
+
+    // AVIF files list "mif1" too, so they are checked first
+    if (brands.some((brand) => AVIF_BRANDS.includes(brand))) return "avif";
+    if (brands.some((brand) => HEIC_BRANDS.includes(brand))) return "heic";
+    return null;
+}
+
+function isBmp(bytes) {
+    if (bytes.length < 18 || bytes[0] !== 0x42 || bytes[1] !== 0x4d) return false;
+    const header = bytes[14] | (bytes[15] << 8) | (bytes[16] << 16) | (bytes[17] << 24);
+    return BMP_HEADER_SIZES.includes(header);
+}
+
+// Text formats may start with a BOM and whitespace
+function textFormat(bytes) {
+    const text = new TextDecoder().decode(bytes).replace(/^\uFEFF/, "").trimStart();
+    if (text.startsWith("%PDF-")) return "pdf";
+    if (text.startsWith("<") && /<svg[\s>]/i.test(text)) return "svg";
+    return null;
+}
+
+/**
+ * Format of a file from its first bytes.
+ * @param {Uint8Array} bytes - at least the first SNIFF_LENGTH bytes if there are that many
+ * @returns {"png"|"jpg"|"gif"|"webp"|"heic"|"avif"|"pdf"|"svg"|"bmp"|"tiff"|null}
+ */
+export function sniffBytes(bytes) {
+    if (!bytes || bytes.length < 4) return null;
+    if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "png";
+    if (startsWith(bytes, [0xff, 0xd8, 0xff])) return "jpg";
+    if (ascii(bytes, 0, 4) === "GIF8") return "gif";
+    if (bytes.length >= 12 && ascii(bytes, 0, 4) === "RIFF" && ascii(bytes, 8, 4) === "WEBP") return "webp";
+    // Classic TIFF (42) and BigTIFF (43), both byte orders
+    if (startsWith(bytes, [0x49, 0x49]) && (bytes[2] === 42 || bytes[2] === 43) && bytes[3] === 0) return "tiff";
+    if (startsWith(bytes, [0x4d, 0x4d]) && bytes[2] === 0 && (bytes[3] === 42 || bytes[3] === 43)) return "tiff";
+    if (isBmp(bytes)) return "bmp";
+    return ftypFormat(bytes) || textFormat(bytes);
+}
+
+/**
+ * Format of a file from its header (cached per Blob).
+ * Unreadable files count as unknown.
+ * @param {Blob} blob
+ * @returns {Promise<string|null>}
+ */
+export async function sniffFile(blob) {
+    if (!blob) return null;
+    if (cache.has(blob)) return cache.get(blob);
+    let format = null;
+    try {
+        format = sniffBytes(new Uint8Array(await blob.slice(0, SNIFF_LENGTH).arrayBuffer()));
+    } catch (err) {
+        console.warn("Could not read the file header.", err);
+    }
+    cache.set(blob, format);
+    return format;
+}
+
+/**
+ * Result of an earlier sniffFile() for this Blob, without reading it.
+ * @param {Blob} blob
+ * @returns {string|null|undefined} undefined when it was not sniffed yet
+ */
+export function sniffedFormat(blob) {
+    return blob ? cache.get(blob) : undefined;
+}
+
+// Format of a MIME type, PDF included
+function typeFormat(type) {
+    const mime = String(type || "").toLowerCase();
+    return mime === "application/pdf" ? "pdf" : mimeToFormat(mime);
+}
+
+/**
+ * Format the file claims to be: its MIME type, else its extension.
+ * @param {File|Blob} file
+ * @returns {string|null}
+ */
+export function declaredFormat(file) {
+    if (!file) return null;
+    const format = typeFormat(file.type);
+    if (format) return format;
+    const ext = /\.([a-z0-9]+)$/i.exec(file.name || "");
+    return ext ? EXTENSIONS[ext[1].toLowerCase()] || null : null;
+}
+
+/**
+ * Sniff a file and compare with what it claims to be.
+ * `file` is the same File, or a copy carrying the real MIME type
+ * when the header says something else (or the type was empty),
+ * so decoders that go by the type see the right one.
+ * @param {File} file
+ * @returns {Promise<{file: File, format: string|null, declared: string|null, mislabeled: boolean}>}
+ *   `format` is the sniffed format, else the declared one
+ */
+export async function inspectFile(file) {
+    const sniffed = await sniffFile(file);
+    const declared = declaredFormat(file);
+    const format = sniffed || declared;
+    const mislabeled = Boolean(sniffed && declared && sniffed !== declared);
+
+    let out = file;
+    const mime = FORMAT_MIME[format];
+    if (mime && typeFormat(file.type) !== format) {
+        out = new File([file], file.name, { type: mime, lastModified: file.lastModified });
+        cache.set(out, sniffed);
+    }
+    return { file: out, format, declared, mislabeled };
+}
@@ -0,0 +1,356 @@
+/* ============================================================
+   svg-sanitizer.js
+   Allowlist sanitizer for untrusted SVG files before they are
+   shown or rasterized. The file is parsed (DOMParser), every
+   element and attribute is checked against the lists below and
+   everything else is removed:
+   - elements outside SVG_ELEMENTS (<script>, <foreignObject>,
+     animations, HTML and other foreign markup)
+   - event handlers (on*) and unknown attributes
+   - links other than "#fragment" references; images may also
+     use data:image URLs, <a> may link to http(s) and mailto
+   - CSS @import, and url() / image-set() to anything but the
+     same file, in style and presentation attributes and <style>
+     elements (CSS escapes such as "u\72l(" are decoded first)
+   - editor data (Inkscape, Sodipodi, RDF metadata)
+   What was removed comes back as a report, one entry each.
+   Main thread only (needs DOMParser / XMLSerializer).
+   ============================================================ */
+
+import { pipelineError } from "./image-pipeline.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+const XML_NS = "http://www.w3.org/XML/1998/namespace";
+const XMLNS_NS = "http://www.w3.org/2000/xmlns/";
+
+/** Elements that stay (SVG namespace, case-sensitive local names). */
+export const SVG_ELEMENTS = new Set([
+    "svg", "g", "defs", "symbol", "use", "switch", "view", "title", "desc", "a", "style",
+    "path", "rect", "circle", "ellipse", "line", "polyline", "polygon", "image",
+    "text", "tspan", "textPath",
+    "linearGradient", "radialGradient", "stop", "pattern", "clipPath", "mask", "marker",
+    "filter", "feBlend", "feColorMatrix", "feComponentTransfer", "feComposite",
+    "feConvolveMatrix", "feDiffuseLighting", "feDisplacementMap", "feDistantLight",
+    "feDropShadow", "feFlood", "feFuncA", "feFuncB", "feFuncG", "feFuncR",
+    "feGaussianBlur", "feImage", "feMerge", "feMergeNode", "feMorphology", "feOffset",
+    "fePointLight", "feSpecularLighting", "feSpotLight", "feTile", "feTurbulence"
+]);
+
+/** Attributes that stay (besides data-* and aria-*); href and style are checked further. */
+export const SVG_ATTRIBUTES = new Set([
+    // core and structure
+    "id", "class", "style", "lang", "xml:lang", "xml:space", "version", "baseProfile",
+    "viewBox", "preserveAspectRatio", "transform", "transform-origin", "role", "focusable",
+    "href", "xlink:href", "xlink:title", "target", "systemLanguage", "requiredExtensions", "type", "media",
+    // geometry
+    "x", "y", "width", "height", "x1", "y1", "x2", "y2", "cx", "cy", "r", "rx", "ry",
+    "fx", "fy", "fr", "d", "points", "pathLength",
+    // text
+    "dx", "dy", "rotate", "textLength", "lengthAdjust", "startOffset", "method", "spacing", "side",
+    // gradients, patterns, clipping, masks, markers
+    "gradientUnits", "gradientTransform", "spreadMethod", "offset",
+    "patternUnits", "patternContentUnits", "patternTransform",
+    "clipPathUnits", "maskUnits", "maskContentUnits",
+    "markerWidth", "markerHeight", "markerUnits", "refX", "refY", "orient",
+    // filters
+    "filterUnits", "primitiveUnits", "in", "in2", "result", "stdDeviation", "mode", "values",
+    "tableValues", "slope", "intercept", "amplitude", "exponent", "operator",
+    "k1", "k2", "k3", "k4", "order", "kernelMatrix", "divisor", "bias", "targetX", "targetY",
+    "edgeMode", "preserveAlpha", "surfaceScale", "diffuseConstant", "specularConstant",
+    "specularExponent", "kernelUnitLength", "scale", "xChannelSelector", "yChannelSelector",
+    "radius", "azimuth", "elevation", "pointsAtX", "pointsAtY", "pointsAtZ",
+    "limitingConeAngle", "baseFrequency", "numOctaves", "seed", "stitchTiles",
+    // presentation
+    "fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity",
+    "stroke-linecap", "stroke-linejoin", "stroke-miterlimit", "stroke-dasharray",
+    "stroke-dashoffset", "opacity", "color", "display", "visibility", "overflow", "clip",
+    "clip-path", "clip-rule", "mask", "filter", "marker-start", "marker-mid", "marker-end",
+    "stop-color", "stop-opacity", "flood-color", "flood-opacity", "lighting-color",
+    "color-interpolation", "color-interpolation-filters", "color-rendering",
+    "shape-rendering", "text-rendering", "image-rendering", "paint-order", "vector-effect",
+    "mix-blend-mode", "isolation", "enable-background",
+    "font-family", "font-size", "font-style", "font-weight", "font-variant", "font-stretch",
+    "font-size-adjust", "letter-spacing", "word-spacing", "text-anchor", "text-decoration",
+    "dominant-baseline", "alignment-baseline", "baseline-shift", "writing-mode",
+    "direction", "unicode-bidi"
+]);
+
+// Namespaces of editor data that is dropped without a warning
+const EDITOR_NAMESPACES = [
+    "http://www.inkscape.org/namespaces/inkscape",
+    "http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd",
+    "http://www.w3.org/1999/02/22-rdf-syntax-ns#",
+    "http://purl.org/dc/elements/1.1/",
+    "http://creativecommons.org/ns#",
+    "http://ns.adobe.com/AdobeIllustrator/10.0/",
+    "http://www.bohemiancoding.com/sketch/ns"
+];
+
+// Raster data URLs images may embed
+const DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp|avif|bmp)[;,]/i;
+// Link targets <a> may point to (nothing is loaded for them)
+const LINK_SCHEMES = /^(https?:|mailto:)/i;
+const ELEMENTS_WITH_IMAGES = new Set(["image", "feImage"]);
+
+const CSS_IMPORT = /@import\b[^;]*;?/gi;
+// Closing quote and parenthesis are optional: CSS closes them at the end of the text
+const CSS_URL = /url\(\s*(?:"([^"]*)"?|'([^']*)'?|([^)]*))\s*\)?/gi;
+// Functions that take image URLs as plain strings as well, e.g. image-set("a.png" 1x)
+const CSS_IMAGE_FUNCTION = /(?<![\w-])(?:-webkit-image-set|image-set|cross-fade|image|src)\(((?:[^()]|\([^()]*\))*)\)?/gi;
+const CSS_STRING = /"([^"]*)"?|'([^']*)'?/g;
+// "\72 " and "\l" stand for "r" and "l" (hex code or the character itself)
+const CSS_ESCAPE = /\\([0-9a-f]{1,6})[ \t\r\n\f]?|\\([^0-9a-f\r\n\f])/gi;
+// Legacy script hooks in CSS (old IE / Firefox)
+const CSS_SCRIPT = /expression\s*\(|behavior\s*:|-moz-binding\s*:|javascript:/i;
+
+/**
+ * Kinds of report entries; all but "editor" are potentially
+ * unsafe content.
+ */
+export const REMOVED_KINDS = ["script", "handler", "element", "link", "style", "attribute", "editor"];
+
+// Longer values are cut in the report
+const REPORT_VALUE_LENGTH = 60;
+
+function shorten(value) {
+    const text = String(value).replace(/\s+/g, " ").trim();
+    return text.length > REPORT_VALUE_LENGTH ? `${text.slice(0, REPORT_VALUE_LENGTH - 1)}…` : text;
+}
+
+// "#id" references always; data:image URLs for images and CSS; web links on <a>
+function isSafeUrl(value, { images = false, links = false } = {}) {
+    // Browsers ignore whitespace and control characters in schemes ("java\nscript:")
+    const url = String(value).replace(/[\u0000- ]/g, "");
+    if (url.startsWith("#")) return true;
+    if (images && DATA_IMAGE.test(url)) return true;
+    return links && LINK_SCHEMES.test(url);
+}
+
+/**
+ * Decode CSS escapes that stand for letters or "-", so that
+ * "u\72l(" and "@\69mport" are seen as url( and @import. Other
+ * escapes stay as they are (they keep their meaning in strings
+ * and selectors, and a URL containing one is not allowed).
+ * @param {string} css
+ * @returns {string}
+ */
+function decodeCssEscapes(css) {
+    if (!css.includes("\\")) return css;
+    return css.replace(CSS_ESCAPE, (match, hex, char) => {
+        const code = hex ? parseInt(hex, 16) : char.codePointAt(0);
+        const decoded = code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+        return /^[a-z-]$/i.test(decoded) ? decoded : match;
+    });
+}
+
+// The URL in one CSS_URL / CSS_STRING match
+function matchedUrl(match) {
+    return match[1] ?? match[2] ?? match[3] ?? "";
+}
+
+// Every string and url() inside an image function's arguments
+function imageFunctionSafe(args) {
+    const urls = [...args.matchAll(CSS_STRING), ...args.matchAll(CSS_URL)].map(matchedUrl);
+    return urls.every((url) => isSafeUrl(url, { images: true }));
+}
+
+function isEditorNode(node) {
+    return EDITOR_NAMESPACES.includes(node.namespaceURI) || node.localName === "metadata";
+}
+
+// Report kind for a removed element
+function elementKind(node) {
+    if (isEditorNode(node)) return "editor";
+    return node.localName === "script" ? "script" : "element";
+}
+
+/**
+ * Clean CSS text: @import rules, url() / image-set() to other
+ * files and script hooks are removed.
+ * @param {string} css
+ * @param {(kind: string, name: string) => void} remove - reports one entry
+ * @returns {string}
+ */
+function sanitizeCss(css, remove) {
+    let out = decodeCssEscapes(css).replace(CSS_IMPORT, (rule) => {
+        remove("style", shorten(rule));
+        return "";
+    });
+    out = out.replace(CSS_IMAGE_FUNCTION, (match, args) => {
+        if (imageFunctionSafe(args)) return match;
+        remove("link", shorten(match));
+        return "none";
+    });
+    out = out.replace(CSS_URL, (...match) => {
+        if (isSafeUrl(matchedUrl(match), { images: true })) return match[0];
+        remove("link", shorten(match[0]));
+        return "none";
+    });
+    if (!CSS_SCRIPT.test(out)) return out;
+
+    // Declarations using script hooks go as a whole
+    return out
+        .split(";")
+        .filter((declaration) => {
+            if (!CSS_SCRIPT.test(declaration)) return true;
+            remove("style", shorten(declaration));
+            return false;
+        })
+        .join(";");
+}
+
+// The checks for one attribute; false = remove it
+function checkAttribute(el, attr, remove) {
+    const name = attr.name;
+    const tag = el.localName;
+
+    if (attr.namespaceURI === XMLNS_NS) {
+        // Namespace declarations are written again by the serializer where needed
+        if (name === "xmlns" || name === "xmlns:xlink") return true;
+        if (EDITOR_NAMESPACES.includes(attr.value)) {
+            remove("editor", name);
+            return false;
+        }
+        return true;
+    }
+    if (EDITOR_NAMESPACES.includes(attr.namespaceURI)) {
+        remove("editor", name);
+        return false;
+    }
+    if (/^on/i.test(attr.localName)) {
+        remove("handler", name);
+        return false;
+    }
+    if (attr.namespaceURI && attr.namespaceURI !== XLINK_NS && attr.namespaceURI !== XML_NS) {
+        remove("attribute", name);
+        return false;
+    }
+    if (!SVG_ATTRIBUTES.has(name) && !/^(data|aria)-[\w-]+$/.test(name)) {
+        remove("attribute", name);
+        return false;
+    }
+
+    if (attr.localName === "href") {
+        const safe = isSafeUrl(attr.value, { images: ELEMENTS_WITH_IMAGES.has(tag), links: tag === "a" });
+        if (!safe) remove("link", `${name}="${shorten(attr.value)}"`);
+        return safe;
+    }
+    if (name === "style") {
+        const css = sanitizeCss(attr.value, remove);
+        if (css !== attr.value) el.setAttribute("style", css);
+        return true;
+    }
+    const value = decodeCssEscapes(attr.value);
+    if (/url\(|image-set\(/i.test(value)) {
+        // fill="url(#gradient)" and the like: references inside the file only
+        const safe =
+            [...value.matchAll(CSS_URL)].every((match) => isSafeUrl(matchedUrl(match))) &&
+            [...value.matchAll(CSS_IMAGE_FUNCTION)].every((match) => imageFunctionSafe(match[1]));
+        if (!safe) remove("link", `${name}="${shorten(attr.value)}"`);
+        return safe;
+    }
+    return true;
+}
+
+function sanitizeElement(el, remove) {
+    for (const attr of Array.from(el.attributes)) {
+        if (!checkAttribute(el, attr, (kind, name) => remove(kind, name, el.localName))) {
+            el.removeAttributeNode(attr);
+        }
+    }
+    if (el.localName === "style") {
+        // Only text belongs in <style>: markup inside it is never seen by the CSS check
+        let stripped = false;
+        for (const node of Array.from(el.childNodes)) {
+            if (node.nodeType === 3 || node.nodeType === 4) continue;
+            if (node.nodeType === 1) remove(elementKind(node), `<${node.nodeName}>`, "style");
+            else if (node.nodeType === 7) remove("link", `<?${node.target} ${shorten(node.data)}?>`, "style");
+            node.remove();
+            stripped = true;
+        }
+        const css = el.textContent;
+        const clean = sanitizeCss(css, (kind, name) => remove(kind, name, "style"));
+        if (clean === css && !stripped) return;
+        // CDATA keeps selectors like "a > b" readable in the output
+        if (clean.includes("]]>")) el.textContent = clean;
+        else el.replaceChildren(el.ownerDocument.createCDATASection(clean));
+        return;
+    }
+
+    for (const node of Array.from(el.childNodes)) {
+        if (node.nodeType === 7) {
+            // Processing instructions (xml-stylesheet) load external files
+            remove("link", `<?${node.target} ${shorten(node.data)}?>`, el.localName);
+            node.remove();
+        } else if (node.nodeType === 1) {
+            if (node.namespaceURI === SVG_NS && SVG_ELEMENTS.has(node.localName)) {
+                sanitizeElement(node, remove);
+                continue;
+            }
+            remove(elementKind(node), `<${node.nodeName}>`, el.localName);
+            node.remove();
+        }
+    }
+}
+
+// Undeclared namespaces are a parse error in XML, yet browsers
+// show such SVGs as files; declare the two that occur in practice
+function declareNamespaces(svgText) {
+    let text = svgText;
+    if (!/xmlns=["']http:\/\/www\.w3\.org\/2000\/svg["']/.test(text)) {
+        text = text.replace(/<svg\b/, `<svg xmlns="${SVG_NS}"`);
+    }
+    if (/xlink:href=/.test(text) && !/xmlns:xlink=/.test(text)) {
+        text = text.replace(/<svg\b/, `<svg xmlns:xlink="${XLINK_NS}"`);
+    }
+    return text;
+}
+
+/**
+ * Sanitize SVG source text.
+ * `removed` lists each removed element, attribute, link or CSS
+ * rule with its `kind` (REMOVED_KINDS), `name` (tag, attribute
+ * or value, shortened) and the `element` it was found on;
+ * `counts` has the number per kind.
+ * Throws SVG_INVALID when the text is not a well-formed SVG.
+ * @param {string} svgText
+ * @returns {{svg: string, removed: Array<{kind: string, name: string, element: string}>, counts: Object<string, number>}}
+ */
+export function sanitizeSvg(svgText) {
+    const doc = new DOMParser().parseFromString(declareNamespaces(String(svgText || "")), "image/svg+xml");
+    const root = doc.documentElement;
+    if (
+        !root ||
+        doc.getElementsByTagName("parsererror").length ||
+        root.namespaceURI !== SVG_NS ||
+        root.localName !== "svg"
+    ) {
+        throw pipelineError("SVG_INVALID", "The file is not a well-formed SVG image.");
+    }
+
+    const removed = [];
+    const counts = Object.fromEntries(REMOVED_KINDS.map((kind) => [kind, 0]));
+    const remove = (kind, name, element) => {
+        removed.push({ kind, name, element });
+        counts[kind] += 1;
+    };
+
+    // Stylesheet instructions before the root
+    for (const node of Array.from(doc.childNodes)) {
+        if (node.nodeType === 7) remove("link", `<?${node.target} ${shorten(node.data)}?>`, "svg");
+    }
+    sanitizeElement(root, remove);
+
+    return { svg: new XMLSerializer().serializeToString(root), removed, counts };
+}
+
+/**
+ * Number of removed entries that could have been unsafe
+ * (everything but editor data).
+ * @param {{counts: Object<string, number>}} report - from sanitizeSvg()
+ * @returns {number}
+ */
+export function countUnsafe(report) {
+    return REMOVED_KINDS.filter((kind) => kind !== "editor").reduce((sum, kind) => sum + report.counts[kind], 0);
+}
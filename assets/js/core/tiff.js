@@ -0,0 +1,571 @@
+/* ============================================================
+   tiff.js
+   Plain JS TIFF codec, bytes in / bytes out (runs in workers).
+   - parseTiff(): byte order and the pages (IFDs) of a file;
+     reduced-resolution thumbnails are skipped
+   - decodeTiffPage(): one page → RGBA. Baseline TIFF plus the
+     usual extensions: uncompressed, PackBits, LZW and Deflate
+     (with horizontal predictor), strips or tiles, chunky or
+     planar samples, 1–16 bit greyscale, palette, RGB(A) and
+     CMYK. JPEG and fax (CCITT) compression are not supported.
+   - encodeTiff(): RGB or RGBA pages (alpha as unassociated extra
+     sample), Deflate compressed when the browser can, several
+     pages in one file
+   ============================================================ */
+
+const TAG = {
+    NEW_SUBFILE_TYPE: 254,
+    WIDTH: 256,
+    HEIGHT: 257,
+    BITS_PER_SAMPLE: 258,
+    COMPRESSION: 259,
+    PHOTOMETRIC: 262,
+    STRIP_OFFSETS: 273,
+    SAMPLES_PER_PIXEL: 277,
+    ROWS_PER_STRIP: 278,
+    STRIP_BYTE_COUNTS: 279,
+    X_RESOLUTION: 282,
+    Y_RESOLUTION: 283,
+    PLANAR_CONFIG: 284,
+    RESOLUTION_UNIT: 296,
+    PAGE_NUMBER: 297,
+    PREDICTOR: 317,
+    COLOR_MAP: 320,
+    TILE_WIDTH: 322,
+    TILE_LENGTH: 323,
+    TILE_OFFSETS: 324,
+    TILE_BYTE_COUNTS: 325,
+    EXTRA_SAMPLES: 338,
+    SAMPLE_FORMAT: 339
+};
+
+const COMPRESSION = { NONE: 1, LZW: 5, DEFLATE: 8, ADOBE_DEFLATE: 32946, PACKBITS: 32773 };
+const COMPRESSION_NAMES = { 2: "CCITT", 3: "CCITT T.4", 4: "CCITT T.6", 6: "JPEG (old)", 7: "JPEG" };
+
+const PHOTOMETRIC = { WHITE_IS_ZERO: 0, BLACK_IS_ZERO: 1, RGB: 2, PALETTE: 3, CMYK: 5 };
+
+// Field type → byte size (BYTE, ASCII, SHORT, LONG, RATIONAL, SBYTE,
+// UNDEFINED, SSHORT, SLONG, SRATIONAL, FLOAT, DOUBLE, IFD, LONG8)
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4, 16: 8 };
+
+const MAX_PAGES = 1000;
+const STRIP_TARGET = 64 * 1024;
+
+/**
+ * @typedef {object} TiffPage
+ * @property {number} width
+ * @property {number} height
+ * @property {Map<number, number[]>} tags - tag → values
+ */
+
+/**
+ * @typedef {object} TiffFile
+ * @property {boolean} littleEndian
+ * @property {TiffPage[]} pages
+ */
+
+/**
+ * Decode/encode failure. `feature` (unsupported compression,
+ * sample layout…) lets the UI say what is missing.
+ */
+function tiffError(message, feature) {
+    const err = new Error(message);
+    err.code = feature ? "TIFF_UNSUPPORTED" : "DECODE_FAILED";
+    if (feature) err.params = { feature };
+    return err;
+}
+
+function readValues(view, type, count, offset, littleEndian) {
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        const pos = offset + i * TYPE_SIZE[type];
+        switch (type) {
+            case 3:
+                values.push(view.getUint16(pos, littleEndian));
+                break;
+            case 8:
+                values.push(view.getInt16(pos, littleEndian));
+                break;
+            case 4:
+            case 13:
+                values.push(view.getUint32(pos, littleEndian));
+                break;
+            case 9:
+                values.push(view.getInt32(pos, littleEndian));
+                break;
+            case 5:
+            case 10: {
+                const den = view.getUint32(pos + 4, littleEndian);
+                values.push(den ? view.getUint32(pos, littleEndian) / den : 0);
+                break;
+            }
+            case 11:
+                values.push(view.getFloat32(pos, littleEndian));
+                break;
+            case 12:
+                values.push(view.getFloat64(pos, littleEndian));
+                break;
+            case 16:
+                values.push(Number(view.getBigUint64(pos, littleEndian)));
+                break;
+            default:
+                values.push(view.getUint8(pos));
+        }
+    }
+    return values;
+}
+
+/**
+ * Read the header and the directory of every page.
+ * @param {Uint8Array} bytes
+ * @returns {TiffFile}
+ */
+export function parseTiff(bytes) {
+    const order = String.fromCharCode(bytes[0], bytes[1]);
+    if (bytes.length < 8 || (order !== "II" && order !== "MM")) throw tiffError("Not a TIFF file.");
+    const littleEndian = order === "II";
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = view.getUint16(2, littleEndian);
+    if (magic === 43) throw tiffError("BigTIFF is not supported.", "BigTIFF");
+    if (magic !== 42) throw tiffError("Not a TIFF file.");
+
+    const pages = [];
+    const seen = new Set();
+    let offset = view.getUint32(4, littleEndian);
+
+    while (offset && !seen.has(offset) && pages.length < MAX_PAGES) {
+        seen.add(offset);
+        if (offset + 2 > bytes.length) break;
+        const count = view.getUint16(offset, littleEndian);
+        if (offset + 2 + count * 12 + 4 > bytes.length) break;
+
+        const tags = new Map();
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            const tag = view.getUint16(entry, littleEndian);
+            const type = view.getUint16(entry + 2, littleEndian);
+            const n = view.getUint32(entry + 4, littleEndian);
+            if (!TYPE_SIZE[type]) continue;
+            const size = TYPE_SIZE[type] * n;
+            const at = size <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+            if (at + size > bytes.length) continue;
+            tags.set(tag, readValues(view, type, n, at, littleEndian));
+        }
+
+        // Bit 0 of NewSubfileType: reduced-resolution copy of another page
+        const subfile = (tags.get(TAG.NEW_SUBFILE_TYPE) || [0])[0];
+        if (!(subfile & 1) && tags.has(TAG.WIDTH) && tags.has(TAG.HEIGHT)) {
+            pages.push({ width: tags.get(TAG.WIDTH)[0], height: tags.get(TAG.HEIGHT)[0], tags });
+        }
+        offset = view.getUint32(offset + 2 + count * 12, littleEndian);
+    }
+
+    if (!pages.length) throw tiffError("TIFF has no readable page.");
+    return { littleEndian, pages };
+}
+
+/* ============================================================
+   Decompression
+   ============================================================ */
+
+// zlib stream through the browser's DecompressionStream
+async function inflate(bytes) {
+    if (typeof DecompressionStream === "undefined") {
+        throw tiffError("Deflate TIFF needs a newer browser.", "Deflate");
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function unpackBits(bytes, expected) {
+    const out = new Uint8Array(expected);
+    let pos = 0;
+    let o = 0;
+    while (pos < bytes.length && o < expected) {
+        const n = (bytes[pos++] << 24) >> 24;
+        if (n >= 0) {
+            for (let i = 0; i <= n && o < expected; i++) out[o++] = bytes[pos++];
+        } else if (n !== -128) {
+            const value = bytes[pos++];
+            for (let i = 0; i <= -n && o < expected; i++) out[o++] = value;
+        }
+    }
+    return out;
+}
+
+// TIFF LZW: MSB-first codes of 9–12 bits, "early change" width switch
+function decodeLzw(bytes, expected) {
+    const out = new Uint8Array(expected);
+    const prefix = new Int16Array(4096).fill(-1);
+    const suffix = new Uint8Array(4096);
+    const first = new Uint8Array(4096);
+    const length = new Uint16Array(4096);
+    for (let i = 0; i < 256; i++) {
+        suffix[i] = first[i] = i;
+        length[i] = 1;
+    }
+
+    let o = 0;
+    let bitPos = 0;
+    const totalBits = bytes.length * 8;
+    let codeSize = 9;
+    let next = 258;
+    let previous = -1;
+
+    while (o < expected && bitPos + codeSize <= totalBits) {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bitPos++) {
+            code = (code << 1) | ((bytes[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+        }
+        if (code === 257) break;
+        if (code === 256) {
+            codeSize = 9;
+            next = 258;
+            previous = -1;
+            continue;
+        }
+
+        if (previous >= 0) {
+            if (code > next) break;
+            // code === next (KwKwK) is the entry added right here
+            if (next < 4096) {
+                prefix[next] = previous;
+                suffix[next] = code < next ? first[code] : first[previous];
+                first[next] = first[previous];
+                length[next] = length[previous] + 1;
+                next++;
+            }
+            if (next >= (1 << codeSize) - 1 && codeSize < 12) codeSize++;
+        } else if (code > 255) {
+            break;
+        }
+
+        // The string is written backwards from its last byte
+        const size = length[code];
+        for (let e = code, pos = o + size - 1; e >= 0 && pos >= o; e = prefix[e], pos--) {
+            if (pos < expected) out[pos] = suffix[e];
+        }
+        o += size;
+        previous = code;
+    }
+    return out;
+}
+
+/* ============================================================
+   Decoding
+   ============================================================ */
+
+function tagValue(page, tag, fallback) {
+    const values = page.tags.get(tag);
+    return values ? values[0] : fallback;
+}
+
+/**
+ * Number of pages in a TIFF file.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function countTiffPages(bytes) {
+    return parseTiff(bytes).pages.length;
+}
+
+/**
+ * Decode one page.
+ * @param {Uint8Array} bytes
+ * @param {number} [index] - page, 0-based
+ * @param {TiffFile} [file] - parseTiff() result, when already known
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>}
+ */
+export async function decodeTiffPage(bytes, index = 0, file = parseTiff(bytes)) {
+    const page = file.pages[Math.min(Math.max(index, 0), file.pages.length - 1)];
+    const { width, height } = page;
+    const { littleEndian } = file;
+
+    const compression = tagValue(page, TAG.COMPRESSION, COMPRESSION.NONE);
+    const photometric = tagValue(page, TAG.PHOTOMETRIC, PHOTOMETRIC.BLACK_IS_ZERO);
+    const spp = tagValue(page, TAG.SAMPLES_PER_PIXEL, 1);
+    const bits = tagValue(page, TAG.BITS_PER_SAMPLE, 1);
+    const planar = tagValue(page, TAG.PLANAR_CONFIG, 1) === 2;
+    const predictor = tagValue(page, TAG.PREDICTOR, 1);
+    const sampleFormat = tagValue(page, TAG.SAMPLE_FORMAT, 1);
+    const extra = page.tags.get(TAG.EXTRA_SAMPLES) || [];
+
+    if (!Object.values(COMPRESSION).includes(compression)) {
+        const name = COMPRESSION_NAMES[compression] || String(compression);
+        throw tiffError(`TIFF compression ${name} is not supported.`, `${name} compression`);
+    }
+    if (![1, 2, 4, 8, 16].includes(bits) || (bits > 8 && photometric === PHOTOMETRIC.PALETTE)) {
+        throw tiffError(`TIFF with ${bits} bits per sample is not supported.`, `${bits}-bit samples`);
+    }
+    if (sampleFormat !== 1) throw tiffError("Floating-point TIFF is not supported.", "floating-point samples");
+    if (predictor !== 1 && predictor !== 2) throw tiffError("TIFF predictor is not supported.", "floating-point predictor");
+    if (!Object.values(PHOTOMETRIC).includes(photometric)) {
+        throw tiffError(`TIFF colour model ${photometric} is not supported.`, `colour model ${photometric}`);
+    }
+
+    // Chunk layout: strips span the width, tiles are a grid
+    const tiled = page.tags.has(TAG.TILE_OFFSETS);
+    const offsets = page.tags.get(tiled ? TAG.TILE_OFFSETS : TAG.STRIP_OFFSETS);
+    const counts = page.tags.get(tiled ? TAG.TILE_BYTE_COUNTS : TAG.STRIP_BYTE_COUNTS);
+    if (!offsets) throw tiffError("TIFF page has no image data.");
+    const chunkWidth = tiled ? tagValue(page, TAG.TILE_WIDTH, width) : width;
+    const chunkHeight = tiled
+        ? tagValue(page, TAG.TILE_LENGTH, height)
+        : Math.min(tagValue(page, TAG.ROWS_PER_STRIP, height), height);
+    const across = Math.ceil(width / chunkWidth);
+    const perPlane = across * Math.ceil(height / chunkHeight);
+    const chunkSpp = planar ? 1 : spp;
+    const rowBytes = Math.ceil((chunkWidth * chunkSpp * bits) / 8);
+
+    // Samples at their native value (16-bit: high byte only)
+    const samples = new Uint8Array(width * height * spp);
+
+    for (let c = 0; c < offsets.length && c < perPlane * (planar ? spp : 1); c++) {
+        const plane = planar ? Math.floor(c / perPlane) : 0;
+        const index = c % perPlane;
+        const x0 = (index % across) * chunkWidth;
+        const y0 = Math.floor(index / across) * chunkHeight;
+        const rows = tiled ? chunkHeight : Math.min(chunkHeight, height - y0);
+        const expected = rowBytes * rows;
+
+        const raw = bytes.subarray(offsets[c], offsets[c] + (counts ? counts[c] : expected));
+        let data;
+        if (compression === COMPRESSION.LZW) data = decodeLzw(raw, expected);
+        else if (compression === COMPRESSION.PACKBITS) data = unpackBits(raw, expected);
+        else if (compression === COMPRESSION.NONE) data = raw;
+        else data = await inflate(raw);
+        if (data.length < expected) {
+            const padded = new Uint8Array(expected);
+            padded.set(data);
+            data = padded;
+        }
+
+        if (predictor === 2) undoPredictor(data, rows, rowBytes, chunkSpp, bits, littleEndian);
+
+        for (let y = 0; y < rows && y0 + y < height; y++) {
+            const row = y * rowBytes;
+            for (let x = 0; x < chunkWidth && x0 + x < width; x++) {
+                const out = ((y0 + y) * width + x0 + x) * spp;
+                for (let s = 0; s < chunkSpp; s++) {
+                    const sample = x * chunkSpp + s;
+                    let value;
+                    if (bits === 8) value = data[row + sample];
+                    else if (bits === 16) value = data[row + sample * 2 + (littleEndian ? 1 : 0)];
+                    else {
+                        const bit = sample * bits;
+                        value = (data[row + (bit >> 3)] >> (8 - bits - (bit & 7))) & ((1 << bits) - 1);
+                    }
+                    samples[out + (planar ? plane : s)] = value;
+                }
+            }
+        }
+    }
+
+    return { width, height, data: toRgba(page, samples, { spp, bits, photometric, extra }) };
+}
+
+// Predictor 2: every sample is stored as the difference to the one on its left
+function undoPredictor(data, rows, rowBytes, spp, bits, littleEndian) {
+    if (bits === 8) {
+        for (let y = 0; y < rows; y++) {
+            const row = y * rowBytes;
+            for (let i = spp; i < rowBytes; i++) data[row + i] = (data[row + i] + data[row + i - spp]) & 0xff;
+        }
+    } else if (bits === 16) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        for (let y = 0; y < rows; y++) {
+            const row = y * rowBytes;
+            for (let i = spp; i < rowBytes / 2; i++) {
+                const value = view.getUint16(row + i * 2, littleEndian) + view.getUint16(row + (i - spp) * 2, littleEndian);
+                view.setUint16(row + i * 2, value & 0xffff, littleEndian);
+            }
+        }
+    }
+}
+
+function toRgba(page, samples, { spp, bits, photometric, extra }) {
+    const count = page.width * page.height;
+    const data = new Uint8ClampedArray(count * 4);
+    const max = bits >= 8 ? 255 : (1 << bits) - 1;
+    const scale = (value) => (bits >= 8 ? value : Math.round((value * 255) / max));
+    const colorSamples = photometric === PHOTOMETRIC.RGB ? 3 : photometric === PHOTOMETRIC.CMYK ? 4 : 1;
+    const alphaSample = spp > colorSamples && extra.length ? colorSamples : -1;
+    const premultiplied = extra[0] === 1;
+
+    let map = null;
+    if (photometric === PHOTOMETRIC.PALETTE) {
+        map = page.tags.get(TAG.COLOR_MAP);
+        if (!map) throw tiffError("Palette TIFF has no colour map.");
+    }
+    const entries = 1 << bits;
+
+    for (let i = 0; i < count; i++) {
+        const s = i * spp;
+        const o = i * 4;
+        switch (photometric) {
+            case PHOTOMETRIC.WHITE_IS_ZERO:
+                data[o] = data[o + 1] = data[o + 2] = 255 - scale(samples[s]);
+                break;
+            case PHOTOMETRIC.BLACK_IS_ZERO:
+                data[o] = data[o + 1] = data[o + 2] = scale(samples[s]);
+                break;
+            case PHOTOMETRIC.PALETTE: {
+                const index = samples[s];
+                data[o] = map[index] >> 8;
+                data[o + 1] = map[entries + index] >> 8;
+                data[o + 2] = map[2 * entries + index] >> 8;
+                break;
+            }
+            case PHOTOMETRIC.CMYK: {
+                const k = 255 - scale(samples[s + 3]);
+                data[o] = ((255 - scale(samples[s])) * k) / 255;
+                data[o + 1] = ((255 - scale(samples[s + 1])) * k) / 255;
+                data[o + 2] = ((255 - scale(samples[s + 2])) * k) / 255;
+                break;
+            }
+            default:
+                data[o] = scale(samples[s]);
+                data[o + 1] = scale(samples[s + 1]);
+                data[o + 2] = scale(samples[s + 2]);
+        }
+
+        const alpha = alphaSample < 0 ? 255 : scale(samples[s + alphaSample]);
+        data[o + 3] = alpha;
+        if (premultiplied && alpha && alpha < 255) {
+            for (let c = 0; c < 3; c++) data[o + c] = (data[o + c] * 255) / alpha;
+        }
+    }
+    return data;
+}
+
+/* ============================================================
+   Encoding
+   ============================================================ */
+
+/**
+ * Encode RGBA pages as one TIFF (little-endian, 8-bit RGB, plus
+ * an alpha sample when a page has transparency).
+ * @param {Array<{width: number, height: number, data: Uint8ClampedArray|Uint8Array}>} pages
+ * @param {{compress?: boolean}} [options] - Deflate (default when the browser has CompressionStream)
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeTiff(pages, { compress = true } = {}) {
+    if (!pages || !pages.length) throw new Error("A TIFF file needs at least one page.");
+    const useDeflate = compress && typeof CompressionStream !== "undefined";
+    const parts = [];
+    let offset = 8;
+    const push = (bytes) => {
+        parts.push(bytes);
+        offset += bytes.length;
+        if (offset & 1) push(new Uint8Array(1)); // keep word alignment
+    };
+
+    const header = new Uint8Array(8);
+    const headerView = new DataView(header.buffer);
+    header[0] = header[1] = 0x49; // "II"
+    headerView.setUint16(2, 42, true);
+    headerView.setUint32(4, 8, true);
+    parts.push(header);
+
+    let previousNext = null; // where the last IFD stores the next IFD's offset
+
+    for (let p = 0; p < pages.length; p++) {
+        const { width, height, data } = pages[p];
+        let hasAlpha = false;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] !== 255) {
+                hasAlpha = true;
+                break;
+            }
+        }
+        const spp = hasAlpha ? 4 : 3;
+        const rowBytes = width * spp;
+        const rowsPerStrip = Math.max(1, Math.min(height, Math.floor(STRIP_TARGET / rowBytes)));
+
+        // Strips
+        const stripOffsets = [];
+        const stripCounts = [];
+        for (let y = 0; y < height; y += rowsPerStrip) {
+            const rows = Math.min(rowsPerStrip, height - y);
+            let strip = new Uint8Array(rows * rowBytes);
+            for (let i = 0, src = y * width * 4, dst = 0; i < rows * width; i++, src += 4) {
+                for (let c = 0; c < spp; c++) strip[dst++] = data[src + c];
+            }
+            if (useDeflate) strip = await deflate(strip);
+            stripOffsets.push(offset);
+            stripCounts.push(strip.length);
+            push(strip);
+        }
+
+        // Directory (sorted by tag), values that do not fit inline follow it
+        const entries = [
+            [TAG.NEW_SUBFILE_TYPE, 4, [pages.length > 1 ? 2 : 0]],
+            [TAG.WIDTH, 4, [width]],
+            [TAG.HEIGHT, 4, [height]],
+            [TAG.BITS_PER_SAMPLE, 3, new Array(spp).fill(8)],
+            [TAG.COMPRESSION, 3, [useDeflate ? COMPRESSION.ADOBE_DEFLATE : COMPRESSION.NONE]],
+            [TAG.PHOTOMETRIC, 3, [PHOTOMETRIC.RGB]],
+            [TAG.STRIP_OFFSETS, 4, stripOffsets],
+            [TAG.SAMPLES_PER_PIXEL, 3, [spp]],
+            [TAG.ROWS_PER_STRIP, 4, [rowsPerStrip]],
+            [TAG.STRIP_BYTE_COUNTS, 4, stripCounts],
+            [TAG.X_RESOLUTION, 5, [72, 1]],
+            [TAG.Y_RESOLUTION, 5, [72, 1]],
+            [TAG.PLANAR_CONFIG, 3, [1]],
+            [TAG.RESOLUTION_UNIT, 3, [2]]
+        ];
+        if (pages.length > 1) entries.push([TAG.PAGE_NUMBER, 3, [p, pages.length]]);
+        if (hasAlpha) entries.push([TAG.EXTRA_SAMPLES, 3, [2]]);
+
+        const ifdSize = 2 + entries.length * 12 + 4;
+        const extraSize = entries.reduce((sum, [, type, values]) => {
+            const size = values.length * (type === 5 ? 4 : TYPE_SIZE[type]);
+            return sum + (size > 4 ? size + (size & 1) : 0);
+        }, 0);
+        const ifd = new Uint8Array(ifdSize + extraSize);
+        const view = new DataView(ifd.buffer);
+        const ifdOffset = offset;
+        let extraPos = ifdSize;
+
+        view.setUint16(0, entries.length, true);
+        entries.forEach(([tag, type, values], i) => {
+            // RATIONAL values are given as numerator/denominator pairs
+            const count = type === 5 ? values.length / 2 : values.length;
+            const itemSize = type === 5 ? 4 : TYPE_SIZE[type];
+            const size = values.length * itemSize;
+            const entry = 2 + i * 12;
+            view.setUint16(entry, tag, true);
+            view.setUint16(entry + 2, type, true);
+            view.setUint32(entry + 4, count, true);
+
+            let target = entry + 8;
+            if (size > 4) {
+                view.setUint32(entry + 8, ifdOffset + extraPos, true);
+                target = extraPos;
+                extraPos += size + (size & 1);
+            }
+            values.forEach((value, v) => {
+                if (itemSize === 2) view.setUint16(target + v * 2, value, true);
+                else view.setUint32(target + v * 4, value, true);
+            });
+        });
+
+        if (previousNext) previousNext.view.setUint32(previousNext.pos, ifdOffset, true);
+        else headerView.setUint32(4, ifdOffset, true);
+        previousNext = { view, pos: ifdSize - 4 };
+        push(ifd);
+    }
+
+    const file = new Uint8Array(offset);
+    let pos = 0;
+    for (const part of parts) {
+        file.set(part, pos);
+        pos += part.length;
+    }
+    return file;
+}
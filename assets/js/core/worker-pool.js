@@ -0,0 +1,184 @@
+/* ============================================================
+   worker-pool.js
+   Small pool of Web Workers with a shared task queue.
+   - workers are created lazily, up to `size`
+   - each worker handles one task at a time
+   - if a worker fails to load or crashes, the pool marks itself
+     broken and rejects everything so callers can fall back
+   - an aborted task is dropped from the queue, or its worker is
+     terminated if the task already started
+   Messages: { id, ...payload } → { id, result } | { id, error, code?, params? }
+   (plus any number of { id, progress } before the answer)
+   ============================================================ */
+
+import { abortError } from "./abort.js";
+
+/**
+ * Reasonable pool size for this device (1–4 workers).
+ * @returns {number}
+ */
+export function defaultPoolSize() {
+    const cores = (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(4, cores - 1));
+}
+
+function poolError(message) {
+    const err = new Error(message);
+    err.code = "WORKER_FAILED";
+    return err;
+}
+
+/**
+ * Create a worker pool.
+ * @param {string|URL} url - worker script
+ * @param {{size?: number, type?: "module"|"classic"}} [options]
+ */
+export function createWorkerPool(url, { size = defaultPoolSize(), type = "module" } = {}) {
+    const slots = [];
+    const pending = [];
+    let nextId = 1;
+    let broken = null;
+
+    function settle(slot) {
+        slot.task = null;
+        dispatch();
+    }
+
+    function fail(error) {
+        broken = error;
+        for (const slot of slots.splice(0)) {
+            if (slot.task) slot.task.reject(error);
+            slot.worker.terminate();
+        }
+        for (const task of pending.splice(0)) {
+            task.reject(error);
+        }
+    }
+
+    function spawn() {
+        const worker = new Worker(url, { type });
+        const slot = { worker, task: null };
+
+        worker.addEventListener("message", (e) => {
+            const data = e.data || {};
+            const task = slot.task;
+            if (!task || data.id !== task.id) return;
+
+            if (data.progress) {
+                if (task.onProgress) task.onProgress(data.progress);
+                return;
+            }
+
+            if (data.error) {
+                const err = new Error(data.error);
+                err.code = data.code || "WORKER_TASK_FAILED";
+                if (data.params) err.params = data.params;
+                task.reject(err);
+            } else {
+                task.resolve(data.result);
+            }
+            settle(slot);
+        });
+
+        worker.addEventListener("error", (e) => {
+            e.preventDefault();
+            fail(poolError(e.message || "Worker failed to start."));
+        });
+
+        worker.addEventListener("messageerror", () => {
+            if (slot.task) slot.task.reject(poolError("Worker message could not be read."));
+            settle(slot);
+        });
+
+        slots.push(slot);
+        return slot;
+    }
+
+    function dispatch() {
+        while (pending.length && !broken) {
+            let slot = slots.find((s) => !s.task);
+            if (!slot && slots.length < size) {
+                try {
+                    slot = spawn();
+                } catch (err) {
+                    fail(poolError(err && err.message ? err.message : "Workers are not available."));
+                    return;
+                }
+            }
+            if (!slot) return;
+
+            const task = pending.shift();
+            slot.task = task;
+            try {
+                slot.worker.postMessage({ id: task.id, ...task.payload }, task.transfer);
+            } catch (err) {
+                task.reject(err);
+                slot.task = null;
+            }
+        }
+    }
+
+    function cancel(task) {
+        const idx = pending.indexOf(task);
+        if (idx !== -1) {
+            pending.splice(idx, 1);
+            task.reject(abortError());
+            return;
+        }
+
+        const slot = slots.find((s) => s.task === task);
+        if (slot) {
+            // The only way to stop a running task: drop the worker
+            slot.worker.terminate();
+            slots.splice(slots.indexOf(slot), 1);
+            task.reject(abortError());
+            dispatch();
+        }
+    }
+
+    /**
+     * Queue a task.
+     * @param {object} payload - posted to the worker together with an id
+     * @param {Transferable[]} [transfer]
+     * @param {{signal?: AbortSignal, onProgress?: (progress: *) => void}} [options]
+     * @returns {Promise<*>} the worker's `result`
+     */
+    function run(payload, transfer = [], { signal, onProgress } = {}) {
+        if (broken) return Promise.reject(broken);
+        if (signal && signal.aborted) return Promise.reject(abortError());
+
+        return new Promise((resolve, reject) => {
+            const task = { id: nextId++, payload, transfer, onProgress };
+            const onAbort = () => cancel(task);
+            const cleanup = () => {
+                if (signal) signal.removeEventListener("abort", onAbort);
+            };
+
+            task.resolve = (value) => {
+                cleanup();
+                resolve(value);
+            };
+            task.reject = (err) => {
+                cleanup();
+                reject(err);
+            };
+
+            if (signal) signal.addEventListener("abort", onAbort, { once: true });
+            pending.push(task);
+            dispatch();
+        });
+    }
+
+    function terminate() {
+        fail(poolError("Worker pool terminated."));
+    }
+
+    return {
+        run,
+        terminate,
+        isBroken: () => broken !== null,
+        get size() {
+            return size;
+        }
+    };
+}
@@ -0,0 +1,173 @@
+/* ============================================================
+   zip-writer.js
+   Minimal in-browser ZIP writer (no server, no dependencies).
+   - Entries are STORED (no compression): converted images are
+     already compressed, deflating them again only costs time
+   - Every entry is read fully into memory for its CRC; the
+     archive Blob references those bytes without copying them
+   - No Zip64: at most 65535 entries and 4 GB
+   - Duplicate names get a " (2)", " (3)" … suffix
+   ============================================================ */
+
+const MAX_ENTRIES = 0xffff;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 of a byte array (as used by ZIP and PNG).
+ * @param {Uint8Array} bytes
+ * @param {number} [crc] - running value for chunked input
+ * @returns {number}
+ */
+export function crc32(bytes, crc = 0) {
+    let c = (crc ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(date) {
+    const d = date instanceof Date ? date : new Date();
+    const year = Math.max(d.getFullYear(), 1980);
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+}
+
+/**
+ * Make every entry name unique inside the archive.
+ * @param {string} name
+ * @param {Set<string>} used
+ * @returns {string}
+ */
+function uniqueName(name, used) {
+    const clean = String(name || "file").replace(/\\/g, "/").replace(/^\/+/, "");
+    if (!used.has(clean.toLowerCase())) {
+        used.add(clean.toLowerCase());
+        return clean;
+    }
+
+    const dotIdx = clean.lastIndexOf(".");
+    const base = dotIdx > 0 ? clean.slice(0, dotIdx) : clean;
+    const ext = dotIdx > 0 ? clean.slice(dotIdx) : "";
+
+    let n = 2;
+    let candidate = `${base} (${n})${ext}`;
+    while (used.has(candidate.toLowerCase())) {
+        n++;
+        candidate = `${base} (${n})${ext}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+async function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (typeof data === "string") return new TextEncoder().encode(data);
+    if (data && typeof data.arrayBuffer === "function") {
+        return new Uint8Array(await data.arrayBuffer());
+    }
+    throw new Error("Unsupported ZIP entry data.");
+}
+
+/**
+ * Build a ZIP archive.
+ * @param {Array<{name: string, data: Blob|ArrayBuffer|Uint8Array|string, date?: Date}>} entries
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(entries) {
+    const list = entries || [];
+    if (list.length > MAX_ENTRIES) {
+        // The end record counts entries in 16 bits
+        const err = new Error(`Too many files for one archive (${list.length}, at most ${MAX_ENTRIES}).`);
+        err.code = "ZIP_TOO_MANY_FILES";
+        err.params = { count: list.length, max: MAX_ENTRIES };
+        throw err;
+    }
+
+    const encoder = new TextEncoder();
+    const used = new Set();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of list) {
+        const bytes = await toBytes(entry.data);
+        const nameBytes = encoder.encode(uniqueName(entry.name, used));
+        const crc = crc32(bytes);
+        const { time, date } = toDosDateTime(entry.date);
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // method: store
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, bytes.length, true);
+        local.setUint32(22, bytes.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        parts.push(local.buffer, nameBytes, bytes);
+
+        // Central directory record
+        const cd = new DataView(new ArrayBuffer(46));
+        cd.setUint32(0, 0x02014b50, true);
+        cd.setUint16(4, 20, true); // version made by
+        cd.setUint16(6, 20, true);
+        cd.setUint16(8, 0x0800, true);
+        cd.setUint16(10, 0, true);
+        cd.setUint16(12, time, true);
+        cd.setUint16(14, date, true);
+        cd.setUint32(16, crc, true);
+        cd.setUint32(20, bytes.length, true);
+        cd.setUint32(24, bytes.length, true);
+        cd.setUint16(28, nameBytes.length, true);
+        cd.setUint32(42, offset, true);
+        central.push(cd.buffer, nameBytes);
+
+        offset += 30 + nameBytes.length + bytes.length;
+        if (offset > 0xffffffff) {
+            const err = new Error("Archive is too large (over 4 GB).");
+            err.code = "ZIP_TOO_LARGE";
+            throw err;
+        }
+    }
+
+    const cdSize = central.reduce((sum, p) => sum + p.byteLength, 0);
+    const count = central.length / 2;
+
+    // End of central directory
+    const eocd = new DataView(new ArrayBuffer(22));
+    eocd.setUint32(0, 0x06054b50, true);
+    eocd.setUint16(8, count, true);
+    eocd.setUint16(10, count, true);
+    eocd.setUint32(12, cdSize, true);
+    eocd.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, eocd.buffer], { type: "application/zip" });
+}
+
+/* ============================================================
+   Global namespace (optional)
+   ============================================================ */
+if (typeof window !== "undefined") {
+    window.QCPipeline = window.QCPipeline || {};
+    window.QCPipeline.createZip = createZip;
+}
@@ -0,0 +1,488 @@
+/* ============================================================
+   locales/ar.js
+   Arabic UI strings (RTL; plurals: zero / one / two / few /
+   many / other).
+   Plural messages are objects keyed by Intl.PluralRules category.
+   ============================================================ */
+
+export default {
+    // Common
+    "common.noFile": "لم يتم اختيار أي ملف بعد.",
+    "common.cancelled": "تم إلغاء التحويل.",
+    "common.failed": "فشل التحويل.",
+    "common.failedWith": "فشل التحويل: {message}",
+    "common.retry": "إعادة المحاولة",
+    "common.undo": "تراجع",
+    "common.openSettings": "فتح الإعدادات",
+    "common.downloadAgain": "التنزيل مرة أخرى",
+    "common.downloadFile": "تنزيل الملف",
+    "common.working": "جارٍ العمل...",
+    "common.packingZip": "جارٍ إنشاء أرشيف ZIP...",
+    "common.swapped": "تم تبديل الصيغ.",
+    "common.unsupportedType": "نوع ملف غير مدعوم.",
+    "common.size": "الحجم: {size}",
+    "common.fileReady": "تم اختيار الملف. جاهز للتحويل.",
+    "common.selectFirst": "يرجى اختيار ملف أولاً.",
+    "common.converting": "جارٍ التحويل...",
+    "common.lastConversion": "آخر تحويل: {time}",
+    "common.formReset": "تمت إعادة تعيين النموذج.",
+    "common.libraryFailed": "تعذّر تحميل {src}",
+    "common.ready": "جاهز للتحويل.",
+    "common.noResult": "لم ينتج التحويل أي نتيجة.",
+    "common.last": "الأخير: {time}",
+    "common.preparing": "جارٍ التحضير للتحويل...",
+    "common.error": "خطأ: {message}",
+
+    // Theme
+    "theme.dark": "داكن",
+    "theme.light": "فاتح",
+    "theme.toggle": "تبديل سمة الألوان",
+
+    // Navigation
+    "nav.home": "الرئيسية",
+    "nav.tools": "الأدوات",
+    "nav.allTools": "كل الأدوات",
+    "nav.faq": "الأسئلة الشائعة",
+    "nav.fast": "سريع",
+    "nav.online": "عبر الإنترنت",
+    "nav.toggle": "إظهار القائمة أو إخفاؤها",
+    "nav.language": "اللغة",
+
+    // Cookie banner
+    "cookie.text": "نستخدم ملفات تعريف الارتباط لتحليل حركة الزيارات، ومستقبلاً لتخصيص المحتوى والإعلانات. باستخدامك هذا الموقع فإنك توافق على ذلك.",
+    "cookie.learnMore": "اعرف المزيد",
+    "cookie.accept": "قبول",
+    "cookie.decline": "رفض",
+    "cookie.textConsent": "نستخدم ملفات تعريف الارتباط لتحليل حركة الزيارات، ومستقبلاً لتخصيص المحتوى والإعلانات. بالنقر على «قبول» فإنك توافق على استخدام ملفات تعريف الارتباط للتحليلات والإعلانات.",
+
+    // Footer
+    "footer.tagline": "محوّلات مجانية تعمل في متصفحك — سريعة وخاصة وبسيطة.",
+    "footer.popular": "أدوات شائعة",
+    "footer.allTools": "كل الأدوات ←",
+    "footer.legal": "قانوني",
+    "footer.privacyPolicy": "سياسة الخصوصية وملفات تعريف الارتباط",
+    "footer.contact": "تواصل معنا",
+    "footer.rights": "QuickConvert. جميع الحقوق محفوظة.",
+    "footer.privacy": "الخصوصية",
+
+    // Home page
+    "home.otherConverters": "محوّلات أخرى",
+    "home.webpDesc": "حوّل صور WebP إلى JPG/PNG والعكس مباشرةً في متصفحك.",
+    "home.webpDescAlt": "حوّل صور WebP الحديثة إلى الصيغ التقليدية (JPG وPNG) والعكس.",
+    "home.heicDesc": "حوّل صور HEIC من iPhone إلى JPG أو PNG الأكثر انتشارًا لمشاركتها بسهولة.",
+    "home.pdfDesc": "حوّل صورة أو عدة صور إلى مستند PDF واحد (للطباعة أو المشاركة).",
+    "home.pngJpgDesc": "حوّل PNG إلى JPG وJPG إلى PNG مباشرةً في متصفحك.",
+
+    // Converter cards
+    "ui.noConversions": "لا توجد تحويلات بعد",
+    "ui.chooseImages": "اختر الصور",
+    "ui.chooseImage": "اختر صورة",
+    "ui.dropImages": "اسحب صورة أو أكثر وأفلتها هنا أو",
+    "ui.dropImage": "اسحب صورة وأفلتها هنا أو",
+    "ui.dropSvg": "اسحب ملف SVG وأفلته هنا أو",
+    "ui.dropFiles": "اسحب الملفات وأفلتها هنا أو",
+    "ui.browse": "تصفّح الملفات على جهازك",
+    "ui.maxSizePerFile": "الحد الأقصى للحجم (تجريبي): 20 ميغابايت لكل ملف",
+    "ui.maxSize": "الحد الأقصى للحجم (تجريبي): 20 ميغابايت",
+    "ui.add": "إضافة",
+    "ui.change": "تغيير",
+    "ui.sourceFormat": "صيغة المصدر",
+    "ui.detectAuto": "اكتشاف تلقائي",
+    "ui.convertTo": "التحويل إلى",
+    "ui.swap": "تبديل",
+    "ui.convert": "تحويل",
+    "ui.cancel": "إلغاء",
+    "ui.reset": "إعادة تعيين",
+    "ui.downloadHint": "يُفترض أن يبدأ تنزيل الملف تلقائيًا. إذا لم يبدأ، فاستخدم الزر أدناه.",
+    "ui.downloadResult": "تنزيل النتيجة",
+    "ui.qualityOptions": "خيارات الجودة",
+    "ui.fineTuning": "ضبط دقيق",
+    "ui.jpgQuality": "جودة JPG",
+    "ui.smallerFile": "ملف أصغر",
+    "ui.higherQuality": "جودة أعلى",
+    "ui.compressFile": "ضغط الملف",
+    "ui.compressHint": "يحاول تقليل حجم الملف مع الحفاظ على جودة مقبولة.",
+    "ui.swapFormats": "تبديل صيغتي المصدر والهدف",
+
+    // Edit
+    "edit.title": "تحرير",
+    "edit.subtitle": "قص، تدوير، قلب",
+    "edit.empty": "اختر صورة لقصها أو تدويرها أو قلبها قبل التحويل.",
+    "edit.rotateLeft": "تدوير لليسار",
+    "edit.rotateRight": "تدوير لليمين",
+    "edit.flipHorizontal": "قلب أفقي",
+    "edit.flipVertical": "قلب عمودي",
+    "edit.aspect": "نسبة القص",
+    "edit.free": "حر",
+    "edit.reset": "إعادة ضبط التعديلات",
+    "edit.area": "منطقة القص",
+    "edit.x": "من اليسار (px)",
+    "edit.y": "من الأعلى (px)",
+    "edit.width": "العرض (px)",
+    "edit.height": "الارتفاع (px)",
+    "edit.output": "النتيجة: {width}×{height} px.",
+    "edit.hint": "اسحب على الصورة لتحديد منطقة.",
+    "edit.batchHint": "عند اختيار عدة ملفات تُطبَّق التعديلات نفسها على كل ملف.",
+
+    // Resize
+    "resize.title": "تغيير الحجم",
+    "resize.subtitle": "حجم الإخراج",
+    "resize.mode": "الوضع",
+    "resize.original": "الحجم الأصلي",
+    "resize.dimensions": "العرض والارتفاع",
+    "resize.edge": "أقصى طول للضلع الأطول",
+    "resize.percent": "نسبة مئوية",
+    "resize.size": "الحجم (بكسل)",
+    "resize.width": "العرض",
+    "resize.height": "الارتفاع",
+    "resize.lock": "الحفاظ على نسبة الأبعاد",
+    "resize.edgeLabel": "الضلع الأطول (بكسل)",
+    "resize.edgeHint": "يتم تصغير الصور الأكبر فقط.",
+    "resize.percentLabel": "المقياس (%)",
+    "resize.resampling": "إعادة التحجيم",
+    "resize.high": "ناعم (جودة عالية)",
+    "resize.stepwise": "تدريجي (تصغير حاد)",
+    "resize.medium": "متوازن",
+    "resize.low": "سريع",
+    "resize.pixelated": "بكسلي (أقرب جار)",
+
+    // Target file size
+    "target.title": "الحجم المستهدف",
+    "target.subtitle": "الالتزام بحد للحجم",
+    "target.limit": "الحجم الأقصى",
+    "target.unit": "الوحدة",
+    "target.hint": "تُختار أعلى جودة مناسبة تلقائيًا؛ ويبقى PNG بلا فقدان.",
+    "target.fit": "تصغير الأبعاد عند الحاجة",
+    "target.fitHint": "يُستخدم عندما تبقى أدنى جودة أكبر من اللازم، وكذلك مع PNG.",
+    "target.quality": "الجودة {quality}%",
+    "target.achieved": "ضمن {limit}: {size} بجودة {quality}%.",
+    "target.achievedLossless": "ضمن {limit}: {size}، بلا فقدان.",
+    "target.resized": "صُغّرت إلى {width}×{height} لتناسب الحد.",
+    "target.invalid": "أدخل حجمًا مستهدفًا أكبر من صفر.",
+
+    // Metadata
+    "meta.label": "البيانات الوصفية (EXIF)",
+    "meta.strip": "إزالة الكل",
+    "meta.stripLocation": "إزالة الموقع فقط",
+    "meta.keep": "الاحتفاظ بالبيانات الوصفية",
+    "meta.hint": "تُعدَّل اتجاه الصور دائمًا. لا يمكن الاحتفاظ بالبيانات الوصفية إلا في مخرجات JPG.",
+
+    // Animation frames
+    "frames.title": "الحركة",
+    "frames.mode": "التصدير",
+    "frames.single": "الإطار المحدد",
+    "frames.all": "كل الإطارات (ZIP)",
+    "frames.hint": "تُحفظ كل الإطارات كصور منفصلة مع قائمة بمدد عرضها.",
+    "frames.frame": "الإطار",
+    "frames.current": "{index} من {count} · {delay} ms",
+    "frames.delays": "مدد الإطارات",
+    "frames.delay": "{delay} ms",
+    "frames.count": { zero: "{count} إطار", one: "إطار واحد", two: "إطاران", few: "{count} إطارات", many: "{count} إطارًا", other: "{count} إطار" },
+    "frames.duration": "{seconds} ث",
+    "frames.loopForever": "تتكرر بلا نهاية",
+    "frames.loopOnce": "تُعرض مرة واحدة",
+    "frames.loopCount": { zero: "تتكرر {count} مرة", one: "تتكرر مرة واحدة", two: "تتكرر مرتين", few: "تتكرر {count} مرات", many: "تتكرر {count} مرة", other: "تتكرر {count} مرة" },
+    "frames.converting": { zero: "جارٍ تحويل {count} إطار...", one: "جارٍ تحويل إطار واحد...", two: "جارٍ تحويل إطارين...", few: "جارٍ تحويل {count} إطارات...", many: "جارٍ تحويل {count} إطارًا...", other: "جارٍ تحويل {count} إطار..." },
+    "frames.done": { zero: "تم تصدير {count} إطار كملف ZIP.", one: "تم تصدير إطار واحد كملف ZIP.", two: "تم تصدير إطارين كملف ZIP.", few: "تم تصدير {count} إطارات كملف ZIP.", many: "تم تصدير {count} إطارًا كملف ZIP.", other: "تم تصدير {count} إطار كملف ZIP." },
+
+    // GIF output
+    "gif.title": "خيارات GIF",
+    "gif.subtitle": "لوحة الألوان",
+    "gif.colors": "الألوان",
+    "gif.dither": "التنقيط (Dithering)",
+    "gif.ditherHint": "ينعّم التدرجات بنمط من ألوان اللوحة. تصبح الملفات أكبر.",
+    "gif.delay": "مدة الإطار (مللي ثانية)",
+    "gif.delayHint": "مدة عرض كل صورة محددة.",
+    "gif.hint": "يحفظ GIF حتى 256 لونًا لكل إطار. لمصدر متحرك اختر «كل الإطارات» للحصول على GIF متحرك، أو حدّد عدة صور لدمجها في ملف واحد.",
+    "gif.building": { zero: "جارٍ إنشاء GIF من {count} إطار...", one: "جارٍ إنشاء GIF من إطار واحد...", two: "جارٍ إنشاء GIF من إطارين...", few: "جارٍ إنشاء GIF من {count} إطارات...", many: "جارٍ إنشاء GIF من {count} إطارًا...", other: "جارٍ إنشاء GIF من {count} إطار..." },
+    "gif.done": { zero: "GIF متحرك من {count} إطار جاهز.", one: "GIF متحرك من إطار واحد جاهز.", two: "GIF متحرك من إطارين جاهز.", few: "GIF متحرك من {count} إطارات جاهز.", many: "GIF متحرك من {count} إطارًا جاهز.", other: "GIF متحرك من {count} إطار جاهز." },
+    "gif.noBudget": "الحجم المستهدف يعمل مع الصور المفردة فقط. أوقفه لإنشاء GIF متحرك.",
+
+    // AVIF output
+    "avif.title": "خيارات AVIF",
+    "avif.subtitle": "المرمِّز",
+    "avif.speed": "سرعة الترميز",
+    "avif.speedHint": "السرعات الأبطأ تعطي ملفات أصغر لكنها تستغرق وقتًا أطول بكثير.",
+    "avif.native": "يرمّز متصفحك AVIF بنفسه.",
+    "avif.wasm": "لا يستطيع متصفحك ترميز AVIF، لذا يُستخدم المرمِّز المدمج. يُنزَّل عند أول تحويل (نحو 3.5 ميغابايت).",
+    "avif.unavailable": "إخراج AVIF غير متاح في هذا المتصفح: فهو لا يرمّز AVIF ولا يدعم WebAssembly للمرمِّز المدمج. اختر صيغة أخرى.",
+
+    // PNG-8 palette
+    "palette.title": "تقليل الألوان",
+    "palette.subtitle": "PNG-8 مفهرس",
+    "palette.hint": "غالبًا ما تجعل لوحة من 256 لونًا كحد أقصى ملفات PNG أصغر بعدة مرات. تُحفظ الشفافية.",
+    "palette.colors": "الألوان (2–256)",
+    "palette.saved": "يوفّر PNG-8 مساحة {saved} (‏{percent}%) مقارنةً بملف PNG كامل الألوان",
+    "palette.savedShort": "PNG-8 ‎−{percent}%",
+    "palette.notSaved": "ملف PNG-8 هنا ليس أصغر من PNG كامل الألوان ({size})",
+
+    // JPEG encoder
+    "jpeg.title": "مُرمِّز JPEG المتقدم",
+    "jpeg.subtitle": "MozJPEG",
+    "jpeg.hint": "ملفات أصغر بشكل ملحوظ بالجودة نفسها. يُنزَّل المُرمِّز (نحو 250 ك.ب) عند أول استخدام.",
+    "jpeg.progressive": "تدريجي",
+    "jpeg.progressiveHint": "يُحمَّل من الضبابي إلى الواضح ويكون عادةً أصغر حجمًا.",
+    "jpeg.subsampling": "الاختزال اللوني",
+    "jpeg.s420": "4:2:0 — ملف أصغر",
+    "jpeg.s444": "4:4:4 — حواف ألوان أوضح",
+    "jpeg.optimize": "جداول هوفمان محسّنة",
+    "jpeg.optimizeHint": "مفعّلة دائمًا للملفات التدريجية.",
+    "jpeg.trellis": "تكميم trellis شامل",
+    "jpeg.trellisHint": "تمريرات إضافية لملف أصغر قليلًا. أبطأ.",
+
+    // Preview
+    "preview.title": "معاينة",
+    "preview.zoom": "التكبير",
+    "preview.zoomIn": "تكبير",
+    "preview.zoomOut": "تصغير",
+    "preview.fit": "ملاءمة",
+    "preview.split": "الفاصل بين الأصل والمحوَّل",
+    "preview.before": "الأصل",
+    "preview.after": "المحوَّل",
+    "preview.sizes": "{before} ← {after} ({change}%)",
+    "preview.rendering": "جارٍ إنشاء المعاينة…",
+    "preview.failed": "تعذّرت المعاينة: {message}",
+
+    // Progress
+    "progress.stage.read": "جارٍ القراءة…",
+    "progress.stage.decode": "جارٍ فك الترميز…",
+    "progress.stage.render": "جارٍ الرسم…",
+    "progress.stage.encode": "جارٍ الترميز…",
+    "progress.stage.package": "جارٍ التجميع…",
+    "progress.itemsDone": "اكتمل {done} من {count}",
+    "progress.eta": "متبقٍ حوالي {time}",
+    "progress.seconds": "{count} ث",
+    "progress.minutes": "{count} د",
+
+    // Batch queue
+    "queue.state.pending": "في الانتظار",
+    "queue.state.processing": "جارٍ التحويل",
+    "queue.state.done": "تم",
+    "queue.state.error": "فشل",
+    "queue.state.cancelled": "أُلغي",
+    "queue.retryFile": "إعادة محاولة {name}",
+    "queue.removeFile": "إزالة {name}",
+    "queue.label": "الملفات المراد تحويلها",
+
+    // Toasts
+    "toast.region": "الإشعارات",
+    "toast.dismiss": "إغلاق الإشعار",
+
+    // Multi-file status
+    "files.selected": { zero: "لم يتم اختيار أي ملف", one: "تم اختيار ملف واحد", two: "تم اختيار ملفين", few: "تم اختيار {count} ملفات", many: "تم اختيار {count} ملفًا", other: "تم اختيار {count} ملف" },
+    "files.selectedName": "المحدد: {name}",
+    "files.ready": { zero: "لا توجد ملفات جاهزة للتحويل.", one: "ملف واحد جاهز للتحويل.", two: "ملفان جاهزان للتحويل.", few: "{count} ملفات جاهزة للتحويل.", many: "{count} ملفًا جاهزًا للتحويل.", other: "{count} ملف جاهز للتحويل." },
+    "files.cleared": "تم مسح التحديد.",
+    "files.failed": { zero: "لم يفشل أي ملف.", one: "فشل تحويل ملف واحد.", two: "فشل تحويل ملفين.", few: "فشل تحويل {count} ملفات.", many: "فشل تحويل {count} ملفًا.", other: "فشل تحويل {count} ملف." },
+    "files.retryFailed": "إعادة محاولة الفاشلة",
+    "files.allFailed": "فشل تحويل جميع الملفات.",
+    "files.downloadAll": { zero: "تنزيل الكل (ZIP)", one: "تنزيل الكل (ملف واحد، ZIP)", two: "تنزيل الكل (ملفان، ZIP)", few: "تنزيل الكل ({count} ملفات، ZIP)", many: "تنزيل الكل ({count} ملفًا، ZIP)", other: "تنزيل الكل ({count} ملف، ZIP)" },
+    "files.someFailed": { other: "{summary}. فشل {count} — استخدم إعادة المحاولة في القائمة." },
+    "files.cancelledPartial": { other: "تم الإلغاء — تم تحويل {done} من {count}. لا يزال بإمكانك تنزيل الملفات المحوّلة أدناه." },
+
+    // File format check
+    "sniff.mislabeled": "«{name}» هو في الواقع ملف {actual} وليس {declared} — سيُحوَّل على أنه {actual}.",
+    "sniff.mislabeledMany": { zero: "لا توجد ملفات بتسمية خاطئة.", one: "ملف واحد ليس كما يقول اسمه أو نوعه — سيُحوَّل حسب صيغته الحقيقية.", two: "ملفان ليسا كما يقول اسمهما أو نوعهما — سيُحوَّلان حسب صيغتهما الحقيقية.", few: "{count} ملفات ليست كما تقول أسماؤها أو أنواعها — ستُحوَّل حسب صيغتها الحقيقية.", many: "{count} ملفًا ليست كما تقول أسماؤها أو أنواعها — ستُحوَّل حسب صيغتها الحقيقية.", other: "{count} ملف ليست كما تقول أسماؤها أو أنواعها — ستُحوَّل حسب صيغتها الحقيقية." },
+    "sniff.otherTool": "«{name}» ملف {format} — يتعامل معه محوّل {tool}.",
+    "sniff.otherToolMany": { zero: "لا ملفات لمحوّل {tool}.", one: "ملف واحد يخص محوّل {tool}.", two: "ملفان يخصان محوّل {tool}.", few: "{count} ملفات تخص محوّل {tool}.", many: "{count} ملفًا تخص محوّل {tool}.", other: "{count} ملف تخص محوّل {tool}." },
+    "sniff.open": "افتح {tool}",
+
+    // Image size limits
+    "limits.tooLarge": "«{name}» بحجم {width} × {height} بكسل — أكبر مما يستطيع هذا المتصفح معالجته (نحو {megapixels} ميغابكسل). سيُصغَّر إلى {fitWidth} × {fitHeight} بكسل.",
+    "limits.tooLargeMany": { zero: "لا توجد صور كبيرة جدًا.", one: "صورة واحدة أكبر مما يستطيع هذا المتصفح معالجته (نحو {megapixels} ميغابكسل) — ستُصغَّر لتناسبه.", two: "صورتان أكبر مما يستطيع هذا المتصفح معالجته (نحو {megapixels} ميغابكسل) — ستُصغَّران لتناسباه.", few: "{count} صور أكبر مما يستطيع هذا المتصفح معالجته (نحو {megapixels} ميغابكسل) — ستُصغَّر لتناسبه.", many: "{count} صورة أكبر مما يستطيع هذا المتصفح معالجته (نحو {megapixels} ميغابكسل) — ستُصغَّر لتناسبه.", other: "{count} صورة أكبر مما يستطيع هذا المتصفح معالجته (نحو {megapixels} ميغابكسل) — ستُصغَّر لتناسبه." },
+    "limits.splitTiles": "التقسيم إلى مربعات بدلًا من ذلك",
+    "limits.tilesChosen": { zero: "لن تُقسَّم أي صورة.", one: "ستُقسَّم صورة واحدة إلى مربعات بالدقة الكاملة. لا تنطبق عليها التعديلات وتغيير الحجم والحجم المستهدف.", two: "ستُقسَّم صورتان إلى مربعات بالدقة الكاملة. لا تنطبق عليهما التعديلات وتغيير الحجم والحجم المستهدف.", few: "ستُقسَّم {count} صور إلى مربعات بالدقة الكاملة. لا تنطبق عليها التعديلات وتغيير الحجم والحجم المستهدف.", many: "ستُقسَّم {count} صورة إلى مربعات بالدقة الكاملة. لا تنطبق عليها التعديلات وتغيير الحجم والحجم المستهدف.", other: "ستُقسَّم {count} صورة إلى مربعات بالدقة الكاملة. لا تنطبق عليها التعديلات وتغيير الحجم والحجم المستهدف." },
+    "limits.tileCount": { zero: "لا مربعات", one: "مربع واحد", two: "مربعان", few: "{count} مربعات", many: "{count} مربعًا", other: "{count} مربع" },
+    "limits.tilesReady": { zero: "لا مربعات", one: "قُسِّمت إلى مربع واحد — {size} إجمالًا", two: "قُسِّمت إلى مربعين — {size} إجمالًا", few: "قُسِّمت إلى {count} مربعات — {size} إجمالًا", many: "قُسِّمت إلى {count} مربعًا — {size} إجمالًا", other: "قُسِّمت إلى {count} مربع — {size} إجمالًا" },
+    "limits.downscaledFrom": "مُصغَّرة من {width}×{height}",
+    "limits.svgScaled": "بهذا المقياس ستكون الصورة {width} × {height} بكسل، وهذا أكبر مما يستطيع هذا المتصفح رسمه. لذلك تُرسم بحجم {fitWidth} × {fitHeight} بكسل.",
+    "limits.pdfScaled": { zero: "لم تُصغَّر أي صفحة.", one: "رُسمت صفحة واحدة بدقة أقل لتبقى ضمن حدود هذا المتصفح.", two: "رُسمت صفحتان بدقة أقل لتبقيا ضمن حدود هذا المتصفح.", few: "رُسمت {count} صفحات بدقة أقل لتبقى ضمن حدود هذا المتصفح.", many: "رُسمت {count} صفحة بدقة أقل لتبقى ضمن حدود هذا المتصفح.", other: "رُسمت {count} صفحة بدقة أقل لتبقى ضمن حدود هذا المتصفح." },
+
+    // SVG sanitizer
+    "svgsafe.title": { zero: "لم تتم إزالة أي عنصر غير آمن", one: "تمت إزالة عنصر غير آمن واحد من ملف SVG", two: "تمت إزالة عنصرين غير آمنين من ملف SVG", few: "تمت إزالة {count} عناصر غير آمنة من ملف SVG", many: "تمت إزالة {count} عنصرًا غير آمن من ملف SVG", other: "تمت إزالة {count} عنصر غير آمن من ملف SVG" },
+    "svgsafe.removed": { zero: "لم تتم إزالة أي عنصر غير آمن.", one: "تمت إزالة عنصر غير آمن واحد (نصوص برمجية أو معالجات أحداث أو روابط خارجية) قبل المعاينة.", two: "تمت إزالة عنصرين غير آمنين (نصوص برمجية أو معالجات أحداث أو روابط خارجية) قبل المعاينة.", few: "تمت إزالة {count} عناصر غير آمنة (نصوص برمجية أو معالجات أحداث أو روابط خارجية) قبل المعاينة.", many: "تمت إزالة {count} عنصرًا غير آمن (نصوص برمجية أو معالجات أحداث أو روابط خارجية) قبل المعاينة.", other: "تمت إزالة {count} عنصر غير آمن (نصوص برمجية أو معالجات أحداث أو روابط خارجية) قبل المعاينة." },
+    "svgsafe.editor": { zero: "لا توجد بيانات محرر.", one: "تمت أيضًا إزالة عنصر واحد من بيانات المحرر (Inkscape وIllustrator وSketch).", two: "تمت أيضًا إزالة عنصرين من بيانات المحرر (Inkscape وIllustrator وSketch).", few: "تمت أيضًا إزالة {count} عناصر من بيانات المحرر (Inkscape وIllustrator وSketch).", many: "تمت أيضًا إزالة {count} عنصرًا من بيانات المحرر (Inkscape وIllustrator وSketch).", other: "تمت أيضًا إزالة {count} عنصر من بيانات المحرر (Inkscape وIllustrator وSketch)." },
+    "svgsafe.kind.script": "نص برمجي",
+    "svgsafe.kind.handler": "معالج حدث",
+    "svgsafe.kind.element": "عنصر",
+    "svgsafe.kind.link": "رابط خارجي",
+    "svgsafe.kind.style": "نمط",
+    "svgsafe.kind.attribute": "سمة",
+
+    // Errors (err.code → message)
+    "errors.generic": "حدث خطأ ما.",
+    "errors.READ_FAILED": "تعذّرت قراءة الملف.",
+    "errors.DECODE_FAILED": "تعذّر فك ترميز الصورة. الملف غير مدعوم أو تالف.",
+    "errors.CANVAS_UNSUPPORTED": "هذا المتصفح لا يدعم Canvas.",
+    "errors.ENCODE_FAILED": "تعذّر إنشاء الصورة الناتجة.",
+    "errors.ENCODE_UNSUPPORTED": "لا يستطيع هذا المتصفح ترميز صور {format}.",
+    "errors.ZIP_TOO_LARGE": "الأرشيف كبير جدًا (أكثر من 4 غيغابايت).",
+    "errors.ZIP_TOO_MANY_FILES": "عدد الملفات كبير جدًا لأرشيف واحد ({count}، والحد الأقصى {max}).",
+    "errors.TARGET_SIZE_PNG": "لا يمكن أن يتسع ملف {format} بلا فقدان لهذه الصورة ضمن {size}. اسمح بتصغير الأبعاد أو اختر JPG/WebP.",
+    "errors.TARGET_SIZE_UNREACHABLE": "حتى أدنى جودة لا تتسع ضمن {size}. اسمح بتصغير الأبعاد أو ارفع الحد.",
+    "errors.TARGET_SIZE_TOO_SMALL": "{size} صغير جدًا على هذه الصورة حتى بعد تصغيرها.",
+    "errors.NOT_ANIMATED": "هذه الصورة تحتوي على إطار واحد فقط.",
+    "errors.TIFF_UNSUPPORTED": "يستخدم ملف TIFF هذا {feature}، وهذا غير مدعوم. احفظه دون ضغط أو بضغط LZW/Deflate.",
+    "errors.AVIF_UNSUPPORTED": "لا يستطيع هذا المتصفح ترميز AVIF، وتعذّر تحميل مرمِّز AVIF المدمج. تحقّق من اتصالك أو اختر صيغة أخرى.",
+    "errors.JPEG_ENCODER_UNAVAILABLE": "تعذّر تحميل مُرمِّز JPEG المتقدم. تحقّق من اتصالك أو أوقف تشغيله لاستخدام مُرمِّز المتصفح.",
+    "errors.IMAGE_TOO_LARGE": "هذه الصورة ({width} × {height} بكسل) أكبر من أن يفتحها هذا المتصفح.",
+    "errors.SVG_INVALID": "الملف ليس صورة SVG سليمة البنية.",
+    "errors.PREVIEW_FAILED": "تعذّر عرض الصورة.",
+    "errors.ICO_EMPTY": "يحتاج ملف ICO إلى صورة واحدة على الأقل.",
+    "errors.ICO_SIZE": "يجب أن تكون صور ICO بين 1 و{max} بكسل، وهذه {width} × {height}.",
+
+    // PNG ↔ JPG
+    "pngjpg.unsupported": "نوع ملف غير مدعوم — يرجى اختيار PNG أو JPG/JPEG أو BMP أو TIFF.",
+    "pngjpg.skipped": "تم تخطي {count} (ليست PNG/JPG/BMP/TIFF).",
+    "pngjpg.readyOne": "التحويل جاهز — {size}",
+    "pngjpg.readyMany": { zero: "لم يتم تحويل أي ملف", one: "تم تحويل ملف واحد — {size} إجمالاً", two: "تم تحويل ملفين — {size} إجمالاً", few: "تم تحويل {count} ملفات — {size} إجمالاً", many: "تم تحويل {count} ملفًا — {size} إجمالاً", other: "تم تحويل {count} ملف — {size} إجمالاً" },
+    "pngjpg.chooseFile": "يرجى اختيار ملف أولاً.",
+    "pngjpg.invalidTarget": "يرجى اختيار صيغة هدف صالحة.",
+    "pngjpg.converting": "جارٍ تحويل الصور...",
+    "pngjpg.supported": "الصيغ المدعومة: PNG وJPG وJPEG وBMP وTIFF — عدة ملفات في وقت واحد",
+    "pngjpg.compressHint": "يحاول تقليل حجم الملف مع الحفاظ على جودة مقبولة (يؤثر بشكل أساسي على مخرجات JPG).",
+    "pngjpg.batch": "المعالجة الدفعية",
+    "pngjpg.oneAtATime": "ملف واحد في كل مرة",
+    "pngjpg.twoParallel": "ملفان بالتوازي",
+    "pngjpg.fourParallel": "4 ملفات بالتوازي",
+    "pngjpg.zipHint": "يتم تنزيل الملفات المتعددة معًا في أرشيف ZIP واحد.",
+    "pngjpg.title": "محوّل PNG ↔ JPG",
+    "pngjpg.subtitle": "حوّل صور PNG إلى JPG وJPG إلى PNG مباشرةً في متصفحك.",
+    "pngjpg.tip": "نصيحة: JPG رائع للصور الفوتوغرافية والمشاركة، وPNG أفضل للشفافية والرسومات.",
+    "pngjpg.pagesSplit": { zero: "لا توجد صفحات TIFF.", one: "ستُحوَّل صفحة TIFF واحدة كصورة منفصلة.", two: "ستُحوَّل صفحتا TIFF كصورتين منفصلتين.", few: "ستُحوَّل {count} صفحات TIFF كصور منفصلة.", many: "ستُحوَّل {count} صفحة TIFF كصور منفصلة.", other: "ستُحوَّل {count} صفحة TIFF كصور منفصلة." },
+
+    // WebP ↔ JPG/PNG
+    "webp.unsupported": "يرجى اختيار صورة WebP أو PNG أو JPG أو GIF أو BMP أو TIFF.",
+    "webp.tooLarge": "الملف المحدد كبير جدًا (الحد الأقصى 20 ميغابايت).",
+    "webp.sizeLimit": "حجم الملف يتجاوز حد 20 ميغابايت.",
+    "webp.animatedNote": "صورة متحركة: اختر إطارًا أو صدّر كل الإطارات من قسم «الحركة».",
+    "webp.noEncoder": "لا يدعم هذا المتصفح ترميز WebP عبر Canvas. جرّب JPG أو PNG كصيغة هدف.",
+    "webp.converting": "جارٍ تحويل الصورة...",
+    "webp.success": "تم التحويل بنجاح!",
+    "webp.successToast": "تم تحويل الصورة بنجاح.",
+    "webp.error": "حدث خطأ أثناء التحويل.",
+    "webp.supported": "الصيغ المدعومة: WebP وPNG وJPG وJPEG وGIF وBMP وTIFF",
+    "webp.quality": "جودة WebP / JPG",
+    "webp.title": "محوّل WebP ↔ JPG/PNG",
+    "webp.subtitle": "حوّل صور WebP إلى JPG وPNG والعكس.",
+    "webp.tip": "نصيحة: WebP رائع للويب؛ حوّله مجددًا إلى JPG/PNG للأدوات التي لا تدعمه بعد.",
+    "webp.sequenceName": { zero: "{count} صورة", one: "صورة واحدة", two: "صورتان", few: "{count} صور", many: "{count} صورة", other: "{count} صورة" },
+    "webp.sequenceNote": "تم تحديد عدة صور: ستصبح إطارات GIF متحرك.",
+    "webp.sequenceGifOnly": "لا يمكن دمج عدة صور إلا في GIF. اختر GIF كصيغة الإخراج.",
+    "webp.tiffFirstPage": { zero: "لا يحتوي ملف TIFF هذا على صفحات.", one: "يحتوي ملف TIFF هذا على صفحة واحدة.", two: "يحتوي ملف TIFF هذا على صفحتين: تُحوَّل هنا الأولى فقط. محوّل PNG ↔ JPG يحوّل كل الصفحات.", few: "يحتوي ملف TIFF هذا على {count} صفحات: تُحوَّل هنا الأولى فقط. محوّل PNG ↔ JPG يحوّل كل الصفحات.", many: "يحتوي ملف TIFF هذا على {count} صفحة: تُحوَّل هنا الأولى فقط. محوّل PNG ↔ JPG يحوّل كل الصفحات.", other: "يحتوي ملف TIFF هذا على {count} صفحة: تُحوَّل هنا الأولى فقط. محوّل PNG ↔ JPG يحوّل كل الصفحات." },
+
+    // HEIC → JPG/PNG
+    "heic.libraryMissing": "مكتبة heic2any غير متاحة بعد التحميل.",
+    "heic.done": "تم. جرى تنزيل الملف. يمكنك استخدام «تنزيل النتيجة» مرة أخرى إذا لزم الأمر.",
+    "heic.failed": "فشل تحويل HEIC.",
+    "heic.chooseFile": "اختر صور HEIC أو مجلدًا",
+    "heic.recommended": "يُنصح به: HEIC / HEIF من iOS",
+    "heic.alsoAccepts": "يقبل أيضًا JPG وJPEG وPNG",
+    "heic.title": "محوّل HEIC → JPG/PNG",
+    "heic.subtitle": "حوّل صور HEIC إلى ملفات JPG أو PNG قياسية.",
+    "heic.tip": "نصيحة: أفلِت مجلدًا كاملًا من صور iPhone لتحويلها كلها دفعة واحدة — تصلك النتائج في ملف ZIP واحد.",
+    "heic.imagesTitle": "الصور في هذا الملف",
+    "heic.imagesSummary": { zero: "لا توجد صور · المحدد: {selected}", one: "صورة واحدة · المحدد: {selected}", two: "صورتان · المحدد: {selected}", few: "{count} صور · المحدد: {selected}", many: "{count} صورة · المحدد: {selected}", other: "{count} صورة · المحدد: {selected}" },
+    "heic.imagesFound": { zero: "لا يحتوي هذا الملف على صور.", one: "يحتوي هذا الملف على صورة واحدة.", two: "يحتوي هذا الملف على صورتين. تُصدَّر كلتاهما ما لم تُلغِ تحديد إحداهما.", few: "يحتوي هذا الملف على {count} صور. تُصدَّر جميعها ما لم تُلغِ تحديد بعضها.", many: "يحتوي هذا الملف على {count} صورة. تُصدَّر جميعها ما لم تُلغِ تحديد بعضها.", other: "يحتوي هذا الملف على {count} صورة. تُصدَّر جميعها ما لم تُلغِ تحديد بعضها." },
+    "heic.imagesHint": "انقر على صورة لمعاينتها. يصدّر زر التحويل الصور المحددة بأسماء مرقّمة، وعدة صور في ملف ZIP واحد. يُطبَّق القص والتدوير عليها جميعًا.",
+    "heic.selectAll": "تحديد الكل",
+    "heic.selectNone": "إلغاء التحديد",
+    "heic.imageLabel": "الصورة {index} من {count}",
+    "heic.downloadImage": "تحويل الصورة {index} وتنزيلها",
+    "heic.noneSelected": "حدّد صورة واحدة على الأقل للتصدير.",
+    "heic.convertingImage": "جارٍ تحويل الصورة {index} من {count}...",
+    "heic.doneImages": { zero: "تم. لم تُحفظ أي صورة.", one: "تم. حُفظت صورة واحدة في {name} ‏({size}). يمكنك استخدام «تنزيل النتيجة» مرة أخرى عند الحاجة.", two: "تم. حُفظت صورتان في {name} ‏({size}). يمكنك استخدام «تنزيل النتيجة» مرة أخرى عند الحاجة.", few: "تم. حُفظت {count} صور في {name} ‏({size}). يمكنك استخدام «تنزيل النتيجة» مرة أخرى عند الحاجة.", many: "تم. حُفظت {count} صورة في {name} ‏({size}). يمكنك استخدام «تنزيل النتيجة» مرة أخرى عند الحاجة.", other: "تم. حُفظت {count} صورة في {name} ‏({size}). يمكنك استخدام «تنزيل النتيجة» مرة أخرى عند الحاجة." },
+    "heic.dropPhotos": "اسحب الصور أو مجلدًا كاملًا وأفلتها هنا أو",
+    "heic.chooseFolder": "اختر مجلدًا",
+    "heic.skipped": { zero: "لم يُتخطَّ أي ملف.", one: "تم تخطي ملف واحد ليس صورة.", two: "تم تخطي ملفين ليسا صورًا.", few: "تم تخطي {count} ملفات ليست صورًا.", many: "تم تخطي {count} ملفًا ليست صورًا.", other: "تم تخطي {count} ملف ليست صورًا." },
+    "heic.imagesCount": { zero: "لا صور", one: "صورة واحدة", two: "صورتان", few: "{count} صور", many: "{count} صورة", other: "{count} صورة" },
+    "heic.readyOne": "تم حفظ {name} ({size})",
+    "heic.readyImages": { zero: "لم تُحفظ أي صورة في {name} ({size})", one: "حُفظت صورة واحدة في {name} ({size})", two: "حُفظت صورتان في {name} ({size})", few: "حُفظت {count} صور في {name} ({size})", many: "حُفظت {count} صورة في {name} ({size})", other: "حُفظت {count} صورة في {name} ({size})" },
+    "heic.failedTitle": { zero: "لم يفشل أي ملف", one: "سبب فشل ملف واحد", two: "سبب فشل ملفين", few: "سبب فشل {count} ملفات", many: "سبب فشل {count} ملفًا", other: "سبب فشل {count} ملف" },
+    "heic.unsupported": "نوع ملف غير مدعوم — يرجى اختيار HEIC/HEIF أو JPG/JPEG أو PNG.",
+
+    // SVG → PNG/JPG/WebP
+    "svg.loadFailed": "تعذّر تحميل SVG كصورة (ربما بسبب موارد خارجية غير مدعومة).",
+    "svg.notSvg": "يرجى رفع ملف SVG أو PNG.",
+    "svg.reading": "جارٍ قراءة SVG…",
+    "svg.detectedSize": "الحجم المكتشف: {width}×{height} بكسل (قبل التحجيم)",
+    "svg.loaded": "تم تحميل SVG. اختر صيغة الإخراج وانقر على «تحويل».",
+    "svg.readFailed": "تعذّرت قراءة ملف SVG.",
+    "svg.selectFirst": "يرجى اختيار ملف SVG أو PNG أولًا.",
+    "svg.preparing": "جارٍ تحضير SVG…",
+    "svg.rendering": "جارٍ الرسم…",
+    "svg.exporting": "جارٍ التصدير…",
+    "svg.done": "تم. ملفك جاهز للتنزيل.",
+    "svg.failed": "فشل تحويل SVG.",
+    "svg.chooseFile": "اختر ملف SVG أو PNG",
+    "svg.supported": "الصيغ المدعومة: SVG وPNG",
+    "svg.quality": "جودة JPG/WebP",
+    "svg.scale": "المقياس (مضاعف الدقة)",
+    "svg.scaleHint": "يزيد حجم PNG/JPG/WebP بالبكسل (مفيد لشاشات Retina).",
+    "svg.qualityHint": "يُستخدم فقط عند التصدير إلى JPG/WebP.",
+    "svg.background": "الخلفية (لـ JPG / PNG/WebP غير الشفافة)",
+    "svg.backgroundHint": "ستُملأ شفافية SVG بهذا اللون في مخرجات JPG أو عند تعطيل الشفافية.",
+    "svg.keepTransparency": "الحفاظ على الشفافية (PNG/WebP)",
+    "svg.transparencyHint": "عند التعطيل، سيستخدم تصدير PNG/WebP لون الخلفية أيضًا.",
+    "svg.title": "محوّل SVG → PNG/JPG/WebP",
+    "svg.subtitle": "حوّل رسومات SVG المتجهة إلى صيغ الصور الشائعة وملفات ICO وحزم favicon.",
+    "svg.tip": "نصيحة: للحصول على أفضل النتائج، استخدم ملفات SVG ذات موارد مضمّنة (خطوط/صور). قد تُعرض الموارد الخارجية بشكل مختلف.",
+    "svg.chooseBackground": "اختر لون الخلفية",
+    "svg.readingImage": "جارٍ قراءة الصورة…",
+    "svg.faviconPackage": "حزمة favicon ‏(ZIP)",
+    "svg.imageLoaded": "تم تحميل الصورة. اختر صيغة الإخراج ثم اضغط تحويل.",
+
+    // Icons (ICO / favicon package)
+    "favicon.title": "الأيقونات",
+    "favicon.subtitle": "ICO وحزمة favicon",
+    "favicon.name": "اسم التطبيق",
+    "favicon.namePlaceholder": "موقعي",
+    "favicon.theme": "لون السمة",
+    "favicon.path": "مسار الملفات",
+    "favicon.pathHint": "المسار الذي تُقدَّم منه الملفات، مثل / أو ‎/static/icons/‎.",
+    "favicon.icoHint": "يحتوي favicon.ico على نسخ بمقاسات 16 و32 و48 و64 و256 بكسل. يُستخدم لون الخلفية عند إيقاف الشفافية.",
+    "favicon.packageHint": "ملف ZIP يضم favicon.ico وأيقونات PNG وapple-touch-icon (على لون الخلفية) وأيقونات Android وsite.webmanifest والوسوم الجاهزة للّصق.",
+    "favicon.snippet": "الصقه داخل <head>",
+    "favicon.copy": "نسخ",
+    "favicon.copied": "تم النسخ إلى الحافظة.",
+    "favicon.copyFailed": "تعذّر النسخ. حدّد النص وانسخه يدويًا.",
+    "favicon.building": "جارٍ إنشاء الأيقونات…",
+    "favicon.doneIco": "ملف favicon.ico جاهز للتنزيل.",
+    "favicon.donePackage": "حزمة favicon جاهزة. الصق الوسوم داخل <head>.",
+    "favicon.smallSource": "الصورة بحجم {width}×{height} بكسل فقط، لذا ستبدو الأيقونات الكبيرة (180–512 بكسل) غير حادة. استخدم 512 بكسل أو أكثر، أو ملف SVG.",
+
+    // JPG/PNG ↔ PDF
+    "pdf.jspdfMissing": "مكتبة jsPDF غير متاحة بعد التحميل.",
+    "pdf.pdfjsMissing": "مكتبة pdfjsLib غير متاحة بعد التحميل.",
+    "pdf.noFiles": "لم يتم اختيار أي ملفات بعد.",
+    "pdf.andMore": { other: "… و{count} أخرى" },
+    "pdf.noImages": "لا توجد صور ضمن التحديد.",
+    "pdf.pdfReady": "ملف PDF جاهز — تم تنزيله تلقائيًا. إذا لم يحدث ذلك، فاستخدم الزر أدناه.",
+    "pdf.noPdf": "لا يوجد ملف PDF ضمن التحديد.",
+    "pdf.renderingPages": { zero: "لا توجد صفحات للرسم.", one: "جارٍ رسم صفحة واحدة بصيغة {format}...", two: "جارٍ رسم صفحتين بصيغة {format}...", few: "جارٍ رسم {count} صفحات بصيغة {format}...", many: "جارٍ رسم {count} صفحة بصيغة {format}...", other: "جارٍ رسم {count} صفحة بصيغة {format}..." },
+    "pdf.cancelledPartial": { other: "تم إلغاء التحويل. {done} من {count} صفحة متاحة في {name}." },
+    "pdf.pagesSeparate": "تم تصدير جميع الصفحات كصور وتنزيلها واحدة تلو الأخرى.",
+    "pdf.packingPages": "جارٍ تجميع الصفحات في أرشيف ZIP...",
+    "pdf.pagesZipped": { zero: "لم تُحفظ أي صفحة.", one: "تم حفظ صفحة واحدة في {name} ({size}). إذا لم يبدأ التنزيل، فاستخدم الزر أدناه.", two: "تم حفظ صفحتين في {name} ({size}). إذا لم يبدأ التنزيل، فاستخدم الزر أدناه.", few: "تم حفظ {count} صفحات في {name} ({size}). إذا لم يبدأ التنزيل، فاستخدم الزر أدناه.", many: "تم حفظ {count} صفحة في {name} ({size}). إذا لم يبدأ التنزيل، فاستخدم الزر أدناه.", other: "تم حفظ {count} صفحة في {name} ({size}). إذا لم يبدأ التنزيل، فاستخدم الزر أدناه." },
+    "pdf.selectFirst": "يرجى اختيار ملف واحد على الأقل أولاً.",
+    "pdf.badMode": "وضع تحويل غير مدعوم.",
+    "pdf.chooseFiles": "اختر صورًا (JPG وPNG وTIFF…) أو ملف PDF",
+    "pdf.maxSize": "الحد الأقصى لحجم الملف (تجريبي): 20 ميغابايت",
+    "pdf.targetFormat": "الصيغة الهدف",
+    "pdf.pdfDocument": "مستند PDF",
+    "pdf.layoutQuality": "التخطيط والجودة",
+    "pdf.pageSize": "حجم الصفحة (لـ PDF)",
+    "pdf.letter": "Letter الأمريكي",
+    "pdf.fitImage": "ملاءمة حجم الصورة",
+    "pdf.outputQuality": "جودة الإخراج (لـ JPG/WebP)",
+    "pdf.pageImages": "صور الصفحات (لـ PDF → JPG/PNG)",
+    "pdf.oneZip": "أرشيف ZIP واحد",
+    "pdf.separate": "تنزيل منفصل لكل صفحة",
+    "pdf.zipHint": "قد تحظر المتصفحات التنزيلات المنفصلة الكثيرة — أرشيف ZIP يجمع كل الصفحات معًا.",
+    "pdf.title": "محوّل JPG/PNG ↔ PDF",
+    "pdf.subtitle": "ادمج JPG/PNG في ملف PDF أو صدّر صفحات PDF كـ JPG/PNG.",
+    "pdf.fitImageHint": "يستخدم خيار «ملاءمة حجم الصورة» أبعاد الصورة كحجم للصفحة.",
+    "pdf.tip": "نصيحة: لملف PDF متعدد الصفحات، أضف الصور بالترتيب الذي تريد ظهورها به.",
+    "pdf.swapDirection": "عكس اتجاه التحويل",
+    "pdf.skipped": "تم تخطي {count} (ليست صورًا أو PDF)."
+};
@@ -0,0 +1,488 @@
+/* ============================================================
+   locales/en.js
+   English UI strings. Default locale: missing keys in other
+   locales fall back to these.
+   Plural messages are objects keyed by Intl.PluralRules category.
+   ============================================================ */
+
+export default {
+    // Common
+    "common.noFile": "No file selected yet.",
+    "common.cancelled": "Conversion cancelled.",
+    "common.failed": "Conversion failed.",
+    "common.failedWith": "Conversion failed: {message}",
+    "common.retry": "Retry",
+    "common.undo": "Undo",
+    "common.openSettings": "Open settings",
+    "common.downloadAgain": "Download again",
+    "common.downloadFile": "Download file",
+    "common.working": "Working...",
+    "common.packingZip": "Packing ZIP archive...",
+    "common.swapped": "Formats swapped.",
+    "common.unsupportedType": "Unsupported file type.",
+    "common.size": "Size: {size}",
+    "common.fileReady": "File selected. Ready to convert.",
+    "common.selectFirst": "Please select a file first.",
+    "common.converting": "Converting...",
+    "common.lastConversion": "Last conversion: {time}",
+    "common.formReset": "Form reset.",
+    "common.libraryFailed": "Failed to load {src}",
+    "common.ready": "Ready to convert.",
+    "common.noResult": "Conversion did not produce a result.",
+    "common.last": "Last: {time}",
+    "common.preparing": "Preparing conversion...",
+    "common.error": "Error: {message}",
+
+    // Theme
+    "theme.dark": "Dark",
+    "theme.light": "Light",
+    "theme.toggle": "Toggle color theme",
+
+    // Navigation
+    "nav.home": "Home",
+    "nav.tools": "Tools",
+    "nav.allTools": "All tools",
+    "nav.faq": "FAQ",
+    "nav.fast": "Fast",
+    "nav.online": "Online",
+    "nav.toggle": "Toggle navigation",
+    "nav.language": "Language",
+
+    // Cookie banner
+    "cookie.text": "We use cookies to analyze our traffic and, in the future, to personalize content and ads. By using this site, you agree to this.",
+    "cookie.learnMore": "Learn more",
+    "cookie.accept": "Accept",
+    "cookie.decline": "Decline",
+    "cookie.textConsent": "We use cookies to analyze our traffic and, in the future, to personalize content and ads. By clicking “Accept”, you consent to the use of cookies for analytics and advertising.",
+
+    // Footer
+    "footer.tagline": "Free online converters that run in your browser — fast, private and simple.",
+    "footer.popular": "Popular tools",
+    "footer.allTools": "All tools →",
+    "footer.legal": "Legal",
+    "footer.privacyPolicy": "Privacy & Cookie Policy",
+    "footer.contact": "Contact",
+    "footer.rights": "QuickConvert. All rights reserved.",
+    "footer.privacy": "Privacy",
+
+    // Home page
+    "home.otherConverters": "Other converters",
+    "home.webpDesc": "Convert WebP images to JPG/PNG and back directly in your browser.",
+    "home.webpDescAlt": "Convert modern WebP images to classic formats (JPG, PNG) and back.",
+    "home.heicDesc": "Convert iPhone HEIC photos to more universal JPG or PNG for easy sharing.",
+    "home.pdfDesc": "Turn one or multiple images into a single PDF document (for print or sharing).",
+    "home.pngJpgDesc": "Convert PNG to JPG and JPG to PNG directly in your browser.",
+
+    // Converter cards
+    "ui.noConversions": "No conversions yet",
+    "ui.chooseImages": "Choose images",
+    "ui.chooseImage": "Choose an image",
+    "ui.dropImages": "Drag & drop one or more images here or",
+    "ui.dropImage": "Drag & drop an image here or",
+    "ui.dropSvg": "Drag & drop an SVG here or",
+    "ui.dropFiles": "Drag & drop files here or",
+    "ui.browse": "browse from disk",
+    "ui.maxSizePerFile": "Max size (demo): 20 MB per file",
+    "ui.maxSize": "Max size (demo): 20 MB",
+    "ui.add": "Add",
+    "ui.change": "Change",
+    "ui.sourceFormat": "Source format",
+    "ui.detectAuto": "Detect automatically",
+    "ui.convertTo": "Convert to",
+    "ui.swap": "Swap",
+    "ui.convert": "Convert",
+    "ui.cancel": "Cancel",
+    "ui.reset": "Reset",
+    "ui.downloadHint": "The file should start downloading automatically. If it does not, use the button below.",
+    "ui.downloadResult": "Download result",
+    "ui.qualityOptions": "Quality options",
+    "ui.fineTuning": "Fine-tuning",
+    "ui.jpgQuality": "JPG quality",
+    "ui.smallerFile": "Smaller file",
+    "ui.higherQuality": "Higher quality",
+    "ui.compressFile": "Compress file",
+    "ui.compressHint": "Tries to reduce file size while keeping quality acceptable.",
+    "ui.swapFormats": "Swap source and target formats",
+
+    // Edit
+    "edit.title": "Edit",
+    "edit.subtitle": "Crop, rotate, flip",
+    "edit.empty": "Choose an image to crop, rotate or flip it before converting.",
+    "edit.rotateLeft": "Rotate left",
+    "edit.rotateRight": "Rotate right",
+    "edit.flipHorizontal": "Flip horizontally",
+    "edit.flipVertical": "Flip vertically",
+    "edit.aspect": "Crop ratio",
+    "edit.free": "Freeform",
+    "edit.reset": "Reset edits",
+    "edit.area": "Crop area",
+    "edit.x": "Left (px)",
+    "edit.y": "Top (px)",
+    "edit.width": "Width (px)",
+    "edit.height": "Height (px)",
+    "edit.output": "Result: {width}×{height} px.",
+    "edit.hint": "Drag on the image to select an area.",
+    "edit.batchHint": "With several files, each gets the same edits.",
+
+    // Resize
+    "resize.title": "Resize",
+    "resize.subtitle": "Output size",
+    "resize.mode": "Mode",
+    "resize.original": "Original size",
+    "resize.dimensions": "Width & height",
+    "resize.edge": "Max long edge",
+    "resize.percent": "Percentage",
+    "resize.size": "Size (px)",
+    "resize.width": "Width",
+    "resize.height": "Height",
+    "resize.lock": "Keep aspect ratio",
+    "resize.edgeLabel": "Long edge (px)",
+    "resize.edgeHint": "Only larger images are scaled down.",
+    "resize.percentLabel": "Scale (%)",
+    "resize.resampling": "Resampling",
+    "resize.high": "Smooth (high quality)",
+    "resize.stepwise": "Stepwise (crisp downscaling)",
+    "resize.medium": "Balanced",
+    "resize.low": "Fast",
+    "resize.pixelated": "Pixelated (nearest neighbour)",
+
+    // Target file size
+    "target.title": "Target file size",
+    "target.subtitle": "Fit into a size limit",
+    "target.limit": "Maximum size",
+    "target.unit": "Unit",
+    "target.hint": "The highest quality that fits is picked automatically; PNG stays lossless.",
+    "target.fit": "Reduce dimensions if needed",
+    "target.fitHint": "Used when even the lowest quality is too large, and for PNG.",
+    "target.quality": "quality {quality}%",
+    "target.achieved": "Fits {limit}: {size} at quality {quality}%.",
+    "target.achievedLossless": "Fits {limit}: {size}, lossless.",
+    "target.resized": "Scaled down to {width}×{height} to fit.",
+    "target.invalid": "Enter a target size greater than zero.",
+
+    // Metadata
+    "meta.label": "Metadata (EXIF)",
+    "meta.strip": "Strip all",
+    "meta.stripLocation": "Strip location only",
+    "meta.keep": "Keep metadata",
+    "meta.hint": "Photos are always turned upright. Metadata can only be kept in JPG output.",
+
+    // Animation frames
+    "frames.title": "Animation",
+    "frames.mode": "Export",
+    "frames.single": "Selected frame",
+    "frames.all": "All frames (ZIP)",
+    "frames.hint": "All frames come as separate images plus a list of their delays.",
+    "frames.frame": "Frame",
+    "frames.current": "{index} of {count} · {delay} ms",
+    "frames.delays": "Frame delays",
+    "frames.delay": "{delay} ms",
+    "frames.count": { one: "{count} frame", other: "{count} frames" },
+    "frames.duration": "{seconds} s",
+    "frames.loopForever": "loops forever",
+    "frames.loopOnce": "plays once",
+    "frames.loopCount": { one: "repeats {count} time", other: "repeats {count} times" },
+    "frames.converting": { one: "Converting {count} frame...", other: "Converting {count} frames..." },
+    "frames.done": { one: "{count} frame exported as ZIP.", other: "{count} frames exported as ZIP." },
+
+    // GIF output
+    "gif.title": "GIF options",
+    "gif.subtitle": "Palette",
+    "gif.colors": "Colours",
+    "gif.dither": "Dithering",
+    "gif.ditherHint": "Smooths gradients with a pattern of palette colours. Files get larger.",
+    "gif.delay": "Frame delay (ms)",
+    "gif.delayHint": "How long each selected image is shown.",
+    "gif.hint": "GIF keeps up to 256 colours per frame. For an animated source choose “All frames” to get an animated GIF; select several images to turn them into one.",
+    "gif.building": { one: "Building a GIF from {count} frame...", other: "Building a GIF from {count} frames..." },
+    "gif.done": { one: "Animated GIF with {count} frame is ready.", other: "Animated GIF with {count} frames is ready." },
+    "gif.noBudget": "Target file size works for single images only. Turn it off to build an animated GIF.",
+
+    // AVIF output
+    "avif.title": "AVIF options",
+    "avif.subtitle": "Encoder",
+    "avif.speed": "Encoding speed",
+    "avif.speedHint": "Slower speeds give smaller files but take much longer.",
+    "avif.native": "Your browser encodes AVIF itself.",
+    "avif.wasm": "Your browser cannot encode AVIF, so the built-in encoder is used. The first conversion downloads it (about 3.5 MB).",
+    "avif.unavailable": "AVIF output is not available in this browser: it cannot encode AVIF and does not support WebAssembly for the built-in encoder. Choose another format.",
+
+    // PNG-8 palette
+    "palette.title": "Reduce colours",
+    "palette.subtitle": "Indexed PNG-8",
+    "palette.hint": "A palette of up to 256 colours often makes PNG files several times smaller. Transparency is kept.",
+    "palette.colors": "Colours (2–256)",
+    "palette.saved": "PNG-8 saves {saved} ({percent}%) compared with a full-colour PNG",
+    "palette.savedShort": "PNG-8 −{percent}%",
+    "palette.notSaved": "PNG-8 is not smaller than a full-colour PNG here ({size})",
+
+    // JPEG encoder
+    "jpeg.title": "Advanced JPEG encoder",
+    "jpeg.subtitle": "MozJPEG",
+    "jpeg.hint": "Noticeably smaller files at the same quality. The encoder (about 250 KB) is downloaded on first use.",
+    "jpeg.progressive": "Progressive",
+    "jpeg.progressiveHint": "Loads from blurry to sharp and is usually smaller.",
+    "jpeg.subsampling": "Chroma subsampling",
+    "jpeg.s420": "4:2:0 — smaller file",
+    "jpeg.s444": "4:4:4 — sharper colour edges",
+    "jpeg.optimize": "Optimized Huffman tables",
+    "jpeg.optimizeHint": "Always on for progressive files.",
+    "jpeg.trellis": "Thorough trellis quantization",
+    "jpeg.trellisHint": "Extra passes for a slightly smaller file. Slower.",
+
+    // Preview
+    "preview.title": "Preview",
+    "preview.zoom": "Zoom",
+    "preview.zoomIn": "Zoom in",
+    "preview.zoomOut": "Zoom out",
+    "preview.fit": "Fit",
+    "preview.split": "Original / converted split",
+    "preview.before": "Original",
+    "preview.after": "Converted",
+    "preview.sizes": "{before} → {after} ({change}%)",
+    "preview.rendering": "Rendering preview…",
+    "preview.failed": "Preview failed: {message}",
+
+    // Progress
+    "progress.stage.read": "Reading…",
+    "progress.stage.decode": "Decoding…",
+    "progress.stage.render": "Rendering…",
+    "progress.stage.encode": "Encoding…",
+    "progress.stage.package": "Packaging…",
+    "progress.itemsDone": "{done} of {count} done",
+    "progress.eta": "about {time} left",
+    "progress.seconds": "{count} s",
+    "progress.minutes": "{count} min",
+
+    // Batch queue
+    "queue.state.pending": "Waiting",
+    "queue.state.processing": "Converting",
+    "queue.state.done": "Done",
+    "queue.state.error": "Failed",
+    "queue.state.cancelled": "Cancelled",
+    "queue.retryFile": "Retry {name}",
+    "queue.removeFile": "Remove {name}",
+    "queue.label": "Files to convert",
+
+    // Toasts
+    "toast.region": "Notifications",
+    "toast.dismiss": "Dismiss notification",
+
+    // Multi-file status
+    "files.selected": { one: "{count} file selected", other: "{count} files selected" },
+    "files.selectedName": "Selected: {name}",
+    "files.ready": { one: "{count} file ready to convert.", other: "{count} files ready to convert." },
+    "files.cleared": "Selection cleared.",
+    "files.failed": { one: "{count} file failed to convert.", other: "{count} files failed to convert." },
+    "files.retryFailed": "Retry failed",
+    "files.allFailed": "Conversion failed for all files.",
+    "files.downloadAll": { one: "Download all ({count} file, ZIP)", other: "Download all ({count} files, ZIP)" },
+    "files.someFailed": { one: "{summary}. {count} failed — use retry in the list.", other: "{summary}. {count} failed — use retry in the list." },
+    "files.cancelledPartial": { one: "Cancelled — {done} of {count} file converted. You can still download it below.", other: "Cancelled — {done} of {count} files converted. You can still download them below." },
+
+    // File format check
+    "sniff.mislabeled": "“{name}” is actually a {actual} file, not {declared} — it is converted as {actual}.",
+    "sniff.mislabeledMany": { one: "{count} file is not what its name or type says — it is converted as what it really is.", other: "{count} files are not what their name or type says — they are converted as what they really are." },
+    "sniff.otherTool": "“{name}” is a {format} file — the {tool} converter handles it.",
+    "sniff.otherToolMany": { one: "{count} file belongs in the {tool} converter.", other: "{count} files belong in the {tool} converter." },
+    "sniff.open": "Open {tool}",
+
+    // Image size limits
+    "limits.tooLarge": "“{name}” is {width} × {height} px — more than this browser can process (about {megapixels} MP). It is scaled down to {fitWidth} × {fitHeight} px.",
+    "limits.tooLargeMany": { one: "{count} image is larger than this browser can process (about {megapixels} MP) — it is scaled down to fit.", other: "{count} images are larger than this browser can process (about {megapixels} MP) — they are scaled down to fit." },
+    "limits.splitTiles": "Split into tiles instead",
+    "limits.tilesChosen": { one: "{count} image will be split into tiles at full resolution. Edits, resizing and the size target do not apply to it.", other: "{count} images will be split into tiles at full resolution. Edits, resizing and the size target do not apply to them." },
+    "limits.tileCount": { one: "{count} tile", other: "{count} tiles" },
+    "limits.tilesReady": { one: "Split into {count} tile — {size} in total", other: "Split into {count} tiles — {size} in total" },
+    "limits.downscaledFrom": "scaled down from {width}×{height}",
+    "limits.svgScaled": "At this scale the image would be {width} × {height} px, more than this browser can draw. It is rendered at {fitWidth} × {fitHeight} px instead.",
+    "limits.pdfScaled": { one: "{count} page was rendered at a lower resolution to stay within this browser's limits.", other: "{count} pages were rendered at a lower resolution to stay within this browser's limits." },
+
+    // SVG sanitizer
+    "svgsafe.title": { one: "{count} unsafe item removed from this SVG", other: "{count} unsafe items removed from this SVG" },
+    "svgsafe.removed": { one: "Removed {count} unsafe item (scripts, event handlers or external links) before preview.", other: "Removed {count} unsafe items (scripts, event handlers or external links) before preview." },
+    "svgsafe.editor": { one: "Also removed: {count} editor metadata item (Inkscape, Illustrator, Sketch).", other: "Also removed: {count} editor metadata items (Inkscape, Illustrator, Sketch)." },
+    "svgsafe.kind.script": "Script",
+    "svgsafe.kind.handler": "Event handler",
+    "svgsafe.kind.element": "Element",
+    "svgsafe.kind.link": "External link",
+    "svgsafe.kind.style": "Style",
+    "svgsafe.kind.attribute": "Attribute",
+
+    // Errors (err.code → message)
+    "errors.generic": "Something went wrong.",
+    "errors.READ_FAILED": "Failed to read file.",
+    "errors.DECODE_FAILED": "Failed to decode image. Unsupported or corrupted file.",
+    "errors.CANVAS_UNSUPPORTED": "Canvas is not supported in this browser.",
+    "errors.ENCODE_FAILED": "Failed to generate output image.",
+    "errors.ENCODE_UNSUPPORTED": "This browser cannot encode {format} images.",
+    "errors.ZIP_TOO_LARGE": "Archive is too large (over 4 GB).",
+    "errors.ZIP_TOO_MANY_FILES": "Too many files for one archive ({count}, at most {max}).",
+    "errors.TARGET_SIZE_PNG": "A lossless {format} of this image cannot fit into {size}. Allow reducing dimensions or choose JPG/WebP.",
+    "errors.TARGET_SIZE_UNREACHABLE": "Even the lowest quality does not fit into {size}. Allow reducing dimensions or raise the limit.",
+    "errors.TARGET_SIZE_TOO_SMALL": "{size} is too small for this image, even scaled down.",
+    "errors.NOT_ANIMATED": "This image has only one frame.",
+    "errors.TIFF_UNSUPPORTED": "This TIFF uses {feature}, which is not supported. Save it without compression or with LZW/Deflate.",
+    "errors.AVIF_UNSUPPORTED": "This browser cannot encode AVIF, and the built-in AVIF encoder could not be loaded. Check your connection or choose another format.",
+    "errors.JPEG_ENCODER_UNAVAILABLE": "The advanced JPEG encoder could not be loaded. Check your connection or turn it off to use the browser's encoder.",
+    "errors.IMAGE_TOO_LARGE": "This image ({width} × {height} px) is too large for this browser to open.",
+    "errors.SVG_INVALID": "The file is not a well-formed SVG image.",
+    "errors.PREVIEW_FAILED": "Image cannot be displayed.",
+    "errors.ICO_EMPTY": "An ICO file needs at least one image.",
+    "errors.ICO_SIZE": "ICO images must be 1–{max} px, got {width} × {height}.",
+
+    // PNG ↔ JPG
+    "pngjpg.unsupported": "Unsupported file type — please choose PNG, JPG/JPEG, BMP or TIFF.",
+    "pngjpg.skipped": "{count} skipped (not PNG/JPG/BMP/TIFF).",
+    "pngjpg.readyOne": "Conversion ready — {size}",
+    "pngjpg.readyMany": { one: "Converted {count} file — {size} in total", other: "Converted {count} files — {size} in total" },
+    "pngjpg.chooseFile": "Please choose a file first.",
+    "pngjpg.invalidTarget": "Please choose a valid target format.",
+    "pngjpg.converting": "Converting images...",
+    "pngjpg.supported": "Supported: PNG, JPG, JPEG, BMP, TIFF — several files at once",
+    "pngjpg.compressHint": "Tries to reduce file size while keeping quality acceptable (mainly affects JPG output).",
+    "pngjpg.batch": "Batch processing",
+    "pngjpg.oneAtATime": "One file at a time",
+    "pngjpg.twoParallel": "2 files in parallel",
+    "pngjpg.fourParallel": "4 files in parallel",
+    "pngjpg.zipHint": "Several files are downloaded together as one ZIP archive.",
+    "pngjpg.title": "PNG ↔ JPG converter",
+    "pngjpg.subtitle": "Convert PNG images to JPG and JPG to PNG directly in your browser.",
+    "pngjpg.tip": "Tip: JPG is great for photos and sharing, PNG is better for transparency and graphics.",
+    "pngjpg.pagesSplit": { one: "{count} TIFF page is converted as a separate image.", other: "{count} TIFF pages are converted as separate images." },
+
+    // WebP ↔ JPG/PNG
+    "webp.unsupported": "Please select a WebP, PNG, JPG, GIF, BMP or TIFF image.",
+    "webp.tooLarge": "Selected file is too large (max 20 MB).",
+    "webp.sizeLimit": "File size exceeds 20 MB limit.",
+    "webp.animatedNote": "Animated image: pick a frame or export all frames under “Animation”.",
+    "webp.noEncoder": "This browser does not support WebP encoding via Canvas. Try using JPG or PNG as the target format.",
+    "webp.converting": "Converting image...",
+    "webp.success": "Conversion successful!",
+    "webp.successToast": "Image converted successfully.",
+    "webp.error": "Error during conversion.",
+    "webp.supported": "Supported: WebP, PNG, JPG, JPEG, GIF, BMP, TIFF",
+    "webp.quality": "WebP / JPG quality",
+    "webp.title": "WebP ↔ JPG/PNG converter",
+    "webp.subtitle": "Convert WebP images to JPG, PNG and back.",
+    "webp.tip": "Tip: WebP is great for the web; convert back to JPG/PNG for tools that don’t support it yet.",
+    "webp.sequenceName": { one: "{count} image", other: "{count} images" },
+    "webp.sequenceNote": "Several images selected: they become the frames of an animated GIF.",
+    "webp.sequenceGifOnly": "Several images can only be combined into a GIF. Choose GIF as the target format.",
+    "webp.tiffFirstPage": { one: "This TIFF has {count} page.", other: "This TIFF has {count} pages: only the first one is converted here. The PNG ↔ JPG converter converts every page." },
+
+    // HEIC → JPG/PNG
+    "heic.libraryMissing": "heic2any is not available after loading.",
+    "heic.done": "Done. File has been downloaded. You can use “Download result” again if needed.",
+    "heic.failed": "HEIC conversion failed.",
+    "heic.chooseFile": "Choose HEIC photos or a folder",
+    "heic.recommended": "Recommended: HEIC / HEIF from iOS",
+    "heic.alsoAccepts": "Also accepts JPG, JPEG, PNG",
+    "heic.title": "HEIC → JPG/PNG converter",
+    "heic.subtitle": "Convert HEIC photos to standard JPG or PNG files.",
+    "heic.tip": "Tip: Drop a whole folder of iPhone photos to convert all of them at once — the results come as one ZIP.",
+    "heic.imagesTitle": "Images in this file",
+    "heic.imagesSummary": { one: "{count} image · {selected} selected", other: "{count} images · {selected} selected" },
+    "heic.imagesFound": { one: "This file holds {count} image.", other: "This file holds {count} images. All of them are exported unless you untick some." },
+    "heic.imagesHint": "Click a picture to preview it. Convert exports the ticked images with numbered names, several as one ZIP. Crop and rotate apply to all of them.",
+    "heic.selectAll": "Select all",
+    "heic.selectNone": "Select none",
+    "heic.imageLabel": "Image {index} of {count}",
+    "heic.downloadImage": "Convert and download image {index}",
+    "heic.noneSelected": "Tick at least one image to export.",
+    "heic.convertingImage": "Converting image {index} of {count}...",
+    "heic.doneImages": { one: "Done. {count} image saved to {name} ({size}). You can use “Download result” again if needed.", other: "Done. {count} images saved to {name} ({size}). You can use “Download result” again if needed." },
+    "heic.dropPhotos": "Drag & drop photos or a whole folder here or",
+    "heic.chooseFolder": "Choose a folder",
+    "heic.skipped": { one: "{count} file that is not a photo was skipped.", other: "{count} files that are not photos were skipped." },
+    "heic.imagesCount": { one: "{count} image", other: "{count} images" },
+    "heic.readyOne": "Saved {name} ({size})",
+    "heic.readyImages": { one: "{count} image saved to {name} ({size})", other: "{count} images saved to {name} ({size})" },
+    "heic.failedTitle": { one: "Why {count} file failed", other: "Why {count} files failed" },
+    "heic.unsupported": "Unsupported file type — please choose HEIC/HEIF, JPG/JPEG or PNG.",
+
+    // SVG → PNG/JPG/WebP
+    "svg.loadFailed": "Failed to load SVG as image (maybe unsupported external assets).",
+    "svg.notSvg": "Please upload an SVG or PNG file.",
+    "svg.reading": "Reading SVG…",
+    "svg.detectedSize": "Detected size: {width}×{height} px (before scaling)",
+    "svg.loaded": "SVG loaded. Choose output format and click Convert.",
+    "svg.readFailed": "Failed to read the SVG file.",
+    "svg.selectFirst": "Please select an SVG or PNG file first.",
+    "svg.preparing": "Preparing SVG…",
+    "svg.rendering": "Rendering…",
+    "svg.exporting": "Exporting…",
+    "svg.done": "Done. Your file is ready to download.",
+    "svg.failed": "SVG conversion failed.",
+    "svg.chooseFile": "Choose an SVG or PNG file",
+    "svg.supported": "Supported: SVG, PNG",
+    "svg.quality": "JPG/WebP quality",
+    "svg.scale": "Scale (resolution multiplier)",
+    "svg.scaleHint": "Increases PNG/JPG/WebP pixel size (useful for retina exports).",
+    "svg.qualityHint": "Used only when exporting to JPG/WebP.",
+    "svg.background": "Background (for JPG / non-transparent PNG/WebP)",
+    "svg.backgroundHint": "SVG transparency will be filled with this color in JPG output or when transparency is disabled.",
+    "svg.keepTransparency": "Keep transparency (PNG/WebP)",
+    "svg.transparencyHint": "If disabled, PNG/WebP export will also use the background color.",
+    "svg.title": "SVG → PNG/JPG/WebP converter",
+    "svg.subtitle": "Convert SVG vector graphics to common image formats, ICO files and favicon packages.",
+    "svg.tip": "Tip: For best results, use SVGs with embedded assets (fonts/images). External resources may render differently.",
+    "svg.chooseBackground": "Choose background color",
+    "svg.readingImage": "Reading image…",
+    "svg.faviconPackage": "Favicon package (ZIP)",
+    "svg.imageLoaded": "Image loaded. Choose an output format and click Convert.",
+
+    // Icons (ICO / favicon package)
+    "favicon.title": "Icons",
+    "favicon.subtitle": "ICO & favicon package",
+    "favicon.name": "App name",
+    "favicon.namePlaceholder": "My site",
+    "favicon.theme": "Theme colour",
+    "favicon.path": "Files live at",
+    "favicon.pathHint": "Path the files are served from, e.g. / or /static/icons/.",
+    "favicon.icoHint": "favicon.ico holds 16, 32, 48, 64 and 256 px versions. The background colour is used when transparency is off.",
+    "favicon.packageHint": "ZIP with favicon.ico, PNG favicons, apple-touch-icon (on the background colour), Android icons, site.webmanifest and the tags to paste.",
+    "favicon.snippet": "Paste into <head>",
+    "favicon.copy": "Copy",
+    "favicon.copied": "Copied to clipboard.",
+    "favicon.copyFailed": "Copying failed. Select the text and copy it manually.",
+    "favicon.building": "Building icons…",
+    "favicon.doneIco": "favicon.ico is ready to download.",
+    "favicon.donePackage": "Favicon package is ready. Paste the tags into your <head>.",
+    "favicon.smallSource": "The picture is only {width}×{height} px, so large icons (180–512 px) will look soft. Use 512 px or more, or an SVG.",
+
+    // JPG/PNG ↔ PDF
+    "pdf.jspdfMissing": "jsPDF not available after loading.",
+    "pdf.pdfjsMissing": "pdfjsLib not available after loading.",
+    "pdf.noFiles": "No files selected yet.",
+    "pdf.andMore": { one: "… and {count} more", other: "… and {count} more" },
+    "pdf.noImages": "No images found in selection.",
+    "pdf.pdfReady": "PDF ready — downloaded automatically. If not, use the button below.",
+    "pdf.noPdf": "No PDF file found in selection.",
+    "pdf.renderingPages": { one: "Rendering {count} page to {format}...", other: "Rendering {count} pages to {format}..." },
+    "pdf.cancelledPartial": { one: "Conversion cancelled. {done} of {count} page is available in {name}.", other: "Conversion cancelled. {done} of {count} pages are available in {name}." },
+    "pdf.pagesSeparate": "All pages exported as images and downloaded one by one.",
+    "pdf.packingPages": "Packing pages into a ZIP archive...",
+    "pdf.pagesZipped": { one: "{count} page saved to {name} ({size}). If the download did not start, use the button below.", other: "{count} pages saved to {name} ({size}). If the download did not start, use the button below." },
+    "pdf.selectFirst": "Please select at least one file first.",
+    "pdf.badMode": "Unsupported conversion mode.",
+    "pdf.chooseFiles": "Choose images (JPG, PNG, TIFF…) or a PDF",
+    "pdf.maxSize": "Max size per file (demo): 20 MB",
+    "pdf.targetFormat": "Target format",
+    "pdf.pdfDocument": "PDF document",
+    "pdf.layoutQuality": "Layout & quality",
+    "pdf.pageSize": "Page size (for PDF)",
+    "pdf.letter": "US Letter",
+    "pdf.fitImage": "Fit image size",
+    "pdf.outputQuality": "Output quality (for JPG/WebP)",
+    "pdf.pageImages": "Page images (for PDF → JPG/PNG)",
+    "pdf.oneZip": "One ZIP archive",
+    "pdf.separate": "Separate download per page",
+    "pdf.zipHint": "Browsers may block many separate downloads — the ZIP keeps all pages together.",
+    "pdf.title": "JPG/PNG ↔ PDF converter",
+    "pdf.subtitle": "Combine JPG/PNG into a PDF or export PDF pages as JPG/PNG.",
+    "pdf.fitImageHint": "“Fit image size” uses the image dimensions as page size.",
+    "pdf.tip": "Tip: For multi-page PDF, add images in the order you want them to appear.",
+    "pdf.swapDirection": "Swap conversion direction",
+    "pdf.skipped": { one: "{count} skipped (not an image or PDF).", other: "{count} skipped (not images or PDFs)." }
+};
@@ -0,0 +1,487 @@
+/* ============================================================
+   locales/es.js
+   Spanish UI strings.
+   Plural messages are objects keyed by Intl.PluralRules category.
+   ============================================================ */
+
+export default {
+    // Common
+    "common.noFile": "Aún no se ha seleccionado ningún archivo.",
+    "common.cancelled": "Conversión cancelada.",
+    "common.failed": "La conversión ha fallado.",
+    "common.failedWith": "La conversión ha fallado: {message}",
+    "common.retry": "Reintentar",
+    "common.undo": "Deshacer",
+    "common.openSettings": "Abrir ajustes",
+    "common.downloadAgain": "Descargar de nuevo",
+    "common.downloadFile": "Descargar archivo",
+    "common.working": "Procesando...",
+    "common.packingZip": "Creando archivo ZIP...",
+    "common.swapped": "Formatos intercambiados.",
+    "common.unsupportedType": "Tipo de archivo no compatible.",
+    "common.size": "Tamaño: {size}",
+    "common.fileReady": "Archivo seleccionado. Listo para convertir.",
+    "common.selectFirst": "Primero selecciona un archivo.",
+    "common.converting": "Convirtiendo...",
+    "common.lastConversion": "Última conversión: {time}",
+    "common.formReset": "Formulario restablecido.",
+    "common.libraryFailed": "No se pudo cargar {src}",
+    "common.ready": "Listo para convertir.",
+    "common.noResult": "La conversión no produjo ningún resultado.",
+    "common.last": "Última: {time}",
+    "common.preparing": "Preparando la conversión...",
+    "common.error": "Error: {message}",
+
+    // Theme
+    "theme.dark": "Oscuro",
+    "theme.light": "Claro",
+    "theme.toggle": "Cambiar tema de color",
+
+    // Navigation
+    "nav.home": "Inicio",
+    "nav.tools": "Herramientas",
+    "nav.allTools": "Todas las herramientas",
+    "nav.faq": "Preguntas frecuentes",
+    "nav.fast": "Rápido",
+    "nav.online": "En línea",
+    "nav.toggle": "Mostrar u ocultar navegación",
+    "nav.language": "Idioma",
+
+    // Cookie banner
+    "cookie.text": "Usamos cookies para analizar nuestro tráfico y, en el futuro, para personalizar contenido y anuncios. Al usar este sitio, aceptas su uso.",
+    "cookie.learnMore": "Más información",
+    "cookie.accept": "Aceptar",
+    "cookie.decline": "Rechazar",
+    "cookie.textConsent": "Usamos cookies para analizar nuestro tráfico y, en el futuro, para personalizar contenido y anuncios. Al hacer clic en «Aceptar», consientes el uso de cookies para análisis y publicidad.",
+
+    // Footer
+    "footer.tagline": "Conversores en línea gratuitos que funcionan en tu navegador: rápidos, privados y sencillos.",
+    "footer.popular": "Herramientas populares",
+    "footer.allTools": "Todas las herramientas →",
+    "footer.legal": "Legal",
+    "footer.privacyPolicy": "Política de privacidad y cookies",
+    "footer.contact": "Contacto",
+    "footer.rights": "QuickConvert. Todos los derechos reservados.",
+    "footer.privacy": "Privacidad",
+
+    // Home page
+    "home.otherConverters": "Otros conversores",
+    "home.webpDesc": "Convierte imágenes WebP a JPG/PNG y viceversa directamente en tu navegador.",
+    "home.webpDescAlt": "Convierte imágenes WebP modernas a formatos clásicos (JPG, PNG) y viceversa.",
+    "home.heicDesc": "Convierte fotos HEIC del iPhone a JPG o PNG, más universales y fáciles de compartir.",
+    "home.pdfDesc": "Convierte una o varias imágenes en un único documento PDF (para imprimir o compartir).",
+    "home.pngJpgDesc": "Convierte PNG a JPG y JPG a PNG directamente en tu navegador.",
+
+    // Converter cards
+    "ui.noConversions": "Aún no hay conversiones",
+    "ui.chooseImages": "Elige imágenes",
+    "ui.chooseImage": "Elige una imagen",
+    "ui.dropImages": "Arrastra y suelta aquí una o varias imágenes o",
+    "ui.dropImage": "Arrastra y suelta aquí una imagen o",
+    "ui.dropSvg": "Arrastra y suelta aquí un SVG o",
+    "ui.dropFiles": "Arrastra y suelta aquí los archivos o",
+    "ui.browse": "búscalos en el disco",
+    "ui.maxSizePerFile": "Tamaño máximo (demo): 20 MB por archivo",
+    "ui.maxSize": "Tamaño máximo (demo): 20 MB",
+    "ui.add": "Añadir",
+    "ui.change": "Cambiar",
+    "ui.sourceFormat": "Formato de origen",
+    "ui.detectAuto": "Detectar automáticamente",
+    "ui.convertTo": "Convertir a",
+    "ui.swap": "Intercambiar",
+    "ui.convert": "Convertir",
+    "ui.cancel": "Cancelar",
+    "ui.reset": "Restablecer",
+    "ui.downloadHint": "La descarga debería empezar automáticamente. Si no es así, usa el botón de abajo.",
+    "ui.downloadResult": "Descargar resultado",
+    "ui.qualityOptions": "Opciones de calidad",
+    "ui.fineTuning": "Ajuste fino",
+    "ui.jpgQuality": "Calidad JPG",
+    "ui.smallerFile": "Archivo más pequeño",
+    "ui.higherQuality": "Mayor calidad",
+    "ui.compressFile": "Comprimir archivo",
+    "ui.compressHint": "Intenta reducir el tamaño del archivo manteniendo una calidad aceptable.",
+    "ui.swapFormats": "Intercambiar formatos de origen y destino",
+
+    // Edit
+    "edit.title": "Editar",
+    "edit.subtitle": "Recortar, girar, voltear",
+    "edit.empty": "Elige una imagen para recortarla, girarla o voltearla antes de convertir.",
+    "edit.rotateLeft": "Girar a la izquierda",
+    "edit.rotateRight": "Girar a la derecha",
+    "edit.flipHorizontal": "Voltear horizontalmente",
+    "edit.flipVertical": "Voltear verticalmente",
+    "edit.aspect": "Proporción del recorte",
+    "edit.free": "Libre",
+    "edit.reset": "Deshacer ediciones",
+    "edit.area": "Área de recorte",
+    "edit.x": "Izquierda (px)",
+    "edit.y": "Arriba (px)",
+    "edit.width": "Ancho (px)",
+    "edit.height": "Alto (px)",
+    "edit.output": "Resultado: {width}×{height} px.",
+    "edit.hint": "Arrastra sobre la imagen para seleccionar un área.",
+    "edit.batchHint": "Con varios archivos, todos reciben las mismas ediciones.",
+
+    // Resize
+    "resize.title": "Redimensionar",
+    "resize.subtitle": "Tamaño de salida",
+    "resize.mode": "Modo",
+    "resize.original": "Tamaño original",
+    "resize.dimensions": "Ancho y alto",
+    "resize.edge": "Lado largo máximo",
+    "resize.percent": "Porcentaje",
+    "resize.size": "Tamaño (px)",
+    "resize.width": "Ancho",
+    "resize.height": "Alto",
+    "resize.lock": "Mantener proporción",
+    "resize.edgeLabel": "Lado largo (px)",
+    "resize.edgeHint": "Solo se reducen las imágenes más grandes.",
+    "resize.percentLabel": "Escala (%)",
+    "resize.resampling": "Remuestreo",
+    "resize.high": "Suave (alta calidad)",
+    "resize.stepwise": "Por pasos (reducción nítida)",
+    "resize.medium": "Equilibrado",
+    "resize.low": "Rápido",
+    "resize.pixelated": "Pixelado (vecino más cercano)",
+
+    // Target file size
+    "target.title": "Tamaño objetivo",
+    "target.subtitle": "Ajustar a un límite de tamaño",
+    "target.limit": "Tamaño máximo",
+    "target.unit": "Unidad",
+    "target.hint": "Se elige automáticamente la mayor calidad que cabe; PNG sigue sin pérdida.",
+    "target.fit": "Reducir dimensiones si hace falta",
+    "target.fitHint": "Se usa cuando incluso la calidad más baja es demasiado grande, y para PNG.",
+    "target.quality": "calidad {quality}%",
+    "target.achieved": "Cabe en {limit}: {size} con calidad {quality}%.",
+    "target.achievedLossless": "Cabe en {limit}: {size}, sin pérdida.",
+    "target.resized": "Reducido a {width}×{height} para caber.",
+    "target.invalid": "Introduce un tamaño objetivo mayor que cero.",
+
+    // Metadata
+    "meta.label": "Metadatos (EXIF)",
+    "meta.strip": "Eliminar todo",
+    "meta.stripLocation": "Eliminar solo la ubicación",
+    "meta.keep": "Conservar metadatos",
+    "meta.hint": "Las fotos siempre se enderezan. Los metadatos solo se conservan en salida JPG.",
+
+    // Animation frames
+    "frames.title": "Animación",
+    "frames.mode": "Exportar",
+    "frames.single": "Fotograma seleccionado",
+    "frames.all": "Todos los fotogramas (ZIP)",
+    "frames.hint": "Todos los fotogramas se entregan como imágenes separadas junto con una lista de sus retardos.",
+    "frames.frame": "Fotograma",
+    "frames.current": "{index} de {count} · {delay} ms",
+    "frames.delays": "Retardos de los fotogramas",
+    "frames.delay": "{delay} ms",
+    "frames.count": { one: "{count} fotograma", other: "{count} fotogramas" },
+    "frames.duration": "{seconds} s",
+    "frames.loopForever": "en bucle infinito",
+    "frames.loopOnce": "se reproduce una vez",
+    "frames.loopCount": { one: "se repite {count} vez", other: "se repite {count} veces" },
+    "frames.converting": { one: "Convirtiendo {count} fotograma...", other: "Convirtiendo {count} fotogramas..." },
+    "frames.done": { one: "{count} fotograma exportado como ZIP.", other: "{count} fotogramas exportados como ZIP." },
+
+    // GIF output
+    "gif.title": "Opciones de GIF",
+    "gif.subtitle": "Paleta",
+    "gif.colors": "Colores",
+    "gif.dither": "Tramado",
+    "gif.ditherHint": "Suaviza los degradados con un patrón de colores de la paleta. Los archivos pesan más.",
+    "gif.delay": "Retardo por fotograma (ms)",
+    "gif.delayHint": "Cuánto tiempo se muestra cada imagen seleccionada.",
+    "gif.hint": "GIF guarda hasta 256 colores por fotograma. Con una fuente animada elige «Todos los fotogramas» para obtener un GIF animado; selecciona varias imágenes para unirlas en uno.",
+    "gif.building": { one: "Creando un GIF de {count} fotograma...", other: "Creando un GIF de {count} fotogramas..." },
+    "gif.done": { one: "GIF animado con {count} fotograma listo.", other: "GIF animado con {count} fotogramas listo." },
+    "gif.noBudget": "El tamaño objetivo solo funciona con imágenes sueltas. Desactívalo para crear un GIF animado.",
+
+    // AVIF output
+    "avif.title": "Opciones de AVIF",
+    "avif.subtitle": "Codificador",
+    "avif.speed": "Velocidad de codificación",
+    "avif.speedHint": "Las velocidades bajas dan archivos más pequeños, pero tardan mucho más.",
+    "avif.native": "Tu navegador codifica AVIF por sí mismo.",
+    "avif.wasm": "Tu navegador no puede codificar AVIF, así que se usa el codificador integrado. La primera conversión lo descarga (unos 3,5 MB).",
+    "avif.unavailable": "La salida AVIF no está disponible en este navegador: no puede codificar AVIF ni admite WebAssembly para el codificador integrado. Elige otro formato.",
+
+    // PNG-8 palette
+    "palette.title": "Reducir colores",
+    "palette.subtitle": "PNG-8 indexado",
+    "palette.hint": "Una paleta de hasta 256 colores suele hacer los PNG varias veces más pequeños. La transparencia se conserva.",
+    "palette.colors": "Colores (2–256)",
+    "palette.saved": "PNG-8 ahorra {saved} ({percent} %) frente a un PNG a todo color",
+    "palette.savedShort": "PNG-8 −{percent} %",
+    "palette.notSaved": "Aquí PNG-8 no es más pequeño que un PNG a todo color ({size})",
+
+    // JPEG encoder
+    "jpeg.title": "Codificador JPEG avanzado",
+    "jpeg.subtitle": "MozJPEG",
+    "jpeg.hint": "Archivos notablemente más pequeños con la misma calidad. El codificador (unos 250 KB) se descarga la primera vez que se usa.",
+    "jpeg.progressive": "Progresivo",
+    "jpeg.progressiveHint": "Se carga de borroso a nítido y suele ser más pequeño.",
+    "jpeg.subsampling": "Submuestreo de croma",
+    "jpeg.s420": "4:2:0 — archivo más pequeño",
+    "jpeg.s444": "4:4:4 — bordes de color más nítidos",
+    "jpeg.optimize": "Tablas Huffman optimizadas",
+    "jpeg.optimizeHint": "Siempre activas en archivos progresivos.",
+    "jpeg.trellis": "Cuantización trellis exhaustiva",
+    "jpeg.trellisHint": "Pasadas extra para un archivo algo más pequeño. Más lento.",
+
+    // Preview
+    "preview.title": "Vista previa",
+    "preview.zoom": "Zoom",
+    "preview.zoomIn": "Acercar",
+    "preview.zoomOut": "Alejar",
+    "preview.fit": "Ajustar",
+    "preview.split": "División original / convertido",
+    "preview.before": "Original",
+    "preview.after": "Convertido",
+    "preview.sizes": "{before} → {after} ({change} %)",
+    "preview.rendering": "Generando vista previa…",
+    "preview.failed": "Error en la vista previa: {message}",
+
+    // Progress
+    "progress.stage.read": "Leyendo…",
+    "progress.stage.decode": "Decodificando…",
+    "progress.stage.render": "Renderizando…",
+    "progress.stage.encode": "Codificando…",
+    "progress.stage.package": "Empaquetando…",
+    "progress.itemsDone": "{done} de {count} listos",
+    "progress.eta": "quedan unos {time}",
+    "progress.seconds": "{count} s",
+    "progress.minutes": "{count} min",
+
+    // Batch queue
+    "queue.state.pending": "En espera",
+    "queue.state.processing": "Convirtiendo",
+    "queue.state.done": "Listo",
+    "queue.state.error": "Error",
+    "queue.state.cancelled": "Cancelado",
+    "queue.retryFile": "Reintentar {name}",
+    "queue.removeFile": "Quitar {name}",
+    "queue.label": "Archivos para convertir",
+
+    // Toasts
+    "toast.region": "Notificaciones",
+    "toast.dismiss": "Cerrar notificación",
+
+    // Multi-file status
+    "files.selected": { one: "{count} archivo seleccionado", other: "{count} archivos seleccionados" },
+    "files.selectedName": "Seleccionado: {name}",
+    "files.ready": { one: "{count} archivo listo para convertir.", other: "{count} archivos listos para convertir." },
+    "files.cleared": "Selección borrada.",
+    "files.failed": { one: "No se pudo convertir {count} archivo.", other: "No se pudieron convertir {count} archivos." },
+    "files.retryFailed": "Reintentar fallidos",
+    "files.allFailed": "La conversión falló para todos los archivos.",
+    "files.downloadAll": { one: "Descargar todo ({count} archivo, ZIP)", other: "Descargar todo ({count} archivos, ZIP)" },
+    "files.someFailed": { one: "{summary}. {count} falló: usa «Reintentar» en la lista.", other: "{summary}. {count} fallaron: usa «Reintentar» en la lista." },
+    "files.cancelledPartial": { one: "Cancelado: {done} de {count} archivo convertido. Aún puedes descargarlo abajo.", other: "Cancelado: {done} de {count} archivos convertidos. Aún puedes descargarlos abajo." },
+
+    // File format check
+    "sniff.mislabeled": "«{name}» es en realidad un archivo {actual}, no {declared}: se convierte como {actual}.",
+    "sniff.mislabeledMany": { one: "{count} archivo no es lo que indica su nombre o tipo: se convierte según su formato real.", other: "{count} archivos no son lo que indican su nombre o tipo: se convierten según su formato real." },
+    "sniff.otherTool": "«{name}» es un archivo {format}: lo convierte el conversor {tool}.",
+    "sniff.otherToolMany": { one: "{count} archivo corresponde al conversor {tool}.", other: "{count} archivos corresponden al conversor {tool}." },
+    "sniff.open": "Abrir {tool}",
+
+    // Image size limits
+    "limits.tooLarge": "«{name}» mide {width} × {height} px, más de lo que este navegador puede procesar (unos {megapixels} MP). Se reduce a {fitWidth} × {fitHeight} px.",
+    "limits.tooLargeMany": { one: "{count} imagen es más grande de lo que este navegador puede procesar (unos {megapixels} MP): se reduce para que quepa.", other: "{count} imágenes son más grandes de lo que este navegador puede procesar (unos {megapixels} MP): se reducen para que quepan." },
+    "limits.splitTiles": "Dividir en mosaicos",
+    "limits.tilesChosen": { one: "{count} imagen se dividirá en mosaicos a resolución completa. Las ediciones, el cambio de tamaño y el tamaño objetivo no se aplican.", other: "{count} imágenes se dividirán en mosaicos a resolución completa. Las ediciones, el cambio de tamaño y el tamaño objetivo no se aplican." },
+    "limits.tileCount": { one: "{count} mosaico", other: "{count} mosaicos" },
+    "limits.tilesReady": { one: "Dividido en {count} mosaico: {size} en total", other: "Dividido en {count} mosaicos: {size} en total" },
+    "limits.downscaledFrom": "reducida desde {width}×{height}",
+    "limits.svgScaled": "A esta escala la imagen mediría {width} × {height} px, más de lo que este navegador puede dibujar. Se genera a {fitWidth} × {fitHeight} px.",
+    "limits.pdfScaled": { one: "{count} página se generó con menor resolución para no superar los límites de este navegador.", other: "{count} páginas se generaron con menor resolución para no superar los límites de este navegador." },
+
+    // SVG sanitizer
+    "svgsafe.title": { one: "Se eliminó {count} elemento inseguro de este SVG", other: "Se eliminaron {count} elementos inseguros de este SVG" },
+    "svgsafe.removed": { one: "Se eliminó {count} elemento inseguro (scripts, manejadores de eventos o enlaces externos) antes de la vista previa.", other: "Se eliminaron {count} elementos inseguros (scripts, manejadores de eventos o enlaces externos) antes de la vista previa." },
+    "svgsafe.editor": { one: "También se eliminó {count} dato de editor (Inkscape, Illustrator, Sketch).", other: "También se eliminaron {count} datos de editor (Inkscape, Illustrator, Sketch)." },
+    "svgsafe.kind.script": "Script",
+    "svgsafe.kind.handler": "Manejador de eventos",
+    "svgsafe.kind.element": "Elemento",
+    "svgsafe.kind.link": "Enlace externo",
+    "svgsafe.kind.style": "Estilo",
+    "svgsafe.kind.attribute": "Atributo",
+
+    // Errors (err.code → message)
+    "errors.generic": "Algo salió mal.",
+    "errors.READ_FAILED": "No se pudo leer el archivo.",
+    "errors.DECODE_FAILED": "No se pudo decodificar la imagen. Archivo no compatible o dañado.",
+    "errors.CANVAS_UNSUPPORTED": "Este navegador no admite Canvas.",
+    "errors.ENCODE_FAILED": "No se pudo generar la imagen de salida.",
+    "errors.ENCODE_UNSUPPORTED": "Este navegador no puede codificar imágenes {format}.",
+    "errors.ZIP_TOO_LARGE": "El archivo ZIP es demasiado grande (más de 4 GB).",
+    "errors.ZIP_TOO_MANY_FILES": "Demasiados archivos para un solo ZIP ({count}, como máximo {max}).",
+    "errors.TARGET_SIZE_PNG": "Un {format} sin pérdida de esta imagen no cabe en {size}. Permite reducir las dimensiones o elige JPG/WebP.",
+    "errors.TARGET_SIZE_UNREACHABLE": "Ni siquiera la calidad más baja cabe en {size}. Permite reducir las dimensiones o aumenta el límite.",
+    "errors.TARGET_SIZE_TOO_SMALL": "{size} es demasiado poco para esta imagen, incluso reducida.",
+    "errors.NOT_ANIMATED": "Esta imagen tiene un solo fotograma.",
+    "errors.TIFF_UNSUPPORTED": "Este TIFF usa {feature}, que no es compatible. Guárdalo sin compresión o con LZW/Deflate.",
+    "errors.AVIF_UNSUPPORTED": "Este navegador no puede codificar AVIF y no se pudo cargar el codificador AVIF integrado. Revisa tu conexión o elige otro formato.",
+    "errors.JPEG_ENCODER_UNAVAILABLE": "No se pudo cargar el codificador JPEG avanzado. Comprueba tu conexión o desactívalo para usar el codificador del navegador.",
+    "errors.IMAGE_TOO_LARGE": "Esta imagen ({width} × {height} px) es demasiado grande para abrirla en este navegador.",
+    "errors.SVG_INVALID": "El archivo no es una imagen SVG bien formada.",
+    "errors.PREVIEW_FAILED": "No se puede mostrar la imagen.",
+    "errors.ICO_EMPTY": "Un archivo ICO necesita al menos una imagen.",
+    "errors.ICO_SIZE": "Las imágenes ICO deben medir entre 1 y {max} px; esta mide {width} × {height}.",
+
+    // PNG ↔ JPG
+    "pngjpg.unsupported": "Tipo de archivo no compatible: elige PNG, JPG/JPEG, BMP o TIFF.",
+    "pngjpg.skipped": { one: "{count} omitido (no es PNG/JPG/BMP/TIFF).", other: "{count} omitidos (no son PNG/JPG/BMP/TIFF)." },
+    "pngjpg.readyOne": "Conversión lista: {size}",
+    "pngjpg.readyMany": { one: "{count} archivo convertido: {size} en total", other: "{count} archivos convertidos: {size} en total" },
+    "pngjpg.chooseFile": "Primero elige un archivo.",
+    "pngjpg.invalidTarget": "Elige un formato de destino válido.",
+    "pngjpg.converting": "Convirtiendo imágenes...",
+    "pngjpg.supported": "Compatibles: PNG, JPG, JPEG, BMP, TIFF — varios archivos a la vez",
+    "pngjpg.compressHint": "Intenta reducir el tamaño del archivo manteniendo una calidad aceptable (afecta sobre todo a la salida JPG).",
+    "pngjpg.batch": "Procesamiento por lotes",
+    "pngjpg.oneAtATime": "Un archivo cada vez",
+    "pngjpg.twoParallel": "2 archivos en paralelo",
+    "pngjpg.fourParallel": "4 archivos en paralelo",
+    "pngjpg.zipHint": "Varios archivos se descargan juntos en un único archivo ZIP.",
+    "pngjpg.title": "Conversor PNG ↔ JPG",
+    "pngjpg.subtitle": "Convierte imágenes PNG a JPG y JPG a PNG directamente en tu navegador.",
+    "pngjpg.tip": "Consejo: JPG es ideal para fotos y para compartir; PNG es mejor para transparencias y gráficos.",
+    "pngjpg.pagesSplit": { one: "{count} página TIFF se convierte como imagen aparte.", other: "{count} páginas TIFF se convierten como imágenes aparte." },
+
+    // WebP ↔ JPG/PNG
+    "webp.unsupported": "Selecciona una imagen WebP, PNG, JPG, GIF, BMP o TIFF.",
+    "webp.tooLarge": "El archivo seleccionado es demasiado grande (máx. 20 MB).",
+    "webp.sizeLimit": "El archivo supera el límite de 20 MB.",
+    "webp.animatedNote": "Imagen animada: elige un fotograma o exporta todos en «Animación».",
+    "webp.noEncoder": "Este navegador no admite la codificación WebP mediante Canvas. Prueba con JPG o PNG como formato de destino.",
+    "webp.converting": "Convirtiendo imagen...",
+    "webp.success": "¡Conversión completada!",
+    "webp.successToast": "Imagen convertida correctamente.",
+    "webp.error": "Error durante la conversión.",
+    "webp.supported": "Formatos: WebP, PNG, JPG, JPEG, GIF, BMP, TIFF",
+    "webp.quality": "Calidad WebP / JPG",
+    "webp.title": "Conversor WebP ↔ JPG/PNG",
+    "webp.subtitle": "Convierte imágenes WebP a JPG, PNG y viceversa.",
+    "webp.tip": "Consejo: WebP es ideal para la web; vuelve a JPG/PNG para herramientas que aún no lo admiten.",
+    "webp.sequenceName": { one: "{count} imagen", other: "{count} imágenes" },
+    "webp.sequenceNote": "Varias imágenes seleccionadas: serán los fotogramas de un GIF animado.",
+    "webp.sequenceGifOnly": "Varias imágenes solo pueden combinarse en un GIF. Elige GIF como formato de destino.",
+    "webp.tiffFirstPage": { one: "Este TIFF tiene {count} página.", other: "Este TIFF tiene {count} páginas: aquí solo se convierte la primera. El conversor PNG ↔ JPG convierte todas." },
+
+    // HEIC → JPG/PNG
+    "heic.libraryMissing": "heic2any no está disponible después de cargarse.",
+    "heic.done": "Listo. El archivo se ha descargado. Puedes volver a usar «Descargar resultado» si lo necesitas.",
+    "heic.failed": "La conversión HEIC ha fallado.",
+    "heic.chooseFile": "Elige fotos HEIC o una carpeta",
+    "heic.recommended": "Recomendado: HEIC / HEIF de iOS",
+    "heic.alsoAccepts": "También acepta JPG, JPEG, PNG",
+    "heic.title": "Conversor HEIC → JPG/PNG",
+    "heic.subtitle": "Convierte fotos HEIC a archivos JPG o PNG estándar.",
+    "heic.tip": "Consejo: suelta una carpeta entera de fotos del iPhone para convertirlas todas a la vez; los resultados llegan en un solo ZIP.",
+    "heic.imagesTitle": "Imágenes de este archivo",
+    "heic.imagesSummary": { one: "{count} imagen · {selected} seleccionadas", other: "{count} imágenes · {selected} seleccionadas" },
+    "heic.imagesFound": { one: "Este archivo contiene {count} imagen.", other: "Este archivo contiene {count} imágenes. Se exportan todas salvo las que desmarques." },
+    "heic.imagesHint": "Haz clic en una imagen para previsualizarla. Convertir exporta las imágenes marcadas con nombres numerados, varias en un único ZIP. El recorte y la rotación se aplican a todas.",
+    "heic.selectAll": "Seleccionar todo",
+    "heic.selectNone": "No seleccionar ninguna",
+    "heic.imageLabel": "Imagen {index} de {count}",
+    "heic.downloadImage": "Convertir y descargar la imagen {index}",
+    "heic.noneSelected": "Marca al menos una imagen para exportar.",
+    "heic.convertingImage": "Convirtiendo imagen {index} de {count}...",
+    "heic.doneImages": { one: "Listo. {count} imagen guardada en {name} ({size}). Puedes volver a usar «Descargar resultado» si lo necesitas.", other: "Listo. {count} imágenes guardadas en {name} ({size}). Puedes volver a usar «Descargar resultado» si lo necesitas." },
+    "heic.dropPhotos": "Arrastra y suelta fotos o una carpeta entera aquí o",
+    "heic.chooseFolder": "Elegir una carpeta",
+    "heic.skipped": { one: "Se omitió {count} archivo que no es una foto.", other: "Se omitieron {count} archivos que no son fotos." },
+    "heic.imagesCount": { one: "{count} imagen", other: "{count} imágenes" },
+    "heic.readyOne": "Guardado {name} ({size})",
+    "heic.readyImages": { one: "{count} imagen guardada en {name} ({size})", other: "{count} imágenes guardadas en {name} ({size})" },
+    "heic.failedTitle": { one: "Por qué falló {count} archivo", other: "Por qué fallaron {count} archivos" },
+    "heic.unsupported": "Tipo de archivo no compatible: elige HEIC/HEIF, JPG/JPEG o PNG.",
+
+    // SVG → PNG/JPG/WebP
+    "svg.loadFailed": "No se pudo cargar el SVG como imagen (quizá contiene recursos externos no compatibles).",
+    "svg.notSvg": "Sube un archivo SVG o PNG.",
+    "svg.reading": "Leyendo SVG…",
+    "svg.detectedSize": "Tamaño detectado: {width}×{height} px (antes de escalar)",
+    "svg.loaded": "SVG cargado. Elige el formato de salida y pulsa Convertir.",
+    "svg.readFailed": "No se pudo leer el archivo SVG.",
+    "svg.selectFirst": "Primero selecciona un archivo SVG o PNG.",
+    "svg.preparing": "Preparando SVG…",
+    "svg.rendering": "Renderizando…",
+    "svg.exporting": "Exportando…",
+    "svg.done": "Listo. Tu archivo está preparado para descargar.",
+    "svg.failed": "La conversión SVG ha fallado.",
+    "svg.chooseFile": "Elige un archivo SVG o PNG",
+    "svg.supported": "Formatos: SVG, PNG",
+    "svg.quality": "Calidad JPG/WebP",
+    "svg.scale": "Escala (multiplicador de resolución)",
+    "svg.scaleHint": "Aumenta el tamaño en píxeles de PNG/JPG/WebP (útil para exportar a pantallas retina).",
+    "svg.qualityHint": "Solo se usa al exportar a JPG/WebP.",
+    "svg.background": "Fondo (para JPG / PNG/WebP sin transparencia)",
+    "svg.backgroundHint": "La transparencia del SVG se rellenará con este color en la salida JPG o cuando la transparencia esté desactivada.",
+    "svg.keepTransparency": "Mantener transparencia (PNG/WebP)",
+    "svg.transparencyHint": "Si está desactivado, la exportación PNG/WebP también usará el color de fondo.",
+    "svg.title": "Conversor SVG → PNG/JPG/WebP",
+    "svg.subtitle": "Convierte gráficos vectoriales SVG a formatos de imagen comunes, archivos ICO y paquetes de favicons.",
+    "svg.tip": "Consejo: para obtener mejores resultados, usa SVG con recursos incrustados (fuentes/imágenes). Los recursos externos pueden mostrarse de forma distinta.",
+    "svg.chooseBackground": "Elegir color de fondo",
+    "svg.readingImage": "Leyendo imagen…",
+    "svg.faviconPackage": "Paquete de favicons (ZIP)",
+    "svg.imageLoaded": "Imagen cargada. Elige el formato de salida y pulsa Convertir.",
+
+    // Icons (ICO / favicon package)
+    "favicon.title": "Iconos",
+    "favicon.subtitle": "ICO y paquete de favicons",
+    "favicon.name": "Nombre de la app",
+    "favicon.namePlaceholder": "Mi sitio",
+    "favicon.theme": "Color del tema",
+    "favicon.path": "Ubicación de los archivos",
+    "favicon.pathHint": "Ruta desde la que se sirven los archivos, p. ej. / o /static/icons/.",
+    "favicon.icoHint": "favicon.ico incluye versiones de 16, 32, 48, 64 y 256 px. El color de fondo se usa si la transparencia está desactivada.",
+    "favicon.packageHint": "ZIP con favicon.ico, favicons PNG, apple-touch-icon (sobre el color de fondo), iconos de Android, site.webmanifest y las etiquetas para pegar.",
+    "favicon.snippet": "Pegar en <head>",
+    "favicon.copy": "Copiar",
+    "favicon.copied": "Copiado al portapapeles.",
+    "favicon.copyFailed": "No se pudo copiar. Selecciona el texto y cópialo manualmente.",
+    "favicon.building": "Creando iconos…",
+    "favicon.doneIco": "favicon.ico está listo para descargar.",
+    "favicon.donePackage": "El paquete de favicons está listo. Pega las etiquetas en tu <head>.",
+    "favicon.smallSource": "La imagen solo mide {width}×{height} px, así que los iconos grandes (180–512 px) se verán borrosos. Usa 512 px o más, o un SVG.",
+
+    // JPG/PNG ↔ PDF
+    "pdf.jspdfMissing": "jsPDF no está disponible después de cargarse.",
+    "pdf.pdfjsMissing": "pdfjsLib no está disponible después de cargarse.",
+    "pdf.noFiles": "Aún no se han seleccionado archivos.",
+    "pdf.andMore": { one: "… y {count} más", other: "… y {count} más" },
+    "pdf.noImages": "No se encontraron imágenes en la selección.",
+    "pdf.pdfReady": "PDF listo: se ha descargado automáticamente. Si no, usa el botón de abajo.",
+    "pdf.noPdf": "No se encontró ningún archivo PDF en la selección.",
+    "pdf.renderingPages": { one: "Renderizando {count} página a {format}...", other: "Renderizando {count} páginas a {format}..." },
+    "pdf.cancelledPartial": { one: "Conversión cancelada. {done} de {count} página está disponible en {name}.", other: "Conversión cancelada. {done} de {count} páginas están disponibles en {name}." },
+    "pdf.pagesSeparate": "Todas las páginas se exportaron como imágenes y se descargaron una a una.",
+    "pdf.packingPages": "Empaquetando las páginas en un archivo ZIP...",
+    "pdf.pagesZipped": { one: "{count} página guardada en {name} ({size}). Si la descarga no empezó, usa el botón de abajo.", other: "{count} páginas guardadas en {name} ({size}). Si la descarga no empezó, usa el botón de abajo." },
+    "pdf.selectFirst": "Primero selecciona al menos un archivo.",
+    "pdf.badMode": "Modo de conversión no compatible.",
+    "pdf.chooseFiles": "Elige imágenes (JPG, PNG, TIFF…) o un PDF",
+    "pdf.maxSize": "Tamaño máximo por archivo (demo): 20 MB",
+    "pdf.targetFormat": "Formato de destino",
+    "pdf.pdfDocument": "Documento PDF",
+    "pdf.layoutQuality": "Diseño y calidad",
+    "pdf.pageSize": "Tamaño de página (para PDF)",
+    "pdf.letter": "Carta (EE. UU.)",
+    "pdf.fitImage": "Ajustar al tamaño de la imagen",
+    "pdf.outputQuality": "Calidad de salida (para JPG/WebP)",
+    "pdf.pageImages": "Imágenes de páginas (para PDF → JPG/PNG)",
+    "pdf.oneZip": "Un archivo ZIP",
+    "pdf.separate": "Una descarga por página",
+    "pdf.zipHint": "Los navegadores pueden bloquear muchas descargas separadas; el ZIP mantiene todas las páginas juntas.",
+    "pdf.title": "Conversor JPG/PNG ↔ PDF",
+    "pdf.subtitle": "Combina JPG/PNG en un PDF o exporta páginas de un PDF como JPG/PNG.",
+    "pdf.fitImageHint": "«Ajustar al tamaño de la imagen» usa las dimensiones de la imagen como tamaño de página.",
+    "pdf.tip": "Consejo: para un PDF de varias páginas, añade las imágenes en el orden en que quieres que aparezcan.",
+    "pdf.swapDirection": "Invertir dirección de la conversión",
+    "pdf.skipped": { one: "{count} omitido (no es una imagen ni un PDF).", other: "{count} omitidos (no son imágenes ni PDF)." }
+};
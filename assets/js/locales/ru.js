@@ -0,0 +1,487 @@
+/* ============================================================
+   locales/ru.js
+   Russian UI strings (plurals: one / few / many / other).
+   Plural messages are objects keyed by Intl.PluralRules category.
+   ============================================================ */
+
+export default {
+    // Common
+    "common.noFile": "Файл ещё не выбран.",
+    "common.cancelled": "Конвертация отменена.",
+    "common.failed": "Не удалось выполнить конвертацию.",
+    "common.failedWith": "Не удалось выполнить конвертацию: {message}",
+    "common.retry": "Повторить",
+    "common.undo": "Отменить",
+    "common.openSettings": "Открыть настройки",
+    "common.downloadAgain": "Скачать ещё раз",
+    "common.downloadFile": "Скачать файл",
+    "common.working": "Обработка...",
+    "common.packingZip": "Упаковка в ZIP-архив...",
+    "common.swapped": "Форматы поменяны местами.",
+    "common.unsupportedType": "Неподдерживаемый тип файла.",
+    "common.size": "Размер: {size}",
+    "common.fileReady": "Файл выбран. Можно конвертировать.",
+    "common.selectFirst": "Сначала выберите файл.",
+    "common.converting": "Конвертация...",
+    "common.lastConversion": "Последняя конвертация: {time}",
+    "common.formReset": "Форма сброшена.",
+    "common.libraryFailed": "Не удалось загрузить {src}",
+    "common.ready": "Можно конвертировать.",
+    "common.noResult": "Конвертация не дала результата.",
+    "common.last": "Последняя: {time}",
+    "common.preparing": "Подготовка к конвертации...",
+    "common.error": "Ошибка: {message}",
+
+    // Theme
+    "theme.dark": "Тёмная",
+    "theme.light": "Светлая",
+    "theme.toggle": "Переключить цветовую тему",
+
+    // Navigation
+    "nav.home": "Главная",
+    "nav.tools": "Инструменты",
+    "nav.allTools": "Все инструменты",
+    "nav.faq": "Вопросы и ответы",
+    "nav.fast": "Быстро",
+    "nav.online": "Онлайн",
+    "nav.toggle": "Показать или скрыть меню",
+    "nav.language": "Язык",
+
+    // Cookie banner
+    "cookie.text": "Мы используем файлы cookie для анализа трафика, а в будущем — для персонализации контента и рекламы. Пользуясь сайтом, вы соглашаетесь с этим.",
+    "cookie.learnMore": "Подробнее",
+    "cookie.accept": "Принять",
+    "cookie.decline": "Отклонить",
+    "cookie.textConsent": "Мы используем файлы cookie для анализа трафика, а в будущем — для персонализации контента и рекламы. Нажимая «Принять», вы соглашаетесь на использование cookie для аналитики и рекламы.",
+
+    // Footer
+    "footer.tagline": "Бесплатные онлайн-конвертеры, которые работают прямо в браузере — быстро, конфиденциально и просто.",
+    "footer.popular": "Популярные инструменты",
+    "footer.allTools": "Все инструменты →",
+    "footer.legal": "Правовая информация",
+    "footer.privacyPolicy": "Политика конфиденциальности и cookie",
+    "footer.contact": "Контакты",
+    "footer.rights": "QuickConvert. Все права защищены.",
+    "footer.privacy": "Конфиденциальность",
+
+    // Home page
+    "home.otherConverters": "Другие конвертеры",
+    "home.webpDesc": "Конвертируйте WebP в JPG/PNG и обратно прямо в браузере.",
+    "home.webpDescAlt": "Конвертируйте современные WebP в классические форматы (JPG, PNG) и обратно.",
+    "home.heicDesc": "Конвертируйте фото HEIC с iPhone в более универсальные JPG или PNG, чтобы ими было удобно делиться.",
+    "home.pdfDesc": "Объедините одно или несколько изображений в один PDF-документ (для печати или отправки).",
+    "home.pngJpgDesc": "Конвертируйте PNG в JPG и JPG в PNG прямо в браузере.",
+
+    // Converter cards
+    "ui.noConversions": "Конвертаций ещё не было",
+    "ui.chooseImages": "Выберите изображения",
+    "ui.chooseImage": "Выберите изображение",
+    "ui.dropImages": "Перетащите сюда одно или несколько изображений или",
+    "ui.dropImage": "Перетащите сюда изображение или",
+    "ui.dropSvg": "Перетащите сюда SVG или",
+    "ui.dropFiles": "Перетащите сюда файлы или",
+    "ui.browse": "выберите на диске",
+    "ui.maxSizePerFile": "Макс. размер (демо): 20 МБ на файл",
+    "ui.maxSize": "Макс. размер (демо): 20 МБ",
+    "ui.add": "Добавить",
+    "ui.change": "Изменить",
+    "ui.sourceFormat": "Исходный формат",
+    "ui.detectAuto": "Определить автоматически",
+    "ui.convertTo": "Конвертировать в",
+    "ui.swap": "Поменять",
+    "ui.convert": "Конвертировать",
+    "ui.cancel": "Отмена",
+    "ui.reset": "Сбросить",
+    "ui.downloadHint": "Загрузка должна начаться автоматически. Если этого не произошло, воспользуйтесь кнопкой ниже.",
+    "ui.downloadResult": "Скачать результат",
+    "ui.qualityOptions": "Параметры качества",
+    "ui.fineTuning": "Тонкая настройка",
+    "ui.jpgQuality": "Качество JPG",
+    "ui.smallerFile": "Меньше файл",
+    "ui.higherQuality": "Выше качество",
+    "ui.compressFile": "Сжимать файл",
+    "ui.compressHint": "Пытается уменьшить размер файла, сохраняя приемлемое качество.",
+    "ui.swapFormats": "Поменять местами исходный и целевой форматы",
+
+    // Edit
+    "edit.title": "Правка",
+    "edit.subtitle": "Обрезка, поворот, отражение",
+    "edit.empty": "Выберите изображение, чтобы обрезать, повернуть или отразить его перед конвертацией.",
+    "edit.rotateLeft": "Повернуть влево",
+    "edit.rotateRight": "Повернуть вправо",
+    "edit.flipHorizontal": "Отразить по горизонтали",
+    "edit.flipVertical": "Отразить по вертикали",
+    "edit.aspect": "Пропорции обрезки",
+    "edit.free": "Свободно",
+    "edit.reset": "Сбросить правки",
+    "edit.area": "Область обрезки",
+    "edit.x": "Слева (px)",
+    "edit.y": "Сверху (px)",
+    "edit.width": "Ширина (px)",
+    "edit.height": "Высота (px)",
+    "edit.output": "Результат: {width}×{height} px.",
+    "edit.hint": "Потяните по изображению, чтобы выделить область.",
+    "edit.batchHint": "При нескольких файлах правки применяются к каждому.",
+
+    // Resize
+    "resize.title": "Размер",
+    "resize.subtitle": "Размер результата",
+    "resize.mode": "Режим",
+    "resize.original": "Исходный размер",
+    "resize.dimensions": "Ширина и высота",
+    "resize.edge": "Макс. длинная сторона",
+    "resize.percent": "Проценты",
+    "resize.size": "Размер (px)",
+    "resize.width": "Ширина",
+    "resize.height": "Высота",
+    "resize.lock": "Сохранять пропорции",
+    "resize.edgeLabel": "Длинная сторона (px)",
+    "resize.edgeHint": "Уменьшаются только изображения крупнее.",
+    "resize.percentLabel": "Масштаб (%)",
+    "resize.resampling": "Интерполяция",
+    "resize.high": "Плавная (высокое качество)",
+    "resize.stepwise": "Поэтапная (чёткое уменьшение)",
+    "resize.medium": "Сбалансированная",
+    "resize.low": "Быстрая",
+    "resize.pixelated": "Пиксельная (ближайший сосед)",
+
+    // Target file size
+    "target.title": "Целевой размер",
+    "target.subtitle": "Уложиться в лимит размера",
+    "target.limit": "Максимальный размер",
+    "target.unit": "Единица",
+    "target.hint": "Наибольшее подходящее качество выбирается автоматически; PNG остаётся без потерь.",
+    "target.fit": "Уменьшать размеры при необходимости",
+    "target.fitHint": "Применяется, если даже минимальное качество не помещается, а также для PNG.",
+    "target.quality": "качество {quality}%",
+    "target.achieved": "Уложено в {limit}: {size}, качество {quality}%.",
+    "target.achievedLossless": "Уложено в {limit}: {size}, без потерь.",
+    "target.resized": "Уменьшено до {width}×{height}, чтобы уложиться.",
+    "target.invalid": "Укажите целевой размер больше нуля.",
+
+    // Metadata
+    "meta.label": "Метаданные (EXIF)",
+    "meta.strip": "Удалить всё",
+    "meta.stripLocation": "Удалить только геоданные",
+    "meta.keep": "Сохранить метаданные",
+    "meta.hint": "Фото всегда поворачиваются правильно. Метаданные сохраняются только в JPG.",
+
+    // Animation frames
+    "frames.title": "Анимация",
+    "frames.mode": "Экспорт",
+    "frames.single": "Выбранный кадр",
+    "frames.all": "Все кадры (ZIP)",
+    "frames.hint": "Все кадры сохраняются отдельными изображениями вместе со списком задержек.",
+    "frames.frame": "Кадр",
+    "frames.current": "{index} из {count} · {delay} мс",
+    "frames.delays": "Задержки кадров",
+    "frames.delay": "{delay} мс",
+    "frames.count": { one: "{count} кадр", few: "{count} кадра", many: "{count} кадров", other: "{count} кадра" },
+    "frames.duration": "{seconds} с",
+    "frames.loopForever": "зациклена",
+    "frames.loopOnce": "проигрывается один раз",
+    "frames.loopCount": { one: "повторяется {count} раз", few: "повторяется {count} раза", many: "повторяется {count} раз", other: "повторяется {count} раза" },
+    "frames.converting": { one: "Конвертация {count} кадра...", few: "Конвертация {count} кадров...", many: "Конвертация {count} кадров...", other: "Конвертация {count} кадра..." },
+    "frames.done": { one: "{count} кадр сохранён в ZIP.", few: "{count} кадра сохранены в ZIP.", many: "{count} кадров сохранены в ZIP.", other: "{count} кадра сохранены в ZIP." },
+
+    // GIF output
+    "gif.title": "Параметры GIF",
+    "gif.subtitle": "Палитра",
+    "gif.colors": "Цвета",
+    "gif.dither": "Дизеринг",
+    "gif.ditherHint": "Сглаживает градиенты узором из цветов палитры. Файлы становятся больше.",
+    "gif.delay": "Задержка кадра (мс)",
+    "gif.delayHint": "Сколько показывается каждое выбранное изображение.",
+    "gif.hint": "GIF хранит до 256 цветов на кадр. Для анимированного источника выберите «Все кадры», чтобы получить анимированный GIF; выберите несколько изображений, чтобы собрать из них один.",
+    "gif.building": { one: "Сборка GIF из {count} кадра...", few: "Сборка GIF из {count} кадров...", many: "Сборка GIF из {count} кадров...", other: "Сборка GIF из {count} кадра..." },
+    "gif.done": { one: "Анимированный GIF из {count} кадра готов.", few: "Анимированный GIF из {count} кадров готов.", many: "Анимированный GIF из {count} кадров готов.", other: "Анимированный GIF из {count} кадра готов." },
+    "gif.noBudget": "Целевой размер работает только для отдельных изображений. Отключите его, чтобы собрать анимированный GIF.",
+
+    // AVIF output
+    "avif.title": "Параметры AVIF",
+    "avif.subtitle": "Кодировщик",
+    "avif.speed": "Скорость кодирования",
+    "avif.speedHint": "Низкая скорость даёт файлы меньше, но кодирование идёт заметно дольше.",
+    "avif.native": "Браузер кодирует AVIF сам.",
+    "avif.wasm": "Браузер не умеет кодировать AVIF, поэтому используется встроенный кодировщик. Он загружается при первой конвертации (около 3,5 МБ).",
+    "avif.unavailable": "AVIF недоступен в этом браузере: он не кодирует AVIF и не поддерживает WebAssembly для встроенного кодировщика. Выберите другой формат.",
+
+    // PNG-8 palette
+    "palette.title": "Уменьшить число цветов",
+    "palette.subtitle": "Индексированный PNG-8",
+    "palette.hint": "Палитра до 256 цветов часто уменьшает PNG в несколько раз. Прозрачность сохраняется.",
+    "palette.colors": "Цвета (2–256)",
+    "palette.saved": "PNG-8 экономит {saved} ({percent}%) по сравнению с полноцветным PNG",
+    "palette.savedShort": "PNG-8 −{percent}%",
+    "palette.notSaved": "Здесь PNG-8 не меньше полноцветного PNG ({size})",
+
+    // JPEG encoder
+    "jpeg.title": "Улучшенный кодировщик JPEG",
+    "jpeg.subtitle": "MozJPEG",
+    "jpeg.hint": "Заметно меньшие файлы при том же качестве. Кодировщик (около 250 КБ) загружается при первом использовании.",
+    "jpeg.progressive": "Прогрессивный",
+    "jpeg.progressiveHint": "Загружается от размытого к чёткому и обычно меньше по размеру.",
+    "jpeg.subsampling": "Субдискретизация цвета",
+    "jpeg.s420": "4:2:0 — файл меньше",
+    "jpeg.s444": "4:4:4 — чёткие цветные края",
+    "jpeg.optimize": "Оптимизированные таблицы Хаффмана",
+    "jpeg.optimizeHint": "Для прогрессивных файлов включены всегда.",
+    "jpeg.trellis": "Тщательное trellis-квантование",
+    "jpeg.trellisHint": "Дополнительные проходы для чуть меньшего файла. Медленнее.",
+
+    // Preview
+    "preview.title": "Предпросмотр",
+    "preview.zoom": "Масштаб",
+    "preview.zoomIn": "Увеличить",
+    "preview.zoomOut": "Уменьшить",
+    "preview.fit": "Вписать",
+    "preview.split": "Граница оригинал / результат",
+    "preview.before": "Оригинал",
+    "preview.after": "Результат",
+    "preview.sizes": "{before} → {after} ({change}%)",
+    "preview.rendering": "Готовим предпросмотр…",
+    "preview.failed": "Не удалось построить предпросмотр: {message}",
+
+    // Progress
+    "progress.stage.read": "Чтение…",
+    "progress.stage.decode": "Декодирование…",
+    "progress.stage.render": "Отрисовка…",
+    "progress.stage.encode": "Кодирование…",
+    "progress.stage.package": "Упаковка…",
+    "progress.itemsDone": "Готово {done} из {count}",
+    "progress.eta": "осталось около {time}",
+    "progress.seconds": "{count} с",
+    "progress.minutes": "{count} мин",
+
+    // Batch queue
+    "queue.state.pending": "В очереди",
+    "queue.state.processing": "Конвертация",
+    "queue.state.done": "Готово",
+    "queue.state.error": "Ошибка",
+    "queue.state.cancelled": "Отменено",
+    "queue.retryFile": "Повторить {name}",
+    "queue.removeFile": "Удалить {name}",
+    "queue.label": "Файлы для конвертации",
+
+    // Toasts
+    "toast.region": "Уведомления",
+    "toast.dismiss": "Закрыть уведомление",
+
+    // Multi-file status
+    "files.selected": { one: "Выбран {count} файл", few: "Выбрано {count} файла", many: "Выбрано {count} файлов", other: "Выбрано {count} файла" },
+    "files.selectedName": "Выбрано: {name}",
+    "files.ready": { one: "{count} файл готов к конвертации.", few: "{count} файла готовы к конвертации.", many: "{count} файлов готовы к конвертации.", other: "{count} файла готовы к конвертации." },
+    "files.cleared": "Выбор очищен.",
+    "files.failed": { one: "Не удалось конвертировать {count} файл.", few: "Не удалось конвертировать {count} файла.", many: "Не удалось конвертировать {count} файлов.", other: "Не удалось конвертировать {count} файла." },
+    "files.retryFailed": "Повторить неудачные",
+    "files.allFailed": "Не удалось конвертировать ни один файл.",
+    "files.downloadAll": { one: "Скачать всё ({count} файл, ZIP)", few: "Скачать всё ({count} файла, ZIP)", many: "Скачать всё ({count} файлов, ZIP)", other: "Скачать всё ({count} файла, ZIP)" },
+    "files.someFailed": { one: "{summary}. С ошибкой: {count} — нажмите «Повторить» в списке.", other: "{summary}. С ошибкой: {count} — нажмите «Повторить» в списке." },
+    "files.cancelledPartial": { one: "Отменено — конвертирован {done} из {count} файла. Готовые файлы можно скачать ниже.", other: "Отменено — конвертировано {done} из {count} файлов. Готовые файлы можно скачать ниже." },
+
+    // File format check
+    "sniff.mislabeled": "«{name}» на самом деле файл {actual}, а не {declared} — он конвертируется как {actual}.",
+    "sniff.mislabeledMany": { one: "{count} файл не соответствует своему имени или типу — он конвертируется по настоящему формату.", few: "{count} файла не соответствуют своему имени или типу — они конвертируются по настоящему формату.", many: "{count} файлов не соответствуют своему имени или типу — они конвертируются по настоящему формату.", other: "{count} файла не соответствуют своему имени или типу — они конвертируются по настоящему формату." },
+    "sniff.otherTool": "«{name}» — файл {format}, его обрабатывает конвертер {tool}.",
+    "sniff.otherToolMany": { one: "{count} файл нужно открыть в конвертере {tool}.", few: "{count} файла нужно открыть в конвертере {tool}.", many: "{count} файлов нужно открыть в конвертере {tool}.", other: "{count} файла нужно открыть в конвертере {tool}." },
+    "sniff.open": "Открыть {tool}",
+
+    // Image size limits
+    "limits.tooLarge": "«{name}» — {width} × {height} px, больше, чем может обработать этот браузер (около {megapixels} Мп). Изображение будет уменьшено до {fitWidth} × {fitHeight} px.",
+    "limits.tooLargeMany": { one: "{count} изображение больше, чем может обработать этот браузер (около {megapixels} Мп), — оно будет уменьшено.", few: "{count} изображения больше, чем может обработать этот браузер (около {megapixels} Мп), — они будут уменьшены.", many: "{count} изображений больше, чем может обработать этот браузер (около {megapixels} Мп), — они будут уменьшены.", other: "{count} изображения больше, чем может обработать этот браузер (около {megapixels} Мп), — они будут уменьшены." },
+    "limits.splitTiles": "Разрезать на фрагменты",
+    "limits.tilesChosen": { one: "{count} изображение будет разрезано на фрагменты в полном разрешении. Правка, изменение размера и целевой размер файла к нему не применяются.", few: "{count} изображения будут разрезаны на фрагменты в полном разрешении. Правка, изменение размера и целевой размер файла к ним не применяются.", many: "{count} изображений будут разрезаны на фрагменты в полном разрешении. Правка, изменение размера и целевой размер файла к ним не применяются.", other: "{count} изображения будут разрезаны на фрагменты в полном разрешении. Правка, изменение размера и целевой размер файла к ним не применяются." },
+    "limits.tileCount": { one: "{count} фрагмент", few: "{count} фрагмента", many: "{count} фрагментов", other: "{count} фрагмента" },
+    "limits.tilesReady": { one: "Разрезано на {count} фрагмент — всего {size}", few: "Разрезано на {count} фрагмента — всего {size}", many: "Разрезано на {count} фрагментов — всего {size}", other: "Разрезано на {count} фрагмента — всего {size}" },
+    "limits.downscaledFrom": "уменьшено с {width}×{height}",
+    "limits.svgScaled": "При таком масштабе изображение было бы {width} × {height} px — больше, чем может нарисовать этот браузер. Оно отрисовано в размере {fitWidth} × {fitHeight} px.",
+    "limits.pdfScaled": { one: "{count} страница отрисована в меньшем разрешении, чтобы уложиться в ограничения браузера.", few: "{count} страницы отрисованы в меньшем разрешении, чтобы уложиться в ограничения браузера.", many: "{count} страниц отрисованы в меньшем разрешении, чтобы уложиться в ограничения браузера.", other: "{count} страницы отрисованы в меньшем разрешении, чтобы уложиться в ограничения браузера." },
+
+    // SVG sanitizer
+    "svgsafe.title": { one: "Из SVG удалён {count} небезопасный элемент", few: "Из SVG удалено {count} небезопасных элемента", many: "Из SVG удалено {count} небезопасных элементов", other: "Из SVG удалено {count} небезопасных элемента" },
+    "svgsafe.removed": { one: "Перед просмотром удалён {count} небезопасный элемент (скрипты, обработчики событий или внешние ссылки).", few: "Перед просмотром удалено {count} небезопасных элемента (скрипты, обработчики событий или внешние ссылки).", many: "Перед просмотром удалено {count} небезопасных элементов (скрипты, обработчики событий или внешние ссылки).", other: "Перед просмотром удалено {count} небезопасных элемента (скрипты, обработчики событий или внешние ссылки)." },
+    "svgsafe.editor": { one: "Также удалён {count} элемент метаданных редактора (Inkscape, Illustrator, Sketch).", few: "Также удалено {count} элемента метаданных редактора (Inkscape, Illustrator, Sketch).", many: "Также удалено {count} элементов метаданных редактора (Inkscape, Illustrator, Sketch).", other: "Также удалено {count} элемента метаданных редактора (Inkscape, Illustrator, Sketch)." },
+    "svgsafe.kind.script": "Скрипт",
+    "svgsafe.kind.handler": "Обработчик события",
+    "svgsafe.kind.element": "Элемент",
+    "svgsafe.kind.link": "Внешняя ссылка",
+    "svgsafe.kind.style": "Стиль",
+    "svgsafe.kind.attribute": "Атрибут",
+
+    // Errors (err.code → message)
+    "errors.generic": "Что-то пошло не так.",
+    "errors.READ_FAILED": "Не удалось прочитать файл.",
+    "errors.DECODE_FAILED": "Не удалось декодировать изображение. Файл не поддерживается или повреждён.",
+    "errors.CANVAS_UNSUPPORTED": "Этот браузер не поддерживает Canvas.",
+    "errors.ENCODE_FAILED": "Не удалось создать итоговое изображение.",
+    "errors.ENCODE_UNSUPPORTED": "Этот браузер не умеет кодировать изображения {format}.",
+    "errors.ZIP_TOO_LARGE": "Архив слишком большой (больше 4 ГБ).",
+    "errors.ZIP_TOO_MANY_FILES": "Слишком много файлов для одного архива ({count}, не больше {max}).",
+    "errors.TARGET_SIZE_PNG": "{format} без потерь не уложится в {size}. Разрешите уменьшать размеры или выберите JPG/WebP.",
+    "errors.TARGET_SIZE_UNREACHABLE": "Даже минимальное качество не укладывается в {size}. Разрешите уменьшать размеры или увеличьте лимит.",
+    "errors.TARGET_SIZE_TOO_SMALL": "{size} — слишком мало для этого изображения, даже после уменьшения.",
+    "errors.NOT_ANIMATED": "В этом изображении только один кадр.",
+    "errors.TIFF_UNSUPPORTED": "В этом TIFF используется {feature} — это не поддерживается. Сохраните его без сжатия или с LZW/Deflate.",
+    "errors.AVIF_UNSUPPORTED": "Браузер не кодирует AVIF, а встроенный кодировщик AVIF не удалось загрузить. Проверьте подключение или выберите другой формат.",
+    "errors.JPEG_ENCODER_UNAVAILABLE": "Не удалось загрузить улучшенный кодировщик JPEG. Проверьте подключение или отключите его, чтобы использовать кодировщик браузера.",
+    "errors.IMAGE_TOO_LARGE": "Это изображение ({width} × {height} px) слишком велико, чтобы открыть его в этом браузере.",
+    "errors.SVG_INVALID": "Файл не является корректным SVG-изображением.",
+    "errors.PREVIEW_FAILED": "Не удаётся показать изображение.",
+    "errors.ICO_EMPTY": "Для ICO-файла нужно хотя бы одно изображение.",
+    "errors.ICO_SIZE": "Изображения в ICO должны быть от 1 до {max} px, а это {width} × {height}.",
+
+    // PNG ↔ JPG
+    "pngjpg.unsupported": "Неподдерживаемый тип файла — выберите PNG, JPG/JPEG, BMP или TIFF.",
+    "pngjpg.skipped": "Пропущено: {count} (не PNG/JPG/BMP/TIFF).",
+    "pngjpg.readyOne": "Конвертация готова — {size}",
+    "pngjpg.readyMany": { one: "Конвертирован {count} файл — всего {size}", few: "Конвертировано {count} файла — всего {size}", many: "Конвертировано {count} файлов — всего {size}", other: "Конвертировано {count} файла — всего {size}" },
+    "pngjpg.chooseFile": "Сначала выберите файл.",
+    "pngjpg.invalidTarget": "Выберите допустимый целевой формат.",
+    "pngjpg.converting": "Конвертация изображений...",
+    "pngjpg.supported": "Поддерживаются: PNG, JPG, JPEG, BMP, TIFF — можно несколько файлов сразу",
+    "pngjpg.compressHint": "Пытается уменьшить размер файла, сохраняя приемлемое качество (в основном влияет на JPG).",
+    "pngjpg.batch": "Пакетная обработка",
+    "pngjpg.oneAtATime": "По одному файлу",
+    "pngjpg.twoParallel": "2 файла параллельно",
+    "pngjpg.fourParallel": "4 файла параллельно",
+    "pngjpg.zipHint": "Несколько файлов скачиваются вместе одним ZIP-архивом.",
+    "pngjpg.title": "Конвертер PNG ↔ JPG",
+    "pngjpg.subtitle": "Конвертируйте PNG в JPG и JPG в PNG прямо в браузере.",
+    "pngjpg.tip": "Совет: JPG отлично подходит для фото и отправки, PNG — для прозрачности и графики.",
+    "pngjpg.pagesSplit": { one: "{count} страница TIFF будет сконвертирована отдельным изображением.", few: "{count} страницы TIFF будут сконвертированы отдельными изображениями.", many: "{count} страниц TIFF будут сконвертированы отдельными изображениями.", other: "{count} страницы TIFF будут сконвертированы отдельными изображениями." },
+
+    // WebP ↔ JPG/PNG
+    "webp.unsupported": "Выберите изображение WebP, PNG, JPG, GIF, BMP или TIFF.",
+    "webp.tooLarge": "Выбранный файл слишком большой (максимум 20 МБ).",
+    "webp.sizeLimit": "Размер файла превышает лимит 20 МБ.",
+    "webp.animatedNote": "Анимированное изображение: выберите кадр или экспортируйте все кадры в блоке «Анимация».",
+    "webp.noEncoder": "Этот браузер не поддерживает кодирование WebP через Canvas. Выберите JPG или PNG в качестве целевого формата.",
+    "webp.converting": "Конвертация изображения...",
+    "webp.success": "Конвертация выполнена!",
+    "webp.successToast": "Изображение успешно конвертировано.",
+    "webp.error": "Ошибка во время конвертации.",
+    "webp.supported": "Поддерживаются: WebP, PNG, JPG, JPEG, GIF, BMP, TIFF",
+    "webp.quality": "Качество WebP / JPG",
+    "webp.title": "Конвертер WebP ↔ JPG/PNG",
+    "webp.subtitle": "Конвертируйте WebP в JPG, PNG и обратно.",
+    "webp.tip": "Совет: WebP отлично подходит для веба; конвертируйте обратно в JPG/PNG для программ, которые его пока не поддерживают.",
+    "webp.sequenceName": { one: "{count} изображение", few: "{count} изображения", many: "{count} изображений", other: "{count} изображения" },
+    "webp.sequenceNote": "Выбрано несколько изображений: они станут кадрами анимированного GIF.",
+    "webp.sequenceGifOnly": "Несколько изображений можно объединить только в GIF. Выберите GIF как целевой формат.",
+    "webp.tiffFirstPage": { one: "В этом TIFF {count} страница: здесь конвертируется только первая. Конвертер PNG ↔ JPG обработает все страницы.", few: "В этом TIFF {count} страницы: здесь конвертируется только первая. Конвертер PNG ↔ JPG обработает все страницы.", many: "В этом TIFF {count} страниц: здесь конвертируется только первая. Конвертер PNG ↔ JPG обработает все страницы.", other: "В этом TIFF {count} страницы: здесь конвертируется только первая. Конвертер PNG ↔ JPG обработает все страницы." },
+
+    // HEIC → JPG/PNG
+    "heic.libraryMissing": "heic2any недоступна после загрузки.",
+    "heic.done": "Готово. Файл скачан. При необходимости нажмите «Скачать результат» ещё раз.",
+    "heic.failed": "Не удалось конвертировать HEIC.",
+    "heic.chooseFile": "Выберите фото HEIC или папку",
+    "heic.recommended": "Рекомендуется: HEIC / HEIF с iOS",
+    "heic.alsoAccepts": "Также принимаются JPG, JPEG, PNG",
+    "heic.title": "Конвертер HEIC → JPG/PNG",
+    "heic.subtitle": "Конвертируйте фото HEIC в стандартные файлы JPG или PNG.",
+    "heic.tip": "Совет: перетащите целую папку с фото iPhone, чтобы конвертировать их все сразу — результаты придут одним ZIP.",
+    "heic.imagesTitle": "Изображения в файле",
+    "heic.imagesSummary": { one: "{count} изображение · выбрано: {selected}", few: "{count} изображения · выбрано: {selected}", many: "{count} изображений · выбрано: {selected}", other: "{count} изображения · выбрано: {selected}" },
+    "heic.imagesFound": { one: "В файле {count} изображение.", few: "В файле {count} изображения. Экспортируются все, кроме тех, с которых снята отметка.", many: "В файле {count} изображений. Экспортируются все, кроме тех, с которых снята отметка.", other: "В файле {count} изображения. Экспортируются все, кроме тех, с которых снята отметка." },
+    "heic.imagesHint": "Нажмите на изображение, чтобы открыть его в предпросмотре. «Конвертировать» экспортирует отмеченные изображения с пронумерованными именами, несколько — одним ZIP. Обрезка и поворот применяются ко всем.",
+    "heic.selectAll": "Выбрать все",
+    "heic.selectNone": "Снять выбор",
+    "heic.imageLabel": "Изображение {index} из {count}",
+    "heic.downloadImage": "Конвертировать и скачать изображение {index}",
+    "heic.noneSelected": "Отметьте хотя бы одно изображение для экспорта.",
+    "heic.convertingImage": "Конвертация изображения {index} из {count}...",
+    "heic.doneImages": { one: "Готово. {count} изображение сохранено в {name} ({size}). При необходимости используйте «Скачать результат» ещё раз.", few: "Готово. {count} изображения сохранены в {name} ({size}). При необходимости используйте «Скачать результат» ещё раз.", many: "Готово. {count} изображений сохранено в {name} ({size}). При необходимости используйте «Скачать результат» ещё раз.", other: "Готово. {count} изображения сохранены в {name} ({size}). При необходимости используйте «Скачать результат» ещё раз." },
+    "heic.dropPhotos": "Перетащите сюда фото или целую папку или",
+    "heic.chooseFolder": "Выбрать папку",
+    "heic.skipped": { one: "Пропущен {count} файл, который не является фото.", few: "Пропущено {count} файла, которые не являются фото.", many: "Пропущено {count} файлов, которые не являются фото.", other: "Пропущено {count} файла, которые не являются фото." },
+    "heic.imagesCount": { one: "{count} изображение", few: "{count} изображения", many: "{count} изображений", other: "{count} изображения" },
+    "heic.readyOne": "Сохранено: {name} ({size})",
+    "heic.readyImages": { one: "{count} изображение сохранено в {name} ({size})", few: "{count} изображения сохранены в {name} ({size})", many: "{count} изображений сохранено в {name} ({size})", other: "{count} изображения сохранены в {name} ({size})" },
+    "heic.failedTitle": { one: "Почему не удалось конвертировать {count} файл", few: "Почему не удалось конвертировать {count} файла", many: "Почему не удалось конвертировать {count} файлов", other: "Почему не удалось конвертировать {count} файла" },
+    "heic.unsupported": "Неподдерживаемый тип файла — выберите HEIC/HEIF, JPG/JPEG или PNG.",
+
+    // SVG → PNG/JPG/WebP
+    "svg.loadFailed": "Не удалось загрузить SVG как изображение (возможно, неподдерживаемые внешние ресурсы).",
+    "svg.notSvg": "Загрузите файл SVG или PNG.",
+    "svg.reading": "Чтение SVG…",
+    "svg.detectedSize": "Определённый размер: {width}×{height} px (до масштабирования)",
+    "svg.loaded": "SVG загружен. Выберите формат и нажмите «Конвертировать».",
+    "svg.readFailed": "Не удалось прочитать файл SVG.",
+    "svg.selectFirst": "Сначала выберите файл SVG или PNG.",
+    "svg.preparing": "Подготовка SVG…",
+    "svg.rendering": "Отрисовка…",
+    "svg.exporting": "Экспорт…",
+    "svg.done": "Готово. Файл можно скачать.",
+    "svg.failed": "Не удалось конвертировать SVG.",
+    "svg.chooseFile": "Выберите файл SVG или PNG",
+    "svg.supported": "Поддерживаются: SVG, PNG",
+    "svg.quality": "Качество JPG/WebP",
+    "svg.scale": "Масштаб (множитель разрешения)",
+    "svg.scaleHint": "Увеличивает размер PNG/JPG/WebP в пикселях (полезно для retina-экранов).",
+    "svg.qualityHint": "Используется только при экспорте в JPG/WebP.",
+    "svg.background": "Фон (для JPG / непрозрачных PNG/WebP)",
+    "svg.backgroundHint": "Прозрачные области SVG будут залиты этим цветом в JPG или при отключённой прозрачности.",
+    "svg.keepTransparency": "Сохранять прозрачность (PNG/WebP)",
+    "svg.transparencyHint": "Если отключено, при экспорте в PNG/WebP тоже будет использоваться цвет фона.",
+    "svg.title": "Конвертер SVG → PNG/JPG/WebP",
+    "svg.subtitle": "Конвертируйте векторную графику SVG в популярные форматы, файлы ICO и наборы favicon.",
+    "svg.tip": "Совет: для лучшего результата используйте SVG со встроенными ресурсами (шрифтами и изображениями). Внешние ресурсы могут отображаться иначе.",
+    "svg.chooseBackground": "Выбрать цвет фона",
+    "svg.readingImage": "Чтение изображения…",
+    "svg.faviconPackage": "Набор favicon (ZIP)",
+    "svg.imageLoaded": "Изображение загружено. Выберите формат и нажмите «Конвертировать».",
+
+    // Icons (ICO / favicon package)
+    "favicon.title": "Иконки",
+    "favicon.subtitle": "ICO и набор favicon",
+    "favicon.name": "Название приложения",
+    "favicon.namePlaceholder": "Мой сайт",
+    "favicon.theme": "Цвет темы",
+    "favicon.path": "Путь к файлам",
+    "favicon.pathHint": "Путь, по которому сайт отдаёт файлы, например / или /static/icons/.",
+    "favicon.icoHint": "favicon.ico содержит версии 16, 32, 48, 64 и 256 px. Цвет фона используется, если прозрачность выключена.",
+    "favicon.packageHint": "ZIP с favicon.ico, PNG-иконками, apple-touch-icon (на цвете фона), иконками Android, site.webmanifest и тегами для вставки.",
+    "favicon.snippet": "Вставьте в <head>",
+    "favicon.copy": "Копировать",
+    "favicon.copied": "Скопировано в буфер обмена.",
+    "favicon.copyFailed": "Не удалось скопировать. Выделите текст и скопируйте вручную.",
+    "favicon.building": "Создание иконок…",
+    "favicon.doneIco": "favicon.ico готов к загрузке.",
+    "favicon.donePackage": "Набор favicon готов. Вставьте теги в <head>.",
+    "favicon.smallSource": "Изображение всего {width}×{height} px, поэтому крупные иконки (180–512 px) будут размытыми. Используйте 512 px и больше или SVG.",
+
+    // JPG/PNG ↔ PDF
+    "pdf.jspdfMissing": "jsPDF недоступна после загрузки.",
+    "pdf.pdfjsMissing": "pdfjsLib недоступна после загрузки.",
+    "pdf.noFiles": "Файлы ещё не выбраны.",
+    "pdf.andMore": { one: "… и ещё {count}", other: "… и ещё {count}" },
+    "pdf.noImages": "Среди выбранных файлов нет изображений.",
+    "pdf.pdfReady": "PDF готов и скачан автоматически. Если нет — воспользуйтесь кнопкой ниже.",
+    "pdf.noPdf": "Среди выбранных файлов нет PDF.",
+    "pdf.renderingPages": { one: "Отрисовка {count} страницы в {format}...", other: "Отрисовка {count} страниц в {format}..." },
+    "pdf.cancelledPartial": { one: "Конвертация отменена. В {name} доступна {done} из {count} страницы.", other: "Конвертация отменена. В {name} доступно {done} из {count} страниц." },
+    "pdf.pagesSeparate": "Все страницы экспортированы в изображения и скачаны по одной.",
+    "pdf.packingPages": "Упаковка страниц в ZIP-архив...",
+    "pdf.pagesZipped": { one: "{count} страница сохранена в {name} ({size}). Если загрузка не началась, воспользуйтесь кнопкой ниже.", few: "{count} страницы сохранены в {name} ({size}). Если загрузка не началась, воспользуйтесь кнопкой ниже.", many: "{count} страниц сохранено в {name} ({size}). Если загрузка не началась, воспользуйтесь кнопкой ниже.", other: "{count} страницы сохранено в {name} ({size}). Если загрузка не началась, воспользуйтесь кнопкой ниже." },
+    "pdf.selectFirst": "Сначала выберите хотя бы один файл.",
+    "pdf.badMode": "Неподдерживаемый режим конвертации.",
+    "pdf.chooseFiles": "Выберите изображения (JPG, PNG, TIFF…) или PDF",
+    "pdf.maxSize": "Макс. размер файла (демо): 20 МБ",
+    "pdf.targetFormat": "Целевой формат",
+    "pdf.pdfDocument": "Документ PDF",
+    "pdf.layoutQuality": "Макет и качество",
+    "pdf.pageSize": "Размер страницы (для PDF)",
+    "pdf.letter": "US Letter",
+    "pdf.fitImage": "По размеру изображения",
+    "pdf.outputQuality": "Качество (для JPG/WebP)",
+    "pdf.pageImages": "Изображения страниц (для PDF → JPG/PNG)",
+    "pdf.oneZip": "Один ZIP-архив",
+    "pdf.separate": "Отдельная загрузка для каждой страницы",
+    "pdf.zipHint": "Браузеры могут блокировать много отдельных загрузок — ZIP хранит все страницы вместе.",
+    "pdf.title": "Конвертер JPG/PNG ↔ PDF",
+    "pdf.subtitle": "Объедините JPG/PNG в PDF или экспортируйте страницы PDF в JPG/PNG.",
+    "pdf.fitImageHint": "«По размеру изображения» использует размеры изображения как размер страницы.",
+    "pdf.tip": "Совет: для многостраничного PDF добавляйте изображения в том порядке, в котором они должны идти.",
+    "pdf.swapDirection": "Сменить направление конвертации",
+    "pdf.skipped": "Пропущено: {count} (не изображение и не PDF)."
+};